@@ -0,0 +1,75 @@
+/**
+ * Replay recorded GitLab webhook payloads against the relay
+ * Lets the live update path be exercised without a live GitLab
+ *
+ * Usage:
+ *   node server/replayWebhooks.js [--url http://localhost:8787/webhook] [--secret <token>] [--delay 500] [files or directories...]
+ *
+ * Defaults to the sample payloads in server/fixtures. Files are sent in name order.
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { getEventHeader } from './webhookPayloads.js'
+
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures')
+
+function parseArgs(argv) {
+  const options = {
+    url: process.env.WEBHOOK_RELAY_URL || 'http://localhost:8787/webhook',
+    secret: process.env.WEBHOOK_RELAY_SECRET || '',
+    delay: 500,
+    paths: []
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--url') options.url = argv[++i]
+    else if (arg === '--secret') options.secret = argv[++i]
+    else if (arg === '--delay') options.delay = Number(argv[++i])
+    else options.paths.push(arg)
+  }
+  if (options.paths.length === 0) options.paths.push(DEFAULT_FIXTURES)
+  return options
+}
+
+/**
+ * Expand directories into their JSON files, sorted by name
+ */
+function collectFiles(paths) {
+  return paths.flatMap(p => {
+    if (fs.statSync(p).isDirectory()) {
+      return fs.readdirSync(p)
+        .filter(name => name.endsWith('.json'))
+        .sort()
+        .map(name => path.join(p, name))
+    }
+    return [p]
+  })
+}
+
+async function replay({ url, secret, delay, paths }) {
+  const files = collectFiles(paths)
+  console.log(`Replaying ${files.length} payload(s) to ${url}`)
+
+  for (const file of files) {
+    const payload = JSON.parse(fs.readFileSync(file, 'utf8'))
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Gitlab-Event': getEventHeader(payload)
+    }
+    if (secret) headers['X-Gitlab-Token'] = secret
+
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(payload) })
+    console.log(`  ${path.basename(file)}: ${response.status} ${await response.text()}`)
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+replay(parseArgs(process.argv.slice(2))).catch(error => {
+  console.error('Replay failed:', error.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,188 @@
+/**
+ * GitLab webhook payload conversion
+ * Turns issue, epic and milestone webhook payloads into deltas shaped like the
+ * REST objects the dashboard already holds, so they can be patched in place
+ */
+
+/**
+ * Error for a payload that does not have the shape GitLab sends (answered with 400)
+ */
+function invalidPayload(message) {
+  const error = new Error(`Invalid webhook payload: ${message}`)
+  error.status = 400
+  return error
+}
+
+/**
+ * Check the fields every converted item reads before touching them
+ * @throws {Error} With status 400 when the payload is malformed
+ */
+function checkAttributes(payload) {
+  const attrs = payload.object_attributes
+  if (attrs.id === undefined || attrs.id === null || typeof attrs.id === 'object') {
+    throw invalidPayload('object_attributes.id is missing')
+  }
+  ;['title', 'description', 'state', 'url'].forEach(field => {
+    if (attrs[field] != null && typeof attrs[field] !== 'string') {
+      throw invalidPayload(`object_attributes.${field} is not a string`)
+    }
+  })
+  return attrs
+}
+
+/**
+ * Label titles of a payload (top-level labels, or the attributes' labels on older GitLab)
+ * @throws {Error} With status 400 when labels is not a list of labels
+ */
+function toLabels(payload, attrs) {
+  const labels = payload.labels ?? attrs.labels ?? []
+  if (!Array.isArray(labels) || labels.some(label => typeof label?.title !== 'string')) {
+    throw invalidPayload('labels is not a list of labels')
+  }
+  return labels.map(label => label.title)
+}
+
+/**
+ * Map a webhook user to the REST user shape
+ */
+function toUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    avatar_url: user.avatar_url
+  }
+}
+
+/**
+ * Webhooks send timestamps as "2026-10-19 08:30:02 UTC"; the dashboard expects ISO 8601
+ */
+function toIsoTime(value) {
+  if (!value) return null
+  const date = new Date(String(value).replace(' UTC', 'Z').replace(' ', 'T'))
+  return isNaN(date.getTime()) ? value : date.toISOString()
+}
+
+/**
+ * Webhooks send state as "opened"/"closed" for issues but "active"/"closed" for milestones
+ */
+function toState(state) {
+  return state === 'active' ? 'active' : (state === 'closed' ? 'closed' : 'opened')
+}
+
+function toIssue(payload) {
+  const attrs = checkAttributes(payload)
+  if (payload.assignees != null && (!Array.isArray(payload.assignees) || payload.assignees.some(user => !user || typeof user !== 'object'))) {
+    throw invalidPayload('assignees is not a list of users')
+  }
+  const item = {
+    id: attrs.id,
+    iid: attrs.iid,
+    project_id: attrs.project_id || payload.project?.id,
+    title: attrs.title,
+    description: attrs.description,
+    state: toState(attrs.state),
+    created_at: toIsoTime(attrs.created_at),
+    updated_at: toIsoTime(attrs.updated_at),
+    closed_at: toIsoTime(attrs.closed_at),
+    due_date: attrs.due_date || null,
+    weight: attrs.weight ?? null,
+    confidential: attrs.confidential,
+    web_url: attrs.url,
+    labels: toLabels(payload, attrs),
+    milestone_id: attrs.milestone_id || null
+  }
+  if (payload.assignees) {
+    item.assignees = payload.assignees.map(toUser)
+    item.assignee = item.assignees[0] || null
+  }
+  if (attrs.iteration_id !== undefined) {
+    item.iteration_id = attrs.iteration_id
+  }
+  return item
+}
+
+function toEpic(payload) {
+  const attrs = checkAttributes(payload)
+  return {
+    id: attrs.id,
+    iid: attrs.iid,
+    group_id: attrs.group_id || payload.group?.id,
+    title: attrs.title,
+    description: attrs.description,
+    state: toState(attrs.state),
+    created_at: toIsoTime(attrs.created_at),
+    updated_at: toIsoTime(attrs.updated_at),
+    closed_at: toIsoTime(attrs.closed_at),
+    start_date: attrs.start_date || null,
+    due_date: attrs.due_date || attrs.end_date || null,
+    web_url: attrs.url,
+    labels: toLabels(payload, attrs)
+  }
+}
+
+function toMilestone(payload) {
+  const attrs = checkAttributes(payload)
+  return {
+    id: attrs.id,
+    iid: attrs.iid,
+    project_id: attrs.project_id || null,
+    group_id: attrs.group_id || null,
+    title: attrs.title,
+    description: attrs.description,
+    state: toState(attrs.state),
+    created_at: toIsoTime(attrs.created_at),
+    updated_at: toIsoTime(attrs.updated_at),
+    start_date: attrs.start_date || null,
+    due_date: attrs.due_date || null
+  }
+}
+
+/**
+ * Kind of item a payload describes, or null for unsupported events
+ * Work item events (newer GitLab) are mapped by their work item type
+ */
+function getKind(payload) {
+  const kind = payload.object_kind
+  if (kind === 'issue' || kind === 'epic' || kind === 'milestone') return kind
+  if (kind === 'work_item') {
+    const type = String(payload.object_attributes.type || '').toLowerCase()
+    if (type === 'epic') return 'epic'
+    if (type === 'issue' || type === 'task' || type === 'incident') return 'issue'
+  }
+  return null
+}
+
+/**
+ * Convert a webhook payload into a delta
+ * project ({ id, path }) lets the dashboard place the first item of a project it has nothing else loaded of
+ * @returns {Object|null} { kind, action, item, project, changedFields } or null if the event is not relevant
+ * @throws {Error} With status 400 when a relevant payload is malformed
+ */
+export function toDelta(payload) {
+  const kind = payload?.object_attributes && typeof payload.object_attributes === 'object'
+    ? getKind(payload)
+    : null
+  if (!kind) return null
+
+  const convert = { issue: toIssue, epic: toEpic, milestone: toMilestone }[kind]
+  return {
+    kind,
+    action: payload.object_attributes.action || 'update',
+    item: convert(payload),
+    project: payload.project ? { id: payload.project.id, path: payload.project.path_with_namespace } : null,
+    changedFields: Object.keys(payload.changes || {})
+  }
+}
+
+/**
+ * X-Gitlab-Event header value GitLab sends for a payload (used when replaying recordings)
+ */
+export function getEventHeader(payload) {
+  return {
+    issue: 'Issue Hook',
+    work_item: 'Issue Hook',
+    epic: 'Epic Hook',
+    milestone: 'Milestone Hook'
+  }[payload.object_kind] || 'Unknown Hook'
+}
@@ -0,0 +1,297 @@
+/**
+ * GitLab Webhook Relay
+ * Optional companion server for near-real-time dashboard updates: receives GitLab
+ * issue, epic and milestone webhooks and pushes them to connected dashboards as
+ * deltas over Server-Sent Events. No dependencies beyond Node itself.
+ *
+ * Usage:
+ *   node server/webhookRelay.js --secret <token> [--port 8787] [--origin <url,...>] [--record <dir>] [--calendars <dir>]
+ *   node server/webhookRelay.js --insecure ...   (accept webhooks without a secret, local testing only)
+ *
+ * --secret is the Secret token configured on the GitLab webhook; the relay refuses to start
+ * without one unless --insecure is given. --origin lists the dashboard origins allowed to read
+ * the stream (default: the Vite dev and preview servers on localhost).
+ *
+ * Endpoints:
+ *   POST /webhook  GitLab webhook target (checks X-Gitlab-Token)
+ *   GET  /events   SSE stream of deltas (supports Last-Event-ID to catch up after reconnects)
+ *   GET  /health   Status and connected client count
+ *   PUT|DELETE /calendars/<feed id>.ics  Publish or remove an iCalendar feed (Authorization: Bearer <secret>)
+ *   GET  /calendars/<feed id>.ics  Published feed, for calendar apps to subscribe to (the random
+ *                                  feed id is the only protection: calendar apps cannot send tokens)
+ *
+ * --calendars keeps published feeds on disk so subscriptions survive a restart of the relay
+ *
+ * --record stores every received payload as JSON so it can be replayed later
+ * with server/replayWebhooks.js, without a live GitLab
+ */
+
+import http from 'node:http'
+import crypto from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { toDelta } from './webhookPayloads.js'
+
+// Deltas kept for clients reconnecting with Last-Event-ID
+const HISTORY_SIZE = 200
+const HEARTBEAT_INTERVAL = 25000
+const MAX_BODY_SIZE = 5 * 1024 * 1024
+const DEFAULT_ORIGIN = 'http://localhost:5173,http://localhost:4173'
+// Feed ids are random and unguessable; anything else is not a calendar path
+const CALENDAR_PATH = /^\/calendars\/([A-Za-z0-9_-]{16,64})\.ics$/
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.WEBHOOK_RELAY_PORT) || 8787,
+    secret: process.env.WEBHOOK_RELAY_SECRET || '',
+    origin: process.env.WEBHOOK_RELAY_ORIGIN || DEFAULT_ORIGIN,
+    record: process.env.WEBHOOK_RELAY_RECORD || '',
+    calendars: process.env.WEBHOOK_RELAY_CALENDARS || '',
+    insecure: process.env.WEBHOOK_RELAY_INSECURE === 'true'
+  }
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '')
+    if (key === 'insecure') {
+      options.insecure = true
+    } else if (key in options) {
+      options[key] = key === 'port' ? Number(argv[++i]) : argv[++i]
+    }
+  }
+  return options
+}
+
+/**
+ * Create the relay server (not yet listening)
+ * origin: comma separated dashboard origins allowed by CORS, or '*'
+ */
+export function createRelayServer({ secret = '', origin = DEFAULT_ORIGIN, record = '', calendars = '' } = {}) {
+  const clients = new Set()
+  const history = []
+  const feeds = new Map() // feed id -> .ics content
+  const allowedOrigins = origin.split(',').map(o => o.trim()).filter(Boolean)
+  let lastEventId = 0
+
+  // Echo the request's origin when it is allowed (the header takes a single origin)
+  const getCorsHeaders = (req) => {
+    const requestOrigin = req.headers.origin
+    const allowOrigin = allowedOrigins.includes('*')
+      ? '*'
+      : (allowedOrigins.includes(requestOrigin) ? requestOrigin : allowedOrigins[0])
+    return {
+      'Access-Control-Allow-Origin': allowOrigin,
+      'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID, Authorization',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      Vary: 'Origin'
+    }
+  }
+
+  const send = (res, delta) => {
+    res.write(`id: ${delta.id}\nevent: delta\ndata: ${JSON.stringify(delta)}\n\n`)
+  }
+
+  const broadcast = (delta) => {
+    const event = { ...delta, id: ++lastEventId, receivedAt: new Date().toISOString() }
+    history.push(event)
+    if (history.length > HISTORY_SIZE) history.shift()
+    clients.forEach(res => send(res, event))
+    return event
+  }
+
+  // Recording is best effort: a full or read-only disk must not stop the relay
+  const recordPayload = async (payload) => {
+    if (!record) return
+    try {
+      await fs.mkdir(record, { recursive: true })
+      const id = payload?.object_attributes?.iid || payload?.object_attributes?.id || 'item'
+      const file = path.join(record, `${Date.now()}-${payload?.object_kind}-${id}.json`)
+      await fs.writeFile(file, JSON.stringify(payload, null, 2))
+    } catch (error) {
+      console.error(`Failed to record payload: ${error.message}`)
+    }
+  }
+
+  // Compare digests so the check takes the same time whatever the token's length or content
+  const expectedDigest = crypto.createHash('sha256').update(secret).digest()
+  const isValidToken = (token) => {
+    if (!secret) return true
+    const digest = crypto.createHash('sha256').update(String(token || '')).digest()
+    return crypto.timingSafeEqual(digest, expectedDigest)
+  }
+
+  // Collect a request body up to MAX_BODY_SIZE, then hand it to onBody (errors answer 500)
+  const readBody = (req, res, corsHeaders, onBody) => {
+    let body = ''
+    req.on('data', chunk => {
+      body += chunk
+      if (body.length > MAX_BODY_SIZE) {
+        res.writeHead(413, corsHeaders).end('Payload too large')
+        req.destroy()
+      }
+    })
+    req.on('end', async () => {
+      if (res.writableEnded) return
+      try {
+        await onBody(body)
+      } catch (error) {
+        console.error(`Request failed: ${error.message}`)
+        if (!res.headersSent) res.writeHead(500, corsHeaders).end('Internal error')
+      }
+    })
+  }
+
+  const handleWebhook = (req, res, corsHeaders) => {
+    if (!isValidToken(req.headers['x-gitlab-token'])) {
+      res.writeHead(401, corsHeaders).end('Invalid webhook token')
+      return
+    }
+
+    readBody(req, res, corsHeaders, body => {
+      let payload
+      try {
+        payload = JSON.parse(body)
+      } catch {
+        res.writeHead(400, corsHeaders).end('Invalid JSON')
+        return
+      }
+
+      recordPayload(payload)
+      try {
+        const delta = toDelta(payload)
+        if (!delta) {
+          res.writeHead(202, corsHeaders).end('Ignored')
+          return
+        }
+
+        const event = broadcast(delta)
+        console.log(`#${event.id} ${delta.kind} ${delta.action}: ${delta.item.iid ?? delta.item.id} "${delta.item.title}" -> ${clients.size} client(s)`)
+        res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' }).end(JSON.stringify({ id: event.id }))
+      } catch (error) {
+        const status = error.status === 400 ? 400 : 500
+        console.error(`Webhook rejected (${status}): ${error.message}`)
+        if (!res.headersSent) {
+          res.writeHead(status, corsHeaders).end(status === 400 ? error.message : 'Internal error')
+        }
+      }
+    })
+  }
+
+  const getFeedFile = (feedId) => path.join(calendars, `${feedId}.ics`)
+
+  const handleCalendar = async (req, res, corsHeaders, feedId) => {
+    if (req.method === 'GET') {
+      let content = feeds.get(feedId)
+      if (content === undefined && calendars) {
+        content = await fs.readFile(getFeedFile(feedId), 'utf8').catch(() => undefined)
+        if (content !== undefined) feeds.set(feedId, content)
+      }
+      if (content === undefined) {
+        res.writeHead(404, corsHeaders).end('Unknown calendar')
+        return
+      }
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'text/calendar; charset=utf-8', 'Cache-Control': 'no-cache' }).end(content)
+      return
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+    if (!isValidToken(token)) {
+      res.writeHead(401, corsHeaders).end('Invalid token')
+      return
+    }
+
+    if (req.method === 'DELETE') {
+      feeds.delete(feedId)
+      if (calendars) {
+        await fs.rm(getFeedFile(feedId), { force: true })
+          .catch(error => console.error(`Failed to remove calendar ${feedId}: ${error.message}`))
+      }
+      res.writeHead(204, corsHeaders).end()
+      return
+    }
+
+    readBody(req, res, corsHeaders, async body => {
+      if (!body.trimStart().startsWith('BEGIN:VCALENDAR')) {
+        res.writeHead(400, corsHeaders).end('Not an iCalendar file')
+        return
+      }
+      feeds.set(feedId, body)
+      if (calendars) {
+        try {
+          await fs.mkdir(calendars, { recursive: true })
+          await fs.writeFile(getFeedFile(feedId), body)
+        } catch (error) {
+          console.error(`Failed to store calendar ${feedId}: ${error.message}`)
+        }
+      }
+      console.log(`Calendar ${feedId} published (${body.length} bytes)`)
+      res.writeHead(204, corsHeaders).end()
+    })
+  }
+
+  const handleEvents = (req, res, corsHeaders) => {
+    res.writeHead(200, {
+      ...corsHeaders,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    })
+    res.write('retry: 5000\n\n')
+
+    // Catch up on deltas missed while disconnected
+    const since = Number(req.headers['last-event-id'])
+    if (since) {
+      history.filter(event => event.id > since).forEach(event => send(res, event))
+    }
+
+    clients.add(res)
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL)
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      clients.delete(res)
+    })
+  }
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    const corsHeaders = getCorsHeaders(req)
+    const feedId = CALENDAR_PATH.exec(pathname)?.[1]
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, corsHeaders).end()
+    } else if (req.method === 'POST' && pathname === '/webhook') {
+      handleWebhook(req, res, corsHeaders)
+    } else if (req.method === 'GET' && pathname === '/events') {
+      handleEvents(req, res, corsHeaders)
+    } else if (feedId && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+      handleCalendar(req, res, corsHeaders, feedId).catch(error => {
+        console.error(`Calendar request failed: ${error.message}`)
+        if (!res.headersSent) res.writeHead(500, corsHeaders).end('Internal error')
+      })
+    } else if (req.method === 'GET' && pathname === '/health') {
+      res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/json' })
+        .end(JSON.stringify({ status: 'ok', clients: clients.size, lastEventId }))
+    } else {
+      res.writeHead(404, corsHeaders).end('Not found')
+    }
+  })
+}
+
+// Start when run directly (node server/webhookRelay.js)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const options = parseArgs(process.argv.slice(2))
+  if (!options.secret && !options.insecure) {
+    console.error('Refusing to start without a webhook secret: anyone who can reach the relay could push fake updates.')
+    console.error('Pass --secret <token> (the Secret token of the GitLab webhook), or --insecure for local testing.')
+    process.exit(1)
+  }
+
+  createRelayServer(options).listen(options.port, () => {
+    console.log(`GitLab webhook relay listening on http://localhost:${options.port}`)
+    console.log(`  Webhook URL: http://localhost:${options.port}/webhook${options.secret ? ' (secret token required)' : ' (no secret, --insecure)'}`)
+    console.log(`  Dashboard relay URL: http://localhost:${options.port}/events (allowed origins: ${options.origin})`)
+    if (options.record) {
+      console.log(`  Recording payloads to ${options.record}`)
+    }
+    console.log(`  Calendar feeds: http://localhost:${options.port}/calendars/<feed id>.ics${options.calendars ? ` (stored in ${options.calendars})` : ' (in memory)'}`)
+  })
+}
@@ -9,9 +9,13 @@ import { IterationFilterProvider } from './contexts/IterationFilterContext'
 import Header from './components/Header'
 import Tabs from './components/Tabs'
 import GroupedTabs from './components/GroupedTabs'
+import OfflineBanner from './components/OfflineBanner'
 import RoleSelectorModal from './components/RoleSelectorModal'
 import IterationFilterDropdown from './components/IterationFilterDropdown'
 import { getViewPreference } from './services/userPreferencesService'
+import { startAutoBackup } from './services/autoBackupService'
+import { trackForecasts } from './services/forecastAccuracyService'
+import { recordMetricSnapshot } from './services/metricSnapshotService'
 import ConfigModal from './components/ConfigModal'
 import EnhancedExecutiveDashboard from './components/EnhancedExecutiveDashboard'
 import RoadmapView from './components/RoadmapView'
@@ -82,7 +86,7 @@ function App() {
   if (isDev) {
     console.log('App: Calling useGitLabData hook...')
   }
-  const { issues, milestones, epics, crossProjectData, loading, error, refresh } = useGitLabData()
+  const { issues, milestones, epics, crossProjectData, loading, error, lastSyncedAt, offline, liveStatus, refresh } = useGitLabData()
   if (isDev) {
     console.log('App: GitLab data:', { issuesCount: issues?.length, milestonesCount: milestones?.length, epicsCount: epics?.length, loading, error })
     if (crossProjectData) {
@@ -106,6 +110,33 @@ function App() {
     console.log('App: Risks data:', { risksCount: risks?.length })
   }
 
+  // Local backup snapshots after changes / on a schedule
+  useEffect(() => startAutoBackup(), [])
+
+  // Snapshot metrics and forecasts (resolving finished ones) after each refresh (not for offline data)
+  // Deferred so the views render first; quick successive live updates collapse into one run,
+  // forecasts are only recomputed for targets whose inputs changed, one target per task,
+  // and a run still simulating is abandoned when newer data arrives
+  useEffect(() => {
+    if (offline || !issues || issues.length === 0) return
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      try {
+        recordMetricSnapshot({ issues, epics, healthScore })
+      } catch (error) {
+        console.error('Error recording metric snapshot:', error)
+      }
+      trackForecasts({ issues, epics, milestones }, { signal: controller.signal }).catch(error => {
+        console.error('Error tracking forecasts:', error)
+      })
+    }, 2000)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [issues, epics, milestones, healthScore, offline])
+
   const handleConfigSave = () => {
     if (isDev) {
       console.log('App: handleConfigSave called')
@@ -139,6 +170,8 @@ function App() {
           onChangeRole={() => setShowRoleModal(true)}
           onDebug={() => setShowDebugPanel(true)}
           loading={loading}
+          lastSyncedAt={lastSyncedAt}
+          liveStatus={liveStatus}
         />
 
         {useGroupedNav ? (
@@ -198,6 +231,8 @@ function App() {
         )}
 
         <div style={{ flex: 1, paddingTop: '20px' }}>
+        <OfflineBanner offline={offline} onRetry={refresh} loading={loading} />
+
         {error && (
           <div className="container">
             <div className="card" style={{ background: '#FEE2E2', borderColor: '#DC2626', color: '#DC2626' }}>
@@ -249,12 +284,12 @@ function App() {
                 risks={risks}
               />
             )}
-            {activeView === 'compliance' && <IssueComplianceView issues={issues} />}
-            {activeView === 'cycletime' && <CycleTimeView issues={issues} />}
+            {activeView === 'compliance' && <IssueComplianceView issues={issues} milestones={milestones} />}
+            {activeView === 'cycletime' && <CycleTimeView issues={issues} milestones={milestones} />}
             {activeView === 'epicmanagement' && <EpicManagementView epics={epics} issues={issues} crossProjectData={crossProjectData} />}
             {activeView === 'riskmanagement' && <RiskManagementView epics={epics} issues={issues} />}
             {activeView === 'roadmap' && <RoadmapView issues={issues} milestones={milestones} />}
-            {activeView === 'sprintmanagement' && <SprintManagementView issues={issues} onNavigate={handleViewChange} />}
+            {activeView === 'sprintmanagement' && <SprintManagementView issues={issues} milestones={milestones} onNavigate={handleViewChange} />}
             {activeView === 'velocity' && <VelocityView issues={issues} />}
             {activeView === 'resourceplanning' && <ResourcePlanningView issues={issues} milestones={milestones} />}
             {activeView === 'teammanagement' && <TeamManagementView issues={issues} milestones={milestones} crossProjectMode={getActiveProjectId() === 'cross-project'} />}
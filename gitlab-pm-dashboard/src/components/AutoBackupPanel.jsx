@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react'
+import {
+  loadAutoBackupSettings,
+  saveAutoBackupSettings,
+  listBackupSnapshots,
+  createBackupSnapshot,
+  deleteBackupSnapshot,
+  applyRetentionPolicy,
+  getAutoBackupStatus
+} from '../services/autoBackupService.js'
+import { createBackup, compareBackups, getBackupStatistics } from '../services/backupService.js'
+
+const REASON_LABELS = {
+  manual: 'Manual',
+  changes: 'After changes',
+  interval: 'Scheduled'
+}
+
+/**
+ * Automatic Backups
+ * Settings for scheduled local snapshots plus the snapshot history with preview, diff and restore
+ */
+export default function AutoBackupPanel({ onRestore }) {
+  const [settings, setSettings] = useState(loadAutoBackupSettings)
+  const [snapshots, setSnapshots] = useState([])
+  const [details, setDetails] = useState(null) // { id, type: 'preview' | 'diff', data }
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const refresh = async () => {
+    setSnapshots(await listBackupSnapshots())
+  }
+
+  useEffect(() => {
+    refresh()
+  }, [])
+
+  const updateSetting = (field, value) => {
+    const next = { ...settings, [field]: value }
+    setSettings(next)
+    saveAutoBackupSettings(next)
+  }
+
+  const handleSnapshotNow = async () => {
+    setBusy(true)
+    const snapshot = await createBackupSnapshot('manual')
+    setMessage(snapshot ? 'Snapshot saved.' : 'Snapshot could not be saved (IndexedDB unavailable).')
+    await refresh()
+    setBusy(false)
+  }
+
+  const handleApplyRetention = async () => {
+    setBusy(true)
+    const removed = await applyRetentionPolicy(settings)
+    setMessage(`Retention applied: ${removed} snapshot(s) removed.`)
+    await refresh()
+    setBusy(false)
+  }
+
+  const handleDelete = async (snapshot) => {
+    if (!window.confirm(`Delete the snapshot from ${new Date(snapshot.createdAt).toLocaleString()}?`)) return
+    await deleteBackupSnapshot(snapshot.id)
+    if (details?.id === snapshot.id) setDetails(null)
+    await refresh()
+  }
+
+  const toggleDetails = (snapshot, type) => {
+    if (details?.id === snapshot.id && details.type === type) {
+      setDetails(null)
+      return
+    }
+    const data = type === 'preview'
+      ? getBackupStatistics(snapshot.backup)
+      : compareBackups(createBackup(), snapshot.backup)
+    setDetails({ id: snapshot.id, type, data })
+  }
+
+  const status = getAutoBackupStatus()
+  const numberInput = (field, min = 0) => (
+    <input
+      type="number"
+      min={min}
+      value={settings[field]}
+      onChange={(e) => updateSetting(field, Math.max(min, Number(e.target.value) || 0))}
+      style={{ width: '70px', padding: '4px 8px', border: '1px solid #ccc', borderRadius: '4px' }}
+    />
+  )
+
+  const renderDetails = () => {
+    if (details.type === 'preview') {
+      const stats = details.data
+      return (
+        <div>
+          <strong>{stats.totalItems} categories, {stats.estimatedSizeKB} KB</strong>
+          <div style={{ marginTop: '4px' }}>{stats.categories.join(', ')}</div>
+          {stats.recordCounts.length > 0 && (
+            <ul style={{ margin: '8px 0 0 1rem' }}>
+              {stats.recordCounts.map(({ label, count }) => (
+                <li key={label}>{label}: {count}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )
+    }
+
+    const comparison = details.data
+    const changedLists = comparison.records.filter(c => c.counts.added + c.counts.removed + c.counts.modified > 0)
+    if (comparison.differences.length === 0) {
+      return <div>Identical to the current data.</div>
+    }
+    return (
+      <div>
+        {comparison.added.length > 0 && <div>Only in snapshot: {comparison.added.join(', ')}</div>}
+        {comparison.removed.length > 0 && <div>Only in current data: {comparison.removed.join(', ')}</div>}
+        {comparison.modified.length > 0 && <div>Changed: {comparison.modified.join(', ')}</div>}
+        {changedLists.length > 0 && (
+          <ul style={{ margin: '8px 0 0 1rem' }}>
+            {changedLists.map(collection => (
+              <li key={collection.id}>
+                {collection.label}: {collection.counts.added} only in snapshot, {collection.counts.removed} added since,
+                {' '}{collection.counts.modified} changed
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="card">
+      <h3>Automatic Backups</h3>
+      <p>
+        Snapshots are kept in this browser (IndexedDB). They protect against accidental changes, not against
+        clearing the browser profile - export a backup file for that.
+      </p>
+
+      <div className="form-group">
+        <label>
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => updateSetting('enabled', e.target.checked)}
+          />
+          Take automatic snapshots
+        </label>
+        {settings.enabled && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', marginTop: '0.75rem', fontSize: '0.9rem', color: '#333' }}>
+            <span>After {numberInput('changeThreshold')} changes</span>
+            <span>or every {numberInput('intervalHours')} hours</span>
+            <span>Keep the last {numberInput('keepLast', 1)}, {numberInput('keepDaily', 0)} daily and {numberInput('keepWeekly', 0)} weekly</span>
+          </div>
+        )}
+        <p className="help-text" style={{ marginLeft: 0 }}>
+          Set a value to 0 to turn that trigger off. Unchanged data does not create new snapshots.
+          {status.lastSnapshotAt && ` Last snapshot: ${new Date(status.lastSnapshotAt).toLocaleString()}.`}
+          {` ${status.changesSinceSnapshot} change(s) since.`}
+        </p>
+      </div>
+
+      <button className="btn btn-primary" onClick={handleSnapshotNow} disabled={busy}>
+        Snapshot Now
+      </button>
+      <button className="btn btn-secondary" onClick={handleApplyRetention} disabled={busy || snapshots.length === 0}>
+        Apply Retention
+      </button>
+      {message && <span style={{ marginLeft: '1rem', fontSize: '0.9rem', color: '#666' }}>{message}</span>}
+
+      <h4 style={{ margin: '1.5rem 0 0.5rem 0' }}>History ({snapshots.length})</h4>
+      {snapshots.length === 0 ? (
+        <p className="help-text" style={{ marginLeft: 0 }}>No snapshots yet.</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+          <thead>
+            <tr style={{ textAlign: 'left', background: '#f5f5f5' }}>
+              <th style={{ padding: '8px' }}>Created</th>
+              <th style={{ padding: '8px' }}>Trigger</th>
+              <th style={{ padding: '8px' }}>Categories</th>
+              <th style={{ padding: '8px' }}>Size</th>
+              <th style={{ padding: '8px' }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {snapshots.map(snapshot => (
+              <React.Fragment key={snapshot.id}>
+                <tr style={{ borderTop: '1px solid #ddd' }}>
+                  <td style={{ padding: '8px' }}>{new Date(snapshot.createdAt).toLocaleString()}</td>
+                  <td style={{ padding: '8px' }}>{REASON_LABELS[snapshot.reason] || snapshot.reason}</td>
+                  <td style={{ padding: '8px' }}>{snapshot.itemCount}</td>
+                  <td style={{ padding: '8px' }}>{Math.max(1, Math.round(snapshot.size / 1024))} KB</td>
+                  <td style={{ padding: '8px', whiteSpace: 'nowrap', textAlign: 'right' }}>
+                    <button className="btn" style={{ padding: '4px 10px', fontSize: '0.8rem' }} onClick={() => toggleDetails(snapshot, 'preview')}>
+                      Preview
+                    </button>
+                    <button className="btn" style={{ padding: '4px 10px', fontSize: '0.8rem' }} onClick={() => toggleDetails(snapshot, 'diff')}>
+                      Diff
+                    </button>
+                    <button className="btn btn-primary" style={{ padding: '4px 10px', fontSize: '0.8rem' }} onClick={() => onRestore(snapshot.backup)}>
+                      Restore...
+                    </button>
+                    <button className="btn" style={{ padding: '4px 10px', fontSize: '0.8rem', color: '#721c24' }} onClick={() => handleDelete(snapshot)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+                {details?.id === snapshot.id && (
+                  <tr>
+                    <td colSpan={5} style={{ padding: '8px 8px 12px 8px', background: '#fafafa', fontSize: '0.85rem' }}>
+                      {renderDetails()}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
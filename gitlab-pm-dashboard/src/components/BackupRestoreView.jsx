@@ -7,16 +7,36 @@ import {
   validateBackup,
   getBackupStatistics
 } from '../services/backupService.js'
+import RestoreWizard from './RestoreWizard'
+import AutoBackupPanel from './AutoBackupPanel'
+import { getStorageUsage } from '../services/persistentStore.js'
+
+const MIN_PASSWORD_LENGTH = 8
+
+const formatSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'unknown'
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  return `${Math.round(bytes / 1024)} KB`
+}
 
 export default function BackupRestoreView() {
   const [includeTokens, setIncludeTokens] = useState(false)
+  const [encryptExport, setEncryptExport] = useState(false)
+  const [exportPassword, setExportPassword] = useState('')
+  const [exportPasswordConfirm, setExportPasswordConfirm] = useState('')
+  const [encryptedFile, setEncryptedFile] = useState(null)
+  const [importPassword, setImportPassword] = useState('')
+  const [showWizard, setShowWizard] = useState(false)
   const [stats, setStats] = useState(null)
+  const [storageUsage, setStorageUsage] = useState(null)
   const [backupInfo, setBackupInfo] = useState(null)
   const [restoreResult, setRestoreResult] = useState(null)
   const [validationResult, setValidationResult] = useState(null)
   const [error, setError] = useState(null)
   const [loading, setLoading] = useState(false)
   const fileInputRef = useRef(null)
+  const importSectionRef = useRef(null)
 
   // Load statistics on mount
   React.useEffect(() => {
@@ -26,23 +46,40 @@ export default function BackupRestoreView() {
   const loadStats = () => {
     const statistics = getBackupStatistics()
     setStats(statistics)
+    getStorageUsage().then(setStorageUsage)
   }
 
-  const handleExportBackup = () => {
+  const handleExportBackup = async () => {
+    if (encryptExport) {
+      if (exportPassword.length < MIN_PASSWORD_LENGTH) {
+        setError(`Encryption password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+        return
+      }
+      if (exportPassword !== exportPasswordConfirm) {
+        setError('Encryption passwords do not match')
+        return
+      }
+    }
+
     try {
       setLoading(true)
       setError(null)
 
       const backup = createBackup({ includeTokens })
-      const filename = exportBackupToFile(backup)
+      const filename = await exportBackupToFile(backup, null, {
+        password: encryptExport ? exportPassword : null
+      })
 
       setBackupInfo({
         filename,
         timestamp: backup.metadata.timestamp,
         itemCount: backup.metadata.itemCount,
         includedData: backup.metadata.includedData,
-        tokensIncluded: includeTokens
+        tokensIncluded: includeTokens,
+        encrypted: encryptExport
       })
+      setExportPassword('')
+      setExportPasswordConfirm('')
 
       loadStats()
     } catch (err) {
@@ -56,17 +93,17 @@ export default function BackupRestoreView() {
     fileInputRef.current?.click()
   }
 
-  const handleFileSelected = async (e) => {
-    const file = e.target.files?.[0]
-    if (!file) return
-
+  const loadBackupFile = async (file, password = null) => {
     try {
       setLoading(true)
       setError(null)
       setValidationResult(null)
       setRestoreResult(null)
 
-      const backup = await importBackupFromFile(file)
+      const backup = await importBackupFromFile(file, password)
+      setEncryptedFile(null)
+      setImportPassword('')
+
       const validation = validateBackup(backup)
 
       setValidationResult(validation)
@@ -80,14 +117,39 @@ export default function BackupRestoreView() {
       // Store backup for restore
       window.__pendingBackup = backup
     } catch (err) {
-      setError('Failed to import backup: ' + err.message)
+      if (err.code === 'PASSWORD_REQUIRED') {
+        // Ask for the password and retry with the same file
+        setEncryptedFile(file)
+      } else if (err.code === 'WRONG_PASSWORD') {
+        setError('Wrong password. The backup could not be decrypted - check the password and try again.')
+        setImportPassword('')
+      } else if (err.code === 'BACKUP_TAMPERED' || err.code === 'INVALID_ENCRYPTED_BACKUP') {
+        setEncryptedFile(null)
+        setImportPassword('')
+        setError('The encrypted backup failed its integrity check. The file has been modified or corrupted since it was exported - ask for a fresh copy.')
+      } else {
+        setError('Failed to import backup: ' + err.message)
+      }
     } finally {
       setLoading(false)
-      // Reset file input
-      e.target.value = ''
     }
   }
 
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    await loadBackupFile(file)
+    // Reset file input
+    e.target.value = ''
+  }
+
+  const handleDecrypt = (e) => {
+    e.preventDefault()
+    if (!encryptedFile || !importPassword) return
+    loadBackupFile(encryptedFile, importPassword)
+  }
+
   const handleRestoreBackup = (overwrite = true) => {
     try {
       setLoading(true)
@@ -100,24 +162,7 @@ export default function BackupRestoreView() {
       }
 
       const result = restoreFromBackup(backup, { overwrite })
-
-      setRestoreResult(result)
-
-      if (result.success) {
-        // Clear pending backup
-        delete window.__pendingBackup
-        setValidationResult(null)
-
-        // Reload stats
-        loadStats()
-
-        // Notify user to refresh page
-        setTimeout(() => {
-          if (window.confirm('Backup restored successfully! Refresh the page to apply changes?')) {
-            window.location.reload()
-          }
-        }, 500)
-      }
+      finishRestore(result)
     } catch (err) {
       setError('Failed to restore backup: ' + err.message)
     } finally {
@@ -125,8 +170,43 @@ export default function BackupRestoreView() {
     }
   }
 
+  const finishRestore = (result) => {
+    setRestoreResult(result)
+    setShowWizard(false)
+
+    if (result.success) {
+      // Clear pending backup
+      delete window.__pendingBackup
+      setValidationResult(null)
+
+      // Reload stats
+      loadStats()
+
+      // Notify user to refresh page
+      setTimeout(() => {
+        if (window.confirm('Backup restored successfully! Refresh the page to apply changes?')) {
+          window.location.reload()
+        }
+      }, 500)
+    }
+  }
+
+  // Restoring a local snapshot goes through the same validation and restore options as a file
+  const handleRestoreSnapshot = (backup) => {
+    setError(null)
+    setRestoreResult(null)
+    setShowWizard(false)
+    setEncryptedFile(null)
+    window.__pendingBackup = backup
+    setValidationResult(validateBackup(backup))
+    importSectionRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }
+
   const handleCancelRestore = () => {
     delete window.__pendingBackup
+    setShowWizard(false)
+    setEncryptedFile(null)
+    setImportPassword('')
     setValidationResult(null)
     setRestoreResult(null)
   }
@@ -167,6 +247,28 @@ export default function BackupRestoreView() {
             </div>
           </div>
         )}
+        {storageUsage && (
+          <div className="stats-grid">
+            <div className="stat-item">
+              <div className="stat-label">Storage</div>
+              <div className="stat-value-small">
+                {storageUsage.backend === 'indexedDB' ? `IndexedDB (schema v${storageUsage.schemaVersion})` : 'localStorage (IndexedDB unavailable)'}
+              </div>
+            </div>
+            <div className="stat-item">
+              <div className="stat-label">Used / Quota</div>
+              <div className="stat-value-small">
+                {formatSize(storageUsage.usage ?? storageUsage.totalSize)} / {formatSize(storageUsage.quota)}
+              </div>
+            </div>
+            <div className="stat-item">
+              <div className="stat-label">Largest Entries</div>
+              <div className="stat-value-small">
+                {storageUsage.largestKeys.slice(0, 3).map(entry => `${entry.key} (${formatSize(entry.size)})`).join(', ')}
+              </div>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Export Backup Section */}
@@ -189,6 +291,39 @@ export default function BackupRestoreView() {
           </p>
         </div>
 
+        <div className="form-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={encryptExport}
+              onChange={(e) => setEncryptExport(e.target.checked)}
+            />
+            Encrypt backup with a password
+          </label>
+          <p className="help-text">
+            Recommended when the file leaves your machine (email, chat). Stakeholder contacts, decisions and
+            risks are encrypted with AES-GCM; the password is never stored and cannot be recovered.
+          </p>
+          {encryptExport && (
+            <div className="password-fields">
+              <input
+                type="password"
+                placeholder="Password"
+                autoComplete="new-password"
+                value={exportPassword}
+                onChange={(e) => setExportPassword(e.target.value)}
+              />
+              <input
+                type="password"
+                placeholder="Confirm password"
+                autoComplete="new-password"
+                value={exportPasswordConfirm}
+                onChange={(e) => setExportPasswordConfirm(e.target.value)}
+              />
+            </div>
+          )}
+        </div>
+
         <button
           className="btn btn-primary"
           onClick={handleExportBackup}
@@ -204,6 +339,7 @@ export default function BackupRestoreView() {
               <li>File: {backupInfo.filename}</li>
               <li>Items: {backupInfo.itemCount} categories</li>
               <li>Tokens: {backupInfo.tokensIncluded ? 'Included' : 'Masked'}</li>
+              <li>Encryption: {backupInfo.encrypted ? 'Password protected (AES-GCM)' : 'None'}</li>
               <li>Time: {new Date(backupInfo.timestamp).toLocaleString()}</li>
             </ul>
           </div>
@@ -211,7 +347,7 @@ export default function BackupRestoreView() {
       </div>
 
       {/* Import Backup Section */}
-      <div className="card">
+      <div className="card" ref={importSectionRef}>
         <h3>Import Backup</h3>
         <p>Restore configurations from a backup file. This can overwrite existing data.</p>
 
@@ -231,6 +367,32 @@ export default function BackupRestoreView() {
           {loading ? 'Loading Backup...' : 'Select Backup File'}
         </button>
 
+        {/* Password prompt for encrypted backups */}
+        {encryptedFile && (
+          <form className="alert alert-info" style={{ marginTop: '1rem' }} onSubmit={handleDecrypt}>
+            <h4>Encrypted Backup</h4>
+            <p style={{ margin: '0 0 0.5rem 0' }}>
+              {encryptedFile.name} is password protected. Enter the password used when it was exported.
+            </p>
+            <div className="password-fields">
+              <input
+                type="password"
+                placeholder="Backup password"
+                autoComplete="current-password"
+                autoFocus
+                value={importPassword}
+                onChange={(e) => setImportPassword(e.target.value)}
+              />
+              <button type="submit" className="btn btn-primary" disabled={loading || !importPassword}>
+                {loading ? 'Decrypting...' : 'Decrypt'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={handleCancelRestore} disabled={loading}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
         {/* Validation Results */}
         {validationResult && (
           <div className="validation-results" style={{ marginTop: '1rem' }}>
@@ -266,16 +428,32 @@ export default function BackupRestoreView() {
                     <li>Created: {new Date(validationResult.info.createdAt).toLocaleString()}</li>
                     <li>Age: {validationResult.info.backupAge}</li>
                     <li>Items: {validationResult.info.itemCount}</li>
+                    {validationResult.info.encrypted && <li>Encryption: Decrypted and verified</li>}
                     <li>Categories: {validationResult.info.includedData.join(', ')}</li>
                   </ul>
                 </div>
               )}
             </div>
 
-            {validationResult.valid && (
+            {validationResult.valid && showWizard && window.__pendingBackup && (
+              <RestoreWizard
+                backup={window.__pendingBackup}
+                onApply={finishRestore}
+                onCancel={() => setShowWizard(false)}
+              />
+            )}
+
+            {validationResult.valid && !showWizard && (
               <div className="restore-actions">
                 <button
                   className="btn btn-primary"
+                  onClick={() => setShowWizard(true)}
+                  disabled={loading}
+                >
+                  Review & Merge...
+                </button>
+                <button
+                  className="btn btn-secondary"
                   onClick={() => handleRestoreBackup(true)}
                   disabled={loading}
                 >
@@ -289,7 +467,8 @@ export default function BackupRestoreView() {
                   Cancel
                 </button>
                 <p className="help-text">
-                  "Restore & Overwrite" will replace existing data with backup data.
+                  "Review & Merge" compares the backup with your data and lets you pick keep-local,
+                  take-backup or keep-both per record. "Restore & Overwrite" will replace existing data with backup data.
                 </p>
               </div>
             )}
@@ -313,6 +492,9 @@ export default function BackupRestoreView() {
         )}
       </div>
 
+      {/* Automatic Snapshots */}
+      <AutoBackupPanel onRestore={handleRestoreSnapshot} />
+
       {/* Instructions for Team Sharing */}
       <div className="card">
         <h3>Team Collaboration</h3>
@@ -324,16 +506,17 @@ export default function BackupRestoreView() {
           <li>Share the downloaded JSON file with your team member (via email, Slack, etc.)</li>
           <li>Team member opens the GitLab PM Dashboard in their browser</li>
           <li>Team member imports the file using "Select Backup File"</li>
-          <li>Team member clicks "Restore & Overwrite" to apply your configurations</li>
+          <li>Team member clicks "Review & Merge" to combine your records with theirs, or "Restore & Overwrite" to replace them</li>
         </ol>
 
         <div className="alert alert-warning">
           <strong>Important:</strong>
           <ul>
             <li>Access tokens are masked by default for security</li>
+            <li>Encrypt backups you send by email and share the password over a different channel</li>
             <li>Team members will need to enter their own GitLab access tokens after restore</li>
             <li>Backup files contain all project configurations, team settings, and custom rules</li>
-            <li>Restoring will overwrite existing configurations</li>
+            <li>"Restore & Overwrite" replaces existing configurations; use "Review & Merge" to keep records added locally</li>
           </ul>
         </div>
       </div>
@@ -417,6 +600,26 @@ export default function BackupRestoreView() {
           cursor: pointer;
         }
 
+        .password-fields {
+          display: flex;
+          gap: 0.5rem;
+          align-items: center;
+          flex-wrap: wrap;
+          margin-top: 0.75rem;
+        }
+
+        .password-fields input {
+          padding: 0.5rem 0.75rem;
+          border: 1px solid #ccc;
+          border-radius: 6px;
+          font-size: 0.95rem;
+          min-width: 200px;
+        }
+
+        .password-fields .btn-secondary {
+          margin-left: 0;
+        }
+
         .help-text {
           font-size: 0.85rem;
           color: #666;
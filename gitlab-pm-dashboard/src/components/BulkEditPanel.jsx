@@ -0,0 +1,288 @@
+import React, { useState, useMemo } from 'react'
+import { loadConfig } from '../services/storageService'
+import { buildBulkEditPlan, applyBulkEditPlan, parseLabelList, collectMilestones, isMilestoneValidForIssue } from '../services/bulkEditService'
+
+const FIELD_NAMES = {
+  labels: 'Labels',
+  weight: 'Weight',
+  milestone: 'Milestone'
+}
+
+/**
+ * Bulk Edit Panel
+ * Edits labels, weight and milestone of a filtered issue list
+ * Shows a dry-run diff first, then applies the changes and reports the result per issue
+ * milestones: the loaded project/group milestones offered for the issues' projects
+ */
+export default function BulkEditPanel({ isOpen, onClose, issues, milestones: loadedMilestones, title = 'Bulk Edit Issues' }) {
+  const [addLabels, setAddLabels] = useState('')
+  const [removeLabels, setRemoveLabels] = useState('')
+  const [weight, setWeight] = useState('') // '' = unchanged, 'none' = clear
+  const [milestoneId, setMilestoneId] = useState('') // '' = unchanged, 'none' = clear
+  const [onlyIfMissing, setOnlyIfMissing] = useState(true)
+  const [excluded, setExcluded] = useState([]) // issue ids left out of the apply step
+  const [progress, setProgress] = useState(null)
+  const [report, setReport] = useState(null)
+
+  const milestones = useMemo(
+    () => collectMilestones(issues || [], loadedMilestones || []),
+    [issues, loadedMilestones]
+  )
+
+  const plan = useMemo(() => {
+    if (!issues) return { changes: [], unchanged: [] }
+
+    const milestone = milestoneId === ''
+      ? undefined
+      : (milestoneId === 'none' ? null : milestones.find(m => String(m.id) === milestoneId) || undefined)
+
+    return buildBulkEditPlan(issues, {
+      addLabels: parseLabelList(addLabels),
+      removeLabels: parseLabelList(removeLabels),
+      weight: weight === '' ? undefined : (weight === 'none' ? null : Math.max(0, Number(weight))),
+      milestone,
+      onlyIfMissing
+    })
+  }, [issues, addLabels, removeLabels, weight, milestoneId, onlyIfMissing, milestones])
+
+  const selectedChanges = plan.changes.filter(change => !excluded.includes(change.issue.id))
+  const isApplying = progress !== null && !report
+
+  const toggleIssue = (issueId) => {
+    setExcluded(prev => prev.includes(issueId) ? prev.filter(id => id !== issueId) : [...prev, issueId])
+  }
+
+  const handleApply = async (changes) => {
+    setReport(null)
+    setProgress({ current: 0, total: changes.length })
+    const results = await applyBulkEditPlan(changes, loadConfig(), ({ current, total }) => {
+      setProgress({ current, total })
+    })
+    setReport(results)
+  }
+
+  const handleRetryFailed = () => {
+    const failedIds = report.failed.map(f => f.issue.id)
+    handleApply(plan.changes.filter(change => failedIds.includes(change.issue.id)))
+  }
+
+  const handleClose = () => {
+    if (isApplying) return
+    setProgress(null)
+    setReport(null)
+    setExcluded([])
+    onClose()
+  }
+
+  if (!isOpen) return null
+
+  const inputStyle = { width: '100%', padding: '8px 12px', border: '1px solid #D1D5DB', borderRadius: '6px', fontSize: '14px' }
+  const labelStyle = { display: 'block', fontSize: '12px', fontWeight: '600', marginBottom: '6px', color: '#6B7280' }
+
+  const formatValue = value => value === null || value === undefined || value === '' ? '—' : String(value)
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        background: 'white',
+        borderRadius: '8px',
+        padding: '24px',
+        maxWidth: '960px',
+        maxHeight: '85vh',
+        width: '90%',
+        display: 'flex',
+        flexDirection: 'column'
+      }}
+      onClick={(e) => e.stopPropagation()}>
+        {/* Header */}
+        <div style={{ marginBottom: '20px' }}>
+          <h2 style={{ fontSize: '20px', fontWeight: '600', marginBottom: '8px' }}>
+            {title}
+          </h2>
+          <div style={{ fontSize: '14px', color: '#6B7280' }}>
+            {issues.length} issues in the current list. Review the dry run below before applying anything to GitLab.
+          </div>
+        </div>
+
+        {/* Edit Form */}
+        {!progress && (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px', marginBottom: '16px' }}>
+            <div>
+              <label style={labelStyle}>Add labels (comma separated)</label>
+              <input style={inputStyle} value={addLabels} onChange={e => setAddLabels(e.target.value)} placeholder="e.g. Type::Bug, Priority::High" />
+            </div>
+            <div>
+              <label style={labelStyle}>Remove labels (comma separated)</label>
+              <input style={inputStyle} value={removeLabels} onChange={e => setRemoveLabels(e.target.value)} placeholder="e.g. needs-triage" />
+            </div>
+            <div>
+              <label style={labelStyle}>Weight</label>
+              <select
+                style={inputStyle}
+                value={weight === '' || weight === 'none' ? weight : 'custom'}
+                onChange={e => setWeight(e.target.value === 'custom' ? '1' : e.target.value)}
+              >
+                <option value="">Leave unchanged</option>
+                <option value="custom">Set to...</option>
+                <option value="none">Remove weight</option>
+              </select>
+              {weight !== '' && weight !== 'none' && (
+                <input type="number" min="0" style={{ ...inputStyle, marginTop: '6px' }} value={weight} onChange={e => setWeight(e.target.value)} />
+              )}
+            </div>
+            <div>
+              <label style={labelStyle}>Milestone</label>
+              <select style={inputStyle} value={milestoneId} onChange={e => setMilestoneId(e.target.value)}>
+                <option value="">Leave unchanged</option>
+                <option value="none">Remove milestone</option>
+                {milestones.map(m => {
+                  const validCount = (issues || []).filter(issue => isMilestoneValidForIssue(m, issue)).length
+                  return (
+                    <option key={m.id} value={m.id}>
+                      {m.title}{validCount < (issues || []).length ? ` (${validCount} of ${issues.length} issues)` : ''}
+                    </option>
+                  )
+                })}
+              </select>
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#374151', gridColumn: '1 / -1' }}>
+              <input type="checkbox" checked={onlyIfMissing} onChange={e => setOnlyIfMissing(e.target.checked)} />
+              Only set weight and milestone on issues that have none
+            </label>
+          </div>
+        )}
+
+        {/* Progress */}
+        {progress && (
+          <div style={{ marginBottom: '16px' }}>
+            <div style={{ fontSize: '14px', color: '#374151', marginBottom: '8px' }}>
+              {report
+                ? `Done: ${report.successful.length} updated, ${report.failed.length} failed`
+                : `Updating issue ${progress.current} of ${progress.total}...`}
+            </div>
+            <div className="progress-bar">
+              <div className="progress-fill" style={{ width: `${progress.total > 0 ? (progress.current / progress.total) * 100 : 0}%` }}></div>
+            </div>
+          </div>
+        )}
+
+        {/* Dry Run / Report */}
+        <div style={{ flex: 1, overflow: 'auto', border: '1px solid #E5E7EB', borderRadius: '6px', marginBottom: '20px' }}>
+          {report ? (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: '#F9FAFB', borderBottom: '1px solid #E5E7EB' }}>
+                  <th style={{ padding: '10px', width: '40px' }}></th>
+                  <th style={{ padding: '10px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#374151' }}>Issue</th>
+                  <th style={{ padding: '10px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#374151' }}>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...report.failed, ...report.successful].map(({ issue, error }) => (
+                  <tr key={issue.id} style={{ borderTop: '1px solid #E5E7EB' }}>
+                    <td style={{ padding: '10px', textAlign: 'center' }}>{error ? '❌' : '✅'}</td>
+                    <td style={{ padding: '10px', fontSize: '13px' }}>
+                      <span style={{ color: '#6B7280' }}>#{issue.iid}</span> {issue.title}
+                    </td>
+                    <td style={{ padding: '10px', fontSize: '13px', color: error ? '#DC2626' : '#059669' }}>
+                      {error || 'Updated'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : plan.changes.length === 0 ? (
+            <div style={{ padding: '24px', textAlign: 'center', color: '#6B7280' }}>
+              No changes yet. Pick labels, a weight or a milestone above to see what would change.
+            </div>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ background: '#F9FAFB', borderBottom: '1px solid #E5E7EB' }}>
+                  <th style={{ padding: '10px', width: '40px' }}></th>
+                  <th style={{ padding: '10px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#374151' }}>Issue</th>
+                  <th style={{ padding: '10px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#374151' }}>Dry run</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.changes.map(({ issue, diff }) => (
+                  <tr key={issue.id} style={{ borderTop: '1px solid #E5E7EB', opacity: excluded.includes(issue.id) ? 0.5 : 1 }}>
+                    <td style={{ padding: '10px', textAlign: 'center' }}>
+                      <input
+                        type="checkbox"
+                        checked={!excluded.includes(issue.id)}
+                        disabled={isApplying}
+                        onChange={() => toggleIssue(issue.id)}
+                        style={{ cursor: 'pointer' }}
+                      />
+                    </td>
+                    <td style={{ padding: '10px', fontSize: '13px' }}>
+                      <span style={{ color: '#6B7280' }}>#{issue.iid}</span> {issue.title}
+                    </td>
+                    <td style={{ padding: '10px', fontSize: '12px' }}>
+                      {diff.map(({ field, from, to }) => (
+                        <div key={field}>
+                          <strong>{FIELD_NAMES[field]}:</strong>{' '}
+                          {field === 'labels' ? (
+                            <>
+                              {from && <span style={{ color: '#DC2626', textDecoration: 'line-through' }}>{from}</span>}
+                              {from && to && ' '}
+                              {to && <span style={{ color: '#059669' }}>+ {to}</span>}
+                            </>
+                          ) : (
+                            <>
+                              <span style={{ color: '#DC2626' }}>{formatValue(from)}</span> → <span style={{ color: '#059669' }}>{formatValue(to)}</span>
+                            </>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div style={{ fontSize: '13px', color: '#6B7280' }}>
+            {report
+              ? 'Refresh the dashboard to load the updated issues.'
+              : `${selectedChanges.length} issues will change, ${plan.unchanged.length} already match`}
+          </div>
+          <div style={{ display: 'flex', gap: '12px' }}>
+            {report && report.failed.length > 0 && (
+              <button className="btn btn-secondary" onClick={handleRetryFailed}>
+                Retry {report.failed.length} failed
+              </button>
+            )}
+            <button className="btn" onClick={handleClose} disabled={isApplying}>
+              {report ? 'Close' : 'Cancel'}
+            </button>
+            {!report && (
+              <button
+                className="btn btn-primary"
+                onClick={() => handleApply(selectedChanges)}
+                disabled={isApplying || selectedChanges.length === 0}
+              >
+                {isApplying ? 'Applying...' : `Apply to ${selectedChanges.length} issues`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
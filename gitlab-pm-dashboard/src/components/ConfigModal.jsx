@@ -5,6 +5,7 @@ import {
   getAllGroups, saveGroup, removeGroup, setActiveGroup
 } from '../services/storageService'
 import ProjectGroupManager from './ProjectGroupManager'
+import { normalizeDataWindow, describeDataWindow, DEFAULT_ROLLING_MONTHS } from '../utils/dataWindowUtils'
 
 export default function ConfigModal({ show, onClose, onSave, onProjectSwitch }) {
   const existingConfig = loadConfig()
@@ -20,7 +21,15 @@ export default function ConfigModal({ show, onClose, onSave, onProjectSwitch })
   )
   // Single centralized token for all operations
   const [token, setToken] = useState(existingConfig.token || '')
-  const [filter2025, setFilter2025] = useState(existingConfig.filter2025 || false)
+  const existingWindow = normalizeDataWindow(existingConfig.dataWindow)
+  const [windowType, setWindowType] = useState(existingWindow.type)
+  const [windowMonths, setWindowMonths] = useState(existingWindow.months || DEFAULT_ROLLING_MONTHS)
+  const [windowFrom, setWindowFrom] = useState(existingWindow.from || '')
+  const [windowTo, setWindowTo] = useState(existingWindow.to || '')
+  const [dataSource, setDataSource] = useState(existingConfig.dataSource || 'rest')
+  const [includeSubgroups, setIncludeSubgroups] = useState(existingConfig.includeSubgroups !== false)
+  const [liveUpdatesUrl, setLiveUpdatesUrl] = useState(existingConfig.liveUpdatesUrl || '')
+  const [liveUpdatesToken, setLiveUpdatesToken] = useState(existingConfig.liveUpdatesToken || '')
 
   // Portfolio management state
   const [projects, setProjects] = useState(getAllProjects())
@@ -45,6 +54,8 @@ export default function ConfigModal({ show, onClose, onSave, onProjectSwitch })
 
   if (!show) return null
 
+  const dataWindow = normalizeDataWindow({ type: windowType, months: windowMonths, from: windowFrom, to: windowTo })
+
   const handleSave = () => {
     // Filter out empty group paths and save both formats for compatibility
     const filteredGroupPaths = groupPaths.filter(path => path.trim() !== '')
@@ -55,7 +66,11 @@ export default function ConfigModal({ show, onClose, onSave, onProjectSwitch })
       groupPaths: filteredGroupPaths, // New format supporting multiple paths
       token,
       mode,
-      filter2025
+      includeSubgroups,
+      dataSource,
+      dataWindow,
+      liveUpdatesUrl: liveUpdatesUrl.trim(),
+      liveUpdatesToken: liveUpdatesToken.trim()
     }
 
     saveConfig(config)
@@ -346,26 +361,24 @@ export default function ConfigModal({ show, onClose, onSave, onProjectSwitch })
               <div className="form-group">
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
                   <label className="form-label" style={{ marginBottom: 0 }}>
-                    {mode === 'group' ? 'Group Path (Required)' : 'Group Paths (Optional)'}
+                    {mode === 'group' ? 'Group Paths (Required)' : 'Group Paths (Optional)'}
                   </label>
-                  {mode === 'project' && (
-                    <button
-                      type="button"
-                      onClick={handleAddGroupPath}
-                      style={{
-                        padding: '4px 12px',
-                        background: '#10B981',
-                        color: 'white',
-                        border: 'none',
-                        borderRadius: '4px',
-                        cursor: 'pointer',
-                        fontSize: '12px',
-                        fontWeight: '500'
-                      }}
-                    >
-                      + Add Group
-                    </button>
-                  )}
+                  <button
+                    type="button"
+                    onClick={handleAddGroupPath}
+                    style={{
+                      padding: '4px 12px',
+                      background: '#10B981',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '12px',
+                      fontWeight: '500'
+                    }}
+                  >
+                    + Add Group
+                  </button>
                 </div>
                 {groupPaths.map((path, index) => (
                   <div key={index} style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
@@ -377,7 +390,7 @@ export default function ConfigModal({ show, onClose, onSave, onProjectSwitch })
                       placeholder={mode === 'group' ? '12345 or GMDP Nova or parent-group/gmdp-nova' : 'my-group or parent-group/sub-group'}
                       style={{ flex: 1 }}
                     />
-                    {mode === 'project' && groupPaths.length > 1 && (
+                    {groupPaths.length > 1 && (
                       <button
                         type="button"
                         onClick={() => handleRemoveGroupPath(index)}
@@ -398,10 +411,21 @@ export default function ConfigModal({ show, onClose, onSave, onProjectSwitch })
                 ))}
                 <div className="text-small text-muted" style={{ marginTop: '4px' }}>
                   {mode === 'group'
-                    ? 'Use numeric group ID (e.g., "12345") or group path (e.g., "GMDP Nova"). All projects in subgroups will be included automatically.'
+                    ? 'Use numeric group ID (e.g., "12345") or group path (e.g., "GMDP Nova"). Add several groups to span a portfolio; projects found in more than one are loaded once.'
                     : 'Required for Epic support (Premium/Ultimate only). Add multiple groups to fetch epics from different parts of your hierarchy.'
                   }
                 </div>
+                {mode === 'group' && (
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px', cursor: 'pointer', fontSize: '14px', color: '#374151' }}>
+                    <input
+                      type="checkbox"
+                      checked={includeSubgroups}
+                      onChange={e => setIncludeSubgroups(e.target.checked)}
+                      style={{ width: '16px', height: '16px', cursor: 'pointer' }}
+                    />
+                    Include projects from subgroups
+                  </label>
+                )}
               </div>
 
               {/* Centralized Token Field */}
@@ -442,23 +466,127 @@ export default function ConfigModal({ show, onClose, onSave, onProjectSwitch })
               </div>
 
               <div className="form-group">
-                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '12px', background: '#F9FAFB', borderRadius: '8px', border: '1px solid #E5E7EB' }}>
-                  <input
-                    type="checkbox"
-                    id="filter2025"
-                    checked={filter2025}
-                    onChange={e => setFilter2025(e.target.checked)}
-                    style={{ width: '18px', height: '18px', cursor: 'pointer' }}
-                  />
-                  <label htmlFor="filter2025" style={{ cursor: 'pointer', flex: 1, margin: 0 }}>
-                    <div style={{ fontSize: '14px', fontWeight: '600', color: '#1F2937', marginBottom: '4px' }}>
-                      Filter data by year 2025+
+                <label className="form-label">Data Source</label>
+                <div style={{ display: 'flex', gap: '12px', marginTop: '8px' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '12px', border: `2px solid ${dataSource === 'rest' ? '#3B82F6' : '#E5E7EB'}`, borderRadius: '8px', cursor: 'pointer', flex: 1, background: dataSource === 'rest' ? '#EFF6FF' : 'white' }}>
+                    <input
+                      type="radio"
+                      name="dataSource"
+                      value="rest"
+                      checked={dataSource === 'rest'}
+                      onChange={e => setDataSource(e.target.value)}
+                      style={{ accentColor: '#3B82F6' }}
+                    />
+                    <div>
+                      <div style={{ fontWeight: '600', color: '#1F2937' }}>REST API</div>
+                      <div style={{ fontSize: '12px', color: '#6B7280', marginTop: '2px' }}>
+                        Works on every GitLab edition and version
+                      </div>
                     </div>
-                    <div className="text-small text-muted">
-                      When enabled, only shows issues, epics, and milestones with dates {'>='} 2025-01-01
+                  </label>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '12px', border: `2px solid ${dataSource === 'graphql' ? '#3B82F6' : '#E5E7EB'}`, borderRadius: '8px', cursor: 'pointer', flex: 1, background: dataSource === 'graphql' ? '#EFF6FF' : 'white' }}>
+                    <input
+                      type="radio"
+                      name="dataSource"
+                      value="graphql"
+                      checked={dataSource === 'graphql'}
+                      onChange={e => setDataSource(e.target.value)}
+                      style={{ accentColor: '#3B82F6' }}
+                    />
+                    <div>
+                      <div style={{ fontWeight: '600', color: '#1F2937' }}>GraphQL API</div>
+                      <div style={{ fontSize: '12px', color: '#6B7280', marginTop: '2px' }}>
+                        Fewer requests for large groups, includes iteration cadences and epic parents
+                      </div>
                     </div>
                   </label>
                 </div>
+                <div className="text-small text-muted" style={{ marginTop: '8px' }}>
+                  Issues and epics are loaded via GraphQL; milestones always use REST. Falls back to REST automatically if a GraphQL query fails.
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Data Time Window</label>
+                <div style={{ padding: '12px', background: '#F9FAFB', borderRadius: '8px', border: '1px solid #E5E7EB' }}>
+                  <select
+                    className="form-input"
+                    value={windowType}
+                    onChange={e => setWindowType(e.target.value)}
+                  >
+                    <option value="all">All time</option>
+                    <option value="rolling">Rolling: last N months</option>
+                    <option value="range">Date range</option>
+                  </select>
+
+                  {windowType === 'rolling' && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px' }}>
+                      <span style={{ fontSize: '14px', color: '#374151' }}>Last</span>
+                      <input
+                        type="number"
+                        className="form-input"
+                        min="1"
+                        max="120"
+                        value={windowMonths}
+                        onChange={e => setWindowMonths(e.target.value)}
+                        style={{ width: '100px' }}
+                      />
+                      <span style={{ fontSize: '14px', color: '#374151' }}>months</span>
+                    </div>
+                  )}
+
+                  {windowType === 'range' && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px' }}>
+                      <input
+                        type="date"
+                        className="form-input"
+                        value={windowFrom}
+                        onChange={e => setWindowFrom(e.target.value)}
+                        style={{ flex: 1 }}
+                      />
+                      <span style={{ fontSize: '14px', color: '#374151' }}>to</span>
+                      <input
+                        type="date"
+                        className="form-input"
+                        value={windowTo}
+                        onChange={e => setWindowTo(e.target.value)}
+                        style={{ flex: 1 }}
+                      />
+                    </div>
+                  )}
+
+                  <div className="text-small text-muted" style={{ marginTop: '8px' }}>
+                    <strong>{describeDataWindow(dataWindow)}:</strong> only issues, milestones and epics updated after the start and created before the end of the window are loaded. Leave either date empty for an open-ended range.
+                  </div>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Live Updates Relay URL (optional)</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={liveUpdatesUrl}
+                  onChange={e => setLiveUpdatesUrl(e.target.value)}
+                  placeholder="http://localhost:8787/events"
+                />
+                <div className="text-small text-muted" style={{ marginTop: '8px' }}>
+                  Run <code>npm run webhook-relay -- --secret &lt;token&gt; --origin &lt;dashboard URL&gt;</code> and point your GitLab issue, epic and milestone webhooks (with the same secret token) at it to see changes without refreshing. Leave empty to disable.
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Relay Secret Token (optional)</label>
+                <input
+                  type="password"
+                  className="form-input"
+                  value={liveUpdatesToken}
+                  onChange={e => setLiveUpdatesToken(e.target.value)}
+                  placeholder="Secret token the relay was started with"
+                />
+                <div className="text-small text-muted" style={{ marginTop: '8px' }}>
+                  Needed to publish the team absence calendar feed through the relay (Resource Planning → Absences). Start the relay with <code>--calendars &lt;dir&gt;</code> to keep published feeds across restarts.
+                </div>
               </div>
             </>
           )}
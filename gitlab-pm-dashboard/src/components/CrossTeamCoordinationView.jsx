@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react'
+import React, { useMemo, useState, useEffect } from 'react'
 import { getInitiatives } from '../services/initiativeService'
 import {
   extractAllTeams,
@@ -10,14 +10,20 @@ import {
   exportResourceContentionCSV,
   exportTeamCapacityCSV
 } from '../services/teamAttributionService'
+import { loadTeams } from '../services/teamMembershipService'
 import {
   detectInitiativeDependencies,
   getInitiativeDependencyMatrix,
   findBlockingInitiatives,
   exportInitiativeDependenciesCSV
 } from '../services/crossInitiativeDependencyService'
+import { getDependencySettings, saveDependencySettings } from '../services/dependencyService'
+import useIssueLinks from '../hooks/useIssueLinks'
 import {
   forecastAllInitiatives,
+  monteCarloForecast,
+  getCompletionProbability,
+  getWorkCompletedBy,
   getForecastStatusBadge,
   formatForecastDate,
   exportForecastCSV
@@ -39,37 +45,53 @@ export default function CrossTeamCoordinationView({ issues, epics }) {
     return getInitiatives(epics, issues)
   }, [epics, issues])
 
+  // Named teams with dated membership (Team Management); labels are used when none are configured
+  const namedTeams = useMemo(() => loadTeams(), [])
+
   // Team attribution
-  const teams = useMemo(() => extractAllTeams(issues || []), [issues])
+  const teams = useMemo(() => extractAllTeams(issues || [], namedTeams), [issues, namedTeams])
   const initiativeAttributions = useMemo(
-    () => attributeInitiativesToTeams(initiatives, issues || []),
-    [initiatives, issues]
+    () => attributeInitiativesToTeams(initiatives, namedTeams),
+    [initiatives, namedTeams]
   )
   const teamCapacity = useMemo(
-    () => getTeamCapacityOverview(teams, initiatives),
-    [teams, initiatives]
+    () => getTeamCapacityOverview(teams, initiatives, namedTeams),
+    [teams, initiatives, namedTeams]
   )
 
   // Resource contention
   const resourceContention = useMemo(
-    () => detectResourceContention(initiatives, issues || []),
-    [initiatives, issues]
+    () => detectResourceContention(initiatives, namedTeams),
+    [initiatives, namedTeams]
+  )
+
+  // Cross-initiative dependencies: GitLab issue links of initiative issues, plus description text
+  const initiativeIssues = useMemo(() => initiatives.flatMap(init => init.issues), [initiatives])
+  const { issueLinks, loading: linksLoading, progress: linksProgress } = useIssueLinks(initiativeIssues)
+  const [includeMentions, setIncludeMentions] = useState(() => getDependencySettings().includeMentions)
+  const dependencyOptions = useMemo(
+    () => ({ issueLinks, includeMentions }),
+    [issueLinks, includeMentions]
   )
 
-  // Cross-initiative dependencies
   const initiativeDependencies = useMemo(
-    () => detectInitiativeDependencies(initiatives, issues || []),
-    [initiatives, issues]
+    () => detectInitiativeDependencies(initiatives, issues || [], dependencyOptions),
+    [initiatives, issues, dependencyOptions]
   )
   const dependencyMatrix = useMemo(
-    () => getInitiativeDependencyMatrix(initiatives, issues || []),
-    [initiatives, issues]
+    () => getInitiativeDependencyMatrix(initiatives, issues || [], dependencyOptions),
+    [initiatives, issues, dependencyOptions]
   )
   const blockingInitiatives = useMemo(
-    () => findBlockingInitiatives(initiatives, issues || []),
-    [initiatives, issues]
+    () => findBlockingInitiatives(initiatives, issues || [], dependencyOptions),
+    [initiatives, issues, dependencyOptions]
   )
 
+  const handleIncludeMentionsChange = (checked) => {
+    saveDependencySettings({ includeMentions: checked })
+    setIncludeMentions(checked)
+  }
+
   // Forecasting
   const forecasts = useMemo(
     () => forecastAllInitiatives(initiatives, issues || []),
@@ -205,6 +227,10 @@ export default function CrossTeamCoordinationView({ issues, epics }) {
           initiativeDependencies={initiativeDependencies}
           dependencyMatrix={dependencyMatrix}
           blockingInitiatives={blockingInitiatives}
+          includeMentions={includeMentions}
+          onIncludeMentionsChange={handleIncludeMentionsChange}
+          linksLoading={linksLoading}
+          linksProgress={linksProgress}
           onExport={handleExportDependencies}
         />
       )}
@@ -418,7 +444,8 @@ function TeamsTab({ teamCapacity, onExportAttribution, onExportCapacity }) {
                     {team.teamName}
                   </h4>
                   <div style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>
-                    {team.memberCount} member{team.memberCount !== 1 ? 's' : ''} · {team.completionRate}% completion rate
+                    {team.memberCount} member{team.memberCount !== 1 ? 's' : ''}
+                    {team.fte !== team.memberCount && ` (${team.fte} FTE)`} · {team.completionRate}% completion rate
                   </div>
                 </div>
                 <span style={{
@@ -495,18 +522,35 @@ function TeamsTab({ teamCapacity, onExportAttribution, onExportCapacity }) {
 /**
  * Dependencies Tab - Cross-initiative dependencies
  */
-function DependenciesTab({ initiativeDependencies, onExport }) {
+function DependenciesTab({ initiativeDependencies, includeMentions, onIncludeMentionsChange, linksLoading, linksProgress, onExport }) {
   return (
     <div>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
         <h3 style={{ fontSize: '18px', fontWeight: '600' }}>
           Initiative Dependencies
         </h3>
-        <button className="btn btn-primary" onClick={onExport}>
-          Export Dependencies
-        </button>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: 'var(--text-secondary)' }}>
+            <input
+              type="checkbox"
+              checked={includeMentions}
+              onChange={(e) => onIncludeMentionsChange(e.target.checked)}
+            />
+            Treat bare #123 mentions as dependencies
+          </label>
+          <button className="btn btn-primary" onClick={onExport}>
+            Export Dependencies
+          </button>
+        </div>
       </div>
 
+      {linksLoading && (
+        <div style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '16px' }}>
+          Loading GitLab issue links{linksProgress.total > 0 && ` (${linksProgress.current}/${linksProgress.total})`}...
+          Until then dependencies come from issue descriptions.
+        </div>
+      )}
+
       {initiativeDependencies.length === 0 ? (
         <div className="card" style={{ padding: '60px 40px', textAlign: 'center' }}>
           <div style={{ fontSize: '16px', color: 'var(--text-secondary)' }}>
@@ -578,7 +622,34 @@ function DependenciesTab({ initiativeDependencies, onExport }) {
 /**
  * Forecasts Tab - Timeline forecasting
  */
-function ForecastsTab({ forecasts, onExport }) {
+function ForecastsTab({ forecasts, initiatives, onExport }) {
+  const [metric, setMetric] = useState('count')
+  const [period, setPeriod] = useState('week')
+  const [scopeGrowth, setScopeGrowth] = useState(true)
+  const [targetDate, setTargetDate] = useState('')
+
+  // Monte Carlo distributions per initiative (bootstrapped throughput and scope growth)
+  // Simulated one initiative per task after rendering, so many initiatives don't block the tab
+  const [simulations, setSimulations] = useState(() => new Map())
+  useEffect(() => {
+    let timer = null
+    let index = 0
+    const simulateNext = () => {
+      const initiative = initiatives[index++]
+      if (!initiative) return
+      const simulation = monteCarloForecast(initiative, [], 1000, { metric, period, scopeGrowth })
+      setSimulations(prev => new Map(prev).set(initiative.id, simulation))
+      timer = setTimeout(simulateNext, 0)
+    }
+
+    setSimulations(new Map())
+    timer = setTimeout(simulateNext, 0)
+    return () => clearTimeout(timer)
+  }, [initiatives, metric, period, scopeGrowth])
+
+  const unit = metric === 'weight' ? 'weight' : 'issues'
+  const selectStyle = { padding: '6px 10px', border: '1px solid var(--border)', borderRadius: '6px', fontSize: '13px' }
+
   return (
     <div>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
@@ -590,6 +661,32 @@ function ForecastsTab({ forecasts, onExport }) {
         </button>
       </div>
 
+      <div className="card" style={{ display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '16px', fontSize: '13px' }}>
+        <strong>Monte Carlo:</strong>
+        <label>
+          Forecast by{' '}
+          <select value={metric} onChange={(e) => setMetric(e.target.value)} style={selectStyle}>
+            <option value="count">Issue count</option>
+            <option value="weight">Weight</option>
+          </select>
+        </label>
+        <label>
+          Sample{' '}
+          <select value={period} onChange={(e) => setPeriod(e.target.value)} style={selectStyle}>
+            <option value="week">Weekly throughput</option>
+            <option value="day">Daily throughput</option>
+          </select>
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input type="checkbox" checked={scopeGrowth} onChange={(e) => setScopeGrowth(e.target.checked)} />
+          Model scope growth
+        </label>
+        <label>
+          Check date{' '}
+          <input type="date" value={targetDate} onChange={(e) => setTargetDate(e.target.value)} style={selectStyle} />
+        </label>
+      </div>
+
       <div style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
         {forecasts.map(forecast => {
           const badge = getForecastStatusBadge(forecast.comparison.status)
@@ -665,6 +762,14 @@ function ForecastsTab({ forecasts, onExport }) {
                   <strong style={{ marginLeft: '12px' }}>Range:</strong> {forecast.variance?.optimistic}-{forecast.variance?.pessimistic} weeks
                 </div>
               )}
+
+              <MonteCarloSummary
+                simulating={!simulations.has(forecast.initiativeId)}
+                simulation={simulations.get(forecast.initiativeId)}
+                dueDate={forecast.dueDate}
+                targetDate={targetDate}
+                unit={unit}
+              />
             </div>
           )
         })}
@@ -673,6 +778,78 @@ function ForecastsTab({ forecasts, onExport }) {
   )
 }
 
+/**
+ * Monte Carlo result for one initiative: completion percentiles, chance to finish by the
+ * due date / a chosen date, and work done by the chosen date
+ */
+function MonteCarloSummary({ simulating, simulation, dueDate, targetDate, unit }) {
+  if (simulating) {
+    return (
+      <div style={{ marginTop: '12px', fontSize: '12px', color: 'var(--text-tertiary)' }}>
+        Monte Carlo: simulating...
+      </div>
+    )
+  }
+
+  if (!simulation) {
+    return (
+      <div style={{ marginTop: '12px', fontSize: '12px', color: 'var(--text-tertiary)' }}>
+        Monte Carlo: no completed work in the last 12 weeks to sample from.
+      </div>
+    )
+  }
+
+  const { percentiles } = simulation
+  const dueChance = dueDate ? getCompletionProbability(simulation, dueDate) : null
+  const targetChance = targetDate ? getCompletionProbability(simulation, `${targetDate}T23:59:59`) : null
+  const doneByTarget = targetDate ? getWorkCompletedBy(simulation, `${targetDate}T23:59:59`) : null
+  const chanceColor = chance => chance >= 85 ? 'var(--success)' : chance >= 50 ? 'var(--warning)' : 'var(--danger)'
+
+  return (
+    <div style={{
+      marginTop: '12px',
+      padding: '12px',
+      border: '1px solid var(--border)',
+      borderRadius: '6px',
+      fontSize: '12px',
+      color: 'var(--text-secondary)'
+    }}>
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginBottom: '6px' }}>
+        {['p50', 'p85', 'p95'].map(key => (
+          <div key={key}>
+            <strong>{percentiles[key].probability}%:</strong> {formatForecastDate(percentiles[key].date)}
+          </div>
+        ))}
+        {dueChance !== null && (
+          <div>
+            <strong>By due date:</strong>{' '}
+            <span style={{ color: chanceColor(dueChance), fontWeight: '600' }}>{dueChance}%</span>
+          </div>
+        )}
+        {targetChance !== null && (
+          <div>
+            <strong>By {formatForecastDate(new Date(`${targetDate}T00:00:00`))}:</strong>{' '}
+            <span style={{ color: chanceColor(targetChance), fontWeight: '600' }}>{targetChance}%</span>
+            {doneByTarget && (
+              <span> · at least {doneByTarget.p85} {unit} done (85%), {doneByTarget.p50} (50%)</span>
+            )}
+          </div>
+        )}
+      </div>
+      <div style={{ color: 'var(--text-tertiary)' }}>
+        {simulation.remainingWork} {unit} remaining · throughput {simulation.averageThroughput}/week
+        {simulation.scopeGrowth && ` · scope growth ${simulation.averageScopeGrowth}/week`}
+        {' '}· {simulation.sampleCount} {simulation.period === 'day' ? 'daily' : 'weekly'} samples
+        {simulation.incompleteRate > 0 && (
+          <span style={{ color: 'var(--danger)' }}>
+            {' '}· {simulation.incompleteRate}% of runs never finish (scope grows as fast as it is done)
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
+
 /**
  * Resources Tab - Resource contention
  */
@@ -750,7 +927,9 @@ function ResourcesTab({ resourceContention, onExport }) {
 
               {person.teams.length > 0 && (
                 <div style={{ fontSize: '12px', color: 'var(--text-secondary)' }}>
-                  <strong>Teams:</strong> {person.teams.join(', ')}
+                  <strong>Teams:</strong> {person.allocations.length > 0
+                    ? person.allocations.map(a => `${a.team} (${a.allocationPercent}%)`).join(', ')
+                    : person.teams.join(', ')}
                 </div>
               )}
             </div>
@@ -0,0 +1,316 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react'
+import {
+  calculateCumulativeFlow,
+  getFlowFilterOptions,
+  filterFlowIssues
+} from '../services/cumulativeFlowService'
+import { getPhaseLabel, getPhaseColor } from '../services/cycleTimeService'
+
+const FLOW_RANGES = [30, 90, 180]
+
+const selectStyle = { padding: '4px 8px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '12px', maxWidth: '200px' }
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit' })
+
+/**
+ * Cumulative Flow Diagram
+ * Daily issue count per workflow phase, reconstructed from label event history,
+ * with weeks where arrivals outpaced departures shaded and marked WIP growth annotated
+ */
+export default function CumulativeFlowDiagram({ issues, labelEventsMap, workflow, height = 320 }) {
+  const [range, setRange] = useState(90)
+  const [filters, setFilters] = useState({ iteration: '', team: '', epicId: '' })
+  const [hoveredIndex, setHoveredIndex] = useState(null)
+  const [containerWidth, setContainerWidth] = useState(800)
+  const containerRef = useRef(null)
+
+  // Handle responsive width
+  useEffect(() => {
+    const updateWidth = () => {
+      if (containerRef.current) {
+        setContainerWidth(containerRef.current.offsetWidth)
+      }
+    }
+
+    updateWidth()
+    window.addEventListener('resize', updateWidth)
+    return () => window.removeEventListener('resize', updateWidth)
+  }, [])
+
+  const filterOptions = useMemo(() => getFlowFilterOptions(issues), [issues])
+
+  const flow = useMemo(
+    () => calculateCumulativeFlow(filterFlowIssues(issues, filters), labelEventsMap, { days: range, workflow }),
+    [issues, labelEventsMap, filters, range, workflow]
+  )
+
+  const padding = { top: 24, right: 16, bottom: 28, left: 40 }
+  const chartWidth = Math.max(100, containerWidth - padding.left - padding.right)
+  const chartHeight = height - padding.top - padding.bottom
+
+  const totals = flow.days.map(day => flow.phases.reduce((sum, phase) => sum + day.counts[phase], 0))
+  const maxValue = Math.max(10, ...totals)
+  const yAxisMax = Math.ceil(maxValue * 1.1 / 10) * 10
+
+  const dayIndex = new Map(flow.days.map((day, index) => [day.date, index]))
+  const xScale = (index) => padding.left + (flow.days.length > 1 ? (index / (flow.days.length - 1)) * chartWidth : 0)
+  const xOfDate = (date) => xScale(dayIndex.get(date) ?? 0)
+  const yScale = (value) => padding.top + chartHeight - (value / yAxisMax) * chartHeight
+
+  // Stacked bands, bottom to top: each band spans from the sum below it to the sum including it
+  const bands = flow.phases.map((phase, phaseIndex) => {
+    const below = flow.days.map(day => flow.phases.slice(0, phaseIndex).reduce((sum, p) => sum + day.counts[p], 0))
+    const top = flow.days.map((day, i) => below[i] + day.counts[phase])
+    const upper = top.map((value, i) => `${i === 0 ? 'M' : 'L'} ${xScale(i)} ${yScale(value)}`).join(' ')
+    const lower = below.map((value, i) => `L ${xScale(i)} ${yScale(value)}`).reverse().join(' ')
+    return { phase, path: `${upper} ${lower} Z` }
+  })
+
+  const yAxisTicks = [0, 0.25, 0.5, 0.75, 1].map(f => Math.round(yAxisMax * f))
+  const xAxisTicks = flow.days.length > 0
+    ? Array.from({ length: 6 }, (_, i) => Math.round(((flow.days.length - 1) * i) / 5))
+    : []
+
+  const hovered = hoveredIndex !== null ? flow.days[hoveredIndex] : null
+  const hasFilter = filters.iteration || filters.team || filters.epicId
+
+  const handleMouseMove = (event) => {
+    if (flow.days.length === 0) return
+    const rect = event.currentTarget.getBoundingClientRect()
+    const ratio = (event.clientX - rect.left - padding.left) / chartWidth
+    setHoveredIndex(Math.min(flow.days.length - 1, Math.max(0, Math.round(ratio * (flow.days.length - 1)))))
+  }
+
+  const updateFilter = (field, value) => setFilters({ ...filters, [field]: value })
+
+  return (
+    <div className="card" style={{ marginBottom: '30px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', flexWrap: 'wrap', gap: '8px' }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', margin: 0 }}>Cumulative Flow</h3>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {FLOW_RANGES.map(days => (
+            <button
+              key={days}
+              onClick={() => setRange(days)}
+              style={{
+                padding: '4px 10px',
+                fontSize: '12px',
+                border: '1px solid #D1D5DB',
+                borderRadius: '4px',
+                background: range === days ? '#3B82F6' : 'white',
+                color: range === days ? 'white' : '#374151',
+                cursor: 'pointer'
+              }}
+            >
+              {days}d
+            </button>
+          ))}
+        </div>
+      </div>
+      <p style={{ fontSize: '12px', color: '#6B7280', marginBottom: '12px' }}>
+        Issues per phase at the end of each day. Widening bands show work piling up;
+        shaded weeks are where more work was started than finished.
+      </p>
+
+      {/* Filters */}
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px' }}>
+        <select value={filters.iteration} onChange={(e) => updateFilter('iteration', e.target.value)} style={selectStyle}>
+          <option value="">All iterations</option>
+          {filterOptions.iterations.map(iteration => (
+            <option key={iteration} value={iteration}>{iteration}</option>
+          ))}
+        </select>
+        <select value={filters.team} onChange={(e) => updateFilter('team', e.target.value)} style={selectStyle}>
+          <option value="">All teams</option>
+          {filterOptions.teams.map(team => (
+            <option key={team} value={team}>{team}</option>
+          ))}
+        </select>
+        <select value={filters.epicId} onChange={(e) => updateFilter('epicId', e.target.value)} style={selectStyle}>
+          <option value="">All epics</option>
+          {filterOptions.epics.map(epic => (
+            <option key={epic.id} value={epic.id}>{epic.title}</option>
+          ))}
+        </select>
+        {hasFilter && (
+          <button
+            onClick={() => setFilters({ iteration: '', team: '', epicId: '' })}
+            style={{ padding: '4px 8px', background: 'none', border: 'none', color: '#3B82F6', cursor: 'pointer', fontSize: '12px' }}
+          >
+            Clear filters
+          </button>
+        )}
+        <span style={{ fontSize: '12px', color: '#6B7280' }}>{flow.issueCount} issues</span>
+      </div>
+
+      <div ref={containerRef} style={{ width: '100%', position: 'relative' }}>
+        {flow.issueCount === 0 ? (
+          <div style={{
+            height: `${height}px`,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'var(--bg-secondary)',
+            borderRadius: '8px',
+            color: 'var(--text-tertiary)',
+            fontSize: '13px'
+          }}>
+            No issues match the selected filters.
+          </div>
+        ) : (
+          <svg
+            width={containerWidth}
+            height={height}
+            style={{ fontFamily: 'system-ui, sans-serif' }}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoveredIndex(null)}
+          >
+            {/* Weeks where arrivals outpaced departures */}
+            {flow.arrivalBands.map(band => (
+              <rect
+                key={`band-${band.start}`}
+                x={xOfDate(band.start)}
+                y={padding.top}
+                width={Math.max(2, xOfDate(band.end) - xOfDate(band.start))}
+                height={chartHeight}
+                fill="#FEE2E2"
+              >
+                <title>
+                  {`${formatDay(band.start)} – ${formatDay(band.end)}: ${band.arrivals} started, ${band.departures} finished`}
+                </title>
+              </rect>
+            ))}
+
+            {/* Grid and Y axis labels */}
+            {yAxisTicks.map(value => (
+              <g key={`y-${value}`}>
+                <line
+                  x1={padding.left}
+                  y1={yScale(value)}
+                  x2={padding.left + chartWidth}
+                  y2={yScale(value)}
+                  stroke="#E5E7EB"
+                  strokeWidth="1"
+                  strokeDasharray="2,2"
+                />
+                <text x={padding.left - 8} y={yScale(value) + 4} textAnchor="end" fontSize="10" fill="#6B7280">
+                  {value}
+                </text>
+              </g>
+            ))}
+
+            {/* X axis labels */}
+            {xAxisTicks.map(index => (
+              <text key={`x-${index}`} x={xScale(index)} y={height - 8} textAnchor="middle" fontSize="10" fill="#6B7280">
+                {formatDay(flow.days[index].date)}
+              </text>
+            ))}
+
+            {/* Phase bands */}
+            {bands.map(band => (
+              <path
+                key={band.phase}
+                d={band.path}
+                fill={getPhaseColor(band.phase)}
+                fillOpacity="0.75"
+                stroke="white"
+                strokeWidth="1"
+              />
+            ))}
+
+            {/* WIP growth annotations */}
+            {flow.wipGrowth.map(growth => {
+              const index = dayIndex.get(growth.date) ?? 0
+              return (
+                <g key={`wip-${growth.date}`}>
+                  <line
+                    x1={xScale(index)}
+                    y1={padding.top}
+                    x2={xScale(index)}
+                    y2={yScale(totals[index])}
+                    stroke="#DC2626"
+                    strokeWidth="1"
+                    strokeDasharray="3,3"
+                  />
+                  <text x={xScale(index)} y={padding.top - 8} textAnchor="middle" fontSize="10" fontWeight="600" fill="#DC2626">
+                    WIP +{growth.change}
+                  </text>
+                </g>
+              )
+            })}
+
+            {/* Hover marker */}
+            {hovered && (
+              <line
+                x1={xScale(hoveredIndex)}
+                y1={padding.top}
+                x2={xScale(hoveredIndex)}
+                y2={padding.top + chartHeight}
+                stroke="#374151"
+                strokeWidth="1"
+              />
+            )}
+          </svg>
+        )}
+
+        {hovered && (
+          <div style={{
+            position: 'absolute',
+            top: '8px',
+            left: xScale(hoveredIndex) > containerWidth / 2 ? `${xScale(hoveredIndex) - 190}px` : `${xScale(hoveredIndex) + 10}px`,
+            width: '180px',
+            padding: '8px',
+            background: 'white',
+            border: '1px solid #E5E7EB',
+            borderRadius: '6px',
+            boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+            fontSize: '11px',
+            pointerEvents: 'none'
+          }}>
+            <div style={{ fontWeight: '600', marginBottom: '4px' }}>
+              {new Date(`${hovered.date}T00:00:00`).toLocaleDateString('de-DE')}
+            </div>
+            {[...flow.phases].reverse().map(phase => (
+              <div key={phase} style={{ display: 'flex', justifyContent: 'space-between', color: getPhaseColor(phase) }}>
+                <span>{getPhaseLabel(phase)}</span>
+                <span>{hovered.counts[phase]}</span>
+              </div>
+            ))}
+            <div style={{ borderTop: '1px solid #E5E7EB', marginTop: '4px', paddingTop: '4px', color: '#374151' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>WIP</span>
+                <span>{hovered.wip}</span>
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Started / Finished</span>
+                <span>{hovered.arrivals} / {hovered.departures}</span>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Legend */}
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginTop: '12px', fontSize: '11px', color: '#6B7280' }}>
+        {[...flow.phases].reverse().map(phase => (
+          <span key={phase} style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: getPhaseColor(phase), opacity: 0.75 }} />
+            {getPhaseLabel(phase)}
+          </span>
+        ))}
+        <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: '#FEE2E2', border: '1px solid #FCA5A5' }} />
+          Arrivals &gt; departures
+        </span>
+      </div>
+
+      {flow.estimatedIssues > 0 && (
+        <div style={{ marginTop: '8px', fontSize: '12px', color: '#92400E' }}>
+          {flow.estimatedIssues} of {flow.issueCount} issues have no label history
+          {labelEventsMap ? '' : ' (label events require GitLab Premium/Ultimate)'}; their phase changes are estimated
+          from the last update and close dates.
+        </div>
+      )}
+    </div>
+  )
+}
@@ -18,18 +18,24 @@ import useLabelEvents from '../hooks/useLabelEvents'
 import { useIterationFilter } from '../contexts/IterationFilterContext'
 import { checkPremiumFeaturesForProjects } from '../services/gitlabApi'
 import { loadConfig } from '../services/storageService'
+import { loadWorkflow } from '../services/workflowConfigService'
 import SearchBar from './SearchBar'
+import CumulativeFlowDiagram from './CumulativeFlowDiagram'
+import WorkflowEditor from './WorkflowEditor'
 import { searchIssues } from '../utils/searchUtils'
+import { persistentStore } from '../services/persistentStore'
 
 /**
  * Cycle Time & Issue Lifecycle Analytics View
  * Shows how long issues spend in different phases
  */
-export default function CycleTimeView({ issues: allIssues }) {
+export default function CycleTimeView({ issues: allIssues, milestones }) {
   // Use filtered issues from iteration context
   const { filteredIssues: issuesFromIteration } = useIterationFilter()
   const [selectedPhase, setSelectedPhase] = useState('all')
   const [showLabelConfig, setShowLabelConfig] = useState(false)
+  const [showWorkflowEditor, setShowWorkflowEditor] = useState(false)
+  const [workflow, setWorkflow] = useState(() => loadWorkflow())
   const [premiumFeatures, setPremiumFeatures] = useState(null)
   const [checkingPremium, setCheckingPremium] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
@@ -37,14 +43,14 @@ export default function CycleTimeView({ issues: allIssues }) {
 
   // Collapsible bottleneck analysis with persistent state
   const [isBottleneckCollapsed, setIsBottleneckCollapsed] = useState(() => {
-    const saved = localStorage.getItem('cycleTime.bottleneckCollapsed')
+    const saved = persistentStore.getItem('cycleTime.bottleneckCollapsed')
     return saved === 'true'
   })
 
   const toggleBottleneck = () => {
     setIsBottleneckCollapsed(prev => {
       const newValue = !prev
-      localStorage.setItem('cycleTime.bottleneckCollapsed', String(newValue))
+      persistentStore.setItem('cycleTime.bottleneckCollapsed', String(newValue))
       return newValue
     })
   }
@@ -56,7 +62,15 @@ export default function CycleTimeView({ issues: allIssues }) {
   }, [issuesFromIteration, searchTerm])
 
   // Fetch label events for enhanced cycle time tracking (GitLab Premium/Ultimate)
-  const { labelEventsMap, hasData: hasLabelEvents } = useLabelEvents(issues)
+  // Open issues in work are included for the cumulative flow diagram
+  const { labelEventsMap, hasData: hasLabelEvents } = useLabelEvents(issues, { includeActiveOpen: true })
+
+  // Recalculate phases when the workflow is edited
+  useEffect(() => {
+    const handleWorkflowChange = () => setWorkflow(loadWorkflow())
+    window.addEventListener('workflowConfigChanged', handleWorkflowChange)
+    return () => window.removeEventListener('workflowConfigChanged', handleWorkflowChange)
+  }, [])
 
   // Check for GitLab Premium features on mount
   useEffect(() => {
@@ -117,14 +131,14 @@ export default function CycleTimeView({ issues: allIssues }) {
 
     return {
       cycleTimeStats,
-      phaseDistribution: getPhaseDistribution(issues),
+      phaseDistribution: getPhaseDistribution(issues, null, workflow),
       avgTimePerPhase: getAverageTimePerPhase(issues),
       bottlenecks: identifyBottlenecks(issues),
       leadTimeDistribution: getLeadTimeDistribution(issues),
       controlChartData: getControlChartData(issues, controlChartMetric),
       detectedLabels: getDetectedLabels(issues)
     }
-  }, [issues, controlChartMetric, hasLabelEvents, labelEventsMap])
+  }, [issues, controlChartMetric, hasLabelEvents, labelEventsMap, workflow])
 
   const filteredIssues = useMemo(() => {
     if (!issues || selectedPhase === 'all') return issues
@@ -169,6 +183,12 @@ export default function CycleTimeView({ issues: allIssues }) {
           </p>
         </div>
         <div style={{ display: 'flex', gap: '12px' }}>
+          <button
+            className="btn btn-secondary"
+            onClick={() => setShowWorkflowEditor(!showWorkflowEditor)}
+          >
+            Workflow
+          </button>
           <button
             className="btn btn-secondary"
             onClick={() => setShowLabelConfig(!showLabelConfig)}
@@ -186,6 +206,8 @@ export default function CycleTimeView({ issues: allIssues }) {
         value={searchTerm}
         onChange={setSearchTerm}
         placeholder="Search issues by title, labels, assignees, epic, milestone, description..."
+        bulkEditIssues={issues}
+        milestones={milestones}
       />
 
       {/* Premium Feature Detection Status */}
@@ -283,6 +305,18 @@ export default function CycleTimeView({ issues: allIssues }) {
           </div>
         </div>
 
+        {typeof analytics.cycleTimeStats.flowEfficiency === 'number' && (
+          <div className="card">
+            <div style={{ fontSize: '14px', color: '#6B7280', marginBottom: '8px' }}>Flow Efficiency</div>
+            <div style={{ fontSize: '32px', fontWeight: '600', color: '#10B981' }}>
+              {analytics.cycleTimeStats.flowEfficiency}%
+            </div>
+            <div style={{ fontSize: '12px', color: '#6B7280', marginTop: '4px' }}>
+              of cycle time in active workflow states
+            </div>
+          </div>
+        )}
+
         <div className="card">
           <div style={{ fontSize: '14px', color: '#6B7280', marginBottom: '8px' }}>Median Lead Time</div>
           <div style={{ fontSize: '32px', fontWeight: '600', color: '#3B82F6' }}>
@@ -334,6 +368,11 @@ export default function CycleTimeView({ issues: allIssues }) {
         </div>
       </div>
 
+      {/* Workflow States */}
+      {showWorkflowEditor && (
+        <WorkflowEditor issues={issues} onClose={() => setShowWorkflowEditor(false)} />
+      )}
+
       {/* Label Detection Info */}
       {showLabelConfig && (
         <div className="card" style={{ marginBottom: '30px', background: '#F0F9FF', borderColor: '#BFDBFE' }}>
@@ -518,6 +557,9 @@ export default function CycleTimeView({ issues: allIssues }) {
         </div>
       </div>
 
+      {/* Cumulative Flow */}
+      <CumulativeFlowDiagram issues={issues} labelEventsMap={labelEventsMap} workflow={workflow} />
+
       {/* Average Time Per Phase (Estimates) */}
       <div className="card" style={{ marginBottom: '30px' }}>
         <h3 style={{ fontSize: '16px', fontWeight: '600', marginBottom: '8px' }}>
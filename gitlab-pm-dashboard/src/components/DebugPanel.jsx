@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { loadConfig, getAllProjects, getAllGroups } from '../services/storageService'
+import { describeDataWindow } from '../utils/dataWindowUtils'
+import { persistentStore, getStorageUsage } from '../services/persistentStore'
 
 /**
  * Enhanced Debug Panel - Comprehensive diagnostic information
@@ -64,8 +66,12 @@ export default function DebugPanel({ externalVisible, onToggle }) {
         cookiesEnabled: navigator.cookieEnabled,
         onLine: navigator.onLine
       },
-      localStorage: {
+      storage: {
         available: false,
+        backend: null,
+        schemaVersion: null,
+        usage: null,
+        quota: null,
         itemCount: 0,
         keys: [],
         totalSize: 0
@@ -97,41 +103,39 @@ export default function DebugPanel({ externalVisible, onToggle }) {
     }
 
     // ============================================
-    // CHECK 2: localStorage
+    // CHECK 2: Storage (IndexedDB, localStorage fallback)
     // ============================================
     try {
-      if (typeof localStorage !== 'undefined') {
-        // Test write/read
-        localStorage.setItem('__debug_test__', 'test')
-        localStorage.removeItem('__debug_test__')
-
-        info.localStorage.available = true
-        info.localStorage.itemCount = localStorage.length
-        info.localStorage.keys = Object.keys(localStorage).filter(k => !k.startsWith('__'))
-
-        let totalSize = 0
-        for (let key in localStorage) {
-          if (Object.hasOwn(localStorage, key)) {
-            totalSize += localStorage[key].length + key.length
-          }
-        }
-        info.localStorage.totalSize = totalSize
-        info.localStorage.totalSizeFormatted = formatBytes(totalSize)
-
-        info.checks.push({
-          name: 'Browser-Speicher (localStorage)',
-          status: 'ok',
-          message: `Verfügbar - ${info.localStorage.itemCount} Einträge (${info.localStorage.totalSizeFormatted})`,
-          icon: '💾'
-        })
-      } else {
-        throw new Error('localStorage not available')
-      }
+      // Test write/read
+      persistentStore.setItem('__debug_test__', 'test')
+      persistentStore.removeItem('__debug_test__')
+
+      const usage = await getStorageUsage()
+      info.storage.available = true
+      info.storage.backend = usage.backend
+      info.storage.schemaVersion = usage.schemaVersion
+      info.storage.usage = usage.usage
+      info.storage.quota = usage.quota
+      info.storage.itemCount = usage.keyCount
+      info.storage.keys = persistentStore.keys().filter(k => !k.startsWith('__'))
+      info.storage.totalSize = usage.totalSize
+      info.storage.totalSizeFormatted = formatBytes(usage.totalSize)
+
+      const quotaText = usage.quota ? `, ${formatBytes(usage.usage || 0)} von ${formatBytes(usage.quota)} belegt` : ''
+      info.checks.push({
+        name: `Browser-Speicher (${usage.backend})`,
+        status: usage.backend === 'indexedDB' ? 'ok' : 'warning',
+        message: `Verfügbar - ${info.storage.itemCount} Einträge (${info.storage.totalSizeFormatted}${quotaText})`,
+        solution: usage.backend === 'indexedDB'
+          ? undefined
+          : 'IndexedDB ist nicht verfügbar, Daten werden im localStorage (max. ca. 5 MB) gespeichert. Deaktivieren Sie ggf. den Inkognito-Modus.',
+        icon: '💾'
+      })
     } catch (err) {
-      info.localStorage.available = false
-      info.errors.push(`localStorage error: ${err.message}`)
+      info.storage.available = false
+      info.errors.push(`Storage error: ${err.message}`)
       info.checks.push({
-        name: 'Browser-Speicher (localStorage)',
+        name: 'Browser-Speicher',
         status: 'error',
         message: 'NICHT VERFÜGBAR - Daten können nicht gespeichert werden!',
         solution: 'Prüfen Sie ob Cookies/localStorage in Ihrem Browser blockiert sind. Versuchen Sie einen anderen Browser oder deaktivieren Sie den Inkognito-Modus.',
@@ -272,10 +276,10 @@ export default function DebugPanel({ externalVisible, onToggle }) {
     // ============================================
     // CHECK 6: Team Configuration
     // ============================================
-    const teamConfigKey = Object.keys(localStorage).find(k => k.startsWith('teamConfig_'))
+    const teamConfigKey = persistentStore.keys().find(k => k.startsWith('teamConfig_'))
     if (teamConfigKey) {
       try {
-        const teamConfig = JSON.parse(localStorage.getItem(teamConfigKey))
+        const teamConfig = JSON.parse(persistentStore.getItem(teamConfigKey))
         const memberCount = teamConfig?.teamMembers?.length || 0
         info.checks.push({
           name: 'Team Konfiguration',
@@ -307,9 +311,9 @@ export default function DebugPanel({ externalVisible, onToggle }) {
     // ============================================
     // CHECK 7: Backup vorhanden?
     // ============================================
-    const hasBackupData = localStorage.getItem('stakeholderHub') ||
-                          localStorage.getItem('projectDecisions') ||
-                          localStorage.getItem('healthScoreConfig')
+    const hasBackupData = persistentStore.getItem('stakeholderHub') ||
+                          persistentStore.getItem('projectDecisions') ||
+                          persistentStore.getItem('healthScoreConfig')
 
     info.checks.push({
       name: 'Lokale Daten',
@@ -594,7 +598,7 @@ export default function DebugPanel({ externalVisible, onToggle }) {
     lines.push(`Browser: ${debugInfo.browser?.userAgent}`)
     lines.push(`Platform: ${debugInfo.browser?.platform}`)
     lines.push(`Online: ${debugInfo.browser?.onLine ? 'Ja' : 'Nein'}`)
-    lines.push(`localStorage: ${debugInfo.localStorage?.available ? 'Verfügbar' : 'NICHT VERFÜGBAR'}`)
+    lines.push(`Speicher: ${debugInfo.storage?.available ? `Verfügbar (${debugInfo.storage.backend}, Schema v${debugInfo.storage.schemaVersion})` : 'NICHT VERFÜGBAR'}`)
 
     if (debugInfo.errors?.length > 0) {
       lines.push('')
@@ -877,7 +881,7 @@ export default function DebugPanel({ externalVisible, onToggle }) {
                     value={debugInfo.config.token ? `${debugInfo.config.token.substring(0, 15)}... (${debugInfo.config.token.length} Zeichen)` : null}
                     sensitive
                   />
-                  <ConfigRow label="2025 Filter" value={debugInfo.config.filter2025 ? 'Aktiv' : 'Inaktiv'} />
+                  <ConfigRow label="Zeitfenster" value={describeDataWindow(debugInfo.config.dataWindow)} />
                 </div>
               ) : (
                 <div style={{ color: '#F59E0B', padding: '16px', background: '#78350F', borderRadius: '8px' }}>
@@ -916,9 +920,9 @@ export default function DebugPanel({ externalVisible, onToggle }) {
               )}
             </Section>
 
-            <Section title="localStorage Inhalt">
+            <Section title="Speicher Inhalt">
               <div style={{ fontSize: '12px', color: '#9CA3AF', marginBottom: '8px' }}>
-                {debugInfo.localStorage?.itemCount} Einträge, {debugInfo.localStorage?.totalSizeFormatted}
+                {debugInfo.storage?.itemCount} Einträge, {debugInfo.storage?.totalSizeFormatted} ({debugInfo.storage?.backend}, Schema v{debugInfo.storage?.schemaVersion})
               </div>
               <div style={{
                 maxHeight: '200px',
@@ -928,7 +932,7 @@ export default function DebugPanel({ externalVisible, onToggle }) {
                 borderRadius: '4px',
                 fontSize: '11px'
               }}>
-                {debugInfo.localStorage?.keys?.map((key, i) => (
+                {debugInfo.storage?.keys?.map((key, i) => (
                   <div key={i} style={{ padding: '2px 0', color: '#D1D5DB' }}>• {key}</div>
                 ))}
               </div>
@@ -1119,7 +1123,7 @@ function buttonStyle(bg) {
 function formatBytes(bytes) {
   if (bytes === 0) return '0 Bytes'
   const k = 1024
-  const sizes = ['Bytes', 'KB', 'MB']
+  const sizes = ['Bytes', 'KB', 'MB', 'GB']
   const i = Math.floor(Math.log(bytes) / Math.log(k))
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
 }
@@ -10,8 +10,9 @@ import { getCycleTimeStats } from '../services/cycleTimeService'
 import { getEnhancedCycleTimeStats } from '../services/enhancedCycleTimeService'
 import { getRecentDecisions, getDecisionsStats } from '../services/decisionsService'
 import { getTeamPerformanceSummary } from '../services/teamPerformanceService'
-import { getForecastAccuracyStats, getForecastAccuracyTrends, calculateForecastReliability, getRecentForecasts } from '../services/forecastAccuracyService'
+import { getForecastAccuracyStats, getForecastAccuracyTrends, calculateForecastReliability, getRecentForecasts, getCalibrationReport, getForecastAccuracyByMethod } from '../services/forecastAccuracyService'
 import BurnupChart from './BurnupChart'
+import MetricTrendChart from './MetricTrendChart'
 import useLabelEvents from '../hooks/useLabelEvents'
 
 /**
@@ -241,10 +242,12 @@ export default function EnhancedExecutiveDashboard({ stats, healthScore, milesto
       const trends = getForecastAccuracyTrends(6)
       const reliability = calculateForecastReliability()
       const recent = getRecentForecasts(5)
-      return { stats, trends, reliability, recent }
+      const calibration = getCalibrationReport()
+      const byMethod = getForecastAccuracyByMethod()
+      return { stats, trends, reliability, recent, calibration, byMethod }
     } catch (error) {
       console.error('Error loading forecast accuracy data:', error)
-      return { stats: null, trends: [], reliability: { score: null }, recent: [] }
+      return { stats: null, trends: [], reliability: { score: null }, recent: [], calibration: null, byMethod: [] }
     }
   }, [])
 
@@ -901,6 +904,55 @@ export default function EnhancedExecutiveDashboard({ stats, healthScore, milesto
             </div>
           </div>
 
+          {/* Calibration */}
+          {forecastAccuracy.calibration?.resolvedForecasts > 0 && (
+            <div style={{ marginBottom: '20px' }}>
+              <h4 style={{ fontSize: '14px', fontWeight: '600', marginBottom: '4px' }}>
+                Calibration
+              </h4>
+              <div style={{ fontSize: '12px', color: 'var(--text-secondary)', marginBottom: '12px' }}>
+                How often work landed by its Monte Carlo percentile date. A reliable P85 is met about 85% of the time.
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px' }}>
+                {forecastAccuracy.calibration.levels.map(level => {
+                  const assessment = {
+                    calibrated: { label: 'Well calibrated', color: '#16A34A' },
+                    optimistic: { label: 'Too optimistic', color: '#DC2626' },
+                    pessimistic: { label: 'Too cautious', color: '#EAB308' },
+                    insufficient: { label: 'Not enough data yet', color: 'var(--text-tertiary)' }
+                  }[level.assessment]
+                  return (
+                    <div
+                      key={level.level}
+                      style={{ padding: '12px', background: 'white', borderRadius: '8px', border: '1px solid #E5E7EB' }}
+                    >
+                      <div style={{ fontSize: '11px', color: 'var(--text-tertiary)', marginBottom: '6px' }}>
+                        Landed by P{level.level} date
+                      </div>
+                      <div style={{ fontSize: '20px', fontWeight: '600', color: assessment.color, marginBottom: '4px' }}>
+                        {level.hitRate !== null ? `${level.hitRate}%` : '-'}
+                        <span style={{ fontSize: '12px', fontWeight: '400', color: 'var(--text-tertiary)' }}> / {level.level}%</span>
+                      </div>
+                      <div style={{ fontSize: '10px', color: 'var(--text-secondary)' }}>
+                        {assessment.label} · {level.hits} of {level.forecasts} snapshots, {level.targets} target{level.targets === 1 ? '' : 's'}
+                      </div>
+                    </div>
+                  )
+                })}
+              </div>
+              {forecastAccuracy.byMethod.length > 0 && (
+                <div style={{ display: 'flex', gap: '24px', marginTop: '12px', fontSize: '12px', color: 'var(--text-secondary)' }}>
+                  {forecastAccuracy.byMethod.map(method => (
+                    <div key={method.method}>
+                      <strong>{method.label}:</strong> {method.onTimePercentage}% on time, {method.avgDaysOff} days off on average,
+                      {' '}{method.bias > 0 ? `${method.bias} days late` : method.bias < 0 ? `${-method.bias} days early` : 'no bias'} ({method.resolved} resolved)
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Recommendation */}
           <div style={{
             padding: '12px 16px',
@@ -947,6 +999,12 @@ export default function EnhancedExecutiveDashboard({ stats, healthScore, milesto
         </div>
       )}
 
+      {/* Metric History */}
+      <MetricTrendChart
+        title="Health & Flow Trends"
+        metrics={['healthScore', 'completionRate', 'wip', 'blockers', 'overdue']}
+      />
+
       {/* Trailing 30-Day Comparison & Recent Decisions */}
       <div className="grid grid-2" style={{ gap: '30px', marginBottom: '30px' }}>
         {/* Trailing 30-Day Metrics */}
@@ -1,4 +1,8 @@
 import React, { useMemo } from 'react'
+import MetricTrendChart from './MetricTrendChart'
+import { loadMetricSnapshots, getSnapshotsInRange, getEpicStatusHistory } from '../services/metricSnapshotService'
+
+const RAG_COLORS = { red: '#DC2626', amber: '#F59E0B', green: '#10B981' }
 
 /**
  * Epic Dashboard View
@@ -45,6 +49,9 @@ export default function EpicDashboardView({ epics }) {
     })
   }, [epics])
 
+  // Daily RAG status of the last 30 days per epic (from metric snapshots)
+  const ragHistory = useMemo(() => getSnapshotsInRange(loadMetricSnapshots(), 30), [])
+
   // Calculate overall epic portfolio health
   const portfolioHealth = useMemo(() => {
     if (epicStats.length === 0) return null
@@ -129,6 +136,11 @@ export default function EpicDashboardView({ epics }) {
         </div>
       )}
 
+      <MetricTrendChart
+        title="Epic RAG Trend"
+        metrics={['epicsRed', 'epicsAmber', 'epicsGreen']}
+      />
+
       {/* Epic Cards */}
       <div style={{ display: 'flex', flexDirection: 'column', gap: '20px' }}>
         {epicStats.map((epic) => (
@@ -189,6 +201,20 @@ export default function EpicDashboardView({ epics }) {
                     </div>
                   )}
                 </div>
+
+                {/* RAG history */}
+                {getEpicStatusHistory(ragHistory, epic.id).length > 0 && (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '2px', fontSize: '12px', color: '#6B7280', marginTop: '8px' }}>
+                    <strong style={{ marginRight: '6px' }}>RAG (30d):</strong>
+                    {getEpicStatusHistory(ragHistory, epic.id).map(entry => (
+                      <span
+                        key={entry.date}
+                        title={`${new Date(`${entry.date}T00:00:00`).toLocaleDateString('de-DE')}: ${entry.status}`}
+                        style={{ width: '8px', height: '12px', borderRadius: '2px', background: RAG_COLORS[entry.status] }}
+                      />
+                    ))}
+                  </div>
+                )}
               </div>
 
               {/* Health Score Badge */}
@@ -1,6 +1,7 @@
 import React from 'react'
+import { formatTimeAgo } from '../utils/dateUtils'
 
-export default function Header({ stats, healthScore, onRefresh, onConfigure, onChangeRole, onDebug, loading }) {
+export default function Header({ stats, healthScore, onRefresh, onConfigure, onChangeRole, onDebug, loading, lastSyncedAt, liveStatus }) {
   return (
     <div className="header">
       <div style={{
@@ -65,6 +66,24 @@ export default function Header({ stats, healthScore, onRefresh, onConfigure, onC
             </div>
           )}
 
+          {lastSyncedAt && (
+            <span
+              style={{ fontSize: '12px', color: 'var(--text-secondary)' }}
+              title={`Last successful sync: ${new Date(lastSyncedAt).toLocaleString()}`}
+            >
+              Synced {formatTimeAgo(lastSyncedAt)}
+            </span>
+          )}
+
+          {liveStatus && (
+            <span
+              style={{ fontSize: '12px', color: liveStatus === 'connected' ? '#059669' : 'var(--text-secondary)' }}
+              title="Updates pushed by the webhook relay"
+            >
+              {liveStatus === 'connected' ? '● Live' : liveStatus === 'connecting' ? '○ Connecting...' : '○ Live updates off'}
+            </span>
+          )}
+
           <button
             className="btn"
             onClick={onRefresh}
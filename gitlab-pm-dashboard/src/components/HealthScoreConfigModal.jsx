@@ -5,6 +5,7 @@ import {
   HEALTH_THRESHOLDS,
   HEALTH_SCORE_TIMEFRAME
 } from '../constants/config'
+import { persistentStore } from '../services/persistentStore.js'
 
 /**
  * Health Score Configuration Modal
@@ -18,9 +19,9 @@ export default function HealthScoreConfigModal({ isOpen, onClose, onSave }) {
     timeframe: { ...HEALTH_SCORE_TIMEFRAME }
   })
 
-  // Load saved config from localStorage on mount
+  // Load saved config from storage on mount
   useEffect(() => {
-    const saved = localStorage.getItem('healthScoreConfig')
+    const saved = persistentStore.getItem('healthScoreConfig')
     if (saved) {
       try {
         const parsed = JSON.parse(saved)
@@ -39,8 +40,8 @@ export default function HealthScoreConfigModal({ isOpen, onClose, onSave }) {
       return
     }
 
-    // Save to localStorage
-    localStorage.setItem('healthScoreConfig', JSON.stringify(config))
+    // Save to storage
+    persistentStore.setItem('healthScoreConfig', JSON.stringify(config))
     onSave(config)
     onClose()
   }
@@ -53,7 +54,7 @@ export default function HealthScoreConfigModal({ isOpen, onClose, onSave }) {
       timeframe: { ...HEALTH_SCORE_TIMEFRAME }
     }
     setConfig(defaults)
-    localStorage.setItem('healthScoreConfig', JSON.stringify(defaults))
+    persistentStore.setItem('healthScoreConfig', JSON.stringify(defaults))
   }
 
   if (!isOpen) return null
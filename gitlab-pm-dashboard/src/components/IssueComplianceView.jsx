@@ -14,31 +14,35 @@ import { loadTeamConfig } from '../services/teamConfigService'
 import QualityCriteriaConfigModal from './QualityCriteriaConfigModal'
 import DoDComplianceSection from './DoDComplianceSection'
 import QualityViolationsByAuthor from './QualityViolationsByAuthor'
+import BulkEditPanel from './BulkEditPanel'
+import { persistentStore } from '../services/persistentStore'
+import MetricTrendChart from './MetricTrendChart'
 
 /**
  * Issue Compliance & Quality Check View
  * Shows issues that don't meet quality criteria
  */
-export default function IssueComplianceView() {
+export default function IssueComplianceView({ milestones }) {
   // Use filtered issues from iteration context
   const { filteredIssues: issues } = useIterationFilter()
   const [searchTerm, setSearchTerm] = useState('')
   const [activeFilter, setActiveFilter] = useState(null) // Track active tile filter
   const [showConfigModal, setShowConfigModal] = useState(false)
+  const [showBulkEdit, setShowBulkEdit] = useState(false)
   const [activeTab, setActiveTab] = useState('quality') // 'quality', 'byauthor', or 'dod'
   const [showOpenOnly, setShowOpenOnly] = useState(() => {
-    const saved = localStorage.getItem('quality.showOpenOnly')
+    const saved = persistentStore.getItem('quality.showOpenOnly')
     return saved !== 'false' // Default to true (show open only)
   })
   const [isLegendCollapsed, setIsLegendCollapsed] = useState(() => {
-    const saved = localStorage.getItem('quality.legendCollapsed')
+    const saved = persistentStore.getItem('quality.legendCollapsed')
     return saved === 'true'
   })
 
   const toggleLegend = () => {
     setIsLegendCollapsed(prev => {
       const newValue = !prev
-      localStorage.setItem('quality.legendCollapsed', String(newValue))
+      persistentStore.setItem('quality.legendCollapsed', String(newValue))
       return newValue
     })
   }
@@ -46,7 +50,7 @@ export default function IssueComplianceView() {
   const toggleShowOpenOnly = () => {
     setShowOpenOnly(prev => {
       const newValue = !prev
-      localStorage.setItem('quality.showOpenOnly', String(newValue))
+      persistentStore.setItem('quality.showOpenOnly', String(newValue))
       return newValue
     })
   }
@@ -196,6 +200,9 @@ Best regards`
               <button className="btn" onClick={handleExportCSV}>
                 Export CSV
               </button>
+              <button className="btn" onClick={() => setShowBulkEdit(true)}>
+                Bulk Fix ({filteredIssues.length})
+              </button>
             </>
           )}
         </div>
@@ -315,6 +322,15 @@ Best regards`
         onClose={() => setShowConfigModal(false)}
       />
 
+      {/* Bulk fix for the currently filtered non-compliant issues */}
+      <BulkEditPanel
+        isOpen={showBulkEdit}
+        onClose={() => setShowBulkEdit(false)}
+        issues={filteredIssues}
+        milestones={milestones}
+        title="Bulk Fix Non-Compliant Issues"
+      />
+
       {/* Tab Content */}
       {activeTab === 'dod' ? (
         <DoDComplianceSection issues={issues} />
@@ -443,6 +459,11 @@ Best regards`
         </div>
       )}
 
+      <MetricTrendChart
+        title="Compliance Trend (open issues)"
+        metrics={['complianceRate', 'nonCompliant', 'staleIssues']}
+      />
+
       {/* Color Coding Legend */}
       <div className="card" style={{ marginBottom: '30px', background: '#F0F9FF', borderColor: '#3B82F6' }}>
         <div
@@ -757,6 +778,7 @@ Best regards`
                       }}>
                         {v.name}
                         {v.criterion === 'stale' && v.daysOpen && ` (${v.daysOpen}d)`}
+                        {v.workflowProblem && `: ${v.workflowProblem}`}
                       </span>
                     ))}
                     {mediumViolations.map((v, idx) => (
@@ -770,6 +792,7 @@ Best regards`
                       }}>
                         {v.name}
                         {v.criterion === 'stale' && v.daysOpen && ` (${v.daysOpen}d)`}
+                        {v.workflowProblem && `: ${v.workflowProblem}`}
                       </span>
                     ))}
                     {lowViolations.map((v, idx) => (
@@ -783,6 +806,7 @@ Best regards`
                       }}>
                         {v.name}
                         {v.criterion === 'stale' && v.daysOpen && ` (${v.daysOpen}d)`}
+                        {v.workflowProblem && `: ${v.workflowProblem}`}
                       </span>
                     ))}
                   </div>
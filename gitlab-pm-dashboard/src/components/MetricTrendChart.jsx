@@ -0,0 +1,252 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react'
+import {
+  SNAPSHOT_METRICS,
+  TREND_RANGES,
+  loadMetricSnapshots,
+  getSnapshotsInRange,
+  getMetricSeries,
+  getWeekOverWeekDelta
+} from '../services/metricSnapshotService'
+import { toDateKey } from '../services/holidayCalendarService'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit' })
+
+/**
+ * Metric Trend Chart
+ * History of daily metric snapshots (30/90/365 days) with week-over-week deltas
+ * Embeddable in any view: pass the snapshot metric keys to plot
+ */
+export default function MetricTrendChart({ metrics, title = 'Trends', defaultRange = 90, height = 220 }) {
+  const [range, setRange] = useState(defaultRange)
+  const [snapshots, setSnapshots] = useState(loadMetricSnapshots)
+  const [hoveredIndex, setHoveredIndex] = useState(null)
+  const [containerWidth, setContainerWidth] = useState(600)
+  const containerRef = useRef(null)
+
+  // Pick up snapshots recorded after a refresh
+  useEffect(() => {
+    const handleChange = () => setSnapshots(loadMetricSnapshots())
+    window.addEventListener('metricSnapshotsChanged', handleChange)
+    return () => window.removeEventListener('metricSnapshotsChanged', handleChange)
+  }, [])
+
+  // Handle responsive width
+  useEffect(() => {
+    const updateWidth = () => {
+      if (containerRef.current) {
+        setContainerWidth(containerRef.current.offsetWidth)
+      }
+    }
+
+    updateWidth()
+    window.addEventListener('resize', updateWidth)
+    return () => window.removeEventListener('resize', updateWidth)
+  }, [])
+
+  const inRange = useMemo(() => getSnapshotsInRange(snapshots, range), [snapshots, range])
+
+  const series = useMemo(() => metrics.map(key => ({
+    key,
+    ...SNAPSHOT_METRICS[key],
+    points: getMetricSeries(inRange, key),
+    delta: getWeekOverWeekDelta(snapshots, key)
+  })), [metrics, inRange, snapshots])
+
+  const padding = { top: 12, right: 16, bottom: 28, left: 40 }
+  const chartWidth = Math.max(100, containerWidth - padding.left - padding.right)
+  const chartHeight = height - padding.top - padding.bottom
+
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  const startTime = today.getTime() - (range - 1) * DAY_MS
+  const xScale = (date) => padding.left + ((new Date(`${date}T00:00:00`).getTime() - startTime) / ((range - 1) * DAY_MS)) * chartWidth
+
+  const maxValue = Math.max(10, ...series.flatMap(s => s.points.map(p => p.value)))
+  const yAxisMax = Math.ceil(maxValue * 1.1 / 10) * 10
+  const yScale = (value) => padding.top + chartHeight - (value / yAxisMax) * chartHeight
+
+  const yAxisTicks = [0, 0.25, 0.5, 0.75, 1].map(f => Math.round(yAxisMax * f))
+  const xAxisTicks = Array.from({ length: 6 }, (_, i) => {
+    const key = toDateKey(startTime + ((range - 1) * DAY_MS * i) / 5)
+    return { key, x: xScale(key), label: formatDay(key) }
+  })
+
+  const hovered = hoveredIndex !== null ? inRange[hoveredIndex] : null
+
+  const handleMouseMove = (event) => {
+    if (inRange.length === 0) return
+    const rect = event.currentTarget.getBoundingClientRect()
+    const mouseX = event.clientX - rect.left
+    let closest = 0
+    inRange.forEach((snapshot, index) => {
+      if (Math.abs(xScale(snapshot.date) - mouseX) < Math.abs(xScale(inRange[closest].date) - mouseX)) {
+        closest = index
+      }
+    })
+    setHoveredIndex(closest)
+  }
+
+  const deltaColor = (metric) => {
+    if (!metric.delta || metric.delta.delta === 0 || metric.higherIsBetter === null) return '#6B7280'
+    return (metric.delta.delta > 0) === metric.higherIsBetter ? '#059669' : '#DC2626'
+  }
+
+  return (
+    <div className="card" style={{ marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', margin: 0 }}>{title}</h3>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {TREND_RANGES.map(days => (
+            <button
+              key={days}
+              onClick={() => setRange(days)}
+              style={{
+                padding: '4px 10px',
+                fontSize: '12px',
+                border: '1px solid #D1D5DB',
+                borderRadius: '4px',
+                background: range === days ? '#3B82F6' : 'white',
+                color: range === days ? 'white' : '#374151',
+                cursor: 'pointer'
+              }}
+            >
+              {days}d
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Current values and week-over-week deltas */}
+      <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        {series.map(metric => (
+          <div key={metric.key} style={{ fontSize: '12px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#6B7280' }}>
+              <span style={{ width: '10px', height: '3px', background: metric.color, display: 'inline-block' }} />
+              {metric.label}
+            </div>
+            <div style={{ fontSize: '18px', fontWeight: '600', color: '#1F2937' }}>
+              {metric.points.length > 0 ? `${metric.points[metric.points.length - 1].value}${metric.unit}` : '-'}
+              {metric.delta && (
+                <span
+                  style={{ fontSize: '12px', fontWeight: '500', marginLeft: '6px', color: deltaColor(metric) }}
+                  title={`Week over week: ${metric.delta.previous}${metric.unit} on ${formatDay(metric.delta.previousDate)}`}
+                >
+                  {metric.delta.delta > 0 ? '▲' : metric.delta.delta < 0 ? '▼' : '■'} {Math.abs(metric.delta.delta)}{metric.unit} WoW
+                </span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div ref={containerRef} style={{ width: '100%', position: 'relative' }}>
+        {inRange.length === 0 ? (
+          <div style={{
+            height: `${height}px`,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: 'var(--bg-secondary)',
+            borderRadius: '8px',
+            color: 'var(--text-tertiary)',
+            fontSize: '13px',
+            textAlign: 'center',
+            padding: '0 20px'
+          }}>
+            No history yet. A snapshot of these metrics is stored each day the data is loaded.
+          </div>
+        ) : (
+          <svg
+            width={containerWidth}
+            height={height}
+            style={{ fontFamily: 'system-ui, sans-serif' }}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={() => setHoveredIndex(null)}
+          >
+            {/* Grid and Y axis labels */}
+            {yAxisTicks.map(value => (
+              <g key={`y-${value}`}>
+                <line
+                  x1={padding.left}
+                  y1={yScale(value)}
+                  x2={padding.left + chartWidth}
+                  y2={yScale(value)}
+                  stroke="#E5E7EB"
+                  strokeWidth="1"
+                  strokeDasharray="2,2"
+                />
+                <text x={padding.left - 8} y={yScale(value) + 4} textAnchor="end" fontSize="10" fill="#6B7280">
+                  {value}
+                </text>
+              </g>
+            ))}
+
+            {/* X axis labels */}
+            {xAxisTicks.map(tick => (
+              <text key={`x-${tick.key}`} x={tick.x} y={height - 8} textAnchor="middle" fontSize="10" fill="#6B7280">
+                {tick.label}
+              </text>
+            ))}
+
+            {/* Metric lines (days without a snapshot are bridged) */}
+            {series.map(metric => (
+              <g key={metric.key}>
+                <path
+                  d={metric.points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${xScale(p.date)} ${yScale(p.value)}`).join(' ')}
+                  fill="none"
+                  stroke={metric.color}
+                  strokeWidth="2"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                />
+                {metric.points.length === 1 && (
+                  <circle cx={xScale(metric.points[0].date)} cy={yScale(metric.points[0].value)} r="3" fill={metric.color} />
+                )}
+              </g>
+            ))}
+
+            {/* Hover marker */}
+            {hovered && (
+              <line
+                x1={xScale(hovered.date)}
+                y1={padding.top}
+                x2={xScale(hovered.date)}
+                y2={padding.top + chartHeight}
+                stroke="#9CA3AF"
+                strokeWidth="1"
+              />
+            )}
+          </svg>
+        )}
+
+        {hovered && (
+          <div style={{
+            position: 'absolute',
+            top: '8px',
+            left: xScale(hovered.date) > containerWidth / 2 ? `${xScale(hovered.date) - 170}px` : `${xScale(hovered.date) + 10}px`,
+            width: '160px',
+            padding: '8px',
+            background: 'white',
+            border: '1px solid #E5E7EB',
+            borderRadius: '6px',
+            boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+            fontSize: '11px',
+            pointerEvents: 'none'
+          }}>
+            <div style={{ fontWeight: '600', marginBottom: '4px' }}>
+              {new Date(`${hovered.date}T00:00:00`).toLocaleDateString('de-DE')}
+            </div>
+            {series.map(metric => (
+              <div key={metric.key} style={{ display: 'flex', justifyContent: 'space-between', color: metric.color }}>
+                <span>{metric.label}</span>
+                <span>{hovered.metrics?.[metric.key] ?? '-'}{metric.unit}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
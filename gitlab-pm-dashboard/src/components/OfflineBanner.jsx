@@ -0,0 +1,44 @@
+import React from 'react'
+import { formatTimeAgo } from '../utils/dateUtils'
+
+/**
+ * Offline Banner
+ * Shown on every view while the dashboard serves the last cached dataset
+ */
+export default function OfflineBanner({ offline, onRetry, loading }) {
+  if (!offline) return null
+
+  const snapshotTime = offline.lastSyncedAt || offline.savedAt
+
+  return (
+    <div className="container">
+      <div className="card" style={{
+        background: '#FEF3C7',
+        borderColor: '#D97706',
+        color: '#92400E',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '16px'
+      }}>
+        <div>
+          <strong>Offline – showing cached data from {formatTimeAgo(snapshotTime)}</strong>
+          <span style={{ marginLeft: '8px', fontSize: '13px' }}>
+            ({new Date(snapshotTime).toLocaleString()})
+          </span>
+          <div style={{ fontSize: '13px', marginTop: '4px' }}>
+            GitLab could not be reached: {offline.reason}. Retrying every minute and as soon as the connection is back.
+          </div>
+        </div>
+        <button
+          className="btn btn-secondary"
+          onClick={onRetry}
+          disabled={loading}
+          style={{ whiteSpace: 'nowrap' }}
+        >
+          {loading ? 'Retrying...' : 'Retry now'}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react'
 import {
   getAllProjects, getActiveProjectId, setActiveProject,
-  getAllGroups, getActiveGroupId, setActiveGroup
+  getAllGroups, getActiveGroupId, setActiveGroup,
+  loadConfig, getActiveSourceGroup, setActiveSourceGroup
 } from '../services/storageService'
 import { loadProjectGroups } from '../services/projectGroupService'
 
@@ -9,6 +10,7 @@ import { loadProjectGroups } from '../services/projectGroupService'
  * Portfolio Filter Dropdown
  * Sticky dropdown for switching between projects in portfolio
  * Appears on all tabs when multiple projects are configured
+ * In group mode with several group paths it also slices the data by source group
  */
 export default function PortfolioFilterDropdown({ onProjectChange }) {
   const [projects, setProjects] = useState([])
@@ -16,6 +18,8 @@ export default function PortfolioFilterDropdown({ onProjectChange }) {
   const [pods, setPods] = useState([])
   const [activeProjectId, setActiveProjectId] = useState(null)
   const [activePodId, setActivePodId] = useState(null)
+  const [sourceGroupPaths, setSourceGroupPaths] = useState([])
+  const [activeSourceGroup, setActiveSourceGroupState] = useState(null)
   const [isOpen, setIsOpen] = useState(false)
 
   useEffect(() => {
@@ -37,9 +41,14 @@ export default function PortfolioFilterDropdown({ onProjectChange }) {
 
     const currentActivePod = getActiveGroupId()
     setActivePodId(currentActivePod)
+
+    const config = loadConfig()
+    setSourceGroupPaths(config.mode === 'group' && !currentActivePod ? config.groupPaths : [])
+    setActiveSourceGroupState(getActiveSourceGroup())
   }
 
   const handleProjectSelect = (projectId) => {
+    setActiveSourceGroup(null)
     setActiveProject(projectId)
     setActiveProjectId(projectId)
     setActivePodId(null)
@@ -54,6 +63,7 @@ export default function PortfolioFilterDropdown({ onProjectChange }) {
   }
 
   const handlePodSelect = (podId) => {
+    setActiveSourceGroup(null)
     setActiveGroup(podId)
     setActivePodId(podId)
     setActiveProjectId(null)
@@ -67,8 +77,19 @@ export default function PortfolioFilterDropdown({ onProjectChange }) {
     window.location.reload()
   }
 
+  const handleSourceGroupSelect = (groupPath) => {
+    setActiveSourceGroup(groupPath)
+    setActiveSourceGroupState(groupPath)
+    setIsOpen(false)
+
+    // Slicing happens client-side on the next (incremental) fetch
+    if (onProjectChange) {
+      onProjectChange(groupPath ? `source-group:${groupPath}` : 'source-group:all')
+    }
+  }
+
   const handleCrossProjectView = () => {
-    // Store cross-project mode in localStorage
+    // Store cross-project mode in storage
     setActiveProject('cross-project')
     setActiveProjectId('cross-project')
     setActivePodId(null)
@@ -82,8 +103,8 @@ export default function PortfolioFilterDropdown({ onProjectChange }) {
   // Show dropdown if:
   // - Multiple projects configured (> 1), OR
   // - Any pods configured (>= 1), OR
-  // - Both projects and pods exist
-  if (projects.length <= 1 && pods.length === 0) {
+  // - Group mode spans several groups
+  if (projects.length <= 1 && pods.length === 0 && sourceGroupPaths.length <= 1) {
     return null
   }
 
@@ -99,6 +120,8 @@ export default function PortfolioFilterDropdown({ onProjectChange }) {
     ? `🏢 ${activePod.name}`
     : activeGroup
     ? activeGroup.name
+    : sourceGroupPaths.length > 1
+    ? `🗂️ ${activeSourceGroup || `All groups (${sourceGroupPaths.length})`}`
     : activeProject?.name || 'Select Project / Pod'
 
   return (
@@ -231,6 +254,58 @@ export default function PortfolioFilterDropdown({ onProjectChange }) {
                 </div>
               </div>
 
+              {/* Source Groups (group mode with several group paths) */}
+              {sourceGroupPaths.length > 1 && (
+                <div style={{
+                  padding: '8px 0',
+                  borderBottom: '1px solid #E5E7EB'
+                }}>
+                  <div style={{
+                    padding: '6px 16px',
+                    fontSize: '11px',
+                    fontWeight: '600',
+                    color: '#6B7280',
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.5px'
+                  }}>
+                    Groups ({sourceGroupPaths.length})
+                  </div>
+
+                  {[null, ...sourceGroupPaths].map(groupPath => {
+                    const isActive = (activeSourceGroup || null) === groupPath
+
+                    return (
+                      <div
+                        key={groupPath || 'all'}
+                        onClick={() => handleSourceGroupSelect(groupPath)}
+                        style={{
+                          padding: '10px 16px',
+                          cursor: 'pointer',
+                          background: isActive ? '#ECFDF5' : 'white',
+                          borderLeft: isActive ? '3px solid #10B981' : '3px solid transparent',
+                          transition: 'all 0.2s'
+                        }}
+                        onMouseEnter={(e) => e.currentTarget.style.background = '#ECFDF5'}
+                        onMouseLeave={(e) => {
+                          if (!isActive) {
+                            e.currentTarget.style.background = 'white'
+                          }
+                        }}
+                      >
+                        <div style={{
+                          fontSize: '14px',
+                          fontWeight: '500',
+                          color: '#1F2937',
+                          fontFamily: groupPath ? 'monospace' : 'inherit'
+                        }}>
+                          🗂️ {groupPath || 'All groups'}
+                        </div>
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+
               {/* Pods (GitLab Groups) */}
               {pods.length > 0 && (
                 <div style={{
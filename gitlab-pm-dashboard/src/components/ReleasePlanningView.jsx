@@ -1,4 +1,14 @@
 import React, { useState, useMemo, useEffect } from 'react'
+import { persistentStore } from '../services/persistentStore.js'
+import { loadReleases as loadStoredReleases, getReleaseIssues } from '../services/releaseService.js'
+import { loadTeamConfig } from '../services/teamConfigService.js'
+import { formatForecastDate } from '../services/forecastService.js'
+import {
+  createBaselineScenario,
+  loadCapacityScenarios,
+  getDeliveryTargets,
+  forecastScenarioDelivery
+} from '../services/capacityScenarioService.js'
 
 /**
  * Release Planning View
@@ -13,30 +23,23 @@ export default function ReleasePlanningView({ issues = [], milestones = [], epic
   const [featureToggles, setFeatureToggles] = useState({})
   const [selectedRelease, setSelectedRelease] = useState(null)
 
-  // Load releases from localStorage
+  // Load releases from storage
   useEffect(() => {
     loadReleases()
     loadFeatureToggles()
   }, [])
 
   const loadReleases = () => {
-    try {
-      const stored = localStorage.getItem('gitlab-pm-releases')
-      if (stored) {
-        const data = JSON.parse(stored)
-        setReleases(data.releases || [])
-        if (data.releases?.length > 0 && !activeRelease) {
-          setActiveRelease(data.releases[0].id)
-        }
-      }
-    } catch (error) {
-      console.error('Error loading releases:', error)
+    const stored = loadStoredReleases()
+    setReleases(stored)
+    if (stored.length > 0 && !activeRelease) {
+      setActiveRelease(stored[0].id)
     }
   }
 
   const saveReleases = (newReleases) => {
     try {
-      localStorage.setItem('gitlab-pm-releases', JSON.stringify({
+      persistentStore.setItem('gitlab-pm-releases', JSON.stringify({
         releases: newReleases,
         updatedAt: new Date().toISOString()
       }))
@@ -47,7 +50,7 @@ export default function ReleasePlanningView({ issues = [], milestones = [], epic
 
   const loadFeatureToggles = () => {
     try {
-      const stored = localStorage.getItem('gitlab-pm-feature-toggles')
+      const stored = persistentStore.getItem('gitlab-pm-feature-toggles')
       if (stored) {
         setFeatureToggles(JSON.parse(stored))
       }
@@ -58,7 +61,7 @@ export default function ReleasePlanningView({ issues = [], milestones = [], epic
 
   const saveFeatureToggles = (toggles) => {
     try {
-      localStorage.setItem('gitlab-pm-feature-toggles', JSON.stringify(toggles))
+      persistentStore.setItem('gitlab-pm-feature-toggles', JSON.stringify(toggles))
       setFeatureToggles(toggles)
     } catch (error) {
       console.error('Error saving feature toggles:', error)
@@ -126,26 +129,7 @@ export default function ReleasePlanningView({ issues = [], milestones = [], epic
     if (!currentRelease) return { issues: [], epics: [], milestones: [] }
 
     // Filter issues for this release
-    const releaseIssues = issues.filter(issue => {
-      // Check if issue is tagged for this release
-      if (issue.labels?.includes(`release::${currentRelease.version}`)) return true
-
-      // Check if issue's milestone matches release milestone
-      if (currentRelease.milestone && issue.milestone?.title === currentRelease.milestone) return true
-
-      // Check if issue is manually included
-      if (currentRelease.includedIssues?.includes(issue.iid)) return true
-
-      // Check if issue is within release date range
-      if (issue.due_date) {
-        const dueDate = new Date(issue.due_date)
-        const releaseDate = new Date(currentRelease.targetDate)
-        const startDate = new Date(currentRelease.startDate)
-        return dueDate >= startDate && dueDate <= releaseDate
-      }
-
-      return false
-    })
+    const releaseIssues = getReleaseIssues(currentRelease, issues)
 
     // Filter epics for this release
     const releaseEpics = epics.filter(epic => {
@@ -182,6 +166,41 @@ export default function ReleasePlanningView({ issues = [], milestones = [], epic
     }
   }, [currentRelease, issues, epics, milestones])
 
+  // Capacity scenarios saved in Team Management, kept current while this view is open
+  const [capacityScenarios, setCapacityScenarios] = useState(() => loadCapacityScenarios())
+  useEffect(() => {
+    const handleScenariosChange = () => setCapacityScenarios(loadCapacityScenarios())
+    window.addEventListener('capacityScenariosChanged', handleScenariosChange)
+    return () => window.removeEventListener('capacityScenariosChanged', handleScenariosChange)
+  }, [])
+
+  const deliveryTarget = useMemo(() => {
+    if (!currentRelease) return null
+    return getDeliveryTargets([], issues, [currentRelease])[0] || null
+  }, [currentRelease, issues])
+
+  // P50/P90 release dates for the current team and each saved capacity scenario
+  // Simulated after rendering; forecasts stay null until all scenarios are done
+  const [deliveryForecast, setDeliveryForecast] = useState(null)
+  useEffect(() => {
+    if (!deliveryTarget) {
+      setDeliveryForecast(null)
+      return
+    }
+
+    const controller = new AbortController()
+    const scenarios = [createBaselineScenario(), ...capacityScenarios]
+    setDeliveryForecast({ scenarios, forecasts: null })
+
+    forecastScenarioDelivery(scenarios, loadTeamConfig().teamMembers || [], [deliveryTarget], issues, { signal: controller.signal })
+      .then(rows => {
+        if (rows) setDeliveryForecast({ scenarios, forecasts: rows[0].forecasts })
+      })
+      .catch(error => console.error('Error forecasting release delivery:', error))
+
+    return () => controller.abort()
+  }, [deliveryTarget, capacityScenarios, issues])
+
   // Group issues by category for release notes
   const categorizedIssues = useMemo(() => {
     const categories = {
@@ -665,6 +684,79 @@ export default function ReleasePlanningView({ issues = [], milestones = [], epic
         </div>
       )}
 
+      {/* Delivery Forecast */}
+      {currentRelease && deliveryForecast && (
+        <div style={{
+          background: 'white',
+          border: '1px solid #E5E7EB',
+          borderRadius: '8px',
+          padding: '16px',
+          marginBottom: '24px'
+        }}>
+          <h3 style={{ fontSize: '16px', fontWeight: '600', margin: '0 0 4px 0' }}>
+            Delivery Forecast
+          </h3>
+          <p style={{ fontSize: '12px', color: '#6B7280', margin: '0 0 12px 0' }}>
+            Monte Carlo forecast of the open release issues for the current team and the capacity scenarios saved in Team Management, sampled from the weekly throughput of the last 12 weeks including scope added along the way. "Done by Target" shows the open issues finished by the target date (50% / 85% likely).
+          </p>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ background: '#F9FAFB', borderBottom: '2px solid #E5E7EB' }}>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>Scenario</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>P50</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>P90</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>Chance by Target</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>Done by Target</th>
+                <th style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>vs. Target Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {!deliveryForecast.forecasts && (
+                <tr>
+                  <td colSpan="6" style={{ padding: '8px', color: '#6B7280' }}>
+                    Simulating {deliveryForecast.scenarios.length} scenario(s)...
+                  </td>
+                </tr>
+              )}
+              {deliveryForecast.forecasts && deliveryForecast.scenarios.map(scenario => {
+                const forecast = deliveryForecast.forecasts[scenario.id]
+                const targetDate = new Date(currentRelease.targetDate)
+                const slipDays = forecast
+                  ? Math.round((forecast.p90.date - targetDate) / (1000 * 60 * 60 * 24))
+                  : null
+
+                return (
+                  <tr key={scenario.id} style={{ borderBottom: '1px solid #E5E7EB' }}>
+                    <td style={{ padding: '8px', fontWeight: '500' }}>{scenario.name}</td>
+                    <td style={{ padding: '8px' }}>{forecast ? formatForecastDate(forecast.p50.date) : 'N/A'}</td>
+                    <td style={{ padding: '8px' }}>{forecast ? formatForecastDate(forecast.p90.date) : 'N/A'}</td>
+                    <td style={{
+                      padding: '8px',
+                      fontWeight: '600',
+                      color: forecast?.dueProbability == null ? '#9CA3AF' : forecast.dueProbability >= 85 ? '#059669' : forecast.dueProbability >= 50 ? '#D97706' : '#DC2626'
+                    }}>
+                      {forecast?.dueProbability != null ? `${forecast.dueProbability}%` : 'N/A'}
+                    </td>
+                    <td style={{ padding: '8px' }} title="Issues finished by the target date (50% / 85% likely)">
+                      {forecast?.doneByDue
+                        ? `${forecast.doneByDue.p50} / ${forecast.doneByDue.p85} of ${forecast.remainingWork}`
+                        : 'N/A'}
+                    </td>
+                    <td style={{ padding: '8px', color: slipDays === null ? '#9CA3AF' : slipDays > 0 ? '#DC2626' : '#059669' }}>
+                      {slipDays === null
+                        ? 'No throughput history'
+                        : slipDays > 0
+                          ? `P90 ${slipDays} days late`
+                          : 'P90 on time'}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Main View */}
       {viewMode === 'calendar' && renderCalendar()}
 
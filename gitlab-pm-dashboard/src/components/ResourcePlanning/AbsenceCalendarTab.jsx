@@ -9,10 +9,26 @@ import {
   calculateSprintCapacityWithAbsences,
   getTeamAbsenceStats,
   exportAbsencesToCSV,
-  calculateWorkingDays
+  exportAbsencesToICS,
+  parseAbsencesFromICS,
+  calculateWorkingDays,
+  loadAbsenceFeed,
+  getAbsenceFeedUrl,
+  publishAbsenceFeed,
+  unpublishAbsenceFeed
 } from '../../services/absenceService'
+import { loadConfig } from '../../services/storageService'
+import {
+  loadHolidayCalendars,
+  importHolidayCalendar,
+  removeHolidayCalendar,
+  getWorkingDayRules,
+  toDateKey,
+  formatWorkWeek
+} from '../../services/holidayCalendarService'
 import { getUniqueIterations } from '../../services/velocityService'
 import { getIterationName } from '../../utils/labelUtils'
+import IcsAbsenceImportModal from './IcsAbsenceImportModal'
 
 /**
  * Absence Calendar Tab
@@ -27,7 +43,18 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
   const [dragState, setDragState] = useState(null) // { username, startDate }
   const [selectedAbsence, setSelectedAbsence] = useState(null)
   const [selectedAbsenceType, setSelectedAbsenceType] = useState('vacation') // vacation, training, sick, other
+  const [holidayCalendars, setHolidayCalendars] = useState([])
+  const [calendarImportTarget, setCalendarImportTarget] = useState('') // '' = new calendar, else calendar id
+  const [calendarImportName, setCalendarImportName] = useState('')
+  const [calendarImportStatus, setCalendarImportStatus] = useState(null)
+  const [icsPreview, setIcsPreview] = useState(null) // { entries, errors } while reviewing an .ics import
+  const [icsStatus, setIcsStatus] = useState(null)
+  const [icsExportScope, setIcsExportScope] = useState('view') // 'view' | 'quarter' | sprint id
+  const [absenceFeed, setAbsenceFeed] = useState(loadAbsenceFeed) // { feedId, publishedAt } once published
+  const [feedStatus, setFeedStatus] = useState(null)
   const scrollContainerRef = useRef(null)
+  const calendarFileRef = useRef(null)
+  const absenceFileRef = useRef(null)
 
   // Absence type configurations
   const absenceTypes = [
@@ -41,6 +68,8 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
   useEffect(() => {
     const config = loadTeamConfig()
     setTeamMembers(config.teamMembers || [])
+    setHolidayCalendars(loadHolidayCalendars())
+    setAbsenceFeed(loadAbsenceFeed())
     refreshAbsences()
   }, [refreshKey])
 
@@ -56,6 +85,54 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
     }
   }
 
+  // Keep a published subscription feed up to date: republished once per session and after
+  // every absence change (debounced; unchanged content is not sent again)
+  const feedPublished = Boolean(absenceFeed)
+  useEffect(() => {
+    if (!feedPublished || isCrossProject) return
+    const timer = setTimeout(() => {
+      const { liveUpdatesUrl, liveUpdatesToken } = loadConfig()
+      publishAbsenceFeed({ relayUrl: liveUpdatesUrl, token: liveUpdatesToken, teamMembers })
+        .then(feed => {
+          setAbsenceFeed(feed)
+          setFeedStatus(null)
+        })
+        .catch(error => setFeedStatus({ type: 'error', message: `Feed not updated: ${error.message}` }))
+    }, 2000)
+    return () => clearTimeout(timer)
+  }, [absences, teamMembers, feedPublished, isCrossProject])
+
+  const handlePublishFeed = async () => {
+    const { liveUpdatesUrl, liveUpdatesToken } = loadConfig()
+    try {
+      setAbsenceFeed(await publishAbsenceFeed({ relayUrl: liveUpdatesUrl, token: liveUpdatesToken, teamMembers, force: true }))
+      setFeedStatus({ type: 'success', message: 'Feed published - subscribe to the URL in your calendar app' })
+    } catch (error) {
+      setFeedStatus({ type: 'error', message: error.message })
+    }
+  }
+
+  const handleUnpublishFeed = async () => {
+    if (!confirm('Stop publishing the feed? Subscribed calendars will no longer receive updates.')) return
+    const { liveUpdatesUrl, liveUpdatesToken } = loadConfig()
+    try {
+      await unpublishAbsenceFeed({ relayUrl: liveUpdatesUrl, token: liveUpdatesToken })
+      setAbsenceFeed(null)
+      setFeedStatus(null)
+    } catch (error) {
+      setFeedStatus({ type: 'error', message: error.message })
+    }
+  }
+
+  // Working-day rules (work week + regional holidays) per team member
+  const memberRules = useMemo(() => {
+    const rules = {}
+    teamMembers.forEach(member => {
+      rules[member.username] = getWorkingDayRules(member, holidayCalendars)
+    })
+    return rules
+  }, [teamMembers, holidayCalendars])
+
   // Calculate date range based on selected year, month, and months to view
   const dateRange = useMemo(() => {
     const start = new Date(selectedYear, selectedMonth, 1)
@@ -176,6 +253,56 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
     return day === 0 || day === 6
   }
 
+  // Holiday name if the date is a public holiday in the member's region
+  const getHolidayForDate = (username, date) => {
+    return memberRules[username]?.holidays.get(toDateKey(date)) || null
+  }
+
+  // Day outside the member's work week (weekend or part-time day off)
+  const isNonWorkingDay = (username, date) => {
+    const rules = memberRules[username]
+    return rules ? !rules.workDays.has(date.getDay()) : isWeekend(date)
+  }
+
+  // Import holidays from an iCalendar file
+  const handleCalendarFile = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = (e) => {
+      try {
+        const { calendar, added } = importHolidayCalendar(e.target.result, {
+          name: calendarImportName || file.name.replace(/\.ics$/i, ''),
+          calendarId: calendarImportTarget || null
+        })
+        setHolidayCalendars(loadHolidayCalendars())
+        setCalendarImportName('')
+        setCalendarImportStatus({ type: 'success', message: `${added} holiday(s) imported into "${calendar.name}"` })
+        onAbsenceUpdate()
+      } catch (error) {
+        console.error('Error importing holiday calendar:', error)
+        setCalendarImportStatus({ type: 'error', message: `Import failed: ${error.message}` })
+      }
+    }
+    reader.onerror = () => {
+      setCalendarImportStatus({ type: 'error', message: 'Failed to read the calendar file' })
+    }
+    reader.readAsText(file)
+  }
+
+  const handleRemoveCalendar = (calendar) => {
+    const assigned = teamMembers.filter(m => m.region === calendar.id).length
+    const warning = assigned > 0 ? `\n${assigned} team member(s) use this region and will have no holidays.` : ''
+    if (!confirm(`Delete holiday calendar "${calendar.name}"?${warning}`)) return
+
+    removeHolidayCalendar(calendar.id)
+    setHolidayCalendars(loadHolidayCalendars())
+    if (calendarImportTarget === calendar.id) setCalendarImportTarget('')
+    onAbsenceUpdate()
+  }
+
   // Export absences
   const handleExport = () => {
     const csv = exportAbsencesToCSV(dateRange.start, dateRange.end)
@@ -190,10 +317,76 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
     URL.revokeObjectURL(url)
   }
 
+  // Import absences from one or more .ics files (opens the preview)
+  const handleAbsenceFiles = async (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    if (files.length === 0) return
+
+    try {
+      const contents = await Promise.all(files.map(async file => ({ name: file.name, content: await file.text() })))
+      setIcsStatus(null)
+      setIcsPreview(parseAbsencesFromICS(contents, teamMembers))
+    } catch (error) {
+      console.error('Error reading iCalendar files:', error)
+      setIcsStatus({ type: 'error', message: `Could not read the file(s): ${error.message}` })
+    }
+  }
+
+  const handleIcsImported = (result) => {
+    setIcsPreview(null)
+    const skipped = result.duplicates + result.overlapping
+    setIcsStatus({
+      type: 'success',
+      message: `${result.imported} absence(s) imported` +
+        (result.merged > 0 ? `, ${result.merged} merged into existing ones` : '') +
+        (skipped > 0 ? `, ${skipped} skipped (already covered or overlapping)` : '')
+    })
+    refreshAbsences()
+    onAbsenceUpdate()
+  }
+
+  // Export absences as an .ics file for the visible range, the selected quarter or a sprint
+  const handleExportICS = () => {
+    let start = dateRange.start
+    let end = dateRange.end
+    let label = 'absences'
+
+    if (icsExportScope === 'quarter') {
+      const quarter = Math.floor(selectedMonth / 3)
+      start = new Date(selectedYear, quarter * 3, 1)
+      end = new Date(selectedYear, quarter * 3 + 3, 0)
+      label = `absences-${selectedYear}-Q${quarter + 1}`
+    } else if (icsExportScope !== 'view') {
+      const sprint = sprints.find(s => String(s.id) === icsExportScope)
+      if (sprint) {
+        start = sprint.startDate
+        end = sprint.dueDate
+        label = `absences-${sprint.name.replace(/[^\w-]+/g, '-')}`
+      }
+    }
+
+    const ics = exportAbsencesToICS(start, end, {
+      calendarName: label === 'absences' ? 'Team Absences' : `Team Absences (${label.replace('absences-', '')})`,
+      teamMembers
+    })
+    const blob = new Blob([ics], { type: 'text/calendar' })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = label === 'absences'
+      ? `absences-${start.toISOString().split('T')[0]}-to-${end.toISOString().split('T')[0]}.ics`
+      : `${label}.ics`
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+  }
+
   // Calculate team stats
   const teamStats = useMemo(() => {
-    return getTeamAbsenceStats(teamMembers, dateRange.start, dateRange.end)
-  }, [teamMembers, absences, dateRange])
+    return getTeamAbsenceStats(teamMembers, dateRange.start, dateRange.end, { absences, calendars: holidayCalendars })
+  }, [teamMembers, absences, dateRange, holidayCalendars])
 
   // Group days by month for column headers
   const monthGroups = useMemo(() => {
@@ -354,6 +547,130 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
           >
             <span>Export CSV</span>
           </button>
+
+          {/* iCalendar import/export */}
+          <input
+            ref={absenceFileRef}
+            type="file"
+            accept=".ics,text/calendar"
+            multiple
+            onChange={handleAbsenceFiles}
+            style={{ display: 'none' }}
+          />
+          <button
+            onClick={() => absenceFileRef.current?.click()}
+            disabled={isCrossProject}
+            title={isCrossProject ? 'Select a project to import absences' : 'Import absences from Outlook/HR .ics files'}
+            style={{
+              padding: '6px 14px',
+              background: 'white',
+              border: '1px solid #D1D5DB',
+              borderRadius: '6px',
+              cursor: isCrossProject ? 'not-allowed' : 'pointer',
+              fontSize: '13px',
+              fontWeight: '500',
+              color: '#374151',
+              opacity: isCrossProject ? 0.5 : 1
+            }}
+          >
+            Import .ics
+          </button>
+          <div style={{ display: 'flex' }}>
+            <select
+              value={icsExportScope}
+              onChange={(e) => setIcsExportScope(e.target.value)}
+              style={{
+                padding: '6px 8px',
+                border: '1px solid #D1D5DB',
+                borderRight: 'none',
+                borderRadius: '6px 0 0 6px',
+                fontSize: '13px',
+                color: '#374151'
+              }}
+            >
+              <option value="view">Visible range</option>
+              <option value="quarter">Q{Math.floor(selectedMonth / 3) + 1} {selectedYear}</option>
+              {sprints.map(sprint => (
+                <option key={sprint.id} value={String(sprint.id)}>{sprint.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleExportICS}
+              title="Download an .ics calendar to import into Outlook, Google Calendar or other calendar apps"
+              style={{
+                padding: '6px 14px',
+                background: 'white',
+                border: '1px solid #D1D5DB',
+                borderRadius: '0 6px 6px 0',
+                cursor: 'pointer',
+                fontSize: '13px',
+                fontWeight: '500',
+                color: '#374151'
+              }}
+            >
+              Export .ics
+            </button>
+          </div>
+        </div>
+
+        {icsStatus && (
+          <div style={{ marginBottom: '12px', fontSize: '13px', color: icsStatus.type === 'error' ? '#DC2626' : '#059669' }}>
+            {icsStatus.message}
+          </div>
+        )}
+
+        {/* Calendar subscription feed (served by the webhook relay) */}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '12px', fontSize: '13px', color: '#374151' }}>
+          <span style={{ fontSize: '11px', fontWeight: '600', color: '#6B7280', textTransform: 'uppercase' }}>Subscription Feed</span>
+          {absenceFeed ? (
+            <>
+              <input
+                type="text"
+                readOnly
+                value={getAbsenceFeedUrl(absenceFeed, loadConfig().liveUpdatesUrl) || ''}
+                onFocus={(e) => e.target.select()}
+                style={{ flex: 1, minWidth: '280px', padding: '4px 8px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '12px' }}
+              />
+              <button
+                onClick={() => navigator.clipboard.writeText(getAbsenceFeedUrl(absenceFeed, loadConfig().liveUpdatesUrl) || '')}
+                className="btn btn-secondary"
+                style={{ fontSize: '12px', padding: '4px 10px' }}
+              >
+                Copy URL
+              </button>
+              <button
+                onClick={handleUnpublishFeed}
+                disabled={isCrossProject}
+                className="btn btn-secondary"
+                style={{ fontSize: '12px', padding: '4px 10px', color: '#DC2626' }}
+              >
+                Stop Publishing
+              </button>
+              <span style={{ fontSize: '12px', color: '#9CA3AF' }}>
+                Updated {new Date(absenceFeed.publishedAt).toLocaleString('de-DE')}
+              </span>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={handlePublishFeed}
+                disabled={isCrossProject}
+                title={isCrossProject ? 'Select a project to publish its absences' : 'Publish absences through the webhook relay so calendar apps can subscribe'}
+                className="btn btn-secondary"
+                style={{ fontSize: '12px', padding: '4px 10px' }}
+              >
+                Publish Feed
+              </button>
+              <span style={{ fontSize: '12px', color: '#9CA3AF' }}>
+                Calendar apps subscribe to a URL on the live updates relay and receive absence changes automatically
+              </span>
+            </>
+          )}
+          {feedStatus && (
+            <span style={{ fontSize: '12px', color: feedStatus.type === 'error' ? '#DC2626' : '#059669' }}>
+              {feedStatus.message}
+            </span>
+          )}
         </div>
 
         {/* Absence Type Filter */}
@@ -627,13 +944,16 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
                   </div>
                   <div style={{ fontSize: '10px', color: '#9CA3AF', marginTop: '4px' }}>
                     {member.defaultCapacity !== undefined && member.defaultCapacity !== null ? member.defaultCapacity : 40}h/week
+                    {' · '}{formatWorkWeek(Array.from(memberRules[member.username]?.workDays || []))}
+                    {memberRules[member.username]?.regionName && ` · ${memberRules[member.username].regionName}`}
                   </div>
                 </div>
 
                 {/* Day Cells */}
                 <div style={{ display: 'flex', flex: 1, position: 'relative' }}>
                   {days.map((day, dayIdx) => {
-                    const isWknd = isWeekend(day)
+                    const isOff = isNonWorkingDay(member.username, day)
+                    const holiday = getHolidayForDate(member.username, day)
                     const isInAbsence = isDateInAbsence(member.username, day)
                     const isInDrag = isDateInDragSelection(member.username, day)
                     const absence = getAbsenceForDate(member.username, day)
@@ -652,14 +972,17 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
                           height: '60px',
                           background: isInDrag ? selectedTypeColor :
                                       isInAbsence ? '#FEE2E2' :
-                                      isWknd ? '#F9FAFB' :
+                                      holiday ? '#FEF3C7' :
+                                      isOff ? '#F3F4F6' :
                                       'white',
                           borderRight: dayIdx < days.length - 1 ? '1px solid #F3F4F6' : 'none',
                           cursor: isCrossProject ? 'default' : (isInAbsence ? 'pointer' : 'crosshair'),
                           position: 'relative',
                           opacity: isCrossProject ? 0.7 : 1
                         }}
-                        title={absence ? `${absence.reason} (${absence.type})` : (isCrossProject ? 'Select a project to edit absences' : '')}
+                        title={absence ? `${absence.reason} (${absence.type})` :
+                               holiday ? `Public holiday: ${holiday}` :
+                               (isCrossProject ? 'Select a project to edit absences' : '')}
                       />
                     )
                   })}
@@ -777,7 +1100,7 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
             <div style={{ marginBottom: '12px' }}>
               <strong>Working Days:</strong> {(() => {
                 const member = teamMembers.find(m => m.username === selectedAbsence.username)
-                const days = calculateWorkingDays(selectedAbsence.startDate, selectedAbsence.endDate)
+                const days = calculateWorkingDays(selectedAbsence.startDate, selectedAbsence.endDate, member)
                 return days
               })()}
             </div>
@@ -785,8 +1108,8 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
               <strong>Capacity Impact:</strong> {(() => {
                 const member = teamMembers.find(m => m.username === selectedAbsence.username)
                 const memberCapacity = member?.defaultCapacity !== undefined && member?.defaultCapacity !== null ? member.defaultCapacity : 40
-                const days = calculateWorkingDays(selectedAbsence.startDate, selectedAbsence.endDate)
-                const dailyCapacity = memberCapacity / 5
+                const days = calculateWorkingDays(selectedAbsence.startDate, selectedAbsence.endDate, member)
+                const dailyCapacity = memberCapacity / (memberRules[selectedAbsence.username]?.workDays.size || 5)
                 const impact = Math.round(days * dailyCapacity * 10) / 10
                 return `${impact}h`
               })()}
@@ -828,6 +1151,114 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
         </div>
       )}
 
+      {/* iCalendar Import Preview */}
+      {icsPreview && (
+        <IcsAbsenceImportModal
+          preview={icsPreview}
+          teamMembers={teamMembers}
+          onImported={handleIcsImported}
+          onCancel={() => setIcsPreview(null)}
+        />
+      )}
+
+      {/* Holiday Calendars */}
+      <div className="card" style={{ marginTop: '20px' }}>
+        <h4 style={{ marginBottom: '8px' }}>Holiday Calendars</h4>
+        <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#6B7280' }}>
+          Import public holidays per region from iCalendar (.ics) files, then assign each team member a region
+          and work week in the Team Setup tab. Holidays count as non-working days in all capacity calculations.
+        </p>
+
+        {holidayCalendars.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '12px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#F9FAFB' }}>
+                <th style={{ padding: '8px' }}>Region</th>
+                <th style={{ padding: '8px' }}>Holidays</th>
+                <th style={{ padding: '8px' }}>Covers</th>
+                <th style={{ padding: '8px' }}>Members</th>
+                <th style={{ padding: '8px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {holidayCalendars.map(calendar => {
+                const years = calendar.holidays.map(h => h.date.slice(0, 4))
+                const firstYear = years[0]
+                const lastYear = years[years.length - 1]
+                return (
+                  <tr key={calendar.id} style={{ borderTop: '1px solid #E5E7EB' }}>
+                    <td style={{ padding: '8px', fontWeight: '600', color: '#1F2937' }}>{calendar.name}</td>
+                    <td style={{ padding: '8px' }}>{calendar.holidays.length}</td>
+                    <td style={{ padding: '8px' }}>{firstYear === lastYear ? firstYear : `${firstYear}-${lastYear}`}</td>
+                    <td style={{ padding: '8px' }}>{teamMembers.filter(m => m.region === calendar.id).length}</td>
+                    <td style={{ padding: '8px', textAlign: 'right' }}>
+                      <button
+                        onClick={() => handleRemoveCalendar(calendar)}
+                        disabled={isCrossProject}
+                        style={{
+                          padding: '4px 10px',
+                          background: 'white',
+                          border: '1px solid #FCA5A5',
+                          borderRadius: '4px',
+                          color: '#DC2626',
+                          fontSize: '12px',
+                          cursor: isCrossProject ? 'not-allowed' : 'pointer'
+                        }}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        )}
+
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+          <select
+            value={calendarImportTarget}
+            onChange={(e) => setCalendarImportTarget(e.target.value)}
+            disabled={isCrossProject}
+            style={{ padding: '6px 10px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '13px' }}
+          >
+            <option value="">New region</option>
+            {holidayCalendars.map(calendar => (
+              <option key={calendar.id} value={calendar.id}>Add to {calendar.name}</option>
+            ))}
+          </select>
+          {!calendarImportTarget && (
+            <input
+              type="text"
+              value={calendarImportName}
+              onChange={(e) => setCalendarImportName(e.target.value)}
+              placeholder="Region name, e.g. Switzerland (Zurich)"
+              disabled={isCrossProject}
+              style={{ padding: '6px 10px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '13px', minWidth: '240px' }}
+            />
+          )}
+          <input
+            ref={calendarFileRef}
+            type="file"
+            accept=".ics,text/calendar"
+            onChange={handleCalendarFile}
+            style={{ display: 'none' }}
+          />
+          <button
+            className="btn btn-primary"
+            onClick={() => calendarFileRef.current?.click()}
+            disabled={isCrossProject}
+          >
+            Import .ics
+          </button>
+          {calendarImportStatus && (
+            <span style={{ fontSize: '13px', color: calendarImportStatus.type === 'error' ? '#DC2626' : '#059669' }}>
+              {calendarImportStatus.message}
+            </span>
+          )}
+        </div>
+      </div>
+
       {/* Instructions */}
       <div className="card" style={{ marginTop: '20px', background: '#F9FAFB' }}>
         <h4 style={{ marginBottom: '12px' }}>How to use</h4>
@@ -835,8 +1266,9 @@ export default function AbsenceCalendarTab({ issues, isCrossProject, refreshKey,
           <li>Click on a day to start marking an absence</li>
           <li>Click on another day to complete the absence period</li>
           <li>Click on an existing absence to view details or delete</li>
-          <li>Weekends are automatically excluded from capacity calculations</li>
+          <li>Days outside a member's work week (grey) and public holidays of their region (amber) are excluded from capacity calculations</li>
           <li>Absences automatically reduce sprint capacity based on affected days</li>
+          <li>Import absences from Outlook or HR .ics files; export an .ics file that calendar apps can import, or publish a feed they subscribe to (kept up to date while the relay runs)</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,239 @@
+import React, { useState } from 'react'
+import {
+  importAbsenceEntries,
+  getAbsenceConflicts,
+  loadIcsUserMapping,
+  saveIcsUserMapping,
+  addIcsUserMapping
+} from '../../services/absenceService'
+
+const ABSENCE_TYPES = [
+  { id: 'vacation', label: 'Vacation' },
+  { id: 'training', label: 'Training' },
+  { id: 'sick', label: 'Sick Leave' },
+  { id: 'other', label: 'Other' }
+]
+
+const cellStyle = { padding: '6px 8px', borderTop: '1px solid #E5E7EB', verticalAlign: 'top' }
+const inputStyle = { padding: '4px 6px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '12px' }
+
+const formatDate = date => date.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' })
+
+/**
+ * iCalendar Absence Import Preview
+ * Review parsed .ics events, fix the username mapping and absence types, then save
+ * Existing absences are kept: duplicates and overlapping events are skipped, or only
+ * their uncovered days are added
+ */
+export default function IcsAbsenceImportModal({ preview, teamMembers, onImported, onCancel }) {
+  const [entries, setEntries] = useState(preview.entries)
+  const [rememberMappings, setRememberMappings] = useState(true)
+  const [assignedIdentities, setAssignedIdentities] = useState({}) // identity → username chosen here
+  const [mapping, setMapping] = useState(loadIcsUserMapping)
+  const [overlapMode, setOverlapMode] = useState('skip')
+
+  const updateEntry = (key, changes) => {
+    setEntries(prev => prev.map(entry => entry.key === key ? { ...entry, ...changes } : entry))
+  }
+
+  // Assigning a person applies to all still-unmatched entries with the same identity
+  const assignUser = (entry, username) => {
+    setEntries(prev => prev.map(e => {
+      if (e.key === entry.key || (entry.identity && e.identity === entry.identity && !e.matchedBy)) {
+        const conflicts = getAbsenceConflicts(username, e.startDate, e.endDate)
+        return { ...e, ...conflicts, username: username || null, include: Boolean(username) && !conflicts.duplicate }
+      }
+      return e
+    }))
+    if (entry.identity && !entry.matchedBy) {
+      setAssignedIdentities(prev => ({ ...prev, [entry.identity]: username }))
+    }
+  }
+
+  const handleRemoveMapping = (match) => {
+    const updated = mapping.filter(m => m.match !== match)
+    saveIcsUserMapping(updated)
+    setMapping(updated)
+  }
+
+  const handleImport = () => {
+    if (rememberMappings) {
+      Object.entries(assignedIdentities).forEach(([identity, username]) => {
+        if (username) addIcsUserMapping(identity, username)
+      })
+    }
+    onImported(importAbsenceEntries(entries, { overlapMode }))
+  }
+
+  const selected = entries.filter(e => e.include && e.username)
+  const unmatched = entries.filter(e => !e.username).length
+  const duplicates = entries.filter(e => e.username && e.duplicate).length
+  const overlapping = selected.filter(e => e.overlaps.length > 0).length
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}
+      onClick={onCancel}
+    >
+      <div
+        className="card"
+        style={{ width: '960px', maxWidth: '95%', maxHeight: '90vh', overflowY: 'auto' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 style={{ marginBottom: '8px' }}>Import Absences from iCalendar</h3>
+        <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#6B7280' }}>
+          {entries.length} absence(s) found
+          {unmatched > 0 && ` - ${unmatched} could not be matched to a team member`}
+          {duplicates > 0 && ` - ${duplicates} already exist and are skipped`}.
+          Existing absences are never replaced.
+        </p>
+
+        {overlapping > 0 && (
+          <div style={{ padding: '8px 12px', marginBottom: '12px', background: '#FEF3C7', borderRadius: '6px', fontSize: '13px', color: '#92400E' }}>
+            {overlapping} selected absence(s) overlap existing ones:{' '}
+            <select value={overlapMode} onChange={(e) => setOverlapMode(e.target.value)} style={inputStyle}>
+              <option value="skip">Skip them</option>
+              <option value="merge">Add only the days not covered yet</option>
+            </select>
+          </div>
+        )}
+
+        {preview.errors.length > 0 && (
+          <div style={{ padding: '8px 12px', marginBottom: '12px', background: '#FEE2E2', borderRadius: '6px', fontSize: '13px', color: '#991B1B' }}>
+            {preview.errors.map(error => <div key={error}>{error}</div>)}
+          </div>
+        )}
+
+        {entries.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', background: '#F9FAFB', color: '#6B7280' }}>
+                <th style={{ padding: '6px 8px' }}></th>
+                <th style={{ padding: '6px 8px' }}>Dates</th>
+                <th style={{ padding: '6px 8px' }}>Event</th>
+                <th style={{ padding: '6px 8px' }}>Person in file</th>
+                <th style={{ padding: '6px 8px' }}>Team member</th>
+                <th style={{ padding: '6px 8px' }}>Type</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.key} style={{ opacity: entry.include ? 1 : 0.55 }}>
+                  <td style={cellStyle}>
+                    <input
+                      type="checkbox"
+                      checked={entry.include}
+                      disabled={!entry.username}
+                      onChange={(e) => updateEntry(entry.key, { include: e.target.checked })}
+                    />
+                  </td>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                    {formatDate(entry.startDate)}
+                    {entry.endDate.getTime() !== entry.startDate.getTime() && ` - ${formatDate(entry.endDate)}`}
+                  </td>
+                  <td style={cellStyle}>
+                    <div style={{ color: '#1F2937', fontWeight: '500' }}>{entry.summary || '(no title)'}</div>
+                    <div style={{ color: '#9CA3AF' }}>
+                      {entry.source}
+                      {entry.recurring && ' · recurring'}
+                      {entry.duplicate && ' · already imported'}
+                    </div>
+                    {entry.overlaps.length > 0 && (
+                      <div style={{ color: '#B45309' }}>
+                        Overlaps {entry.overlaps.map(a =>
+                          `${a.reason || a.type} (${formatDate(a.startDate)} - ${formatDate(a.endDate)})`
+                        ).join(', ')}
+                      </div>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{entry.identity || '-'}</td>
+                  <td style={cellStyle}>
+                    <select
+                      value={entry.username || ''}
+                      onChange={(e) => assignUser(entry, e.target.value)}
+                      style={{ ...inputStyle, borderColor: entry.username ? '#D1D5DB' : '#F59E0B' }}
+                    >
+                      <option value="">- Not matched -</option>
+                      {teamMembers.map(member => (
+                        <option key={member.username} value={member.username}>
+                          {member.name || member.username}
+                        </option>
+                      ))}
+                    </select>
+                    {entry.matchedBy && (
+                      <div style={{ color: '#9CA3AF', marginTop: '2px' }}>via {entry.matchedBy}</div>
+                    )}
+                  </td>
+                  <td style={cellStyle}>
+                    <select
+                      value={entry.type}
+                      onChange={(e) => updateEntry(entry.key, { type: e.target.value })}
+                      style={inputStyle}
+                    >
+                      {ABSENCE_TYPES.map(type => (
+                        <option key={type.id} value={type.id}>{type.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {Object.keys(assignedIdentities).length > 0 && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '12px', fontSize: '13px', color: '#374151' }}>
+            <input
+              type="checkbox"
+              checked={rememberMappings}
+              onChange={(e) => setRememberMappings(e.target.checked)}
+            />
+            Remember {Object.keys(assignedIdentities).length} new person → team member assignment(s) for future imports
+          </label>
+        )}
+
+        {mapping.length > 0 && (
+          <details style={{ marginTop: '12px', fontSize: '13px' }}>
+            <summary style={{ cursor: 'pointer', color: '#374151' }}>Mapping table ({mapping.length})</summary>
+            <ul style={{ margin: '8px 0 0 0', paddingLeft: '20px', color: '#6B7280' }}>
+              {mapping.map(entry => (
+                <li key={entry.match} style={{ marginBottom: '4px' }}>
+                  {entry.match} → @{entry.username}
+                  <button
+                    onClick={() => handleRemoveMapping(entry.match)}
+                    style={{ marginLeft: '8px', padding: '0 6px', background: 'none', border: 'none', color: '#DC2626', cursor: 'pointer', fontSize: '12px' }}
+                  >
+                    Remove
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <p style={{ margin: '4px 0 0 0', color: '#9CA3AF', fontSize: '12px' }}>
+              Entries match attendee/organizer e-mails or names, or text in the event title.
+            </p>
+          </details>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px', marginTop: '20px', justifyContent: 'flex-end' }}>
+          <button className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={handleImport} disabled={selected.length === 0}>
+            Import {selected.length} Absence(s)
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,262 @@
+import React, { useState } from 'react'
+import {
+  loadTeams,
+  saveTeams,
+  createTeam,
+  addTeamMembership,
+  isMembershipActive,
+  getOverallocatedMembers
+} from '../../services/teamMembershipService'
+
+const inputStyle = { padding: '6px 10px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '13px' }
+const cellStyle = { padding: '6px 8px', borderTop: '1px solid #E5E7EB' }
+
+const emptyMembership = { username: '', startDate: '', endDate: '', allocation: 100 }
+
+const formatDate = value => value
+  ? new Date(`${value}T00:00:00`).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' })
+  : null
+
+/**
+ * Named Teams Editor
+ * Teams with dated membership intervals and allocation percentages, used to attribute
+ * velocity, capacity and contention to the team someone belonged to at the time
+ */
+export default function NamedTeamsEditor({ teamMembers, onTeamUpdate }) {
+  const [teams, setTeams] = useState(loadTeams)
+  const [newTeamName, setNewTeamName] = useState('')
+  const [drafts, setDrafts] = useState({}) // teamId → membership being added
+  const [error, setError] = useState(null)
+
+  const persist = (updated) => {
+    saveTeams(updated)
+    setTeams(updated)
+    onTeamUpdate()
+  }
+
+  const handleAddTeam = () => {
+    try {
+      if (teams.some(t => t.name.toLowerCase() === newTeamName.trim().toLowerCase())) {
+        throw new Error(`A team named "${newTeamName.trim()}" already exists`)
+      }
+      persist([...teams, createTeam(newTeamName)])
+      setNewTeamName('')
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleDeleteTeam = (team) => {
+    if (!confirm(`Delete team "${team.name}" and its membership history?`)) return
+    persist(teams.filter(t => t.id !== team.id))
+  }
+
+  const handleAddMembership = (team) => {
+    const draft = drafts[team.id] || emptyMembership
+    try {
+      persist(teams.map(t => t.id === team.id ? addTeamMembership(t, draft) : t))
+      setDrafts({ ...drafts, [team.id]: emptyMembership })
+      setError(null)
+    } catch (err) {
+      setError(`${team.name}: ${err.message}`)
+    }
+  }
+
+  const handleRemoveMembership = (team, membershipId) => {
+    persist(teams.map(t => t.id === team.id
+      ? { ...t, memberships: t.memberships.filter(m => m.id !== membershipId) }
+      : t
+    ))
+  }
+
+  const updateDraft = (teamId, field, value) => {
+    setDrafts({ ...drafts, [teamId]: { ...(drafts[teamId] || emptyMembership), [field]: value } })
+  }
+
+  const memberName = username => {
+    const member = teamMembers.find(m => m.username === username)
+    return member?.name || username
+  }
+
+  const overallocated = getOverallocatedMembers(teams)
+
+  return (
+    <div style={{
+      background: '#F9FAFB',
+      border: '1px solid #E5E7EB',
+      borderRadius: '8px',
+      padding: '20px',
+      marginBottom: '20px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937' }}>
+          Teams
+        </h3>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <input
+            type="text"
+            value={newTeamName}
+            onChange={(e) => setNewTeamName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && newTeamName.trim() && handleAddTeam()}
+            placeholder="Team name, e.g. Payments Squad"
+            style={inputStyle}
+          />
+          <button
+            onClick={handleAddTeam}
+            disabled={!newTeamName.trim()}
+            style={{
+              padding: '6px 12px',
+              background: '#3B82F6',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              fontSize: '13px',
+              fontWeight: '500',
+              cursor: newTeamName.trim() ? 'pointer' : 'not-allowed',
+              opacity: newTeamName.trim() ? 1 : 0.6
+            }}
+          >
+            + Add Team
+          </button>
+        </div>
+      </div>
+      <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#6B7280' }}>
+        Record who belonged to which team and when, with the share of their time (e.g. 50% on two teams).
+        Velocity, capacity and contention use the membership at the time the work was done.
+        Without teams, team labels (<code>team::name</code>) are used.
+      </p>
+
+      {error && (
+        <div style={{ padding: '8px 12px', marginBottom: '12px', background: '#FEE2E2', borderRadius: '6px', fontSize: '13px', color: '#991B1B' }}>
+          {error}
+        </div>
+      )}
+
+      {overallocated.length > 0 && (
+        <div style={{ padding: '8px 12px', marginBottom: '12px', background: '#FEF3C7', borderRadius: '6px', fontSize: '13px', color: '#92400E' }}>
+          Allocated above 100% today (scaled down in calculations):{' '}
+          {overallocated.map(m => `${memberName(m.username)} (${m.allocationPercent}%)`).join(', ')}
+        </div>
+      )}
+
+      {teams.length === 0 && (
+        <div style={{ padding: '16px', textAlign: 'center', color: '#9CA3AF', fontSize: '13px' }}>
+          No teams defined yet.
+        </div>
+      )}
+
+      {teams.map(team => {
+        const draft = drafts[team.id] || emptyMembership
+        const memberships = [...team.memberships].sort((a, b) =>
+          (b.startDate || '').localeCompare(a.startDate || '') || a.username.localeCompare(b.username)
+        )
+
+        return (
+          <div key={team.id} style={{ background: 'white', border: '1px solid #E5E7EB', borderRadius: '6px', padding: '12px', marginBottom: '12px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+              <strong style={{ fontSize: '14px', color: '#1F2937' }}>{team.name}</strong>
+              <button
+                onClick={() => handleDeleteTeam(team)}
+                style={{ padding: '2px 8px', background: 'none', border: 'none', color: '#DC2626', cursor: 'pointer', fontSize: '12px' }}
+              >
+                Delete Team
+              </button>
+            </div>
+
+            {memberships.length > 0 && (
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '8px' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', color: '#6B7280' }}>
+                    <th style={{ padding: '4px 8px', fontWeight: '600' }}>Member</th>
+                    <th style={{ padding: '4px 8px', fontWeight: '600' }}>From</th>
+                    <th style={{ padding: '4px 8px', fontWeight: '600' }}>Until</th>
+                    <th style={{ padding: '4px 8px', fontWeight: '600' }}>Allocation</th>
+                    <th style={{ padding: '4px 8px' }}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {memberships.map(membership => (
+                    <tr key={membership.id} style={{ opacity: isMembershipActive(membership, new Date()) ? 1 : 0.6 }}>
+                      <td style={cellStyle}>{memberName(membership.username)}</td>
+                      <td style={cellStyle}>{formatDate(membership.startDate) || 'always'}</td>
+                      <td style={cellStyle}>{formatDate(membership.endDate) || 'ongoing'}</td>
+                      <td style={cellStyle}>{membership.allocation}%</td>
+                      <td style={{ ...cellStyle, textAlign: 'right' }}>
+                        <button
+                          onClick={() => handleRemoveMembership(team, membership.id)}
+                          title="Remove membership"
+                          style={{ background: 'none', border: 'none', color: '#DC2626', cursor: 'pointer', fontSize: '12px' }}
+                        >
+                          ×
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap' }}>
+              <select
+                value={draft.username}
+                onChange={(e) => updateDraft(team.id, 'username', e.target.value)}
+                style={inputStyle}
+              >
+                <option value="">Select member...</option>
+                {teamMembers.map(member => (
+                  <option key={member.username} value={member.username}>
+                    {member.name || member.username}
+                  </option>
+                ))}
+              </select>
+              <label style={{ fontSize: '12px', color: '#6B7280' }}>
+                From{' '}
+                <input
+                  type="date"
+                  value={draft.startDate}
+                  onChange={(e) => updateDraft(team.id, 'startDate', e.target.value)}
+                  style={inputStyle}
+                />
+              </label>
+              <label style={{ fontSize: '12px', color: '#6B7280' }}>
+                Until{' '}
+                <input
+                  type="date"
+                  value={draft.endDate}
+                  onChange={(e) => updateDraft(team.id, 'endDate', e.target.value)}
+                  style={inputStyle}
+                />
+              </label>
+              <label style={{ fontSize: '12px', color: '#6B7280' }}>
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={draft.allocation}
+                  onChange={(e) => updateDraft(team.id, 'allocation', parseInt(e.target.value) || 0)}
+                  style={{ ...inputStyle, width: '64px' }}
+                />{' '}%
+              </label>
+              <button
+                onClick={() => handleAddMembership(team)}
+                disabled={!draft.username}
+                style={{
+                  padding: '6px 12px',
+                  background: 'white',
+                  color: '#374151',
+                  border: '1px solid #D1D5DB',
+                  borderRadius: '6px',
+                  fontSize: '13px',
+                  cursor: draft.username ? 'pointer' : 'not-allowed'
+                }}
+              >
+                Add Membership
+              </button>
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
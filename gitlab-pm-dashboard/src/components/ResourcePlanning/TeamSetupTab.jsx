@@ -2,6 +2,17 @@ import React, { useState, useEffect } from 'react'
 import { loadTeamConfig, saveTeamConfig, DEFAULT_ROLES } from '../../services/teamConfigService'
 import { importTeamFromIssues, calculateTeamVelocity } from '../../services/teamImportService'
 import { loadVelocityConfig, saveVelocityConfig, resetVelocityConfig } from '../../services/velocityConfigService'
+import { loadHolidayCalendars, getWorkWeek, formatWorkWeek, DEFAULT_WORK_DAYS, WEEKDAY_LABELS } from '../../services/holidayCalendarService'
+import {
+  SKILL_LEVELS,
+  getMemberSkills,
+  getSkillLevel,
+  setMemberSkillLevel,
+  getTeamSkills,
+  loadSkillLabelMapping,
+  saveSkillLabelMapping
+} from '../../services/skillsService'
+import NamedTeamsEditor from './NamedTeamsEditor'
 
 /**
  * Team Setup Tab
@@ -17,9 +28,16 @@ export default function TeamSetupTab({ isCrossProject, onTeamUpdate, issues = []
   const [selectedMembers, setSelectedMembers] = useState([])
   const [velocityConfig, setVelocityConfig] = useState(loadVelocityConfig())
   const [showVelocityConfig, setShowVelocityConfig] = useState(false)
+  const [holidayCalendars, setHolidayCalendars] = useState([])
+  const [newSkill, setNewSkill] = useState('')
+  const [pendingSkills, setPendingSkills] = useState([]) // Added columns nobody has a level for yet
+  const [skillMapping, setSkillMapping] = useState([])
+  const [newSkillMapping, setNewSkillMapping] = useState({ label: '', skill: '' })
 
   useEffect(() => {
     loadTeam()
+    setHolidayCalendars(loadHolidayCalendars())
+    setSkillMapping(loadSkillLabelMapping())
   }, [])
 
   useEffect(() => {
@@ -105,6 +123,74 @@ export default function TeamSetupTab({ isCrossProject, onTeamUpdate, issues = []
     onTeamUpdate()
   }
 
+  const handleToggleWorkDay = (index, day) => {
+    const current = getWorkWeek(teamMembers[index])
+    const workDays = current.includes(day) ? current.filter(d => d !== day) : [...current, day].sort((a, b) => a - b)
+    if (workDays.length === 0) return // At least one working day
+
+    // Store only non-default work weeks
+    const isDefault = workDays.length === DEFAULT_WORK_DAYS.length && workDays.every((d, i) => d === DEFAULT_WORK_DAYS[i])
+    handleUpdateMember(index, 'workDays', isDefault ? undefined : workDays)
+  }
+
+  const handleSetSkillLevel = (index, skill, level) => {
+    const updated = [...teamMembers]
+    updated[index] = setMemberSkillLevel(updated[index], skill, level)
+    setTeamMembers(updated)
+
+    // Auto-save after updating
+    const config = loadTeamConfig()
+    config.teamMembers = updated
+    saveTeamConfig(config)
+    onTeamUpdate()
+  }
+
+  const handleAddSkill = () => {
+    const skill = newSkill.trim()
+    if (!skill) return
+
+    const known = [...getTeamSkills(teamMembers), ...pendingSkills]
+    if (!known.some(s => s.toLowerCase() === skill.toLowerCase())) {
+      setPendingSkills([...pendingSkills, skill])
+    }
+    setNewSkill('')
+  }
+
+  const handleRemoveSkill = (skill) => {
+    if (!confirm(`Remove skill "${skill}" from all team members?`)) return
+
+    setPendingSkills(pendingSkills.filter(s => s !== skill))
+    const updated = teamMembers.map(member => setMemberSkillLevel(member, skill, 0))
+    setTeamMembers(updated)
+
+    const config = loadTeamConfig()
+    config.teamMembers = updated
+    saveTeamConfig(config)
+    onTeamUpdate()
+  }
+
+  const handleAddSkillMapping = () => {
+    const label = newSkillMapping.label.trim()
+    const skill = newSkillMapping.skill.trim()
+    if (!label || !skill) return
+
+    const updated = [
+      ...skillMapping.filter(m => m.label.toLowerCase() !== label.toLowerCase()),
+      { label, skill }
+    ]
+    saveSkillLabelMapping(updated)
+    setSkillMapping(updated)
+    setNewSkillMapping({ label: '', skill: '' })
+    onTeamUpdate()
+  }
+
+  const handleRemoveSkillMapping = (label) => {
+    const updated = skillMapping.filter(m => m.label !== label)
+    saveSkillLabelMapping(updated)
+    setSkillMapping(updated)
+    onTeamUpdate()
+  }
+
   const handleDeleteMember = (index) => {
     if (confirm(`Remove ${teamMembers[index].username} from the team?`)) {
       const updated = teamMembers.filter((_, i) => i !== index)
@@ -181,6 +267,13 @@ export default function TeamSetupTab({ isCrossProject, onTeamUpdate, issues = []
     }))
   }
 
+  const teamSkills = getTeamSkills(teamMembers)
+  const skillColumns = [
+    ...teamSkills,
+    ...pendingSkills.filter(skill => !teamSkills.some(s => s.toLowerCase() === skill.toLowerCase()))
+  ]
+  const issueLabels = Array.from(new Set(issues.flatMap(issue => issue.labels || []))).sort()
+
   if (isCrossProject) {
     return (
       <div style={{
@@ -972,6 +1065,54 @@ export default function TeamSetupTab({ isCrossProject, onTeamUpdate, issues = []
                           }}
                         />
                       </div>
+                      <div>
+                        <label style={{ display: 'block', fontSize: '11px', color: '#6B7280', marginBottom: '4px', fontWeight: '500' }}>Holiday Region</label>
+                        <select
+                          value={member.region || ''}
+                          onChange={(e) => handleUpdateMember(index, 'region', e.target.value || undefined)}
+                          style={{
+                            padding: '6px 10px',
+                            border: '1px solid #D1D5DB',
+                            borderRadius: '4px',
+                            fontSize: '13px',
+                            width: '100%'
+                          }}
+                        >
+                          <option value="">No holidays</option>
+                          {holidayCalendars.map(calendar => (
+                            <option key={calendar.id} value={calendar.id}>{calendar.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label style={{ display: 'block', fontSize: '11px', color: '#6B7280', marginBottom: '4px', fontWeight: '500' }}>Work Week</label>
+                        <div style={{ display: 'flex', gap: '2px' }}>
+                          {[1, 2, 3, 4, 5, 6, 0].map(day => {
+                            const active = getWorkWeek(member).includes(day)
+                            return (
+                              <button
+                                key={day}
+                                type="button"
+                                onClick={() => handleToggleWorkDay(index, day)}
+                                title={active ? `Working on ${WEEKDAY_LABELS[day]}` : `Not working on ${WEEKDAY_LABELS[day]}`}
+                                style={{
+                                  flex: 1,
+                                  padding: '6px 0',
+                                  background: active ? '#3B82F6' : 'white',
+                                  color: active ? 'white' : '#6B7280',
+                                  border: active ? '1px solid #3B82F6' : '1px solid #D1D5DB',
+                                  borderRadius: '4px',
+                                  fontSize: '11px',
+                                  fontWeight: '600',
+                                  cursor: 'pointer'
+                                }}
+                              >
+                                {WEEKDAY_LABELS[day].charAt(0)}
+                              </button>
+                            )
+                          })}
+                        </div>
+                      </div>
                     </div>
                   ) : (
                     <>
@@ -999,6 +1140,30 @@ export default function TeamSetupTab({ isCrossProject, onTeamUpdate, issues = []
                         }}>
                           {member.defaultCapacity}h/week
                         </span>
+                        {member.workDays && (
+                          <span style={{
+                            padding: '3px 10px',
+                            background: '#F3F4F6',
+                            color: '#6B7280',
+                            borderRadius: '12px',
+                            fontSize: '11px',
+                            fontWeight: '500'
+                          }}>
+                            {formatWorkWeek(getWorkWeek(member))}
+                          </span>
+                        )}
+                        {member.region && (
+                          <span style={{
+                            padding: '3px 10px',
+                            background: '#FEF3C7',
+                            color: '#92400E',
+                            borderRadius: '12px',
+                            fontSize: '11px',
+                            fontWeight: '500'
+                          }}>
+                            {holidayCalendars.find(c => c.id === member.region)?.name || 'Unknown region'}
+                          </span>
+                        )}
                       </div>
                       <div style={{ fontSize: '13px', color: '#6B7280', display: 'flex', gap: '12px', flexWrap: 'wrap' }}>
                         {member.username && <span>@{member.username}</span>}
@@ -1010,6 +1175,26 @@ export default function TeamSetupTab({ isCrossProject, onTeamUpdate, issues = []
                           </span>
                         )}
                       </div>
+                      {getMemberSkills(member).length > 0 && (
+                        <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', marginTop: '6px' }}>
+                          {getMemberSkills(member).map(skill => (
+                            <span
+                              key={skill.name}
+                              title={SKILL_LEVELS.find(l => l.value === skill.level)?.label}
+                              style={{
+                                padding: '2px 8px',
+                                background: '#ECFDF5',
+                                color: '#065F46',
+                                borderRadius: '10px',
+                                fontSize: '11px',
+                                fontWeight: '500'
+                              }}
+                            >
+                              {skill.name} {'●'.repeat(skill.level)}
+                            </span>
+                          ))}
+                        </div>
+                      )}
                     </>
                   )}
                 </div>
@@ -1073,6 +1258,198 @@ export default function TeamSetupTab({ isCrossProject, onTeamUpdate, issues = []
         )}
       </div>
 
+      {/* Skills Matrix */}
+      {teamMembers.length > 0 && (
+        <div style={{
+          background: '#F9FAFB',
+          border: '1px solid #E5E7EB',
+          borderRadius: '8px',
+          padding: '20px',
+          marginBottom: '20px'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937' }}>
+              Skills Matrix
+            </h3>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input
+                type="text"
+                value={newSkill}
+                onChange={(e) => setNewSkill(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddSkill()}
+                placeholder="New skill, e.g. Python"
+                style={{
+                  padding: '6px 10px',
+                  border: '1px solid #D1D5DB',
+                  borderRadius: '4px',
+                  fontSize: '13px'
+                }}
+              />
+              <button
+                onClick={handleAddSkill}
+                disabled={!newSkill.trim()}
+                style={{
+                  padding: '6px 12px',
+                  background: '#3B82F6',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '6px',
+                  fontSize: '13px',
+                  fontWeight: '500',
+                  cursor: newSkill.trim() ? 'pointer' : 'not-allowed',
+                  opacity: newSkill.trim() ? 1 : 0.6
+                }}
+              >
+                + Add Skill
+              </button>
+            </div>
+          </div>
+          <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#6B7280' }}>
+            Proficiency per member drives reassignment and sprint planning suggestions.
+            Issues require a skill through a <code>skill::Name</code> label, a label named like the skill, or a label mapped below.
+          </p>
+
+          {skillColumns.length === 0 ? (
+            <div style={{ padding: '16px', textAlign: 'center', color: '#9CA3AF', fontSize: '13px' }}>
+              No skills defined yet. Add a skill to start the matrix.
+            </div>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', background: 'white' }}>
+                <thead>
+                  <tr style={{ background: '#F3F4F6' }}>
+                    <th style={{ padding: '8px 12px', textAlign: 'left', fontWeight: '600', color: '#374151' }}>Member</th>
+                    {skillColumns.map(skill => (
+                      <th key={skill} style={{ padding: '8px', textAlign: 'center', fontWeight: '600', color: '#374151', whiteSpace: 'nowrap' }}>
+                        {skill}
+                        <button
+                          onClick={() => handleRemoveSkill(skill)}
+                          title={`Remove ${skill}`}
+                          style={{ marginLeft: '4px', background: 'none', border: 'none', color: '#9CA3AF', cursor: 'pointer', fontSize: '12px' }}
+                        >
+                          ×
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {teamMembers.map((member, index) => (
+                    <tr key={member.username} style={{ borderTop: '1px solid #E5E7EB' }}>
+                      <td style={{ padding: '6px 12px', color: '#1F2937', whiteSpace: 'nowrap' }}>
+                        {member.name || member.username}
+                        <span style={{ marginLeft: '6px', fontSize: '11px', color: '#9CA3AF' }}>{member.role}</span>
+                      </td>
+                      {skillColumns.map(skill => {
+                        const level = getSkillLevel(member, skill)
+                        return (
+                          <td key={skill} style={{ padding: '6px 8px', textAlign: 'center' }}>
+                            <select
+                              value={level}
+                              onChange={(e) => handleSetSkillLevel(index, skill, parseInt(e.target.value))}
+                              style={{
+                                padding: '4px 6px',
+                                border: '1px solid #D1D5DB',
+                                borderRadius: '4px',
+                                fontSize: '12px',
+                                background: level === 3 ? '#D1FAE5' : level === 2 ? '#ECFDF5' : level === 1 ? '#F0FDF4' : 'white'
+                              }}
+                            >
+                              <option value={0}>-</option>
+                              {SKILL_LEVELS.map(l => (
+                                <option key={l.value} value={l.value}>{l.label}</option>
+                              ))}
+                            </select>
+                          </td>
+                        )
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Label → skill mapping */}
+          <div style={{ marginTop: '16px' }}>
+            <div style={{ fontSize: '13px', fontWeight: '600', color: '#374151', marginBottom: '8px' }}>
+              Label Mapping
+            </div>
+            {skillMapping.length > 0 && (
+              <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '8px' }}>
+                {skillMapping.map(entry => (
+                  <span
+                    key={entry.label}
+                    style={{
+                      padding: '3px 8px',
+                      background: 'white',
+                      border: '1px solid #E5E7EB',
+                      borderRadius: '12px',
+                      fontSize: '12px',
+                      color: '#374151'
+                    }}
+                  >
+                    {entry.label} → {entry.skill}
+                    <button
+                      onClick={() => handleRemoveSkillMapping(entry.label)}
+                      title="Remove mapping"
+                      style={{ marginLeft: '4px', background: 'none', border: 'none', color: '#DC2626', cursor: 'pointer', fontSize: '12px' }}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <input
+                type="text"
+                list="skill-mapping-labels"
+                value={newSkillMapping.label}
+                onChange={(e) => setNewSkillMapping({ ...newSkillMapping, label: e.target.value })}
+                placeholder="GitLab label, e.g. backend"
+                style={{ padding: '6px 10px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '13px' }}
+              />
+              <datalist id="skill-mapping-labels">
+                {issueLabels.map(label => <option key={label} value={label} />)}
+              </datalist>
+              <span style={{ color: '#6B7280' }}>→</span>
+              <input
+                type="text"
+                list="skill-mapping-skills"
+                value={newSkillMapping.skill}
+                onChange={(e) => setNewSkillMapping({ ...newSkillMapping, skill: e.target.value })}
+                placeholder="Skill"
+                style={{ padding: '6px 10px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '13px' }}
+              />
+              <datalist id="skill-mapping-skills">
+                {skillColumns.map(skill => <option key={skill} value={skill} />)}
+              </datalist>
+              <button
+                onClick={handleAddSkillMapping}
+                disabled={!newSkillMapping.label.trim() || !newSkillMapping.skill.trim()}
+                style={{
+                  padding: '6px 12px',
+                  background: 'white',
+                  color: '#374151',
+                  border: '1px solid #D1D5DB',
+                  borderRadius: '6px',
+                  fontSize: '13px',
+                  cursor: 'pointer'
+                }}
+              >
+                Map Label
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Named Teams */}
+      {teamMembers.length > 0 && (
+        <NamedTeamsEditor teamMembers={teamMembers} onTeamUpdate={onTeamUpdate} />
+      )}
+
       {/* Add New Member */}
       <div style={{
         background: '#F9FAFB',
@@ -0,0 +1,320 @@
+import React, { useState, useMemo } from 'react'
+import {
+  createBackup,
+  compareBackups,
+  restoreMergedBackup,
+  getDefaultResolution,
+  getResolutionKey,
+  getRecordLabel,
+  RECORD_CATEGORIES,
+  RESOLUTION
+} from '../services/backupService.js'
+
+const STATUS_STYLES = {
+  added: { label: 'Only in backup', color: '#059669', background: '#D1FAE5' },
+  removed: { label: 'Only local', color: '#2563EB', background: '#DBEAFE' },
+  modified: { label: 'Conflict', color: '#B45309', background: '#FEF3C7' }
+}
+
+const RESOLUTION_OPTIONS = {
+  added: [
+    { value: RESOLUTION.TAKE_BACKUP, label: 'Take backup' },
+    { value: RESOLUTION.KEEP_LOCAL, label: 'Skip' }
+  ],
+  removed: [
+    { value: RESOLUTION.KEEP_LOCAL, label: 'Keep local' },
+    { value: RESOLUTION.TAKE_BACKUP, label: 'Remove (as in backup)' }
+  ],
+  modified: [
+    { value: RESOLUTION.KEEP_LOCAL, label: 'Keep local' },
+    { value: RESOLUTION.TAKE_BACKUP, label: 'Take backup' },
+    { value: RESOLUTION.KEEP_BOTH, label: 'Keep both' }
+  ]
+}
+
+const formatCategory = category => category
+  .replace(/([A-Z])/g, ' $1')
+  .replace(/^./, c => c.toUpperCase())
+
+/**
+ * Restore Wizard
+ * Merge-aware restore: compares the backup with the local data and lets the user pick
+ * keep-local / take-backup / keep-both per record before applying the merged result
+ */
+export default function RestoreWizard({ backup, onApply, onCancel }) {
+  const [step, setStep] = useState('categories') // categories | records | summary
+  const [resolutions, setResolutions] = useState({})
+  const [expanded, setExpanded] = useState(null) // resolution key of the record showing details
+
+  const comparison = useMemo(() => compareBackups(createBackup(), backup), [backup])
+
+  const collections = useMemo(
+    () => comparison.records.filter(c => c.counts.added + c.counts.removed + c.counts.modified > 0),
+    [comparison]
+  )
+  const otherCategories = [...comparison.added, ...comparison.modified].filter(c => !RECORD_CATEGORIES.includes(c))
+
+  // Categories missing locally are taken by default, changed ones keep the local version
+  const [takeCategories, setTakeCategories] = useState(() => comparison.added.filter(c => !RECORD_CATEGORIES.includes(c)))
+
+  const getResolution = (collection, entry) =>
+    resolutions[getResolutionKey(collection.id, entry.recordId)] || getDefaultResolution(entry)
+
+  const setResolution = (collection, entry, value) => {
+    setResolutions(prev => ({ ...prev, [getResolutionKey(collection.id, entry.recordId)]: value }))
+  }
+
+  const setAll = (collection, value) => {
+    setResolutions(prev => {
+      const next = { ...prev }
+      collection.entries.forEach(entry => {
+        if (entry.status === 'unchanged') return
+        // "Keep both" only applies to conflicts; other records fall back to taking the backup
+        next[getResolutionKey(collection.id, entry.recordId)] =
+          value === RESOLUTION.KEEP_BOTH && entry.status !== 'modified' ? RESOLUTION.TAKE_BACKUP : value
+      })
+      return next
+    })
+  }
+
+  const toggleCategory = (category) => {
+    setTakeCategories(prev => prev.includes(category) ? prev.filter(c => c !== category) : [...prev, category])
+  }
+
+  const summary = useMemo(() => {
+    const totals = { taken: 0, kept: 0, both: 0, removed: 0 }
+    collections.forEach(collection => {
+      collection.entries.forEach(entry => {
+        if (entry.status === 'unchanged') return
+        const resolution = resolutions[getResolutionKey(collection.id, entry.recordId)] || getDefaultResolution(entry)
+        if (resolution === RESOLUTION.KEEP_BOTH) totals.both++
+        else if (resolution === RESOLUTION.KEEP_LOCAL) totals.kept++
+        else if (entry.status === 'removed') totals.removed++
+        else totals.taken++
+      })
+    })
+    return totals
+  }, [collections, resolutions])
+
+  const handleApply = () => {
+    const result = restoreMergedBackup(backup, comparison, { resolutions, categories: takeCategories })
+    onApply(result)
+  }
+
+  const stepStyle = active => ({
+    padding: '6px 12px',
+    borderRadius: '999px',
+    fontSize: '13px',
+    fontWeight: active ? '600' : '400',
+    background: active ? '#1f77b4' : '#F3F4F6',
+    color: active ? 'white' : '#6B7280'
+  })
+
+  const renderValue = value => {
+    if (value === null || value === undefined || value === '') return '—'
+    return typeof value === 'object' ? JSON.stringify(value) : String(value)
+  }
+
+  return (
+    <div style={{ marginTop: '1rem', border: '1px solid #ddd', borderRadius: '8px', padding: '1rem' }}>
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '1rem', flexWrap: 'wrap' }}>
+        <span style={stepStyle(step === 'categories')}>1. Categories</span>
+        <span style={stepStyle(step === 'records')}>2. Records</span>
+        <span style={stepStyle(step === 'summary')}>3. Apply</span>
+      </div>
+
+      {step === 'categories' && (
+        <div>
+          <h4 style={{ margin: '0 0 0.5rem 0' }}>Record lists</h4>
+          {collections.length === 0 ? (
+            <p className="help-text" style={{ marginLeft: 0 }}>No record differences between the backup and your local data.</p>
+          ) : (
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '1rem' }}>
+              <thead>
+                <tr style={{ background: '#F9FAFB', textAlign: 'left' }}>
+                  <th style={{ padding: '8px' }}>List</th>
+                  <th style={{ padding: '8px' }}>Only in backup</th>
+                  <th style={{ padding: '8px' }}>Only local</th>
+                  <th style={{ padding: '8px' }}>Conflicts</th>
+                  <th style={{ padding: '8px' }}>Identical</th>
+                </tr>
+              </thead>
+              <tbody>
+                {collections.map(collection => (
+                  <tr key={collection.id} style={{ borderTop: '1px solid #E5E7EB' }}>
+                    <td style={{ padding: '8px' }}>{collection.label}</td>
+                    <td style={{ padding: '8px', color: STATUS_STYLES.added.color }}>{collection.counts.added}</td>
+                    <td style={{ padding: '8px', color: STATUS_STYLES.removed.color }}>{collection.counts.removed}</td>
+                    <td style={{ padding: '8px', color: STATUS_STYLES.modified.color }}>{collection.counts.modified}</td>
+                    <td style={{ padding: '8px', color: '#6B7280' }}>{collection.counts.unchanged}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h4 style={{ margin: '0 0 0.5rem 0' }}>Settings</h4>
+          {otherCategories.length === 0 ? (
+            <p className="help-text" style={{ marginLeft: 0 }}>Settings in the backup match your local settings.</p>
+          ) : (
+            <div className="form-group">
+              {otherCategories.map(category => (
+                <label key={category}>
+                  <input
+                    type="checkbox"
+                    checked={takeCategories.includes(category)}
+                    onChange={() => toggleCategory(category)}
+                  />
+                  Take {formatCategory(category)} from backup
+                  <span style={{ fontSize: '12px', color: '#6B7280' }}>
+                    ({comparison.added.includes(category) ? 'not set locally' : 'differs from local'})
+                  </span>
+                </label>
+              ))}
+              <p className="help-text" style={{ marginLeft: 0 }}>
+                Settings are restored as a whole; unchecked settings keep their local value.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {step === 'records' && (
+        <div>
+          {collections.length === 0 && (
+            <p className="help-text" style={{ marginLeft: 0 }}>Nothing to resolve.</p>
+          )}
+          {collections.map(collection => (
+            <div key={collection.id} style={{ marginBottom: '1.5rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+                <h4 style={{ margin: 0 }}>{collection.label}</h4>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <button className="btn" style={{ padding: '4px 10px', fontSize: '12px' }} onClick={() => setAll(collection, RESOLUTION.KEEP_LOCAL)}>
+                    All local
+                  </button>
+                  <button className="btn" style={{ padding: '4px 10px', fontSize: '12px' }} onClick={() => setAll(collection, RESOLUTION.TAKE_BACKUP)}>
+                    All backup
+                  </button>
+                  <button className="btn" style={{ padding: '4px 10px', fontSize: '12px' }} onClick={() => setAll(collection, RESOLUTION.KEEP_BOTH)}>
+                    Keep both
+                  </button>
+                </div>
+              </div>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                <tbody>
+                  {collection.entries.filter(entry => entry.status !== 'unchanged').map(entry => {
+                    const key = getResolutionKey(collection.id, entry.recordId)
+                    const status = STATUS_STYLES[entry.status]
+                    return (
+                      <React.Fragment key={key}>
+                        <tr style={{ borderTop: '1px solid #E5E7EB' }}>
+                          <td style={{ padding: '8px', width: '110px' }}>
+                            <span style={{ fontSize: '11px', fontWeight: '600', padding: '2px 8px', borderRadius: '10px', color: status.color, background: status.background }}>
+                              {status.label}
+                            </span>
+                          </td>
+                          <td style={{ padding: '8px' }}>
+                            {getRecordLabel(entry.local || entry.backup)}
+                            {entry.status === 'modified' && (
+                              <button
+                                onClick={() => setExpanded(expanded === key ? null : key)}
+                                style={{ marginLeft: '8px', border: 'none', background: 'none', color: '#1f77b4', cursor: 'pointer', fontSize: '12px' }}
+                              >
+                                {expanded === key ? 'Hide' : `${entry.changedFields.length} field(s) differ`}
+                              </button>
+                            )}
+                          </td>
+                          <td style={{ padding: '8px', width: '190px' }}>
+                            <select
+                              value={getResolution(collection, entry)}
+                              onChange={(e) => setResolution(collection, entry, e.target.value)}
+                              style={{ width: '100%', padding: '4px 8px', border: '1px solid #D1D5DB', borderRadius: '4px' }}
+                            >
+                              {RESOLUTION_OPTIONS[entry.status].map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                              ))}
+                            </select>
+                          </td>
+                        </tr>
+                        {expanded === key && (
+                          <tr>
+                            <td colSpan={3} style={{ padding: '0 8px 8px 8px' }}>
+                              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', background: '#F9FAFB' }}>
+                                <thead>
+                                  <tr style={{ textAlign: 'left', color: '#6B7280' }}>
+                                    <th style={{ padding: '4px 8px' }}>Field</th>
+                                    <th style={{ padding: '4px 8px' }}>Local</th>
+                                    <th style={{ padding: '4px 8px' }}>Backup</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {entry.changedFields.map(field => (
+                                    <tr key={field}>
+                                      <td style={{ padding: '4px 8px', fontWeight: '600' }}>{field}</td>
+                                      <td style={{ padding: '4px 8px', wordBreak: 'break-word' }}>{renderValue(entry.local?.[field])}</td>
+                                      <td style={{ padding: '4px 8px', wordBreak: 'break-word' }}>{renderValue(entry.backup?.[field])}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {step === 'summary' && (
+        <div>
+          <h4 style={{ margin: '0 0 0.5rem 0' }}>Merged result</h4>
+          <ul style={{ margin: '0 0 1rem 1rem' }}>
+            <li>{summary.taken} record(s) taken from the backup</li>
+            <li>{summary.kept} record(s) kept as they are locally</li>
+            <li>{summary.both} conflict(s) kept in both versions</li>
+            <li>{summary.removed} local-only record(s) removed</li>
+            <li>
+              Settings taken from the backup: {takeCategories.length > 0 ? takeCategories.map(formatCategory).join(', ') : 'none'}
+            </li>
+          </ul>
+          <p className="help-text" style={{ marginLeft: 0 }}>
+            Records you have not touched keep their local version; records that only exist in the backup are added.
+          </p>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '1rem' }}>
+        <button className="btn btn-secondary" style={{ marginLeft: 0 }} onClick={onCancel}>
+          Cancel
+        </button>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          {step !== 'categories' && (
+            <button className="btn" onClick={() => setStep(step === 'summary' ? 'records' : 'categories')}>
+              Back
+            </button>
+          )}
+          {step === 'categories' && (
+            <button className="btn btn-primary" onClick={() => setStep('records')}>
+              Next: Records
+            </button>
+          )}
+          {step === 'records' && (
+            <button className="btn btn-primary" onClick={() => setStep('summary')}>
+              Next: Review
+            </button>
+          )}
+          {step === 'summary' && (
+            <button className="btn btn-primary" onClick={handleApply}>
+              Apply Merged Restore
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
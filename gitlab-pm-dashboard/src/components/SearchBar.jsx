@@ -1,13 +1,18 @@
-import React from 'react'
+import React, { useState } from 'react'
+import BulkEditPanel from './BulkEditPanel'
 
 /**
  * Universal Search Bar Component
  * Supports multi-field search across issues, epics, labels, assignees, etc.
+ * Pass bulkEditIssues (the search results) to offer bulk editing of the matches
  */
-export default function SearchBar({ value, onChange, placeholder = "Search...", onClear }) {
+export default function SearchBar({ value, onChange, placeholder = "Search...", onClear, bulkEditIssues, milestones }) {
+  const [showBulkEdit, setShowBulkEdit] = useState(false)
+
   return (
     <div style={{ marginBottom: '20px' }}>
-      <div style={{ position: 'relative', maxWidth: '600px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+      <div style={{ position: 'relative', maxWidth: '600px', flex: 1 }}>
         <input
           type="text"
           value={value}
@@ -68,6 +73,12 @@ export default function SearchBar({ value, onChange, placeholder = "Search...",
           </button>
         )}
       </div>
+      {value && bulkEditIssues?.length > 0 && (
+        <button className="btn" onClick={() => setShowBulkEdit(true)} style={{ whiteSpace: 'nowrap' }}>
+          ✎ Bulk edit {bulkEditIssues.length} results
+        </button>
+      )}
+      </div>
       {value && (
         <div style={{
           fontSize: '12px',
@@ -78,6 +89,15 @@ export default function SearchBar({ value, onChange, placeholder = "Search...",
           💡 Searching: title, labels, assignees, epic, milestone, description, ID
         </div>
       )}
+      {bulkEditIssues && (
+        <BulkEditPanel
+          isOpen={showBulkEdit}
+          onClose={() => setShowBulkEdit(false)}
+          issues={bulkEditIssues}
+          milestones={milestones}
+          title={`Bulk Edit Search Results for "${value}"`}
+        />
+      )}
     </div>
   )
 }
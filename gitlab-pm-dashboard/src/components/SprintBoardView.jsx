@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react'
+import React, { useMemo, useState, useEffect } from 'react'
 import { getSprintFromLabels } from '../utils/labelUtils'
 import {
   calculateWorkingDays,
@@ -9,46 +9,186 @@ import {
   formatRecommendation
 } from '../utils/capacityUtils'
 import { useIterationFilter } from '../contexts/IterationFilterContext'
+import { getBoardColumn, buildColumnMovePatch, BOARD_COLUMN_TITLES } from '../services/boardWriteBackService'
+import useIssueWriteBack from '../hooks/useIssueWriteBack'
+
+// In-card editor for milestone, iteration, weight and due date
+function IssueEditPanel({ issue, milestones, iterations, onUpdate }) {
+  const [weight, setWeight] = useState(issue.weight ?? '')
+
+  // Follow the issue's weight when it changes elsewhere (undo, rollback, refresh)
+  useEffect(() => {
+    setWeight(issue.weight ?? '')
+  }, [issue.weight])
+
+  // Milestones can only be set from the issue's own project or its groups
+  const availableMilestones = milestones.filter(m => !m.project_id || !issue.project_id || m.project_id === issue.project_id)
+
+  const commitWeight = () => {
+    const value = weight === '' ? null : Number(weight)
+    if (value !== (issue.weight ?? null) && (value === null || value >= 0)) {
+      onUpdate({ weight: value }, `Weight of #${issue.iid} set to ${value ?? 'none'}`)
+    }
+  }
+
+  const fieldStyle = { width: '100%', padding: '4px 6px', fontSize: '12px', border: '1px solid #D1D5DB', borderRadius: '4px' }
+  const labelStyle = { display: 'block', fontSize: '11px', color: '#6B7280', marginBottom: '2px' }
+
+  return (
+    <div
+      onClick={e => e.stopPropagation()}
+      style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '10px', paddingTop: '10px', borderTop: '1px solid #E5E7EB' }}
+    >
+      <div>
+        <label style={labelStyle}>Milestone</label>
+        <select
+          style={fieldStyle}
+          value={issue.milestone?.id || ''}
+          onChange={e => {
+            const milestone = availableMilestones.find(m => String(m.id) === e.target.value) || null
+            onUpdate({ milestone }, `Milestone of #${issue.iid} set to ${milestone?.title || 'none'}`)
+          }}
+        >
+          <option value="">None</option>
+          {issue.milestone && !availableMilestones.some(m => m.id === issue.milestone.id) && (
+            <option value={issue.milestone.id}>{issue.milestone.title}</option>
+          )}
+          {availableMilestones.map(m => (
+            <option key={m.id} value={m.id}>{m.title}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>Iteration</label>
+        <select
+          style={fieldStyle}
+          value={issue.iteration?.id || ''}
+          onChange={e => {
+            const iteration = iterations.find(it => String(it.id) === e.target.value) || null
+            onUpdate({ iteration }, `Iteration of #${issue.iid} set to ${iteration?.title || 'none'}`)
+          }}
+        >
+          <option value="">None</option>
+          {iterations.map(it => (
+            <option key={it.id} value={it.id}>{it.title || `Iteration ${it.iid}`}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label style={labelStyle}>Weight</label>
+        <input
+          type="number"
+          min="0"
+          style={fieldStyle}
+          value={weight}
+          onChange={e => setWeight(e.target.value)}
+          onBlur={commitWeight}
+          onKeyDown={e => e.key === 'Enter' && commitWeight()}
+        />
+      </div>
+      <div>
+        <label style={labelStyle}>Due date</label>
+        <input
+          type="date"
+          style={fieldStyle}
+          value={issue.due_date || ''}
+          onChange={e => onUpdate({ due_date: e.target.value || null }, `Due date of #${issue.iid} set to ${e.target.value || 'none'}`)}
+        />
+      </div>
+    </div>
+  )
+}
+
+// Issue card component for the board columns (draggable between columns)
+function IssueCard({ issue, isDone = false, pending = false, milestones, iterations, onUpdate }) {
+  const [editing, setEditing] = useState(false)
 
-// Issue card component for the board columns
-function IssueCard({ issue, isDone = false }) {
   return (
     <div
       className="card"
+      draggable={!pending}
+      onDragStart={e => {
+        e.dataTransfer.setData('text/plain', String(issue.id))
+        e.dataTransfer.effectAllowed = 'move'
+      }}
       style={{
         padding: '12px',
-        cursor: 'pointer',
+        cursor: pending ? 'progress' : 'grab',
+        opacity: pending ? 0.6 : 1,
         transition: 'all 0.2s'
       }}
       onClick={() => window.open(issue.web_url, '_blank')}
       onMouseOver={e => e.currentTarget.style.boxShadow = '0 4px 6px rgba(0,0,0,0.1)'}
       onMouseOut={e => e.currentTarget.style.boxShadow = '0 1px 2px rgba(0,0,0,0.05)'}
     >
-      <div style={{
-        fontSize: '13px',
-        fontWeight: '500',
-        marginBottom: '4px',
-        textDecoration: isDone ? 'line-through' : 'none',
-        color: isDone ? 'var(--text-secondary)' : 'inherit'
-      }}>
-        #{issue.iid} {issue.title}
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+        <div style={{
+          fontSize: '13px',
+          fontWeight: '500',
+          marginBottom: '4px',
+          textDecoration: isDone ? 'line-through' : 'none',
+          color: isDone ? 'var(--text-secondary)' : 'inherit'
+        }}>
+          #{issue.iid} {issue.title}
+        </div>
+        <button
+          title="Edit milestone, iteration, weight and due date"
+          disabled={pending}
+          onClick={e => {
+            e.stopPropagation()
+            setEditing(!editing)
+          }}
+          style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: '13px', color: '#6B7280', padding: 0, alignSelf: 'flex-start' }}
+        >
+          ✎
+        </button>
       </div>
       <div className="text-small text-muted" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
         <span>{issue.assignees?.[0]?.name || 'Unassigned'}</span>
         {issue.weight && <span style={{ fontWeight: '600' }}>{issue.weight} pts</span>}
       </div>
+      {(issue.milestone || issue.due_date) && (
+        <div className="text-small text-muted" style={{ marginTop: '4px' }}>
+          {issue.milestone && <span>🎯 {issue.milestone.title}</span>}
+          {issue.milestone && issue.due_date && ' • '}
+          {issue.due_date && <span>📅 {new Date(issue.due_date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}</span>}
+        </div>
+      )}
+      {editing && (
+        <IssueEditPanel issue={issue} milestones={milestones} iterations={iterations} onUpdate={onUpdate} />
+      )}
     </div>
   )
 }
 
-export default function SprintBoardView({ issues: allIssues }) {
+export default function SprintBoardView({ issues: allIssues, milestones = [] }) {
   const [expandedSprint, setExpandedSprint] = useState(null)
+  const [dragOverColumn, setDragOverColumn] = useState(null) // `${sprint}:${column}`
 
   // Use iteration filter context
   const { filteredIssues, selectedIterations } = useIterationFilter()
 
+  // Optimistic write-back of board changes to GitLab
+  const { applyOverrides, updateIssueFields, undo, history, pending, error: writeError, clearError } = useIssueWriteBack(allIssues)
+
   // Use filtered issues if iterations are selected, otherwise use all issues
-  const issues = selectedIterations.length > 0 ? filteredIssues : allIssues
+  const issues = useMemo(
+    () => applyOverrides(selectedIterations.length > 0 ? filteredIssues : allIssues),
+    [applyOverrides, selectedIterations, filteredIssues, allIssues]
+  )
+
+  // Iterations that issues can be moved to (newest first)
+  const iterations = useMemo(() => {
+    const byId = new Map()
+    allIssues.forEach(issue => {
+      if (issue.iteration?.id && !byId.has(issue.iteration.id)) {
+        byId.set(issue.iteration.id, issue.iteration)
+      }
+    })
+    return Array.from(byId.values()).sort((a, b) => new Date(b.start_date || 0) - new Date(a.start_date || 0))
+  }, [allIssues])
+
+  const activeMilestones = useMemo(() => milestones.filter(m => m.state !== 'closed'), [milestones])
 
   const sprints = useMemo(() => {
     // Build map of iteration name to start date for sorting
@@ -84,34 +224,47 @@ export default function SprintBoardView({ issues: allIssues }) {
     })
   }, [issues])
 
-  // Get the workflow status of an issue based on labels
-  const getWorkflowStatus = (issue) => {
-    // Closed issues are always "done"
-    if (issue.state === 'closed') return 'done'
-
-    // Check for specific status labels (case-insensitive exact match)
-    // Labels can be strings OR objects with a 'name' property
-    const labelNames = (issue.labels || []).map(l => {
-      const labelText = typeof l === 'string' ? l : (l.name || l.title || '')
-      return labelText.toLowerCase().trim()
-    })
-
-    // Cancelled and Awaiting Release go to Done column
-    if (labelNames.includes('status::cancelled') || labelNames.includes('cancelled')) return 'done'
-    if (labelNames.includes('status::awaiting release') || labelNames.includes('awaiting release')) return 'done'
-
-    // In Testing
-    if (labelNames.includes('status::in testing') || labelNames.includes('in testing')) return 'testing'
+  // Move an issue to the column it was dropped on (updates its workflow label in GitLab)
+  const handleDrop = (e, column) => {
+    e.preventDefault()
+    setDragOverColumn(null)
 
-    // In Progress
-    if (labelNames.includes('status::in progress') || labelNames.includes('in progress')) return 'inprogress'
+    const issue = issues.find(i => String(i.id) === e.dataTransfer.getData('text/plain'))
+    if (!issue || pending[issue.id]) return
 
-    // Everything else (including no status label) goes to Backlog
-    // This includes: In Discovery, In Analysis, Awaiting Refinement,
-    // Ready for Work, Done (but open), Awaiting Release, Released, or no label
-    return 'backlog'
+    const patch = buildColumnMovePatch(issue, column, allIssues)
+    if (patch) {
+      updateIssueFields(issue, patch, `Moved #${issue.iid} to ${BOARD_COLUMN_TITLES[column]}`)
+    }
   }
 
+  // Drop target handlers and highlight for a board column
+  const columnDropProps = (sprint, column) => ({
+    onDragOver: e => {
+      e.preventDefault()
+      if (dragOverColumn !== `${sprint}:${column}`) setDragOverColumn(`${sprint}:${column}`)
+    },
+    onDragLeave: e => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDragOverColumn(null)
+    },
+    onDrop: e => handleDrop(e, column)
+  })
+  const dropHighlight = (sprint, column) => ({
+    outline: dragOverColumn === `${sprint}:${column}` ? '2px dashed var(--primary)' : 'none'
+  })
+
+  const renderCard = (issue, isDone = false) => (
+    <IssueCard
+      key={issue.id}
+      issue={issue}
+      isDone={isDone}
+      pending={!!pending[issue.id]}
+      milestones={activeMilestones}
+      iterations={iterations}
+      onUpdate={(patch, description) => updateIssueFields(issue, patch, description)}
+    />
+  )
+
   if (sprints.length === 0) {
     return (
       <div className="container">
@@ -127,7 +280,31 @@ export default function SprintBoardView({ issues: allIssues }) {
 
   return (
     <div className="container-fluid">
-      <h2 className="mb-3">Sprint Board</h2>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '16px' }} className="mb-3">
+        <div>
+          <h2 style={{ marginBottom: '4px' }}>Sprint Board</h2>
+          <div className="text-small text-muted">
+            Drag cards between columns to update their workflow label in GitLab, or use ✎ to edit milestone, iteration, weight and due date
+          </div>
+        </div>
+        {history.length > 0 && (
+          <button
+            className="btn btn-secondary"
+            onClick={undo}
+            title={history[history.length - 1].description}
+            style={{ whiteSpace: 'nowrap' }}
+          >
+            ↶ Undo ({history.length})
+          </button>
+        )}
+      </div>
+
+      {writeError && (
+        <div className="card mb-3" style={{ background: '#FEE2E2', borderColor: '#DC2626', color: '#DC2626', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span><strong>Change rolled back:</strong> {writeError}</span>
+          <button onClick={clearError} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#DC2626', fontSize: '16px' }}>×</button>
+        </div>
+      )}
 
       <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
         {sprints.map(sprint => {
@@ -143,10 +320,10 @@ export default function SprintBoardView({ issues: allIssues }) {
           const dueDate = iterationData?.due_date
 
           const grouped = {
-            backlog: sprintIssues.filter(i => getWorkflowStatus(i) === 'backlog'),
-            inprogress: sprintIssues.filter(i => getWorkflowStatus(i) === 'inprogress'),
-            testing: sprintIssues.filter(i => getWorkflowStatus(i) === 'testing'),
-            done: sprintIssues.filter(i => getWorkflowStatus(i) === 'done')
+            backlog: sprintIssues.filter(i => getBoardColumn(i) === 'backlog'),
+            inprogress: sprintIssues.filter(i => getBoardColumn(i) === 'inprogress'),
+            testing: sprintIssues.filter(i => getBoardColumn(i) === 'testing'),
+            done: sprintIssues.filter(i => getBoardColumn(i) === 'done')
           }
 
           // Calculate story points for each column
@@ -334,7 +511,7 @@ export default function SprintBoardView({ issues: allIssues }) {
 
               <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '16px' }}>
                 {/* Backlog Column */}
-                <div style={{ background: 'var(--bg-secondary)', padding: '16px', borderRadius: '8px' }}>
+                <div {...columnDropProps(sprint, 'backlog')} style={{ background: 'var(--bg-secondary)', padding: '16px', borderRadius: '8px', ...dropHighlight(sprint, 'backlog') }}>
                   <div style={{ marginBottom: '12px' }}>
                     <h4 style={{ fontSize: '14px', fontWeight: '600', marginBottom: '4px' }}>
                       📋 Backlog ({grouped.backlog.length})
@@ -344,9 +521,7 @@ export default function SprintBoardView({ issues: allIssues }) {
                     </div>
                   </div>
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                    {grouped.backlog.map(issue => (
-                      <IssueCard key={issue.id} issue={issue} />
-                    ))}
+                    {grouped.backlog.map(issue => renderCard(issue))}
                     {grouped.backlog.length === 0 && (
                       <div className="text-center text-muted" style={{ padding: '20px' }}>
                         No items
@@ -356,7 +531,7 @@ export default function SprintBoardView({ issues: allIssues }) {
                 </div>
 
                 {/* In Progress Column */}
-                <div style={{ background: '#DBEAFE', padding: '16px', borderRadius: '8px' }}>
+                <div {...columnDropProps(sprint, 'inprogress')} style={{ background: '#DBEAFE', padding: '16px', borderRadius: '8px', ...dropHighlight(sprint, 'inprogress') }}>
                   <div style={{ marginBottom: '12px' }}>
                     <h4 style={{ fontSize: '14px', fontWeight: '600', marginBottom: '4px' }}>
                       🔄 In Progress ({grouped.inprogress.length})
@@ -366,9 +541,7 @@ export default function SprintBoardView({ issues: allIssues }) {
                     </div>
                   </div>
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                    {grouped.inprogress.map(issue => (
-                      <IssueCard key={issue.id} issue={issue} />
-                    ))}
+                    {grouped.inprogress.map(issue => renderCard(issue))}
                     {grouped.inprogress.length === 0 && (
                       <div className="text-center text-muted" style={{ padding: '20px' }}>
                         No items
@@ -378,7 +551,7 @@ export default function SprintBoardView({ issues: allIssues }) {
                 </div>
 
                 {/* Testing Column */}
-                <div style={{ background: '#FEF3C7', padding: '16px', borderRadius: '8px' }}>
+                <div {...columnDropProps(sprint, 'testing')} style={{ background: '#FEF3C7', padding: '16px', borderRadius: '8px', ...dropHighlight(sprint, 'testing') }}>
                   <div style={{ marginBottom: '12px' }}>
                     <h4 style={{ fontSize: '14px', fontWeight: '600', marginBottom: '4px' }}>
                       🧪 Testing ({grouped.testing.length})
@@ -388,9 +561,7 @@ export default function SprintBoardView({ issues: allIssues }) {
                     </div>
                   </div>
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                    {grouped.testing.map(issue => (
-                      <IssueCard key={issue.id} issue={issue} />
-                    ))}
+                    {grouped.testing.map(issue => renderCard(issue))}
                     {grouped.testing.length === 0 && (
                       <div className="text-center text-muted" style={{ padding: '20px' }}>
                         No items
@@ -400,7 +571,7 @@ export default function SprintBoardView({ issues: allIssues }) {
                 </div>
 
                 {/* Done Column */}
-                <div style={{ background: '#D1FAE5', padding: '16px', borderRadius: '8px' }}>
+                <div {...columnDropProps(sprint, 'done')} style={{ background: '#D1FAE5', padding: '16px', borderRadius: '8px', ...dropHighlight(sprint, 'done') }}>
                   <div style={{ marginBottom: '12px' }}>
                     <h4 style={{ fontSize: '14px', fontWeight: '600', marginBottom: '4px' }}>
                       ✅ Done ({grouped.done.length})
@@ -410,9 +581,7 @@ export default function SprintBoardView({ issues: allIssues }) {
                     </div>
                   </div>
                   <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-                    {grouped.done.map(issue => (
-                      <IssueCard key={issue.id} issue={issue} isDone />
-                    ))}
+                    {grouped.done.map(issue => renderCard(issue, true))}
                     {grouped.done.length === 0 && (
                       <div className="text-center text-muted" style={{ padding: '20px' }}>
                         No items
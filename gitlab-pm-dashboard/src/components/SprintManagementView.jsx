@@ -14,7 +14,7 @@ const SprintPlanningView = lazy(() => import('./SprintPlanningView'))
  * Consolidates 2 tabs into 1 view
  * Performance: Uses React.lazy() to defer loading heavy SprintPlanningView
  */
-export default function SprintManagementView({ issues, onNavigate }) {
+export default function SprintManagementView({ issues, milestones, onNavigate }) {
   const [showPlanning, setShowPlanning] = useState(false)
   const [showRetro, setShowRetro] = useState(false)
 
@@ -137,7 +137,7 @@ export default function SprintManagementView({ issues, onNavigate }) {
                 </div>
               </div>
             }>
-              <SprintPlanningView issues={issues} onNavigate={onNavigate} />
+              <SprintPlanningView issues={issues} milestones={milestones} onNavigate={onNavigate} />
             </Suspense>
           </div>
         )}
@@ -155,7 +155,7 @@ export default function SprintManagementView({ issues, onNavigate }) {
             📊 Sprint Board
           </h3>
         </div>
-        <SprintBoardView issues={issues} />
+        <SprintBoardView issues={issues} milestones={milestones} />
       </div>
     </div>
   )
@@ -5,17 +5,20 @@ import {
   loadCapacitySettings,
   loadSprintCapacity,
   getEstimatedHours,
+  getRemainingHours,
   calculateMemberWorkload
 } from '../services/teamConfigService'
 import { getUniqueIterations } from '../services/velocityService'
+import { getTeamAvailability, getTeamSkills, loadSkillLabelMapping, rankAssignmentCandidates } from '../services/skillsService'
 import { getIterationName } from '../utils/labelUtils'
 import SearchableSelect from './SearchableSelect'
+import BulkEditPanel from './BulkEditPanel'
 
 /**
  * Sprint Planning View
  * Interactive sprint planning with capacity tracking and issue assignment
  */
-export default function SprintPlanningView({ issues: allIssues, onNavigate }) {
+export default function SprintPlanningView({ issues: allIssues, milestones, onNavigate }) {
   const { filteredIssues } = useIterationFilter()
 
   // Configuration
@@ -27,6 +30,7 @@ export default function SprintPlanningView({ issues: allIssues, onNavigate }) {
   const [selectedSprint, setSelectedSprint] = useState(null)
   const [expandedMember, setExpandedMember] = useState(null)
   const [showBacklog, setShowBacklog] = useState(true)
+  const [showBulkEdit, setShowBulkEdit] = useState(false)
 
   // Filters
   const [filterEpic, setFilterEpic] = useState('all')
@@ -188,12 +192,12 @@ export default function SprintPlanningView({ issues: allIssues, onNavigate }) {
       const availableHours = memberCap ? memberCap.availableHours : member.defaultCapacity
       const reason = memberCap?.reason || ''
 
-      // Calculate allocated hours from sprint issues
+      // Calculate allocated hours from sprint issues (remaining estimate with time tracking)
       const memberIssues = sprintIssues.filter(issue =>
         issue.assignees?.some(a => a.username === member.username)
       )
       const allocatedHours = memberIssues.reduce((sum, issue) =>
-        sum + getEstimatedHours(issue, capacitySettings), 0
+        sum + getRemainingHours(issue, capacitySettings), 0
       )
 
       const utilization = availableHours > 0 ? (allocatedHours / availableHours) * 100 : 0
@@ -223,6 +227,28 @@ export default function SprintPlanningView({ issues: allIssues, onNavigate }) {
     }
   }, [selectedSprint, teamConfig, capacitySettings, sprintCapacity, sprintIssues])
 
+  // Suggest assignees for backlog issues by skill fit, remaining sprint capacity and upcoming absences
+  const assigneeSuggestions = useMemo(() => {
+    const suggestions = new Map()
+    if (!selectedSprint || teamConfig.teamMembers.length === 0 || backlogIssues.length === 0) return suggestions
+
+    const options = {
+      sprint: selectedSprint,
+      capacitySettings,
+      availability: getTeamAvailability(teamConfig.teamMembers, { sprint: selectedSprint, issues, capacitySettings }),
+      knownSkills: getTeamSkills(teamConfig.teamMembers),
+      mapping: loadSkillLabelMapping()
+    }
+
+    backlogIssues.forEach(issue => {
+      const candidates = rankAssignmentCandidates(issue, teamConfig.teamMembers, options)
+        .filter(candidate => candidate.qualified && candidate.remainingHours > 0)
+      suggestions.set(issue.id, candidates.slice(0, 2))
+    })
+
+    return suggestions
+  }, [selectedSprint, teamConfig, capacitySettings, issues, backlogIssues])
+
   // Calculate backlog metrics
   const backlogMetrics = useMemo(() => {
     const totalWeight = backlogIssues.reduce((sum, i) => sum + (i.weight || 0), 0)
@@ -548,6 +574,22 @@ export default function SprintPlanningView({ issues: allIssues, onNavigate }) {
                 ]}
               />
             </div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '12px' }}>
+              <button
+                className="btn"
+                onClick={() => setShowBulkEdit(true)}
+                disabled={sprintIssues.length + backlogIssues.length === 0}
+              >
+                ✎ Bulk edit filtered issues ({sprintIssues.length} sprint + {backlogIssues.length} backlog)
+              </button>
+            </div>
+            <BulkEditPanel
+              isOpen={showBulkEdit}
+              onClose={() => setShowBulkEdit(false)}
+              issues={[...sprintIssues, ...backlogIssues]}
+              milestones={milestones}
+              title={`Bulk Edit: ${selectedSprint?.name}`}
+            />
           </div>
 
           {/* Team Member Capacity Breakdown */}
@@ -770,6 +812,26 @@ export default function SprintPlanningView({ issues: allIssues, onNavigate }) {
                           </div>
                         </div>
 
+                        {assigneeSuggestions.get(issue.id)?.length > 0 && (
+                          <div style={{ fontSize: '11px', color: '#374151', marginTop: '6px' }}>
+                            {assigneeSuggestions.get(issue.id)[0].requiredSkills.length > 0 && (
+                              <div style={{ color: '#6B7280', marginBottom: '2px' }}>
+                                Needs: {assigneeSuggestions.get(issue.id)[0].requiredSkills.join(', ')}
+                              </div>
+                            )}
+                            Suggested:{' '}
+                            {assigneeSuggestions.get(issue.id).map((candidate, index) => (
+                              <span
+                                key={candidate.member.username}
+                                title={`Fit ${candidate.score} · ${candidate.remainingHours}h left in sprint${candidate.upcomingAbsenceDays > 0 ? ` · ${candidate.upcomingAbsenceDays} absence day(s) coming up` : ''}`}
+                              >
+                                {index > 0 && ', '}
+                                <strong>{candidate.member.name || candidate.member.username}</strong> ({candidate.score})
+                              </span>
+                            ))}
+                          </div>
+                        )}
+
                         <div style={{ fontSize: '11px', color: '#9CA3AF', marginTop: '6px' }}>
                           💡 Tip: Assign to sprint in GitLab to move from backlog
                         </div>
@@ -1,5 +1,7 @@
 import React, { useState, useMemo } from 'react'
 import { loadAbsences } from '../../services/absenceService'
+import { loadCapacitySettings } from '../../services/teamConfigService'
+import { getIssueTimeStats, hasTimeEstimate } from '../../services/timeTrackingService'
 
 /**
  * Capacity Forecast Component
@@ -15,6 +17,7 @@ export default function CapacityForecast({ teamMembers, issues, milestones, abse
     const today = new Date()
     const absenceData = loadAbsences()
     const absences = absenceData?.absences || []
+    const { useTimeTracking } = loadCapacitySettings()
 
     for (let i = 0; i < forecastWeeks; i++) {
       const weekStart = new Date(today)
@@ -77,12 +80,14 @@ export default function CapacityForecast({ teamMembers, issues, milestones, abse
         return dueDate >= weekStart && dueDate <= weekEnd
       })
 
-      const storyPoints = upcomingIssues.reduce((sum, issue) => {
+      // Remaining GitLab estimate when time tracking is enabled, otherwise 6 hours per story point
+      const estimatedWorkload = Math.round(upcomingIssues.reduce((sum, issue) => {
+        if (useTimeTracking && hasTimeEstimate(issue)) {
+          return sum + (issue.state === 'opened' ? getIssueTimeStats(issue).remainingHours : 0)
+        }
         const sp = issue.labels?.find(l => l.startsWith('sp::'))?.replace('sp::', '') || '0'
-        return sum + parseInt(sp)
-      }, 0)
-
-      const estimatedWorkload = storyPoints * 6 // 6 hours per story point
+        return sum + parseInt(sp) * 6
+      }, 0))
 
       // Identify bottlenecks
       const utilization = Math.round(((estimatedWorkload / (totalCapacity - absenceImpact)) * 100))
@@ -1,11 +1,21 @@
 import React, { useState, useMemo, useEffect } from 'react'
-import { loadAbsences } from '../../services/absenceService'
 import { calculateVelocity } from '../../services/capacityAnalysisService'
 import { DEFAULT_ROLES } from '../../services/teamConfigService'
+import {
+  BASELINE_SCENARIO_ID,
+  createBaselineScenario,
+  loadCapacityScenarios,
+  saveCapacityScenarios,
+  calculateScenarioWeeks,
+  getDeliveryTargets,
+  forecastScenarioDelivery
+} from '../../services/capacityScenarioService'
+import { formatForecastDate } from '../../services/forecastService'
 
 /**
  * Advanced Capacity Scenario Planner
  * Enables "what if" analysis for team changes, hiring, and attrition
+ * Scenarios are saved per project; the comparison shows their effect on P50/P90 delivery dates
  */
 export default function CapacityScenarioPlanner({ teamMembers, issues, milestones }) {
   const [scenarios, setScenarios] = useState([])
@@ -29,24 +39,18 @@ export default function CapacityScenarioPlanner({ teamMembers, issues, milestone
     newCapacity: 40
   })
 
-  // Initialize with baseline scenario
+  // Initialize with baseline and saved scenarios
   useEffect(() => {
-    if (scenarios.length === 0) {
-      const baselineScenario = createBaselineScenario()
-      setScenarios([baselineScenario])
-      setActiveScenarioId(baselineScenario.id)
-    }
-  }, [teamMembers])
-
-  // Create baseline scenario from current team
-  const createBaselineScenario = () => {
-    return {
-      id: 'baseline',
-      name: 'Current Team (Baseline)',
-      description: 'Current team configuration without changes',
-      teamChanges: [],
-      createdAt: new Date().toISOString()
-    }
+    const saved = loadCapacityScenarios()
+    setScenarios([createBaselineScenario(), ...saved])
+    setActiveScenarioId(BASELINE_SCENARIO_ID)
+    setSelectedScenarios(saved.map(s => s.id))
+  }, [])
+
+  // Update scenarios and persist them
+  const updateScenarios = (updated) => {
+    setScenarios(updated)
+    saveCapacityScenarios(updated)
   }
 
   // Get active scenario
@@ -61,24 +65,26 @@ export default function CapacityScenarioPlanner({ teamMembers, issues, milestone
       teamChanges: [],
       createdAt: new Date().toISOString()
     }
-    setScenarios([...scenarios, newScenario])
+    updateScenarios([...scenarios, newScenario])
     setActiveScenarioId(newScenario.id)
+    setSelectedScenarios([...selectedScenarios, newScenario.id])
     setShowScenarioModal(false)
   }
 
   // Delete a scenario
   const deleteScenario = (scenarioId) => {
-    if (scenarioId === 'baseline') return
+    if (scenarioId === BASELINE_SCENARIO_ID) return
 
-    setScenarios(scenarios.filter(s => s.id !== scenarioId))
+    updateScenarios(scenarios.filter(s => s.id !== scenarioId))
+    setSelectedScenarios(selectedScenarios.filter(id => id !== scenarioId))
     if (activeScenarioId === scenarioId) {
-      setActiveScenarioId('baseline')
+      setActiveScenarioId(BASELINE_SCENARIO_ID)
     }
   }
 
   // Add a team change to the active scenario
   const addTeamChange = (type, details) => {
-    if (!activeScenario || activeScenario.id === 'baseline') {
+    if (!activeScenario || activeScenario.id === BASELINE_SCENARIO_ID) {
       alert('Please create a new scenario first. Cannot modify baseline.')
       return
     }
@@ -91,24 +97,26 @@ export default function CapacityScenarioPlanner({ teamMembers, issues, milestone
 
     const updatedScenario = {
       ...activeScenario,
-      teamChanges: [...activeScenario.teamChanges, change]
+      teamChanges: [...activeScenario.teamChanges, change],
+      updatedAt: new Date().toISOString()
     }
 
-    setScenarios(scenarios.map(s =>
+    updateScenarios(scenarios.map(s =>
       s.id === activeScenario.id ? updatedScenario : s
     ))
   }
 
   // Remove a team change
   const removeTeamChange = (changeId) => {
-    if (!activeScenario || activeScenario.id === 'baseline') return
+    if (!activeScenario || activeScenario.id === BASELINE_SCENARIO_ID) return
 
     const updatedScenario = {
       ...activeScenario,
-      teamChanges: activeScenario.teamChanges.filter(c => c.id !== changeId)
+      teamChanges: activeScenario.teamChanges.filter(c => c.id !== changeId),
+      updatedAt: new Date().toISOString()
     }
 
-    setScenarios(scenarios.map(s =>
+    updateScenarios(scenarios.map(s =>
       s.id === activeScenario.id ? updatedScenario : s
     ))
   }
@@ -117,106 +125,8 @@ export default function CapacityScenarioPlanner({ teamMembers, issues, milestone
   const forecastData = useMemo(() => {
     if (!activeScenario) return []
 
-    const weeks = []
-    const today = new Date()
-    const absences = loadAbsences()?.absences || []
-
-    for (let i = 0; i < forecastWeeks; i++) {
-      const weekNum = i + 1
-      const weekStart = new Date(today)
-      weekStart.setDate(today.getDate() + (i * 7))
-      const weekEnd = new Date(weekStart)
-      weekEnd.setDate(weekStart.getDate() + 6)
-
-      // Apply scenario changes to get team state for this week
-      let currentTeam = [...teamMembers]
-
-      // Apply all changes up to and including this week
-      activeScenario.teamChanges.forEach(change => {
-        if (change.week <= weekNum) {
-          switch (change.type) {
-            case 'hire':
-              currentTeam.push({
-                username: change.username,
-                name: change.name,
-                role: change.role,
-                defaultCapacity: change.capacity,
-                startWeek: weekNum,
-                rampUpWeeks: change.rampUpWeeks || 4,
-                endWeek: null
-              })
-              break
-
-            case 'departure':
-              currentTeam = currentTeam.map(m =>
-                m.username === change.username
-                  ? { ...m, endWeek: weekNum }
-                  : m
-              )
-              break
-
-            case 'capacity_change':
-              currentTeam = currentTeam.map(m =>
-                m.username === change.username
-                  ? { ...m, defaultCapacity: change.newCapacity }
-                  : m
-              )
-              break
-          }
-        }
-      })
-
-      // Calculate active team for this week
-      const activeTeam = currentTeam.filter(m =>
-        (m.startWeek <= weekNum) && (!m.endWeek || m.endWeek > weekNum)
-      )
-
-      // Calculate capacity with ramp-up consideration
-      let totalCapacity = 0
-      let effectiveCapacity = 0
-
-      activeTeam.forEach(member => {
-        const baseCapacity = member.defaultCapacity !== undefined && member.defaultCapacity !== null ? member.defaultCapacity : 40
-        totalCapacity += baseCapacity
-
-        // Apply ramp-up factor for new hires
-        const weeksActive = weekNum - member.startWeek
-        const rampUpFactor = member.rampUpWeeks > 0
-          ? Math.min(1, (weeksActive + 1) / member.rampUpWeeks)
-          : 1
-
-        let memberEffectiveCapacity = baseCapacity * rampUpFactor
-
-        // Check for absences
-        const memberAbsences = absences.filter(absence =>
-          absence.username === member.username &&
-          new Date(absence.startDate) <= weekEnd &&
-          new Date(absence.endDate) >= weekStart
-        )
-
-        // Calculate absence impact
-        if (memberAbsences.length > 0) {
-          const dailyCapacity = baseCapacity / 5
-          let workingDaysOff = 0
-
-          memberAbsences.forEach(absence => {
-            const absStart = new Date(Math.max(new Date(absence.startDate).getTime(), weekStart.getTime()))
-            const absEnd = new Date(Math.min(new Date(absence.endDate).getTime(), weekEnd.getTime()))
-
-            let current = new Date(absStart)
-            while (current <= absEnd) {
-              if (current.getDay() !== 0 && current.getDay() !== 6) {
-                workingDaysOff++
-              }
-              current.setDate(current.getDate() + 1)
-            }
-          })
-
-          memberEffectiveCapacity -= (workingDaysOff * dailyCapacity)
-        }
-
-        effectiveCapacity += Math.max(0, memberEffectiveCapacity)
-      })
+    return calculateScenarioWeeks(teamMembers, activeScenario, forecastWeeks).map(week => {
+      const { weekNum, weekStart, weekEnd, effectiveCapacity } = week
 
       // Estimate workload
       const upcomingIssues = issues.filter(issue => {
@@ -239,23 +149,39 @@ export default function CapacityScenarioPlanner({ teamMembers, issues, milestone
         return dueDate >= weekStart && dueDate <= weekEnd
       })
 
-      weeks.push({
-        weekNum,
-        weekStart,
-        weekEnd,
-        teamCount: activeTeam.length,
-        totalCapacity,
-        effectiveCapacity,
+      return {
+        ...week,
         estimatedWorkload,
         utilization: effectiveCapacity > 0 ? Math.round((estimatedWorkload / effectiveCapacity) * 100) : 0,
         milestones: weekMilestones,
         issues: upcomingIssues,
         teamChanges: activeScenario.teamChanges.filter(c => c.week === weekNum)
-      })
+      }
+    })
+  }, [activeScenario, forecastWeeks, teamMembers, issues, milestones])
+
+  // P50/P90 delivery dates per milestone and release for the baseline and the selected scenarios
+  // Simulated after rendering; rows stay null until every target and scenario is done
+  const [deliveryComparison, setDeliveryComparison] = useState(null)
+  useEffect(() => {
+    if (!comparisonMode) {
+      setDeliveryComparison(null)
+      return
     }
 
-    return weeks
-  }, [activeScenario, forecastWeeks, teamMembers, issues, milestones])
+    const controller = new AbortController()
+    const compared = scenarios.filter(s => s.id === BASELINE_SCENARIO_ID || selectedScenarios.includes(s.id))
+    const targets = getDeliveryTargets(milestones, issues)
+    setDeliveryComparison({ scenarios: compared, targets, rows: null })
+
+    forecastScenarioDelivery(compared, teamMembers, targets, issues, { signal: controller.signal })
+      .then(rows => {
+        if (rows) setDeliveryComparison({ scenarios: compared, targets, rows })
+      })
+      .catch(error => console.error('Error forecasting scenario delivery:', error))
+
+    return () => controller.abort()
+  }, [comparisonMode, scenarios, selectedScenarios, teamMembers, milestones, issues])
 
   // Submit change modal
   const handleSubmitChange = () => {
@@ -379,7 +305,7 @@ export default function CapacityScenarioPlanner({ teamMembers, issues, milestone
             ))}
           </select>
 
-          {activeScenario && activeScenario.id !== 'baseline' && (
+          {activeScenario && activeScenario.id !== BASELINE_SCENARIO_ID && (
             <button
               onClick={() => {
                 if (confirm('Delete this scenario?')) {
@@ -403,7 +329,7 @@ export default function CapacityScenarioPlanner({ teamMembers, issues, milestone
         </div>
 
         {/* Scenario Actions */}
-        {activeScenario && activeScenario.id !== 'baseline' && (
+        {activeScenario && activeScenario.id !== BASELINE_SCENARIO_ID && (
           <div style={{
             display: 'flex',
             gap: '12px',
@@ -499,6 +425,119 @@ export default function CapacityScenarioPlanner({ teamMembers, issues, milestone
         )}
       </div>
 
+      {/* Delivery Impact */}
+      {comparisonMode && deliveryComparison && (
+        <div style={{
+          background: 'white',
+          border: '1px solid #E5E7EB',
+          borderRadius: '8px',
+          padding: '16px',
+          marginBottom: '20px'
+        }}>
+          <h3 style={{ fontSize: '16px', fontWeight: '600', margin: '0 0 4px 0' }}>
+            Delivery Impact
+          </h3>
+          <p style={{ fontSize: '13px', color: '#6B7280', margin: '0 0 12px 0' }}>
+            Monte Carlo forecast (P50/P90) of the open issues per milestone and release, with throughput scaled by each scenario's weekly capacity.
+          </p>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '12px', marginBottom: '12px' }}>
+            {scenarios.filter(s => s.id !== BASELINE_SCENARIO_ID).map(scenario => (
+              <label key={scenario.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#374151' }}>
+                <input
+                  type="checkbox"
+                  checked={selectedScenarios.includes(scenario.id)}
+                  onChange={(e) => setSelectedScenarios(e.target.checked
+                    ? [...selectedScenarios, scenario.id]
+                    : selectedScenarios.filter(id => id !== scenario.id))}
+                />
+                {scenario.name}
+              </label>
+            ))}
+            {scenarios.length === 1 && (
+              <span style={{ fontSize: '13px', color: '#9CA3AF' }}>Create a scenario to compare it with the baseline.</span>
+            )}
+          </div>
+
+          {deliveryComparison.targets.length === 0 ? (
+            <p style={{ fontSize: '13px', color: '#9CA3AF', margin: 0 }}>
+              No open milestones or planned releases with open issues.
+            </p>
+          ) : !deliveryComparison.rows ? (
+            <p style={{ fontSize: '13px', color: '#6B7280', margin: 0 }}>
+              Simulating {deliveryComparison.targets.length} target(s)...
+            </p>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                <thead>
+                  <tr style={{ background: '#F9FAFB', borderBottom: '2px solid #E5E7EB' }}>
+                    <th style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>Milestone / Release</th>
+                    <th style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>Due</th>
+                    {deliveryComparison.scenarios.map(scenario => (
+                      <th key={scenario.id} style={{ padding: '8px', textAlign: 'left', fontWeight: '600' }}>
+                        {scenario.name}
+                        <div style={{ fontSize: '11px', fontWeight: '400', color: '#6B7280' }}>P50 / P90</div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {deliveryComparison.rows.map(({ target, forecasts }) => {
+                    const baseline = forecasts[BASELINE_SCENARIO_ID]
+                    return (
+                      <tr key={target.id} style={{ borderBottom: '1px solid #E5E7EB' }}>
+                        <td style={{ padding: '8px' }}>
+                          <div style={{ fontWeight: '500' }}>{target.title}</div>
+                          <div style={{ fontSize: '11px', color: '#6B7280' }}>
+                            {target.type === 'release' ? 'Release' : 'Milestone'} · {target.issues.filter(i => i.state === 'opened').length} open
+                          </div>
+                        </td>
+                        <td style={{ padding: '8px', whiteSpace: 'nowrap' }}>
+                          {formatForecastDate(target.dueDate)}
+                        </td>
+                        {deliveryComparison.scenarios.map(scenario => {
+                          const forecast = forecasts[scenario.id]
+                          if (!forecast) {
+                            return (
+                              <td key={scenario.id} style={{ padding: '8px', color: '#9CA3AF' }}>
+                                No throughput history
+                              </td>
+                            )
+                          }
+
+                          const late = target.dueDate && forecast.p90.date > target.dueDate
+                          const deltaDays = scenario.id !== BASELINE_SCENARIO_ID && baseline
+                            ? Math.round((forecast.p50.date - baseline.p50.date) / (1000 * 60 * 60 * 24))
+                            : null
+
+                          return (
+                            <td key={scenario.id} style={{ padding: '8px', whiteSpace: 'nowrap' }}>
+                              <div style={{ color: late ? '#DC2626' : '#374151' }}>
+                                {formatForecastDate(forecast.p50.date)} / {formatForecastDate(forecast.p90.date)}
+                              </div>
+                              {deltaDays !== null && (
+                                <div style={{
+                                  fontSize: '11px',
+                                  fontWeight: '500',
+                                  color: deltaDays > 0 ? '#DC2626' : deltaDays < 0 ? '#059669' : '#6B7280'
+                                }}>
+                                  {deltaDays === 0 ? 'No change' : `${deltaDays > 0 ? '+' : ''}${deltaDays} days (P50)`}
+                                </div>
+                              )}
+                            </td>
+                          )
+                        })}
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Team Changes List */}
       {activeScenario && activeScenario.teamChanges.length > 0 && (
         <div style={{
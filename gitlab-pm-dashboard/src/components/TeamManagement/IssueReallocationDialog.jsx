@@ -1,8 +1,10 @@
 import React, { useState, useMemo } from 'react'
+import { getTeamSkills, getIssueSkillRequirements, calculateSkillFit, loadSkillLabelMapping } from '../../services/skillsService'
 
 /**
  * Issue Reallocation Dialog
  * Allows selecting and reassigning issues from an overloaded member to an available member
+ * Issues the target member is most skilled for are listed first
  */
 export default function IssueReallocationDialog({
   isOpen,
@@ -10,12 +12,26 @@ export default function IssueReallocationDialog({
   fromMember,
   toMember,
   suggestedStoryPoints,
+  teamMembers = [],
   onReassign
 }) {
   const [selectedIssues, setSelectedIssues] = useState([])
   const [isReassigning, setIsReassigning] = useState(false)
   const [reassignProgress, setReassignProgress] = useState(null)
 
+  // Skill fit of the target member for each issue, keyed by iid
+  const skillFits = useMemo(() => {
+    const fits = new Map()
+    if (!fromMember?.issues) return fits
+
+    const knownSkills = getTeamSkills(teamMembers.length > 0 ? teamMembers : [fromMember, toMember])
+    const mapping = loadSkillLabelMapping()
+    fromMember.issues.forEach(issue => {
+      fits.set(issue.iid, calculateSkillFit(toMember, getIssueSkillRequirements(issue, knownSkills, mapping)))
+    })
+    return fits
+  }, [fromMember, toMember, teamMembers])
+
   // Filter to show only open issues with story points
   const reassignableIssues = useMemo(() => {
     if (!fromMember?.issues) return []
@@ -24,12 +40,17 @@ export default function IssueReallocationDialog({
       const sp = issue.labels?.find(l => l.startsWith('sp::'))?.replace('sp::', '') || '0'
       return issue.state === 'opened' && parseInt(sp) > 0
     }).sort((a, b) => {
-      // Sort by story points (highest first) to make it easier to reach target
+      // Best skill fit first (issues without skill labels rank in the middle)
+      const fitA = skillFits.get(a.iid)?.score ?? 0.5
+      const fitB = skillFits.get(b.iid)?.score ?? 0.5
+      if (fitA !== fitB) return fitB - fitA
+
+      // Then by story points (highest first) to make it easier to reach target
       const spA = parseInt(a.labels?.find(l => l.startsWith('sp::'))?.replace('sp::', '') || '0')
       const spB = parseInt(b.labels?.find(l => l.startsWith('sp::'))?.replace('sp::', '') || '0')
       return spB - spA
     })
-  }, [fromMember])
+  }, [fromMember, skillFits])
 
   // Calculate total story points of selected issues
   const selectedStoryPoints = useMemo(() => {
@@ -233,6 +254,9 @@ export default function IssueReallocationDialog({
                   <th style={{ padding: '12px', textAlign: 'center', fontSize: '12px', fontWeight: '600', color: '#374151', width: '100px' }}>
                     Priority
                   </th>
+                  <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#374151' }}>
+                    Skill Fit
+                  </th>
                   <th style={{ padding: '12px', textAlign: 'left', fontSize: '12px', fontWeight: '600', color: '#374151' }}>
                     Labels
                   </th>
@@ -244,6 +268,7 @@ export default function IssueReallocationDialog({
                   const priority = issue.labels?.find(l => l.startsWith('Priority::'))?.replace('Priority::', '') || '-'
                   const isSelected = selectedIssues.includes(issue.iid)
                   const isBlocked = issue.labels?.some(l => l.toLowerCase() === 'blocker' || l.toLowerCase().includes('blocked'))
+                  const skillFit = skillFits.get(issue.iid)
 
                   return (
                     <tr
@@ -314,6 +339,24 @@ export default function IssueReallocationDialog({
                           </span>
                         )}
                       </td>
+                      <td style={{ padding: '12px' }}>
+                        {skillFit?.score === null || !skillFit ? (
+                          <span style={{ fontSize: '11px', color: '#9CA3AF' }}>No skill labels</span>
+                        ) : (
+                          <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+                            {skillFit.matched.map(skill => (
+                              <span key={skill.name} style={{ padding: '2px 6px', background: '#ECFDF5', color: '#065F46', borderRadius: '4px', fontSize: '11px' }}>
+                                {skill.name} {'●'.repeat(skill.level)}
+                              </span>
+                            ))}
+                            {skillFit.missing.map(skill => (
+                              <span key={skill} style={{ padding: '2px 6px', background: '#FEF2F2', color: '#991B1B', borderRadius: '4px', fontSize: '11px' }}>
+                                no {skill}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                      </td>
                       <td style={{ padding: '12px' }}>
                         <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
                           {issue.labels?.filter(l =>
@@ -1,12 +1,23 @@
 import React, { useState, useMemo, useEffect } from 'react'
 import { analyzeCapacityIssues } from '../../services/capacityAnalysisService'
-import { calculateAbsenceImpact, getUserAbsences } from '../../services/absenceService'
+import { calculateSprintCapacityWithAbsences } from '../../services/absenceService'
+import { getWorkWeek } from '../../services/holidayCalendarService'
+import { getTeamAvailability, rankAssignmentCandidates, SKILL_LEVELS } from '../../services/skillsService'
 import { getSprintFromLabels } from '../../utils/labelUtils'
 import IssueReallocationDialog from './IssueReallocationDialog'
 import { batchUpdateIssueAssignees } from '../../services/gitlabApi'
 import { loadConfig } from '../../services/storageService'
-import { calculateUnifiedVelocity, getVelocityWithFallback } from '../../services/unifiedVelocityService'
+import { calculateUnifiedVelocity, getVelocityWithFallback, getNamedTeamVelocity } from '../../services/unifiedVelocityService'
+import { loadTeams, getTeamRosterAt } from '../../services/teamMembershipService'
 import { loadVelocityConfig } from '../../services/velocityConfigService'
+import { loadCapacitySettings, saveCapacitySettings } from '../../services/teamConfigService'
+import {
+  getIssueTimeStats,
+  hasTimeEstimate,
+  getOverEstimateIssues,
+  getEstimateAccuracyByMember,
+  getEstimateAccuracyByIssueType
+} from '../../services/timeTrackingService'
 
 /**
  * Team Capacity Cards
@@ -20,8 +31,9 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
   const [showReallocationSuggestions, setShowReallocationSuggestions] = useState(false)
   const [reallocationDialog, setReallocationDialog] = useState(null)
   const [velocityConfigKey, setVelocityConfigKey] = useState(0)
+  const [capacitySettings, setCapacitySettings] = useState(loadCapacitySettings)
 
-  // Load velocity configuration from localStorage (reload when key changes)
+  // Load velocity configuration from storage (reload when key changes)
   const velocityConfig = useMemo(() => loadVelocityConfig(), [velocityConfigKey])
 
   // Listen for storage changes to reload velocity config when it's updated
@@ -59,6 +71,7 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
       if (iterationName && issue.iteration?.start_date && issue.iteration?.due_date) {
         if (!iterationMap.has(iterationName)) {
           iterationMap.set(iterationName, {
+            id: issue.iteration.id,
             name: iterationName,
             startDate: new Date(issue.iteration.start_date),
             dueDate: new Date(issue.iteration.due_date),
@@ -124,6 +137,21 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
     }
   }, [teamMembers, allIssues, issues, velocityConfig, velocityConfigKey])
 
+  // Estimate-vs-actual accuracy from closed issues with GitLab time tracking
+  const estimateAccuracy = useMemo(() => {
+    const historyIssues = allIssues || issues || []
+    return {
+      byMember: getEstimateAccuracyByMember(historyIssues),
+      byIssueType: getEstimateAccuracyByIssueType(historyIssues)
+    }
+  }, [allIssues, issues])
+
+  const handleToggleTimeTracking = (enabled) => {
+    const updated = { ...loadCapacitySettings(), useTimeTracking: enabled }
+    saveCapacitySettings(updated)
+    setCapacitySettings(updated)
+  }
+
   // Calculate member capacity and workload
   const memberCapacityData = useMemo(() => {
     if (!teamMembers || !issues) return []
@@ -140,10 +168,8 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
       )
 
       // Calculate story points
-      const storyPoints = memberIssues.reduce((sum, issue) => {
-        const sp = issue.labels?.find(l => l.startsWith('sp::'))?.replace('sp::', '') || '0'
-        return sum + parseInt(sp)
-      }, 0)
+      const getStoryPoints = issue => parseInt(issue.labels?.find(l => l.startsWith('sp::'))?.replace('sp::', '') || '0')
+      const storyPoints = memberIssues.reduce((sum, issue) => sum + getStoryPoints(issue), 0)
 
       // Calculate issue count (for issue-based metric)
       const issueCount = memberIssues.length
@@ -159,57 +185,24 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
       let sprintCapacity = memberDefaultCapacity // Default to weekly capacity
 
       if (currentIterationDates) {
-        // Calculate working days in sprint
-        let workDays = 0
-        const current = new Date(currentIterationDates.startDate)
-        const end = new Date(currentIterationDates.dueDate)
-        while (current <= end) {
-          const dayOfWeek = current.getDay()
-          if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-            workDays++
-          }
-          current.setDate(current.getDate() + 1)
-        }
-        sprintWorkDays = workDays
-
-        // Calculate daily hours based on member's weekly capacity
-        // Standard work week = 5 days, so daily hours = weekly capacity / 5
-        const dailyHours = memberDefaultCapacity / 5
-
-        // Calculate sprint capacity based on working days and member's configured daily hours
-        sprintCapacity = workDays * dailyHours
-
-        absenceHours = calculateAbsenceImpact(
+        // Working days and absence impact follow the member's work week and regional holidays
+        const sprintCapacityInfo = calculateSprintCapacityWithAbsences(
           member.username,
-          currentIterationDates.startDate,
-          currentIterationDates.dueDate,
-          memberDefaultCapacity
+          currentIterationDates,
+          memberDefaultCapacity,
+          member
         )
+        sprintWorkDays = sprintCapacityInfo.sprintWorkingDays
 
-        memberAbsences = getUserAbsences(
-          member.username,
-          currentIterationDates.startDate,
-          currentIterationDates.dueDate
-        )
+        // Calculate daily hours based on member's weekly capacity spread over their work week
+        const dailyHours = memberDefaultCapacity / getWorkWeek(member).length
 
-        // Calculate working days for absences
-        memberAbsences.forEach(absence => {
-          const overlapStart = absence.startDate > currentIterationDates.startDate
-            ? absence.startDate : currentIterationDates.startDate
-          const overlapEnd = absence.endDate < currentIterationDates.dueDate
-            ? absence.endDate : currentIterationDates.dueDate
-
-          let absDays = 0
-          const absCurrent = new Date(overlapStart)
-          while (absCurrent <= overlapEnd) {
-            const dayOfWeek = absCurrent.getDay()
-            if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-              absDays++
-            }
-            absCurrent.setDate(absCurrent.getDate() + 1)
-          }
-          absenceDays += absDays
-        })
+        // Calculate sprint capacity based on working days and member's configured daily hours
+        sprintCapacity = sprintWorkDays * dailyHours
+
+        absenceHours = sprintCapacityInfo.hoursLost
+        memberAbsences = sprintCapacityInfo.absences
+        absenceDays = sprintCapacityInfo.workingDaysLost
       }
 
       // Calculate actual available capacity for sprint (sprint capacity - absences)
@@ -265,7 +258,28 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
 
       // Calculate utilization based on actual available capacity and selected metric
       const metricValue = velocityConfig.metricType === 'points' ? storyPoints : issueCount
-      const hoursAllocated = metricValue * hoursPerSP
+      let hoursAllocated = metricValue * hoursPerSP
+
+      // With time tracking, issues with a GitLab estimate count their remaining estimate
+      // (estimate minus logged time); the others still use the velocity conversion
+      let timeTracking = null
+      if (capacitySettings.useTimeTracking) {
+        const tracked = memberIssues.filter(hasTimeEstimate)
+        const untracked = memberIssues.filter(issue => !hasTimeEstimate(issue))
+        const untrackedMetric = velocityConfig.metricType === 'points'
+          ? untracked.reduce((sum, issue) => sum + getStoryPoints(issue), 0)
+          : untracked.length
+        const trackedHours = tracked.reduce((sum, issue) =>
+          sum + (issue.state === 'opened' ? getIssueTimeStats(issue).remainingHours : getIssueTimeStats(issue).estimateHours), 0)
+
+        hoursAllocated = trackedHours + untrackedMetric * hoursPerSP
+        timeTracking = {
+          trackedIssues: tracked.length,
+          spentHours: Math.round(memberIssues.reduce((sum, issue) => sum + getIssueTimeStats(issue).spentHours, 0) * 10) / 10,
+          overEstimateIssues: getOverEstimateIssues(memberIssues)
+        }
+      }
+
       const utilization = currentCapacity > 0 ? Math.round((hoursAllocated / currentCapacity) * 100) : 0
 
       // Determine status
@@ -301,6 +315,8 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
         hoursAllocated,
         hoursPerStoryPoint: hoursPerSP,
         velocityData,
+        timeTracking,
+        estimateAccuracy: estimateAccuracy.byMember.get(member.username) || null,
         currentCapacity,
         baseCapacity: memberDefaultCapacity,
         sprintCapacity, // Total capacity for the sprint period
@@ -315,7 +331,37 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
         issues: memberIssues
       }
     })
-  }, [teamMembers, issues, allIssues, currentIterationDates, showOnlyOpen, teamAverageVelocity, velocityConfigKey])
+  }, [teamMembers, issues, allIssues, currentIterationDates, showOnlyOpen, teamAverageVelocity, velocityConfigKey, capacitySettings, estimateAccuracy])
+
+  // Named teams: capacity from the members allocated at the start of the iteration,
+  // velocity from the work done while people belonged to the team
+  const namedTeamSummaries = useMemo(() => {
+    const namedTeams = loadTeams()
+    if (namedTeams.length === 0 || !currentIterationDates) return []
+    const issuesForVelocity = allIssues || issues || []
+
+    return namedTeams.map(team => {
+      const roster = getTeamRosterAt(namedTeams, team.id, currentIterationDates.startDate)
+      const capacity = roster.reduce((sum, { username, allocation }) => {
+        const member = memberCapacityData.find(m => m.username === username)
+        return sum + (member ? member.currentCapacity * allocation : 0)
+      }, 0)
+
+      return {
+        team,
+        roster,
+        fte: Math.round(roster.reduce((sum, m) => sum + m.allocation, 0) * 10) / 10,
+        capacity: Math.round(capacity),
+        velocity: getNamedTeamVelocity(issuesForVelocity, namedTeams, team.id, teamMembers)
+      }
+    })
+  }, [teamMembers, issues, allIssues, currentIterationDates, memberCapacityData])
+
+  // Issues over their GitLab estimate across the team
+  const teamOverruns = useMemo(() => {
+    if (!capacitySettings.useTimeTracking) return []
+    return getOverEstimateIssues(memberCapacityData.flatMap(m => m.issues))
+  }, [capacitySettings, memberCapacityData])
 
   // Analyze capacity issues for recommendations
   const capacityAnalysis = useMemo(() => {
@@ -351,64 +397,62 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
   }, [memberCapacityData])
 
   // Calculate reallocation suggestions
+  // Candidates are ranked by skill fit for the overloaded member's open issues, remaining
+  // capacity in the current iteration and upcoming absences
   const reallocationSuggestions = useMemo(() => {
     if (!memberCapacityData.length) return []
 
     const suggestions = []
-
-    // Define compatible role pairs for cross-role reallocation
-    const isCompatibleRole = (role1, role2) => {
-      // Same role is always compatible
-      if (role1 === role2) return true
-
-      // Product Owner and Initiative Manager can swap tasks
-      const compatiblePairs = [
-        ['Product Owner', 'Initiative Manager'],
-        ['Initiative Manager', 'Product Owner']
-      ]
-
-      return compatiblePairs.some(([r1, r2]) =>
-        (role1 === r1 && role2 === r2) || (role1 === r2 && role2 === r1)
-      )
-    }
-
-    // Find overloaded members
     const overloadedMembers = memberCapacityData.filter(m => m.utilization >= 100)
+    if (overloadedMembers.length === 0) return []
 
-    // Find underutilized members with same or compatible role
-    overloadedMembers.forEach(overloaded => {
-      const availableMembers = memberCapacityData.filter(m =>
-        isCompatibleRole(m.role, overloaded.role) &&
-        m.utilization < 60 &&
-        m.username !== overloaded.username
-      )
+    const availability = getTeamAvailability(memberCapacityData, {
+      sprint: currentIterationDates,
+      issues: allIssues || issues
+    })
 
-      if (availableMembers.length > 0) {
-        // Calculate how many hours need to be reallocated
-        const excessHours = overloaded.hoursAllocated - overloaded.currentCapacity
-        const excessStoryPoints = Math.ceil(excessHours / 6)
-
-        availableMembers.forEach(available => {
-          const availableHours = available.currentCapacity - available.hoursAllocated
-          const canTakeStoryPoints = Math.floor(availableHours / 6)
-
-          if (canTakeStoryPoints > 0) {
-            const isCrossRole = overloaded.role !== available.role
-            suggestions.push({
-              from: overloaded,
-              to: available,
-              suggestedStoryPoints: Math.min(excessStoryPoints, canTakeStoryPoints),
-              suggestedHours: Math.min(excessHours, availableHours),
-              isCrossRole,
-              reason: `${overloaded.name || overloaded.username} is at ${overloaded.utilization}% utilization while ${available.name || available.username} is only at ${available.utilization}%${isCrossRole ? ' (cross-role reallocation)' : ''}`
-            })
-          }
-        })
-      }
+    overloadedMembers.forEach(overloaded => {
+      // Calculate how many hours need to be reallocated
+      const excessHours = overloaded.hoursAllocated - overloaded.currentCapacity
+      const excessStoryPoints = Math.ceil(excessHours / 6)
+
+      // Members with matching skills (or a compatible role when the issues carry no skill labels)
+      const candidates = rankAssignmentCandidates(
+        overloaded.issues.filter(issue => issue.state === 'opened'),
+        memberCapacityData,
+        { availability, excludeUsername: overloaded.username, role: overloaded.role }
+      ).filter(candidate => candidate.qualified && candidate.member.utilization < 60)
+
+      candidates.forEach(candidate => {
+        const available = candidate.member
+        const availableHours = Math.min(available.currentCapacity - available.hoursAllocated, candidate.remainingHours)
+        const canTakeStoryPoints = Math.floor(availableHours / 6)
+
+        if (canTakeStoryPoints > 0) {
+          const isCrossRole = overloaded.role !== available.role
+          const { skillFit, requiredSkills } = candidate
+          const skillNote = skillFit.score !== null
+            ? ` and covers ${skillFit.matched.length} of ${requiredSkills.length} required skill(s)`
+            : isCrossRole ? ' (cross-role reallocation)' : ''
+
+          suggestions.push({
+            from: overloaded,
+            to: available,
+            suggestedStoryPoints: Math.min(excessStoryPoints, canTakeStoryPoints),
+            suggestedHours: Math.round(Math.min(excessHours, availableHours) * 10) / 10,
+            isCrossRole,
+            score: candidate.score,
+            skillFit,
+            requiredSkills,
+            upcomingAbsenceDays: candidate.upcomingAbsenceDays,
+            reason: `${overloaded.name || overloaded.username} is at ${overloaded.utilization}% utilization while ${available.name || available.username} is only at ${available.utilization}%${skillNote}`
+          })
+        }
+      })
     })
 
     return suggestions
-  }, [memberCapacityData])
+  }, [memberCapacityData, currentIterationDates, allIssues, issues])
 
   // Handle issue reassignment
   const handleReassignIssues = async (issuesToReassign, fromMember, toMember) => {
@@ -678,6 +722,39 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
         </div>
       )}
 
+      {/* Time Tracking */}
+      {(member.timeTracking || member.estimateAccuracy) && (
+        <div style={{
+          marginBottom: '12px',
+          padding: '8px 12px',
+          background: '#F9FAFB',
+          border: '1px solid #E5E7EB',
+          borderRadius: '6px',
+          fontSize: '12px',
+          color: '#374151'
+        }}>
+          {member.timeTracking && (
+            <div>
+              <strong>Time tracking:</strong> {member.timeTracking.trackedIssues}/{member.issueCount} issues estimated · {member.timeTracking.spentHours}h logged
+            </div>
+          )}
+          {member.estimateAccuracy && (
+            <div style={{ color: '#6B7280', marginTop: member.timeTracking ? '4px' : 0 }}>
+              Estimate accuracy: <strong style={{ color: member.estimateAccuracy.accuracy >= 75 ? '#059669' : member.estimateAccuracy.accuracy >= 50 ? '#D97706' : '#DC2626' }}>
+                {member.estimateAccuracy.accuracy}%
+              </strong>{' '}
+              (actual {Math.round(member.estimateAccuracy.ratio * 100)}% of estimate, {member.estimateAccuracy.issueCount} closed issues)
+            </div>
+          )}
+          {member.timeTracking?.overEstimateIssues.length > 0 && (
+            <div style={{ color: '#DC2626', marginTop: '4px' }}>
+              Over estimate: {member.timeTracking.overEstimateIssues.slice(0, 3).map(o => `#${o.issue.iid} (+${o.overHours}h)`).join(', ')}
+              {member.timeTracking.overEstimateIssues.length > 3 && ` +${member.timeTracking.overEstimateIssues.length - 3} more`}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Issue Summary */}
       <div style={{
         display: 'flex',
@@ -778,6 +855,59 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
         </div>
       )}
 
+      {/* Named Teams */}
+      {namedTeamSummaries.length > 0 && (
+        <div style={{
+          marginBottom: '16px',
+          padding: '16px',
+          background: 'white',
+          border: '1px solid #E5E7EB',
+          borderRadius: '8px'
+        }}>
+          <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#1F2937', margin: '0 0 4px 0' }}>
+            Teams
+          </h4>
+          <p style={{ fontSize: '12px', color: '#6B7280', margin: '0 0 12px 0' }}>
+            Capacity uses each member's allocation in {currentIterationDates.name}; velocity only counts work done while people belonged to the team.
+          </p>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: '#6B7280', borderBottom: '1px solid #E5E7EB' }}>
+                <th style={{ padding: '6px 8px', fontWeight: '600' }}>Team</th>
+                <th style={{ padding: '6px 8px', fontWeight: '600' }}>Members</th>
+                <th style={{ padding: '6px 8px', fontWeight: '600' }}>FTE</th>
+                <th style={{ padding: '6px 8px', fontWeight: '600' }}>Capacity</th>
+                <th style={{ padding: '6px 8px', fontWeight: '600' }}>
+                  Avg Velocity ({velocityConfig.metricType === 'issues' ? 'issues' : 'SP'}/sprint)
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {namedTeamSummaries.map(({ team, roster, fte, capacity, velocity }) => (
+                <tr key={team.id} style={{ borderBottom: '1px solid #F3F4F6' }}>
+                  <td style={{ padding: '6px 8px', fontWeight: '500', color: '#1F2937' }}>{team.name}</td>
+                  <td style={{ padding: '6px 8px', color: '#374151' }}>
+                    {roster.length === 0
+                      ? <span style={{ color: '#9CA3AF' }}>No current members</span>
+                      : roster.map(m => `@${m.username}${m.allocation < 1 ? ` (${Math.round(m.allocation * 100)}%)` : ''}`).join(', ')}
+                  </td>
+                  <td style={{ padding: '6px 8px' }}>{fte}</td>
+                  <td style={{ padding: '6px 8px' }}>{capacity}h</td>
+                  <td style={{ padding: '6px 8px' }}>
+                    {velocity.sprintsAnalyzed > 0
+                      ? (velocityConfig.metricType === 'issues' ? velocity.avgVelocity.byIssues : velocity.avgVelocity.byPoints)
+                      : <span style={{ color: '#9CA3AF' }}>No completed sprints</span>}
+                    {velocity.sprintsAnalyzed > 0 && (
+                      <span style={{ color: '#9CA3AF', fontSize: '12px' }}> ({velocity.sprintsAnalyzed} sprints)</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Controls Section */}
       <div style={{
         marginBottom: '20px',
@@ -909,6 +1039,27 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
                 </span>
               )}
             </label>
+
+            {/* Use GitLab time tracking checkbox */}
+            <label
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                fontSize: '13px',
+                color: '#374151',
+                cursor: 'pointer'
+              }}
+              title="Workload from GitLab time estimates minus logged time, where issues have an estimate"
+            >
+              <input
+                type="checkbox"
+                checked={Boolean(capacitySettings.useTimeTracking)}
+                onChange={(e) => handleToggleTimeTracking(e.target.checked)}
+                style={{ cursor: 'pointer' }}
+              />
+              <span>Use GitLab time tracking</span>
+            </label>
           </div>
 
           {/* Issue count summary */}
@@ -946,7 +1097,7 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
                 Suggestions appear when:
                 <ul style={{ marginTop: '6px', marginBottom: '0', paddingLeft: '20px' }}>
                   <li>A team member has ≥100% utilization (overloaded)</li>
-                  <li>Another team member with the same role has &lt;60% utilization</li>
+                  <li>Another team member with the required skills (or a compatible role, for issues without skill labels) has &lt;60% utilization</li>
                   <li>The overloaded member has issues that can be reassigned</li>
                 </ul>
               </div>
@@ -985,6 +1136,30 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
                 <div style={{ fontSize: '12px', color: '#6B7280', marginTop: '4px' }}>
                   {suggestion.reason}
                 </div>
+                <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center', marginTop: '6px', fontSize: '11px' }}>
+                  <span style={{ padding: '2px 8px', background: '#EEF2FF', color: '#4F46E5', borderRadius: '10px', fontWeight: '600' }}>
+                    Fit {suggestion.score}
+                  </span>
+                  {suggestion.skillFit.matched.map(skill => (
+                    <span
+                      key={skill.name}
+                      title={SKILL_LEVELS.find(l => l.value === skill.level)?.label}
+                      style={{ padding: '2px 8px', background: '#ECFDF5', color: '#065F46', borderRadius: '10px' }}
+                    >
+                      {skill.name} {'●'.repeat(skill.level)}
+                    </span>
+                  ))}
+                  {suggestion.skillFit.missing.map(skill => (
+                    <span key={skill} style={{ padding: '2px 8px', background: '#FEF2F2', color: '#991B1B', borderRadius: '10px' }}>
+                      no {skill}
+                    </span>
+                  ))}
+                  {suggestion.upcomingAbsenceDays > 0 && (
+                    <span style={{ padding: '2px 8px', background: '#FEF3C7', color: '#92400E', borderRadius: '10px' }}>
+                      {suggestion.upcomingAbsenceDays} absence day(s) coming up
+                    </span>
+                  )}
+                </div>
                 <button
                   onClick={() => setReallocationDialog({
                     fromMember: suggestion.from,
@@ -1011,6 +1186,76 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
         </div>
       )}
 
+      {/* Estimate Accuracy and Overruns */}
+      {capacitySettings.useTimeTracking && (
+        <div style={{
+          marginBottom: '20px',
+          padding: '16px',
+          background: 'white',
+          border: '1px solid #E5E7EB',
+          borderRadius: '8px'
+        }}>
+          <h4 style={{ fontSize: '14px', fontWeight: '600', color: '#1F2937', margin: '0 0 12px 0' }}>
+            Estimates vs. Actuals
+          </h4>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+            <div>
+              <div style={{ fontSize: '12px', fontWeight: '600', color: '#6B7280', marginBottom: '6px' }}>
+                Accuracy by issue type (closed issues)
+              </div>
+              {estimateAccuracy.byIssueType.length === 0 ? (
+                <div style={{ fontSize: '13px', color: '#9CA3AF' }}>No closed issues with an estimate and logged time.</div>
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', color: '#6B7280', borderBottom: '1px solid #E5E7EB' }}>
+                      <th style={{ padding: '4px 6px' }}>Type</th>
+                      <th style={{ padding: '4px 6px' }}>Issues</th>
+                      <th style={{ padding: '4px 6px' }}>Estimated</th>
+                      <th style={{ padding: '4px 6px' }}>Logged</th>
+                      <th style={{ padding: '4px 6px' }}>Accuracy</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {estimateAccuracy.byIssueType.map(entry => (
+                      <tr key={entry.key} style={{ borderBottom: '1px solid #F3F4F6' }}>
+                        <td style={{ padding: '4px 6px', fontWeight: '500' }}>{entry.key}</td>
+                        <td style={{ padding: '4px 6px' }}>{entry.issueCount}</td>
+                        <td style={{ padding: '4px 6px' }}>{entry.estimateHours}h</td>
+                        <td style={{ padding: '4px 6px', color: entry.ratio > 1 ? '#DC2626' : '#374151' }}>{entry.spentHours}h</td>
+                        <td style={{ padding: '4px 6px', fontWeight: '600' }}>{entry.accuracy}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            <div>
+              <div style={{ fontSize: '12px', fontWeight: '600', color: '#6B7280', marginBottom: '6px' }}>
+                Issues over their estimate
+              </div>
+              {teamOverruns.length === 0 ? (
+                <div style={{ fontSize: '13px', color: '#9CA3AF' }}>No issues over their estimate.</div>
+              ) : (
+                <ul style={{ margin: 0, paddingLeft: '18px', fontSize: '12px', color: '#374151' }}>
+                  {teamOverruns.slice(0, 8).map(o => (
+                    <li key={o.issue.id} style={{ marginBottom: '4px' }}>
+                      #{o.issue.iid} {o.issue.title}
+                      <span style={{ color: '#DC2626', marginLeft: '6px' }}>
+                        {o.spentHours}h / {o.estimateHours}h (+{o.overPercent}%)
+                      </span>
+                    </li>
+                  ))}
+                  {teamOverruns.length > 8 && (
+                    <li style={{ color: '#9CA3AF', listStyle: 'none' }}>+{teamOverruns.length - 8} more</li>
+                  )}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Capacity Analysis Warnings */}
       {capacityAnalysis && capacityAnalysis.issues.length > 0 && (
         <div style={{
@@ -1347,6 +1592,7 @@ export default function TeamCapacityCards({ teamMembers, issues, allIssues, mile
           fromMember={reallocationDialog.fromMember}
           toMember={reallocationDialog.toMember}
           suggestedStoryPoints={reallocationDialog.suggestedStoryPoints}
+          teamMembers={memberCapacityData}
           onReassign={handleReassignIssues}
         />
       )}
@@ -0,0 +1,248 @@
+import React, { useState, useMemo } from 'react'
+import {
+  WORKFLOW_PHASES,
+  loadWorkflow,
+  saveWorkflow,
+  resetWorkflow,
+  createWorkflowState,
+  suggestWorkflow,
+  getWorkflowState,
+  getWorkflowViolation
+} from '../services/workflowConfigService'
+import { DEFAULT_PHASE_PATTERNS, getPhaseLabel, getPhaseColor } from '../services/cycleTimeService'
+
+const inputStyle = { padding: '6px 10px', border: '1px solid #D1D5DB', borderRadius: '4px', fontSize: '13px' }
+const cellStyle = { padding: '6px 8px', borderTop: '1px solid #E5E7EB', verticalAlign: 'top' }
+const iconButtonStyle = { background: 'none', border: 'none', cursor: 'pointer', fontSize: '12px', color: '#6B7280', padding: '2px 4px' }
+
+/**
+ * Workflow Editor
+ * Ordered workflow states of the active project or pod, the exact or scoped labels mapped
+ * onto each and whether a state is active work or waiting. Used by phase detection,
+ * cycle time, the sprint board and the compliance check.
+ */
+export default function WorkflowEditor({ issues, onClose }) {
+  const savedWorkflow = loadWorkflow()
+  const [states, setStates] = useState(() => (savedWorkflow || suggestWorkflow(issues, DEFAULT_PHASE_PATTERNS)).states)
+  const [labelDrafts, setLabelDrafts] = useState({}) // stateId → label being added
+  const [error, setError] = useState(null)
+  const [message, setMessage] = useState(null)
+
+  const labelsInUse = useMemo(() => {
+    const labels = new Set()
+    issues.forEach(issue => (issue.labels || []).forEach(label => labels.add(typeof label === 'string' ? label : label.name)))
+    return Array.from(labels).sort((a, b) => a.localeCompare(b))
+  }, [issues])
+
+  // Open issues per state and open issues the draft flags, as a preview before saving
+  const preview = useMemo(() => {
+    const draft = { states }
+    const openIssues = issues.filter(issue => issue.state === 'opened')
+    const counts = new Map()
+    openIssues.forEach(issue => {
+      const state = getWorkflowState(issue, draft)
+      if (state) counts.set(state.id, (counts.get(state.id) || 0) + 1)
+    })
+    return {
+      counts,
+      unmapped: openIssues.filter(issue => !getWorkflowState(issue, draft)).length,
+      violations: openIssues.filter(issue => getWorkflowViolation(issue, draft)).length
+    }
+  }, [issues, states])
+
+  const updateState = (id, changes) => {
+    setStates(states.map(state => state.id === id ? { ...state, ...changes } : state))
+    setMessage(null)
+  }
+
+  const moveState = (index, offset) => {
+    const reordered = [...states]
+    const [moved] = reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, moved)
+    setStates(reordered)
+    setMessage(null)
+  }
+
+  const addLabel = (state) => {
+    const label = (labelDrafts[state.id] || '').trim()
+    if (!label) return
+    if (!state.labels.some(l => l.toLowerCase() === label.toLowerCase())) {
+      updateState(state.id, { labels: [...state.labels, label] })
+    }
+    setLabelDrafts({ ...labelDrafts, [state.id]: '' })
+  }
+
+  const handleSave = () => {
+    try {
+      saveWorkflow({ states })
+      setError(null)
+      setMessage('Workflow saved')
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleReset = () => {
+    if (!confirm('Remove the workflow of this project? Phases will be detected from label patterns again.')) return
+    resetWorkflow()
+    setStates(suggestWorkflow(issues, DEFAULT_PHASE_PATTERNS).states)
+    setError(null)
+    setMessage('Workflow removed, using label pattern detection')
+  }
+
+  return (
+    <div className="card" style={{ marginBottom: '30px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '8px' }}>
+        <h3 style={{ fontSize: '16px', fontWeight: '600', color: '#1F2937' }}>
+          Workflow
+        </h3>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', color: '#6B7280' }}
+        >
+          ×
+        </button>
+      </div>
+      <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#6B7280' }}>
+        States in workflow order with the labels that put an issue into them. Labels match exactly
+        (case-insensitive), plain or scoped like <code>workflow::in review</code>; the first label of a
+        state is applied when moving cards on the sprint board. Active states count as work in cycle time,
+        the others as waiting.
+        {!savedWorkflow && ' No workflow is saved for this project yet: the states below are suggested from labels in use.'}
+      </p>
+
+      {error && (
+        <div style={{ padding: '8px 12px', marginBottom: '12px', background: '#FEE2E2', borderRadius: '6px', fontSize: '13px', color: '#991B1B' }}>
+          {error}
+        </div>
+      )}
+      {message && (
+        <div style={{ padding: '8px 12px', marginBottom: '12px', background: '#D1FAE5', borderRadius: '6px', fontSize: '13px', color: '#065F46' }}>
+          {message}
+        </div>
+      )}
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '12px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', color: '#6B7280' }}>
+            <th style={{ padding: '4px 8px', fontWeight: '600' }}>Order</th>
+            <th style={{ padding: '4px 8px', fontWeight: '600' }}>State</th>
+            <th style={{ padding: '4px 8px', fontWeight: '600' }}>Phase</th>
+            <th style={{ padding: '4px 8px', fontWeight: '600' }}>Active Work</th>
+            <th style={{ padding: '4px 8px', fontWeight: '600' }}>Labels</th>
+            <th style={{ padding: '4px 8px', fontWeight: '600', textAlign: 'right' }}>Open</th>
+            <th style={{ padding: '4px 8px' }}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {states.map((state, index) => (
+            <tr key={state.id}>
+              <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                <button onClick={() => moveState(index, -1)} disabled={index === 0} title="Move up" style={iconButtonStyle}>▲</button>
+                <button onClick={() => moveState(index, 1)} disabled={index === states.length - 1} title="Move down" style={iconButtonStyle}>▼</button>
+              </td>
+              <td style={cellStyle}>
+                <input
+                  type="text"
+                  value={state.name}
+                  onChange={(e) => updateState(state.id, { name: e.target.value })}
+                  placeholder="State name"
+                  style={{ ...inputStyle, width: '140px' }}
+                />
+              </td>
+              <td style={cellStyle}>
+                <select
+                  value={state.phase}
+                  onChange={(e) => updateState(state.id, { phase: e.target.value })}
+                  style={{ ...inputStyle, borderLeft: `4px solid ${getPhaseColor(state.phase)}` }}
+                >
+                  {WORKFLOW_PHASES.map(phase => (
+                    <option key={phase} value={phase}>{getPhaseLabel(phase)}</option>
+                  ))}
+                </select>
+              </td>
+              <td style={cellStyle}>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#374151' }}>
+                  <input
+                    type="checkbox"
+                    checked={state.active}
+                    onChange={(e) => updateState(state.id, { active: e.target.checked })}
+                  />
+                  {state.active ? 'Active' : 'Waiting'}
+                </label>
+              </td>
+              <td style={cellStyle}>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '4px' }}>
+                  {state.labels.map((label, labelIndex) => (
+                    <span key={label} style={{
+                      padding: '2px 6px',
+                      background: labelIndex === 0 ? '#DBEAFE' : '#F3F4F6',
+                      color: labelIndex === 0 ? '#1E40AF' : '#374151',
+                      borderRadius: '4px',
+                      fontSize: '11px',
+                      fontWeight: '600'
+                    }}>
+                      {label}
+                      <button
+                        onClick={() => updateState(state.id, { labels: state.labels.filter(l => l !== label) })}
+                        title="Remove label"
+                        style={{ ...iconButtonStyle, color: '#DC2626', fontSize: '11px' }}
+                      >
+                        ×
+                      </button>
+                    </span>
+                  ))}
+                </div>
+                <input
+                  type="text"
+                  list="workflow-labels-in-use"
+                  value={labelDrafts[state.id] || ''}
+                  onChange={(e) => setLabelDrafts({ ...labelDrafts, [state.id]: e.target.value })}
+                  onKeyDown={(e) => e.key === 'Enter' && addLabel(state)}
+                  onBlur={() => addLabel(state)}
+                  placeholder="Add label..."
+                  style={{ ...inputStyle, width: '180px', fontSize: '12px' }}
+                />
+              </td>
+              <td style={{ ...cellStyle, textAlign: 'right' }}>{preview.counts.get(state.id) || 0}</td>
+              <td style={{ ...cellStyle, textAlign: 'right' }}>
+                <button
+                  onClick={() => setStates(states.filter(s => s.id !== state.id))}
+                  title="Remove state"
+                  style={{ ...iconButtonStyle, color: '#DC2626' }}
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <datalist id="workflow-labels-in-use">
+        {labelsInUse.map(label => <option key={label} value={label} />)}
+      </datalist>
+
+      <div style={{ fontSize: '12px', color: '#6B7280', marginBottom: '12px' }}>
+        {preview.unmapped} open issue{preview.unmapped !== 1 ? 's' : ''} without a state label (counted as backlog)
+        {preview.violations > 0 && `, ${preview.violations} with conflicting or unknown workflow labels`}
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <button className="btn btn-secondary" onClick={() => setStates([...states, createWorkflowState()])}>
+          + Add State
+        </button>
+        <button className="btn btn-secondary" onClick={() => setStates(suggestWorkflow(issues, DEFAULT_PHASE_PATTERNS).states)}>
+          Suggest from Labels
+        </button>
+        {savedWorkflow && (
+          <button className="btn btn-secondary" onClick={handleReset}>
+            Use Label Patterns
+          </button>
+        )}
+        <button className="btn btn-primary" onClick={handleSave}>
+          Save Workflow
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -2,14 +2,92 @@
  * Custom hook for fetching and managing GitLab data
  * Handles loading states, errors, and data caching
  * Supports both single-project and cross-project aggregation
+ * Falls back to the last good dataset when GitLab cannot be reached
  */
 
 const isDev = import.meta.env.MODE === 'development'
 
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { fetchAllData } from '../services/gitlabApi'
-import { loadConfig, isConfigured, getActiveProjectId, getAllProjects, getActiveGroupId, getActiveGroup } from '../services/storageService'
-import { getProjectGroup, getProjectsForGroup } from '../services/projectGroupService'
+import { isAbortError, isConnectivityError } from '../services/gitlabHttpClient'
+import { loadConfig, isConfigured, getActiveProjectId, getAllProjects, getActiveGroupId, getActiveGroup, getActiveSourceGroup } from '../services/storageService'
+import { getProjectGroup, getProjectsForGroup, filterDataBySourceGroup } from '../services/projectGroupService'
+import { getSnapshotKey, loadOfflineDataset, saveOfflineDataset } from '../services/syncSnapshotService'
+import { setOfflineMode, isBrowserOffline } from '../services/offlineService'
+import { connectLiveUpdates, applyDelta } from '../services/liveUpdateService'
+
+// How often to retry GitLab while serving cached data
+const OFFLINE_RETRY_INTERVAL_MS = 60 * 1000
+
+/**
+ * Oldest sync timestamp across several per-project fetches
+ * An aggregated dataset is only as fresh as its stalest part
+ */
+function getOldestSyncTime(projectsData) {
+  const times = projectsData
+    .map(p => p.lastSyncedAt)
+    .filter(Boolean)
+    .sort()
+  return times.length > 0 ? times[0] : null
+}
+
+/**
+ * Narrow a group-mode result to the source group selected in the portfolio filter
+ * Cross-project links are rebuilt so they only reference the sliced issues and epics
+ */
+async function applySourceGroupSlice(result, config) {
+  const sourceGroup = getActiveSourceGroup()
+  if (config.mode !== 'group' || !sourceGroup || !result.sourceGroups?.some(g => g.path === sourceGroup)) {
+    return result
+  }
+
+  const sliced = filterDataBySourceGroup(result, sourceGroup)
+  const { linkCrossProjectIssues, buildEpicHierarchy } = await import('../services/crossProjectLinkingService.js')
+
+  return {
+    ...sliced,
+    crossProjectData: {
+      ...result.crossProjectData,
+      ...linkCrossProjectIssues(sliced.issues, sliced.epics),
+      epicHierarchy: buildEpicHierarchy(sliced.epics),
+      orphanedIssues: (result.crossProjectData.orphanedIssues || []).filter(issue => issue._sourceGroup === sourceGroup),
+      projectCount: sliced.projects.length
+    }
+  }
+}
+
+/**
+ * Key under which the last good dataset of the active view is kept for offline use
+ * Returns null when there is nothing to fetch (e.g. single project mode without config)
+ */
+function getDatasetKey(activeGroupId, activeProjectId, config) {
+  if (activeGroupId) return `pod:${activeGroupId}`
+  if (activeProjectId === 'cross-project' || activeProjectId?.startsWith('group:')) return `view:${activeProjectId}`
+  if (!config) return null
+  const sourceGroup = config.mode === 'group' ? getActiveSourceGroup() : null
+  return `view:${getSnapshotKey(config)}${sourceGroup ? `|${sourceGroup}` : ''}`
+}
+
+/**
+ * Configured projects of the active view for placing new items pushed by the live relay,
+ * with the tags their items carry ([{ ref: GitLab id or path, tags }])
+ * Pod and group mode look projects up in the loaded project list instead
+ */
+function getLiveUpdateProjects() {
+  const activeProjectId = getActiveProjectId()
+  if (getActiveGroupId()) return []
+
+  if (activeProjectId === 'cross-project' || activeProjectId?.startsWith('group:')) {
+    const allProjects = getAllProjects()
+    const projects = activeProjectId === 'cross-project'
+      ? allProjects
+      : getProjectsForGroup(activeProjectId.replace('group:', ''), allProjects)
+    return projects.map(project => ({ ref: project.projectId, tags: { _projectId: project.id, _projectName: project.name } }))
+  }
+
+  const config = loadConfig()
+  return config.mode !== 'group' && config.projectId ? [{ ref: config.projectId, tags: {} }] : []
+}
 
 export default function useGitLabData() {
   const [data, setData] = useState({
@@ -21,6 +99,11 @@ export default function useGitLabData() {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   const [config, setConfig] = useState(null)
+  const [lastSyncedAt, setLastSyncedAt] = useState(null)
+  const [offline, setOffline] = useState(null) // { savedAt, lastSyncedAt, reason } while serving cached data
+  const [liveStatus, setLiveStatus] = useState(null) // Webhook relay connection, null when not configured
+  const abortControllerRef = useRef(null)
+  const servedSnapshotRef = useRef(null) // savedAt of the cached dataset on screen, null when live
 
   // Load configuration
   useEffect(() => {
@@ -36,8 +119,52 @@ export default function useGitLabData() {
 
   // Fetch data from GitLab (single project, project group, or cross-project aggregation)
   const fetchData = useCallback(async () => {
+    // Cancel any fetch still in flight (e.g. after a quick project switch)
+    abortControllerRef.current?.abort()
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    const { signal } = controller
+
     const activeProjectId = getActiveProjectId()
     const activeGroupId = getActiveGroupId()
+    const datasetKey = getDatasetKey(activeGroupId, activeProjectId, config)
+
+    // Show freshly fetched data and keep a copy for offline use
+    // Incomplete aggregations (some projects failed) never replace the stored dataset
+    const showData = (newData, syncedAt, complete = true) => {
+      setOfflineMode(false)
+      setOffline(null)
+      servedSnapshotRef.current = null
+      setData(newData)
+      setLastSyncedAt(syncedAt)
+      if (complete && datasetKey) {
+        saveOfflineDataset(datasetKey, { data: newData, lastSyncedAt: syncedAt })
+      }
+    }
+
+    // Serve the last good dataset instead of an error when GitLab is unreachable
+    // (network failure, timeout or server error; rejected requests like 401/403/404 still show the error)
+    // Returns false when nothing is stored for this view
+    const showCachedData = async (err) => {
+      if (!isBrowserOffline() && !isConnectivityError(err)) return false
+
+      const cached = datasetKey ? await loadOfflineDataset(datasetKey) : null
+      if (signal.aborted) return true
+      if (!cached) return false
+
+      if (isDev) {
+        console.log(`useGitLabData: Serving offline dataset from ${cached.savedAt}`)
+      }
+      setOfflineMode(true)
+      // A failed retry keeps the dataset already on screen instead of re-rendering every view
+      if (servedSnapshotRef.current !== cached.savedAt) {
+        servedSnapshotRef.current = cached.savedAt
+        setData(cached.data)
+        setLastSyncedAt(cached.lastSyncedAt || cached.savedAt)
+      }
+      setOffline({ savedAt: cached.savedAt, lastSyncedAt: cached.lastSyncedAt, reason: err.message })
+      return true
+    }
 
     // Check if POD mode is active (GitLab Group/Pod)
     if (activeGroupId) {
@@ -57,6 +184,7 @@ export default function useGitLabData() {
       setError(null)
 
       try {
+        if (isBrowserOffline()) throw new Error('No network connection')
         if (isDev) {
           console.log(`useGitLabData: Fetching data for pod "${activePod.name}"...`)
           console.log('  Pod config:', activePod)
@@ -68,7 +196,9 @@ export default function useGitLabData() {
           token: mainConfig.token, // Use centralized token
           groupPath: activePod.groupPath,
           mode: 'group',
-          filter2025: mainConfig.filter2025
+          dataWindow: mainConfig.dataWindow,
+          dataSource: mainConfig.dataSource,
+          signal
         }
 
         const result = await fetchAllData(podConfig)
@@ -81,12 +211,14 @@ export default function useGitLabData() {
           console.log(`  Total epics: ${result.epics.length}`)
         }
 
-        setData(result)
+        if (signal.aborted) return
+        showData(result, result.syncInfo?.lastSyncedAt || null)
       } catch (err) {
+        if (isAbortError(err)) return
         console.error('Pod data fetch failed:', err)
-        setError(err.message)
+        if (!(await showCachedData(err))) setError(err.message)
       } finally {
-        setLoading(false)
+        if (!signal.aborted) setLoading(false)
       }
       return
     }
@@ -120,12 +252,14 @@ export default function useGitLabData() {
       setError(null)
 
       try {
+        if (isBrowserOffline()) throw new Error('No network connection')
         if (isDev) {
           console.log(`useGitLabData: Fetching data for project group "${group.name}" (${groupProjects.length} projects)...`)
         }
 
         // Fetch data from all projects in the group
         const mainConfig = loadConfig()
+        const fetchErrors = [] // Original errors, to tell an unreachable GitLab from rejected requests
         const projectDataPromises = groupProjects.map(async (project) => {
           try {
             if (isDev) {
@@ -137,7 +271,9 @@ export default function useGitLabData() {
               projectId: project.projectId,
               groupPath: project.groupPath,
               groupPaths: project.groupPaths, // Support multiple group paths per project
-              filter2025: loadConfig().filter2025
+              dataWindow: mainConfig.dataWindow,
+              dataSource: mainConfig.dataSource,
+              signal
             }
             const data = await fetchAllData(projectConfig)
 
@@ -145,12 +281,14 @@ export default function useGitLabData() {
             return {
               projectId: project.id,
               projectName: project.name,
+              lastSyncedAt: data.syncInfo?.lastSyncedAt,
               issues: data.issues.map(issue => ({ ...issue, _projectId: project.id, _projectName: project.name })),
               milestones: data.milestones.map(ms => ({ ...ms, _projectId: project.id, _projectName: project.name })),
               epics: data.epics.map(epic => ({ ...epic, _projectId: project.id, _projectName: project.name }))
             }
           } catch (err) {
             console.error(`  Failed to fetch project ${project.name}:`, err)
+            fetchErrors.push(err)
             return {
               projectId: project.id,
               projectName: project.name,
@@ -163,6 +301,9 @@ export default function useGitLabData() {
         })
 
         const projectsData = await Promise.all(projectDataPromises)
+        if (projectsData.every(p => p.error)) {
+          throw fetchErrors[0]
+        }
 
         // If the group has shared group paths, fetch additional epics
         let sharedEpics = []
@@ -183,7 +324,9 @@ export default function useGitLabData() {
                 token: baseProject.token,
                 projectId: baseProject.projectId, // Still need a project for base URL
                 groupPaths: [groupPath],
-                filter2025: loadConfig().filter2025
+                dataWindow: loadConfig().dataWindow,
+                dataSource: loadConfig().dataSource,
+                signal
               }
               const data = await fetchAllData(sharedConfig)
               return data.epics.map(epic => ({ ...epic, _sharedSource: groupPath }))
@@ -252,12 +395,14 @@ export default function useGitLabData() {
           }
         }
 
-        setData(aggregatedData)
+        if (signal.aborted) return
+        showData(aggregatedData, getOldestSyncTime(projectsData), !projectsData.some(p => p.error))
       } catch (err) {
+        if (isAbortError(err)) return
         console.error('Project group data fetch failed:', err)
-        setError(err.message)
+        if (!(await showCachedData(err))) setError(err.message)
       } finally {
-        setLoading(false)
+        if (!signal.aborted) setLoading(false)
       }
     }
     // Check if cross-project mode is active
@@ -278,12 +423,14 @@ export default function useGitLabData() {
       setError(null)
 
       try {
+        if (isBrowserOffline()) throw new Error('No network connection')
         if (isDev) {
           console.log(`useGitLabData: Fetching data from ${allProjects.length} projects...`)
         }
 
         // Fetch data from all projects in parallel
         const mainConfig = loadConfig()
+        const fetchErrors = [] // Original errors, to tell an unreachable GitLab from rejected requests
         const projectDataPromises = allProjects.map(async (project) => {
           try {
             if (isDev) {
@@ -295,7 +442,9 @@ export default function useGitLabData() {
               projectId: project.projectId,
               groupPath: project.groupPath,
               groupPaths: project.groupPaths, // Support multiple group paths
-              filter2025: mainConfig.filter2025 // Use global filter setting
+              dataWindow: mainConfig.dataWindow, // Use global time window
+              dataSource: mainConfig.dataSource,
+              signal
             }
             const data = await fetchAllData(projectConfig)
 
@@ -303,12 +452,14 @@ export default function useGitLabData() {
             return {
               projectId: project.id,
               projectName: project.name,
+              lastSyncedAt: data.syncInfo?.lastSyncedAt,
               issues: data.issues.map(issue => ({ ...issue, _projectId: project.id, _projectName: project.name })),
               milestones: data.milestones.map(ms => ({ ...ms, _projectId: project.id, _projectName: project.name })),
               epics: data.epics.map(epic => ({ ...epic, _projectId: project.id, _projectName: project.name }))
             }
           } catch (err) {
             console.error(`  Failed to fetch project ${project.name}:`, err)
+            fetchErrors.push(err)
             return {
               projectId: project.id,
               projectName: project.name,
@@ -321,6 +472,9 @@ export default function useGitLabData() {
         })
 
         const projectsData = await Promise.all(projectDataPromises)
+        if (projectsData.every(p => p.error)) {
+          throw fetchErrors[0]
+        }
 
         // Import cross-project linking functions
         const { linkCrossProjectIssues, buildEpicHierarchy } = await import('../services/crossProjectLinkingService.js')
@@ -362,12 +516,14 @@ export default function useGitLabData() {
           }
         }
 
-        setData(aggregatedData)
+        if (signal.aborted) return
+        showData(aggregatedData, getOldestSyncTime(projectsData), !projectsData.some(p => p.error))
       } catch (err) {
+        if (isAbortError(err)) return
         console.error('Cross-project data fetch failed:', err)
-        setError(err.message)
+        if (!(await showCachedData(err))) setError(err.message)
       } finally {
-        setLoading(false)
+        if (!signal.aborted) setLoading(false)
       }
     } else {
       // Single project mode
@@ -379,17 +535,53 @@ export default function useGitLabData() {
       setError(null)
 
       try {
-        const result = await fetchAllData(config)
-        setData(result)
+        if (isBrowserOffline()) throw new Error('No network connection')
+        const result = await applySourceGroupSlice(await fetchAllData({ ...config, signal }), config)
+        if (signal.aborted) return
+        showData(result, result.syncInfo?.lastSyncedAt || null)
       } catch (err) {
+        if (isAbortError(err)) return
         console.error('GitLab data fetch failed:', err)
-        setError(err.message)
+        if (!(await showCachedData(err))) setError(err.message)
       } finally {
-        setLoading(false)
+        if (!signal.aborted) setLoading(false)
       }
     }
   }, [config])
 
+  // Cancel any in-flight fetch on unmount
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort()
+  }, [])
+
+  // Retry automatically while serving cached data: once the browser reports the connection
+  // is back, and periodically since GitLab can be down while the browser stays online
+  useEffect(() => {
+    if (!offline) return
+    const handleOnline = () => fetchData()
+    const retryTimer = setInterval(() => {
+      if (!isBrowserOffline()) fetchData()
+    }, OFFLINE_RETRY_INTERVAL_MS)
+    window.addEventListener('online', handleOnline)
+    return () => {
+      clearInterval(retryTimer)
+      window.removeEventListener('online', handleOnline)
+    }
+  }, [offline, fetchData])
+
+  // Patch the dataset with deltas pushed by the optional webhook relay
+  const liveUpdatesUrl = config?.liveUpdatesUrl
+  useEffect(() => {
+    if (!liveUpdatesUrl) {
+      setLiveStatus(null)
+      return
+    }
+    return connectLiveUpdates(liveUpdatesUrl, {
+      onDelta: delta => setData(prev => applyDelta(prev, delta, { projects: getLiveUpdateProjects() })),
+      onStatusChange: setLiveStatus
+    })
+  }, [liveUpdatesUrl])
+
   // Auto-fetch on config change or when entering cross-project/group/pod mode
   useEffect(() => {
     if (isDev) {
@@ -436,7 +628,7 @@ export default function useGitLabData() {
     // Reload config from storage before fetching (important for portfolio switching)
     const freshConfig = loadConfig()
     if (isDev) {
-      console.log('  Fresh config from localStorage:', freshConfig)
+      console.log('  Fresh config from storage:', freshConfig)
       console.log('  Fresh groupPath:', freshConfig.groupPath)
       console.log('  Fresh projectId:', freshConfig.projectId)
       console.log('  Fresh token exists:', !!freshConfig.token)
@@ -456,6 +648,9 @@ export default function useGitLabData() {
     crossProjectData: data.crossProjectData,
     loading,
     error,
+    lastSyncedAt,
+    offline,
+    liveStatus,
     refresh,
     isConfigured: isConfigured()
   }
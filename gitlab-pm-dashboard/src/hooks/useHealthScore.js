@@ -7,6 +7,7 @@
 import { useMemo } from 'react'
 import { calculateHealthScore, calculateStats } from '../services/metricsService'
 import { HEALTH_SCORE_TIMEFRAME } from '../constants/config'
+import { persistentStore } from '../services/persistentStore'
 
 /**
  * Filter issues based on timeframe configuration
@@ -52,7 +53,7 @@ export default function useHealthScore(issues, milestones = []) {
     }
 
     // Load timeframe config
-    const savedConfig = localStorage.getItem('healthScoreConfig')
+    const savedConfig = persistentStore.getItem('healthScoreConfig')
     let timeframeConfig = HEALTH_SCORE_TIMEFRAME
 
     if (savedConfig) {
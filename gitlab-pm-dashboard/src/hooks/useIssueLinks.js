@@ -0,0 +1,72 @@
+import { useState, useEffect } from 'react'
+import { loadConfig } from '../services/storageService'
+import { getOrFetchIssueLinks } from '../services/dependencyService'
+import { isAbortError } from '../services/gitlabHttpClient'
+
+/**
+ * Hook to fetch GitLab issue links (blocks / is_blocked_by / relates_to) for dependency detection
+ * Until links are loaded (or when fetching fails), dependencies come from description text
+ * Issues loaded through GraphQL already carry their links (linked_issues) and are skipped
+ * Fetched links are cached for 5 minutes and kept for offline use (handled by service)
+ */
+export default function useIssueLinks(issues) {
+  const [issueLinks, setIssueLinks] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [progress, setProgress] = useState({ current: 0, total: 0 })
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!issues || issues.length === 0) {
+      return
+    }
+
+    const controller = new AbortController()
+
+    const fetchLinks = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+
+        const config = loadConfig()
+        const issuesWithoutLinks = issues.filter(issue => !issue.linked_issues)
+        if (issuesWithoutLinks.length === 0) return
+
+        const linksMap = await getOrFetchIssueLinks(
+          issuesWithoutLinks,
+          {
+            gitlabUrl: config.gitlabUrl,
+            projectId: config.projectId,
+            token: config.token,
+            signal: controller.signal
+          },
+          (current, total) => {
+            setProgress({ current, total })
+          }
+        )
+
+        setIssueLinks(linksMap)
+      } catch (err) {
+        if (isAbortError(err)) return
+        console.error('Failed to fetch issue links:', err)
+        setError(err.message)
+        // Don't fail completely - fall back to description text
+      } finally {
+        if (!controller.signal.aborted) setLoading(false)
+      }
+    }
+
+    fetchLinks()
+
+    // Cancel pending requests when issues change or the component unmounts
+    return () => {
+      controller.abort()
+    }
+  }, [issues])
+
+  return {
+    issueLinks,
+    loading,
+    progress,
+    error
+  }
+}
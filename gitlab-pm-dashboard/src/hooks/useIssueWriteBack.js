@@ -0,0 +1,106 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { loadConfig } from '../services/storageService'
+import { applyIssuePatch, pickIssueFields } from '../services/boardWriteBackService'
+
+// Number of actions that can be undone
+const MAX_UNDO_HISTORY = 20
+
+/**
+ * Hook for editing issues from the UI with optimistic updates
+ * Changes show immediately, roll back if GitLab rejects them, and can be undone
+ * Optimistic state is dropped once fresh data arrives from GitLab
+ */
+export default function useIssueWriteBack(issues) {
+  const [overrides, setOverrides] = useState({}) // issue.id -> patched fields
+  const [pending, setPending] = useState({}) // issue.id -> true while a request runs
+  const [history, setHistory] = useState([]) // { issue, before, description }, newest last
+  const [error, setError] = useState(null)
+  const overridesRef = useRef(overrides)
+  overridesRef.current = overrides
+
+  // Refreshed data already contains the written changes
+  useEffect(() => {
+    setOverrides({})
+  }, [issues])
+
+  // Show an issue list with the optimistic changes applied
+  const applyOverrides = useCallback((list) => {
+    if (Object.keys(overrides).length === 0) return list
+    return list.map(issue => overrides[issue.id] ? { ...issue, ...overrides[issue.id] } : issue)
+  }, [overrides])
+
+  // Apply a patch optimistically and write it to GitLab, rolling back on failure
+  const writePatch = useCallback(async (issue, patch) => {
+    const previousOverride = overridesRef.current[issue.id]
+
+    setError(null)
+    setOverrides(prev => ({ ...prev, [issue.id]: { ...prev[issue.id], ...patch } }))
+    setPending(prev => ({ ...prev, [issue.id]: true }))
+
+    try {
+      await applyIssuePatch(issue, patch, loadConfig())
+      return true
+    } catch (err) {
+      console.error(`Failed to update issue #${issue.iid}:`, err)
+      // Fields GitLab kept although the rest of the patch failed stay applied
+      const saved = err.savedFields ? pickIssueFields(patch, err.savedFields) : null
+      setOverrides(prev => {
+        const next = { ...prev }
+        if (previousOverride || saved) {
+          next[issue.id] = { ...previousOverride, ...saved }
+        } else {
+          delete next[issue.id]
+        }
+        return next
+      })
+      setError(saved
+        ? `Could not update all fields of #${issue.iid} (${err.savedFields.join(', ')} saved): ${err.message}`
+        : `Could not update #${issue.iid}: ${err.message}`)
+      return false
+    } finally {
+      setPending(prev => {
+        const next = { ...prev }
+        delete next[issue.id]
+        return next
+      })
+    }
+  }, [])
+
+  /**
+   * Update issue fields
+   * @param {Object} issue - Issue as currently shown
+   * @param {Object} patch - Fields to change (labels, state, milestone, iteration, weight, due_date)
+   * @param {string} description - Shown on the undo button
+   */
+  const updateIssueFields = useCallback(async (issue, patch, description) => {
+    const before = pickIssueFields(issue, Object.keys(patch))
+    const success = await writePatch(issue, patch)
+    if (success) {
+      setHistory(prev => [...prev, { issue: { ...issue, ...patch }, before, description }].slice(-MAX_UNDO_HISTORY))
+    }
+    return success
+  }, [writePatch])
+
+  // Revert the most recent successful change
+  const undo = useCallback(async () => {
+    const entry = history[history.length - 1]
+    if (!entry) return false
+
+    setHistory(prev => prev.slice(0, -1))
+    const success = await writePatch(entry.issue, entry.before)
+    if (!success) {
+      setHistory(prev => [...prev, entry])
+    }
+    return success
+  }, [history, writePatch])
+
+  return {
+    applyOverrides,
+    updateIssueFields,
+    undo,
+    history,
+    pending,
+    error,
+    clearError: () => setError(null)
+  }
+}
@@ -1,12 +1,14 @@
 import { useState, useEffect } from 'react'
 import { loadConfig } from '../services/storageService'
 import { getOrFetchLabelEvents, clearLabelEventsCache } from '../services/enhancedCycleTimeService'
+import { isAbortError } from '../services/gitlabHttpClient'
 
 /**
  * Hook to fetch and manage label events for accurate cycle time tracking
  * Only fetches if GitLab Premium/Ultimate is available
+ * includeActiveOpen: also load the history of open issues in work (needed for flow charts)
  */
-export default function useLabelEvents(issues) {
+export default function useLabelEvents(issues, { includeActiveOpen = false } = {}) {
   const [labelEventsMap, setLabelEventsMap] = useState(null)
   const [loading, setLoading] = useState(false)
   const [progress, setProgress] = useState({ current: 0, total: 0 })
@@ -17,6 +19,8 @@ export default function useLabelEvents(issues) {
       return
     }
 
+    const controller = new AbortController()
+
     const fetchLabelEvents = async () => {
       try {
         setLoading(true)
@@ -28,9 +32,9 @@ export default function useLabelEvents(issues) {
           return
         }
 
-        // Only fetch for closed issues
+        // Only fetch for closed issues (and open ones in work when requested)
         const closedIssuesCount = issues.filter(i => i.state === 'closed').length
-        if (closedIssuesCount === 0) {
+        if (closedIssuesCount === 0 && !includeActiveOpen) {
           console.log('No closed issues, skipping label events fetch')
           return
         }
@@ -42,16 +46,19 @@ export default function useLabelEvents(issues) {
           {
             gitlabUrl: config.gitlabUrl,
             projectId: config.projectId,
-            token: config.token
+            token: config.token,
+            signal: controller.signal
           },
           (current, total) => {
             setProgress({ current, total })
-          }
+          },
+          { includeActiveOpen }
         )
 
         setLabelEventsMap(eventsMap)
         console.log(`✓ Label events loaded: ${eventsMap.size} issues`)
       } catch (err) {
+        if (isAbortError(err)) return
         console.error('Failed to fetch label events:', err)
         setError(err.message)
         // Don't fail completely - fall back to estimated cycle times
@@ -62,11 +69,12 @@ export default function useLabelEvents(issues) {
 
     fetchLabelEvents()
 
-    // Cleanup function to clear cache when component unmounts
+    // Cancel pending requests when issues change or the component unmounts
+    // (fetched events stay cached for 5 minutes, handled by service)
     return () => {
-      // Keep cache for 5 minutes (handled by service)
+      controller.abort()
     }
-  }, [issues])
+  }, [issues, includeActiveOpen])
 
   const refresh = () => {
     clearLabelEventsCache()
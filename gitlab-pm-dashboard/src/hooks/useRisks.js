@@ -9,13 +9,13 @@ import { loadRisks, saveRisks } from '../services/storageService'
 export default function useRisks() {
   const [risks, setRisks] = useState([])
 
-  // Load risks from localStorage on mount
+  // Load risks from storage on mount
   useEffect(() => {
     const savedRisks = loadRisks()
     setRisks(savedRisks)
   }, [])
 
-  // Save risks to localStorage whenever they change
+  // Save risks to storage whenever they change
   useEffect(() => {
     if (risks.length > 0 || risks.length !== loadRisks().length) {
       saveRisks(risks)
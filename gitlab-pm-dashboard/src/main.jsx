@@ -3,6 +3,7 @@ import { createRoot } from 'react-dom/client'
 import './styles/main.css'
 import App from './App.jsx'
 import ErrorBoundary from './components/ErrorBoundary'
+import { initPersistentStore } from './services/persistentStore'
 
 console.log('=== GitLab PM Dashboard - Starting ===')
 console.log('Environment:', {
@@ -12,6 +13,10 @@ console.log('Environment:', {
   reactVersion: StrictMode ? 'React 18+' : 'Unknown'
 })
 
+// Load stored data (and migrate it from localStorage on first run) before anything reads it
+const storeReady = await initPersistentStore()
+console.log('Storage:', storeReady)
+
 try {
   console.log('Step 1: Looking for root element...')
   const rootElement = document.getElementById('root')
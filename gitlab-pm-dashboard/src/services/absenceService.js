@@ -7,11 +7,23 @@
  */
 
 import { getActiveProjectId, getActiveGroupId } from './storageService'
+import { persistentStore } from './persistentStore'
+import { loadTeamConfig } from './teamConfigService'
+import { getWorkingDayRules, countWorkingDays, getHolidaysInRange } from './holidayCalendarService'
+import { parseICalEvents, expandICalEvent, buildICalendar } from '../utils/icalUtils'
 
 const STORAGE_KEY = 'gitlab-pm-absences'
+const ICS_MAPPING_KEY = 'gitlab-pm-absence-ics-mapping'
+const ICS_RECURRENCE_MONTHS = 12 // Occurrences imported for open-ended recurring absences
+const FEED_KEY = 'gitlab-pm-absence-feed'
+const FEED_PAST_MONTHS = 3 // Past absences kept in the published feed
+const FEED_REFRESH_INTERVAL = 'PT1H'
+
+// Feed content last published in this session, to skip unchanged republishing
+let lastPublishedFeed = { feedId: null, content: null }
 
 /**
- * Get context-specific key for localStorage
+ * Get context-specific key for storage
  * Priority: Pod-level > Project-level > Global
  * @param {string} baseKey - Base key name
  * @returns {string} Context-specific key
@@ -42,7 +54,7 @@ function getProjectKey(baseKey) {
  */
 export function loadAbsences() {
   try {
-    const stored = localStorage.getItem(getProjectKey(STORAGE_KEY))
+    const stored = persistentStore.getItem(getProjectKey(STORAGE_KEY))
     if (stored) {
       const data = JSON.parse(stored)
       // Convert date strings back to Date objects
@@ -72,12 +84,12 @@ export function loadAbsences() {
 export function loadAllProjectAbsences() {
   const allAbsences = []
 
-  // Get all keys from localStorage
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i)
+  // Get all keys from storage
+  for (let i = 0; i < persistentStore.length; i++) {
+    const key = persistentStore.key(i)
     if (key && key.startsWith(STORAGE_KEY)) {
       try {
-        const stored = localStorage.getItem(key)
+        const stored = persistentStore.getItem(key)
         if (stored) {
           const data = JSON.parse(stored)
           if (data.absences) {
@@ -112,7 +124,7 @@ export function saveAbsences(absenceData) {
       ...absenceData,
       lastModified: new Date().toISOString()
     }
-    localStorage.setItem(getProjectKey(STORAGE_KEY), JSON.stringify(toSave))
+    persistentStore.setItem(getProjectKey(STORAGE_KEY), JSON.stringify(toSave))
     return true
   } catch (error) {
     console.error('Error saving absences:', error)
@@ -121,21 +133,13 @@ export function saveAbsences(absenceData) {
 }
 
 /**
- * Add or update an absence
- * @param {String} username - Team member username
- * @param {Date} startDate - Start date of absence
- * @param {Date} endDate - End date of absence
- * @param {String} reason - Reason for absence (e.g., "Vacation", "Conference")
- * @param {String} type - Type: vacation, sick, conference, training, other
+ * Build an absence record with dates normalized to midnight
  */
-export function addAbsence(username, startDate, endDate, reason = '', type = 'vacation') {
-  const data = loadAbsences()
-
-  // Normalize dates to midnight
+function createAbsence(username, startDate, endDate, reason, type) {
   const normalizedStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate())
   const normalizedEnd = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate())
 
-  const absence = {
+  return {
     id: `${username}-${normalizedStart.getTime()}-${normalizedEnd.getTime()}`,
     username,
     startDate: normalizedStart,
@@ -144,11 +148,24 @@ export function addAbsence(username, startDate, endDate, reason = '', type = 'va
     type,
     createdAt: new Date().toISOString()
   }
+}
+
+/**
+ * Add or update an absence
+ * @param {String} username - Team member username
+ * @param {Date} startDate - Start date of absence
+ * @param {Date} endDate - End date of absence
+ * @param {String} reason - Reason for absence (e.g., "Vacation", "Conference")
+ * @param {String} type - Type: vacation, sick, conference, training, other
+ */
+export function addAbsence(username, startDate, endDate, reason = '', type = 'vacation') {
+  const data = loadAbsences()
+  const absence = createAbsence(username, startDate, endDate, reason, type)
 
   // Remove any overlapping absences for this user
   data.absences = data.absences.filter(a =>
     a.username !== username ||
-    !datesOverlap(a.startDate, a.endDate, normalizedStart, normalizedEnd)
+    !datesOverlap(a.startDate, a.endDate, absence.startDate, absence.endDate)
   )
 
   data.absences.push(absence)
@@ -215,25 +232,24 @@ function datesOverlap(start1, end1, start2, end2) {
 }
 
 /**
- * Calculate working days between two dates (excluding weekends)
+ * Find a team member's configuration (region, work week) by username
+ * @param {String} username - Team member username
+ * @returns {Object|null} Team member or null
+ */
+function findTeamMember(username) {
+  return loadTeamConfig().teamMembers?.find(m => m.username === username) || null
+}
+
+/**
+ * Calculate working days between two dates
+ * Uses the member's work week and regional holidays; without a member, Monday-Friday
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
+ * @param {Object} member - Optional team member ({ region, workDays })
  * @returns {Number} Number of working days
  */
-export function calculateWorkingDays(startDate, endDate) {
-  let count = 0
-  const current = new Date(startDate)
-
-  while (current <= endDate) {
-    const dayOfWeek = current.getDay()
-    // 0 = Sunday, 6 = Saturday
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-      count++
-    }
-    current.setDate(current.getDate() + 1)
-  }
-
-  return count
+export function calculateWorkingDays(startDate, endDate, member = null) {
+  return countWorkingDays(startDate, endDate, getWorkingDayRules(member))
 }
 
 /**
@@ -242,10 +258,20 @@ export function calculateWorkingDays(startDate, endDate) {
  * @param {Date} rangeStart - Range start date
  * @param {Date} rangeEnd - Range end date
  * @param {Number} defaultWeeklyCapacity - Default weekly capacity in hours
+ * @param {Object} member - Optional team member (looked up by username when omitted)
  * @returns {Number} Hours lost due to absences
  */
-export function calculateAbsenceImpact(username, rangeStart, rangeEnd, defaultWeeklyCapacity) {
-  const absences = getUserAbsences(username, rangeStart, rangeEnd)
+export function calculateAbsenceImpact(username, rangeStart, rangeEnd, defaultWeeklyCapacity, member = null) {
+  const rules = getWorkingDayRules(member || findTeamMember(username))
+  return getHoursLost(getUserAbsences(username, rangeStart, rangeEnd), rangeStart, rangeEnd, defaultWeeklyCapacity, rules)
+}
+
+/**
+ * Working hours a member's absences take out of a date range
+ * @param {Array} absences - The member's absences overlapping the range
+ * @param {Object} rules - Working-day rules of the member (getWorkingDayRules)
+ */
+function getHoursLost(absences, rangeStart, rangeEnd, defaultWeeklyCapacity, rules) {
   let totalWorkingDaysOff = 0
 
   absences.forEach(absence => {
@@ -253,51 +279,55 @@ export function calculateAbsenceImpact(username, rangeStart, rangeEnd, defaultWe
     const overlapStart = absence.startDate > rangeStart ? absence.startDate : rangeStart
     const overlapEnd = absence.endDate < rangeEnd ? absence.endDate : rangeEnd
 
-    const workingDays = calculateWorkingDays(overlapStart, overlapEnd)
+    const workingDays = countWorkingDays(overlapStart, overlapEnd, rules)
     totalWorkingDaysOff += workingDays
   })
 
-  // Convert working days to hours
-  // Assuming 5-day work week: weeklyCapacity / 5 = daily capacity
-  const dailyCapacity = defaultWeeklyCapacity / 5
+  // Convert working days to hours: weekly capacity is spread over the member's work week
+  const dailyCapacity = defaultWeeklyCapacity / rules.workDays.size
   return Math.round(totalWorkingDaysOff * dailyCapacity * 10) / 10
 }
 
 /**
- * Calculate adjusted capacity for a sprint considering absences
+ * Calculate adjusted capacity for a sprint considering absences, holidays and work week
  * @param {String} username - Team member username
  * @param {Object} sprint - Sprint object with startDate and dueDate
  * @param {Number} defaultWeeklyCapacity - Default weekly capacity
- * @returns {Object} { adjustedCapacity, hoursLost, workingDaysLost, absences }
+ * @param {Object} member - Optional team member (looked up by username when omitted)
+ * @returns {Object} { adjustedCapacity, hoursLost, workingDaysLost, absences, holidays, ... }
  */
-export function calculateSprintCapacityWithAbsences(username, sprint, defaultWeeklyCapacity) {
+export function calculateSprintCapacityWithAbsences(username, sprint, defaultWeeklyCapacity, member = null) {
   if (!sprint.startDate || !sprint.dueDate) {
     return {
       adjustedCapacity: defaultWeeklyCapacity,
       hoursLost: 0,
       workingDaysLost: 0,
-      absences: []
+      absences: [],
+      holidays: []
     }
   }
 
   const sprintStart = new Date(sprint.startDate)
   const sprintEnd = new Date(sprint.dueDate)
+  const teamMember = member || findTeamMember(username)
+  const rules = getWorkingDayRules(teamMember)
 
   const absences = getUserAbsences(username, sprintStart, sprintEnd)
-  const sprintWorkingDays = calculateWorkingDays(sprintStart, sprintEnd)
-  const hoursLost = calculateAbsenceImpact(username, sprintStart, sprintEnd, defaultWeeklyCapacity)
+  const sprintWorkingDays = countWorkingDays(sprintStart, sprintEnd, rules)
+  const holidays = getHolidaysInRange(sprintStart, sprintEnd, rules)
+  const hoursLost = calculateAbsenceImpact(username, sprintStart, sprintEnd, defaultWeeklyCapacity, teamMember)
 
-  // Calculate working days lost
+  // Calculate working days lost (holidays are not working days, so they are not counted twice)
   let workingDaysLost = 0
   absences.forEach(absence => {
     const overlapStart = absence.startDate > sprintStart ? absence.startDate : sprintStart
     const overlapEnd = absence.endDate < sprintEnd ? absence.endDate : sprintEnd
-    workingDaysLost += calculateWorkingDays(overlapStart, overlapEnd)
+    workingDaysLost += countWorkingDays(overlapStart, overlapEnd, rules)
   })
 
   // Calculate adjusted capacity
-  // Sprint capacity = (working days in sprint / 5) * weekly capacity - hours lost
-  const sprintWeeks = sprintWorkingDays / 5
+  // Sprint capacity = (working days in sprint / days per work week) * weekly capacity - hours lost
+  const sprintWeeks = sprintWorkingDays / rules.workDays.size
   const totalSprintCapacity = sprintWeeks * defaultWeeklyCapacity
   const adjustedCapacity = Math.max(0, totalSprintCapacity - hoursLost)
 
@@ -306,6 +336,7 @@ export function calculateSprintCapacityWithAbsences(username, sprint, defaultWee
     hoursLost: Math.round(hoursLost * 10) / 10,
     workingDaysLost,
     absences,
+    holidays,
     sprintWorkingDays,
     sprintWeeks: Math.round(sprintWeeks * 10) / 10
   }
@@ -316,10 +347,17 @@ export function calculateSprintCapacityWithAbsences(username, sprint, defaultWee
  * @param {Array} teamMembers - Array of team member objects
  * @param {Date} startDate - Range start
  * @param {Date} endDate - Range end
+ * @param {Object} options - { absences, calendars } already loaded absences and holiday
+ *   calendars (default: the active project's stored absences and calendars)
  * @returns {Object} Statistics
  */
-export function getTeamAbsenceStats(teamMembers, startDate, endDate) {
-  const absences = getAbsencesInRange(startDate, endDate)
+export function getTeamAbsenceStats(teamMembers, startDate, endDate, options = {}) {
+  const absences = options.absences
+    ? options.absences
+      .filter(absence => absence.startDate <= endDate && absence.endDate >= startDate)
+      .sort((a, b) => a.startDate - b.startDate)
+    : getAbsencesInRange(startDate, endDate)
+  const calendars = options.calendars || null
 
   const stats = {
     totalAbsences: absences.length,
@@ -339,12 +377,8 @@ export function getTeamAbsenceStats(teamMembers, startDate, endDate) {
     const memberAbsences = absences.filter(a => a.username === member.username)
     // Use member's actual capacity - if undefined/null use 40, but allow 0
     const memberCapacity = member.defaultCapacity !== undefined && member.defaultCapacity !== null ? member.defaultCapacity : 40
-    const hoursLost = calculateAbsenceImpact(
-      member.username,
-      startDate,
-      endDate,
-      memberCapacity
-    )
+    const rules = getWorkingDayRules(member, calendars)
+    const hoursLost = getHoursLost(memberAbsences, startDate, endDate, memberCapacity, rules)
 
     stats.byMember[member.username] = {
       absenceCount: memberAbsences.length,
@@ -355,9 +389,10 @@ export function getTeamAbsenceStats(teamMembers, startDate, endDate) {
     stats.totalHoursImpact += hoursLost
 
     memberAbsences.forEach(absence => {
-      const days = calculateWorkingDays(
+      const days = countWorkingDays(
         absence.startDate > startDate ? absence.startDate : startDate,
-        absence.endDate < endDate ? absence.endDate : endDate
+        absence.endDate < endDate ? absence.endDate : endDate,
+        rules
       )
       stats.totalDaysOff += days
       stats.byType[absence.type] = (stats.byType[absence.type] || 0) + 1
@@ -435,3 +470,381 @@ export function exportAbsencesToCSV(startDate = null, endDate = null) {
 
   return header + rows
 }
+
+/**
+ * Load the iCalendar identity → GitLab username mapping table
+ * Identities are attendee/organizer e-mail addresses or names, or text found in event summaries
+ * @returns {Array} [{ match, username }]
+ */
+export function loadIcsUserMapping() {
+  try {
+    const stored = persistentStore.getItem(ICS_MAPPING_KEY)
+    if (stored) {
+      return JSON.parse(stored)
+    }
+  } catch (error) {
+    console.error('Error loading iCalendar user mapping:', error)
+  }
+  return []
+}
+
+/**
+ * Save the iCalendar identity → GitLab username mapping table
+ * @param {Array} mapping - [{ match, username }]
+ */
+export function saveIcsUserMapping(mapping) {
+  try {
+    persistentStore.setItem(ICS_MAPPING_KEY, JSON.stringify(mapping))
+    return true
+  } catch (error) {
+    console.error('Error saving iCalendar user mapping:', error)
+    return false
+  }
+}
+
+/**
+ * Add or replace a mapping entry
+ * @param {String} match - E-mail, name or summary text (case-insensitive)
+ * @param {String} username - GitLab username
+ */
+export function addIcsUserMapping(match, username) {
+  const normalized = match.trim().toLowerCase()
+  if (!normalized || !username) return
+  const mapping = loadIcsUserMapping().filter(m => m.match !== normalized)
+  saveIcsUserMapping([...mapping, { match: normalized, username }])
+}
+
+/**
+ * Guess the absence type from event text
+ */
+function detectAbsenceType(text) {
+  const lower = text.toLowerCase()
+  if (/sick|ill|krank|malad/.test(lower)) return 'sick'
+  if (/training|course|workshop|schulung|certification/.test(lower)) return 'training'
+  if (/vacation|holiday|leave|pto|ooo|out of office|urlaub|ferien|congé/.test(lower)) return 'vacation'
+  return 'other'
+}
+
+/**
+ * Map an event to team member usernames
+ * Order: mapping table (identities, then summary text), then team members by username or name
+ * @returns {Array} [{ username, matchedBy, identity }] - empty if nobody matched
+ */
+function resolveEventUsers(event, teamMembers, mapping) {
+  const people = [...event.attendees, ...(event.organizer ? [event.organizer] : [])]
+  const identities = people.flatMap(person => [person.email, person.name.toLowerCase()]).filter(Boolean)
+  const summary = event.summary.toLowerCase()
+  const matches = new Map()
+  const add = (username, matchedBy, identity) => {
+    if (username && !matches.has(username)) matches.set(username, { username, matchedBy, identity })
+  }
+
+  mapping.forEach(entry => {
+    if (identities.includes(entry.match)) add(entry.username, 'mapping', entry.match)
+  })
+  if (matches.size === 0) {
+    mapping.forEach(entry => {
+      if (summary.includes(entry.match)) add(entry.username, 'mapping (summary)', entry.match)
+    })
+  }
+  if (matches.size === 0) {
+    teamMembers.forEach(member => {
+      const username = member.username.toLowerCase()
+      const name = (member.name || '').toLowerCase()
+      const person = people.find(p =>
+        p.email.split('@')[0] === username || (name && p.name.toLowerCase() === name)
+      )
+      if (person) add(member.username, 'team member', person.email || person.name)
+    })
+  }
+  if (matches.size === 0) {
+    teamMembers.forEach(member => {
+      const name = (member.name || '').toLowerCase()
+      const escapedUsername = member.username.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      const usernamePattern = new RegExp(`(^|[^\\w.-])@?${escapedUsername}($|[^\\w-])`)
+      if ((name && summary.includes(name)) || usernamePattern.test(summary)) {
+        add(member.username, 'summary', member.name || member.username)
+      }
+    })
+  }
+
+  return Array.from(matches.values())
+}
+
+/**
+ * Existing absences of a user an imported absence would collide with
+ * @param {Array} existing - Absences to check against (defaults to the stored ones)
+ * @returns {Object} { duplicate: same dates already stored, overlaps: [absence] other overlapping absences }
+ */
+export function getAbsenceConflicts(username, startDate, endDate, existing = loadAbsences().absences) {
+  if (!username) return { duplicate: false, overlaps: [] }
+
+  const overlapping = existing.filter(a =>
+    a.username === username && datesOverlap(a.startDate, a.endDate, startDate, endDate)
+  )
+  const duplicate = overlapping.some(a =>
+    a.startDate.getTime() === startDate.getTime() && a.endDate.getTime() === endDate.getTime()
+  )
+  return { duplicate, overlaps: duplicate ? [] : overlapping }
+}
+
+/**
+ * Days of a range not covered by any of the given absences, as contiguous [start, end] ranges
+ */
+function getUncoveredRanges(startDate, endDate, absences) {
+  const ranges = []
+  let current = null
+  for (let day = new Date(startDate); day <= endDate; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    if (absences.some(a => a.startDate <= day && day <= a.endDate)) {
+      current = null
+    } else if (current) {
+      current.end = day
+    } else {
+      current = { start: day, end: day }
+      ranges.push(current)
+    }
+  }
+  return ranges
+}
+
+/**
+ * Parse absences from one or more iCalendar (.ics) files for preview
+ * All-day and timed events, multi-day ranges and RRULE recurrences (expanded
+ * ICS_RECURRENCE_MONTHS ahead when open-ended) are supported; cancelled events are skipped.
+ * Nothing is saved - pass the (edited) entries to importAbsenceEntries()
+ * @param {Array} files - [{ name, content }]
+ * @param {Array} teamMembers - Team members to match against
+ * @param {Array} mapping - Identity mapping table (defaults to the saved one)
+ * @returns {Object} { entries: [{ key, source, summary, identity, username, matchedBy, startDate, endDate,
+ *   type, reason, recurring, duplicate, overlaps, include }], errors: [] }
+ *   (duplicate and overlaps as in getAbsenceConflicts(); duplicates are not included by default)
+ */
+export function parseAbsencesFromICS(files, teamMembers = [], mapping = loadIcsUserMapping()) {
+  const entries = []
+  const errors = []
+  const existing = loadAbsences().absences
+
+  files.forEach(file => {
+    let events
+    try {
+      events = parseICalEvents(file.content).events
+    } catch (error) {
+      errors.push(`${file.name}: ${error.message}`)
+      return
+    }
+
+    events
+      .filter(event => event.status !== 'CANCELLED')
+      .forEach((event, eventIndex) => {
+        const users = resolveEventUsers(event, teamMembers, mapping)
+        const person = event.attendees[0] || event.organizer
+        const fallbackIdentity = person?.email || person?.name || ''
+        const limit = new Date(event.start.getFullYear(), event.start.getMonth() + ICS_RECURRENCE_MONTHS, event.start.getDate())
+        const occurrences = expandICalEvent(event, limit)
+        const type = detectAbsenceType(`${event.summary} ${event.categories}`)
+
+        occurrences.forEach(({ start, end }) => {
+          const targets = users.length > 0 ? users : [{ username: null, matchedBy: null, identity: fallbackIdentity }]
+          targets.forEach(target => {
+            const conflicts = getAbsenceConflicts(target.username, start, end, existing)
+            entries.push({
+              key: `${file.name}|${event.uid || eventIndex}|${start.getTime()}|${target.username || ''}`,
+              source: file.name,
+              summary: event.summary,
+              identity: target.identity,
+              username: target.username,
+              matchedBy: target.matchedBy,
+              startDate: start,
+              endDate: end,
+              type,
+              reason: event.summary,
+              recurring: Boolean(event.rrule),
+              ...conflicts,
+              include: Boolean(target.username) && !conflicts.duplicate
+            })
+          })
+        })
+      })
+  })
+
+  entries.sort((a, b) => a.startDate - b.startDate)
+  return { entries, errors }
+}
+
+/**
+ * Save previewed absences
+ * Existing absences are never replaced: an entry with the same dates as a stored absence is
+ * skipped, one overlapping stored (or earlier imported) absences is skipped or, with
+ * overlapMode 'merge', only its days not covered yet are added
+ * @param {Array} entries - Entries from parseAbsencesFromICS(), possibly edited
+ * @param {Object} options - { overlapMode: 'skip' (default) | 'merge' }
+ * @returns {Object} { imported, merged, duplicates, overlapping, skipped }
+ */
+export function importAbsenceEntries(entries, { overlapMode = 'skip' } = {}) {
+  const data = loadAbsences()
+  const results = { imported: 0, merged: 0, duplicates: 0, overlapping: 0, skipped: 0 }
+
+  entries.forEach(entry => {
+    if (!entry.include || !entry.username) {
+      results.skipped++
+      return
+    }
+
+    const absence = createAbsence(entry.username, entry.startDate, entry.endDate, entry.reason || '', entry.type || 'vacation')
+    const { duplicate, overlaps } = getAbsenceConflicts(entry.username, absence.startDate, absence.endDate, data.absences)
+    if (duplicate) {
+      results.duplicates++
+    } else if (overlaps.length === 0) {
+      data.absences.push(absence)
+      results.imported++
+    } else if (overlapMode === 'merge') {
+      const ranges = getUncoveredRanges(absence.startDate, absence.endDate, overlaps)
+      ranges.forEach(({ start, end }) => {
+        data.absences.push(createAbsence(entry.username, start, end, absence.reason, absence.type))
+      })
+      if (ranges.length > 0) results.merged++
+      else results.duplicates++
+    } else {
+      results.overlapping++
+    }
+  })
+
+  saveAbsences(data)
+  return results
+}
+
+/**
+ * Export absences as an iCalendar (.ics) file
+ * Event UIDs are stable, so importing a newer export updates existing events
+ * @param {Date} startDate - Optional: filter from this date
+ * @param {Date} endDate - Optional: filter to this date
+ * @param {Object} options - { calendarName, teamMembers (for display names), refreshInterval (for served feeds) }
+ * @returns {String} .ics content
+ */
+export function exportAbsencesToICS(startDate = null, endDate = null, { calendarName = 'Team Absences', teamMembers = [], refreshInterval = null } = {}) {
+  const data = loadAbsences()
+  let absences = data.absences
+
+  if (startDate || endDate) {
+    absences = absences.filter(absence => {
+      if (startDate && absence.endDate < startDate) return false
+      if (endDate && absence.startDate > endDate) return false
+      return true
+    })
+  }
+
+  const events = absences
+    .sort((a, b) => a.startDate - b.startDate)
+    .map(absence => {
+      const member = teamMembers.find(m => m.username === absence.username)
+      const displayName = member?.name || absence.username
+      const type = absence.type.charAt(0).toUpperCase() + absence.type.slice(1)
+      return {
+        uid: `${absence.id}@gitlab-pm-dashboard`,
+        start: absence.startDate,
+        end: absence.endDate,
+        summary: `${displayName}: ${type}`,
+        description: [absence.reason, `@${absence.username}`].filter(Boolean).join('\n'),
+        categories: absence.type
+      }
+    })
+
+  return buildICalendar({ name: calendarName, events, refreshInterval })
+}
+
+/**
+ * Subscription feed of the active project/pod
+ * @returns {Object|null} { feedId, publishedAt } or null when not published
+ */
+export function loadAbsenceFeed() {
+  try {
+    const stored = persistentStore.getItem(getProjectKey(FEED_KEY))
+    return stored ? JSON.parse(stored) : null
+  } catch (error) {
+    console.error('Error loading absence feed:', error)
+    return null
+  }
+}
+
+/**
+ * Relay endpoint of a feed (relayUrl is the live updates URL, e.g. http://localhost:8787/events)
+ */
+function getFeedEndpoint(relayUrl, feedId) {
+  return `${relayUrl.replace(/\/events\/?$/, '').replace(/\/+$/, '')}/calendars/${feedId}.ics`
+}
+
+/**
+ * URL calendar apps subscribe to
+ */
+export function getAbsenceFeedUrl(feed, relayUrl) {
+  return feed && relayUrl ? getFeedEndpoint(relayUrl, feed.feedId) : null
+}
+
+async function sendFeedRequest(url, token, init) {
+  const response = await fetch(url, {
+    ...init,
+    headers: { ...init.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+  })
+  if (!response.ok) {
+    const error = new Error(response.status === 401
+      ? 'The relay rejected the secret token (Settings → Relay Secret Token)'
+      : `Relay error: ${response.status} ${response.statusText}`)
+    error.status = response.status
+    throw error
+  }
+}
+
+/**
+ * Publish the team absences (from FEED_PAST_MONTHS ago on) as a subscribable calendar on the
+ * webhook relay (server/webhookRelay.js). The feed keeps its URL across republishing; content
+ * unchanged since the last publish in this session is not sent again
+ * @param {Object} options - { relayUrl, token, teamMembers, force: send even if unchanged }
+ * @returns {Promise<Object>} { feedId, publishedAt }
+ * @throws {Error} When the relay cannot be reached or rejects the feed
+ */
+export async function publishAbsenceFeed({ relayUrl, token = '', teamMembers = [], force = false }) {
+  if (!relayUrl) {
+    throw new Error('Set the Live Updates Relay URL in Settings to publish a calendar feed')
+  }
+
+  const feed = loadAbsenceFeed() || {
+    feedId: Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+  const now = new Date()
+  const content = exportAbsencesToICS(new Date(now.getFullYear(), now.getMonth() - FEED_PAST_MONTHS, 1), null, {
+    calendarName: 'Team Absences',
+    teamMembers,
+    refreshInterval: FEED_REFRESH_INTERVAL
+  })
+  // DTSTAMP changes on every build and is not a change of the calendar
+  const comparable = content.replace(/^DTSTAMP:.*$/gm, '')
+  if (!force && lastPublishedFeed.feedId === feed.feedId && lastPublishedFeed.content === comparable) {
+    return feed
+  }
+
+  await sendFeedRequest(getFeedEndpoint(relayUrl, feed.feedId), token, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'text/calendar' },
+    body: content
+  })
+
+  const published = { feedId: feed.feedId, publishedAt: now.toISOString() }
+  persistentStore.setItem(getProjectKey(FEED_KEY), JSON.stringify(published))
+  lastPublishedFeed = { feedId: feed.feedId, content: comparable }
+  return published
+}
+
+/**
+ * Remove the published feed from the relay; subscribed calendars stop receiving updates
+ * @throws {Error} When the relay cannot be reached or rejects the request
+ */
+export async function unpublishAbsenceFeed({ relayUrl, token = '' }) {
+  const feed = loadAbsenceFeed()
+  if (!feed) return
+
+  if (relayUrl) {
+    await sendFeedRequest(getFeedEndpoint(relayUrl, feed.feedId), token, { method: 'DELETE' })
+  }
+  persistentStore.removeItem(getProjectKey(FEED_KEY))
+  lastPublishedFeed = { feedId: null, content: null }
+}
@@ -0,0 +1,290 @@
+/**
+ * Automatic Backup Service
+ * Takes local backup snapshots after a number of data changes or at a set interval and
+ * keeps them in IndexedDB, thinned out by a daily/weekly retention policy
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { createBackup } from './backupService.js'
+import { persistentStore, onStoreChange } from './persistentStore.js'
+import { toDateKey } from './holidayCalendarService.js'
+
+const DB_NAME = 'githarmony-backups'
+const DB_VERSION = 1
+const STORE_NAME = 'snapshots'
+const SETTINGS_KEY = 'gitlab-pm-auto-backup'
+const CHECK_INTERVAL = 60 * 1000
+const CHANGE_DEBOUNCE = 5000 // Wait for a burst of writes to settle before snapshotting
+
+// Keys the app rewrites on its own during refreshes (per-project/pod variants share the prefix)
+const DERIVED_KEY_PREFIXES = ['gitlab-pm-metric-snapshots', 'gitlab-pm-forecasts', 'gitlab-pm-absence-feed']
+// Backup sections built from those keys, ignored when checking whether anything changed
+const DERIVED_BACKUP_SECTIONS = ['metricSnapshots', 'forecasts']
+
+export const DEFAULT_AUTO_BACKUP_SETTINGS = {
+  enabled: true,
+  changeThreshold: 20, // Snapshot after this many changes (0 = off)
+  intervalHours: 24, // Snapshot when the last one is older than this (0 = off)
+  keepLast: 5,
+  keepDaily: 7,
+  keepWeekly: 4
+}
+
+let dbPromise = null
+let changesSinceSnapshot = 0
+let lastSnapshotAt = null
+let snapshotInProgress = null
+
+/**
+ * Open (and lazily create) the backup snapshot database
+ * Resolves to null when IndexedDB is unavailable
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null)
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id' })
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.warn('Backup snapshot store unavailable:', request.error)
+      resolve(null)
+    }
+  })
+
+  return dbPromise
+}
+
+async function runRequest(mode, operation) {
+  const db = await openDatabase()
+  if (!db) return null
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode)
+    const request = operation(tx.objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Load automatic backup settings
+ */
+export function loadAutoBackupSettings() {
+  try {
+    const stored = persistentStore.getItem(SETTINGS_KEY)
+    return stored ? { ...DEFAULT_AUTO_BACKUP_SETTINGS, ...JSON.parse(stored) } : { ...DEFAULT_AUTO_BACKUP_SETTINGS }
+  } catch (e) {
+    console.error('Error loading auto backup settings:', e)
+    return { ...DEFAULT_AUTO_BACKUP_SETTINGS }
+  }
+}
+
+/**
+ * Save automatic backup settings
+ */
+export function saveAutoBackupSettings(settings) {
+  persistentStore.setItem(SETTINGS_KEY, JSON.stringify({ ...loadAutoBackupSettings(), ...settings }))
+}
+
+/**
+ * List stored snapshots, newest first
+ * @returns {Promise<Array>} [{ id, createdAt, reason, size, itemCount, includedData, backup }]
+ */
+export async function listBackupSnapshots() {
+  try {
+    const snapshots = await runRequest('readonly', store => store.getAll())
+    return (snapshots || []).sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  } catch (e) {
+    console.error('Error loading backup snapshots:', e)
+    return []
+  }
+}
+
+/**
+ * Delete a stored snapshot
+ */
+export async function deleteBackupSnapshot(id) {
+  await runRequest('readwrite', store => store.delete(id))
+}
+
+const getWeekKey = date => {
+  // Weeks start on Monday
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7))
+  return toDateKey(monday)
+}
+
+/**
+ * Pick the snapshots a retention policy keeps
+ * Keeps the keepLast newest snapshots (at least one), the newest per day for the last
+ * keepDaily days with snapshots and the newest per week for the last keepWeekly weeks
+ * @param {Array} snapshots - Snapshots with createdAt
+ * @param {Object} policy - { keepLast, keepDaily, keepWeekly }
+ * @returns {Set} Ids of snapshots to keep
+ */
+export function selectSnapshotsToKeep(snapshots, { keepLast = 1, keepDaily, keepWeekly }) {
+  const sorted = [...snapshots].sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  const keep = new Set(sorted.slice(0, Math.max(1, keepLast)).map(snapshot => snapshot.id))
+  const days = new Set()
+  const weeks = new Set()
+
+  sorted.forEach(snapshot => {
+    const date = new Date(snapshot.createdAt)
+    const day = toDateKey(date)
+    const week = getWeekKey(date)
+
+    if (!days.has(day) && days.size < keepDaily) {
+      days.add(day)
+      keep.add(snapshot.id)
+    }
+    if (!weeks.has(week) && weeks.size < keepWeekly) {
+      weeks.add(week)
+      keep.add(snapshot.id)
+    }
+  })
+
+  return keep
+}
+
+/**
+ * Delete snapshots no longer covered by the retention policy
+ * @returns {Promise<number>} Number of deleted snapshots
+ */
+export async function applyRetentionPolicy(settings = loadAutoBackupSettings()) {
+  const snapshots = await listBackupSnapshots()
+  const keep = selectSnapshotsToKeep(snapshots, settings)
+  const expired = snapshots.filter(snapshot => !keep.has(snapshot.id))
+
+  for (const snapshot of expired) {
+    await deleteBackupSnapshot(snapshot.id)
+  }
+  if (isDev && expired.length > 0) {
+    console.log(`Auto backup: removed ${expired.length} expired snapshot(s)`)
+  }
+  return expired.length
+}
+
+function isUserDataKey(key) {
+  if (!key || key === SETTINGS_KEY || key.startsWith('__')) return false
+  return !DERIVED_KEY_PREFIXES.some(prefix => key.startsWith(prefix))
+}
+
+function getUserDataContent(data) {
+  const userData = { ...data }
+  DERIVED_BACKUP_SECTIONS.forEach(section => delete userData[section])
+  return JSON.stringify(userData)
+}
+
+/**
+ * Take a snapshot of the current data
+ * Automatic snapshots are skipped when no user data changed since the newest snapshot
+ * @param {string} reason - 'manual' | 'changes' | 'interval'
+ * @returns {Promise<Object|null>} Stored snapshot, or null if skipped/unavailable
+ */
+export function createBackupSnapshot(reason = 'manual') {
+  if (snapshotInProgress) return snapshotInProgress
+
+  snapshotInProgress = (async () => {
+    try {
+      const backup = createBackup({ includeTokens: false })
+      const content = JSON.stringify(backup.data)
+      const [latest] = await listBackupSnapshots()
+
+      if (reason !== 'manual' && latest && getUserDataContent(latest.backup.data) === getUserDataContent(backup.data)) {
+        changesSinceSnapshot = 0
+        lastSnapshotAt = new Date().toISOString()
+        return null
+      }
+
+      const snapshot = {
+        id: `snapshot-${Date.now()}`,
+        createdAt: backup.metadata.timestamp,
+        reason,
+        size: content.length,
+        itemCount: backup.metadata.itemCount,
+        includedData: backup.metadata.includedData,
+        backup
+      }
+
+      const saved = await runRequest('readwrite', store => store.put(snapshot))
+      if (saved === null) return null
+
+      changesSinceSnapshot = 0
+      lastSnapshotAt = snapshot.createdAt
+      await applyRetentionPolicy()
+
+      if (isDev) {
+        console.log(`Auto backup: ${reason} snapshot saved (${Math.round(snapshot.size / 1024)} KB)`)
+      }
+      return snapshot
+    } catch (e) {
+      console.error('Error creating backup snapshot:', e)
+      return null
+    } finally {
+      snapshotInProgress = null
+    }
+  })()
+
+  return snapshotInProgress
+}
+
+/**
+ * Current scheduler state for the UI
+ */
+export function getAutoBackupStatus() {
+  return { changesSinceSnapshot, lastSnapshotAt }
+}
+
+/**
+ * Start the automatic backup scheduler
+ * Counts user data changes and checks the interval once a minute
+ * @returns {function} Stop function
+ */
+export function startAutoBackup() {
+  let debounceTimer = null
+
+  listBackupSnapshots().then(([latest]) => {
+    if (latest && !lastSnapshotAt) lastSnapshotAt = latest.createdAt
+  })
+
+  const unsubscribe = onStoreChange(key => {
+    if (!isUserDataKey(key)) return
+    changesSinceSnapshot++
+
+    const settings = loadAutoBackupSettings()
+    if (!settings.enabled || !settings.changeThreshold || changesSinceSnapshot < settings.changeThreshold) return
+
+    clearTimeout(debounceTimer)
+    debounceTimer = setTimeout(() => createBackupSnapshot('changes'), CHANGE_DEBOUNCE)
+  })
+
+  const checkInterval = () => {
+    const settings = loadAutoBackupSettings()
+    if (!settings.enabled || !settings.intervalHours) return
+
+    const age = lastSnapshotAt ? Date.now() - new Date(lastSnapshotAt).getTime() : Infinity
+    if (age >= settings.intervalHours * 60 * 60 * 1000) {
+      createBackupSnapshot('interval')
+    }
+  }
+  const intervalTimer = setInterval(checkInterval, CHECK_INTERVAL)
+
+  return () => {
+    unsubscribe()
+    clearTimeout(debounceTimer)
+    clearInterval(intervalTimer)
+  }
+}
@@ -4,10 +4,13 @@
  * Enables team collaboration by sharing configurations without a server
  */
 
+import { normalizeDataWindow, dataWindowFromLegacyFilter } from '../utils/dataWindowUtils.js'
+import { persistentStore } from './persistentStore.js'
+
 const BACKUP_VERSION = '1.0.0'
 
 /**
- * Get all localStorage keys used by the application
+ * Get all storage keys used by the application
  */
 function getAllStorageKeys() {
   return {
@@ -16,7 +19,10 @@ function getAllStorageKeys() {
     gitlabToken: 'gitlab_token',
     projectId: 'gitlab_project',
     groupPath: 'gitlab_group_path',
-    filter2025: 'gitlab_filter_2025',
+    groupPaths: 'gitlab_group_paths',
+    includeSubgroups: 'gitlab_include_subgroups',
+    filter2025: 'gitlab_filter_2025', // Legacy, superseded by dataWindow
+    dataWindow: 'gitlab_data_window',
     mode: 'gitlab_mode',
 
     // Portfolio/Multi-project
@@ -37,9 +43,12 @@ function getAllStorageKeys() {
     teamConfigBase: 'gitlab_team_config',
     sprintCapacityBase: 'gitlab_sprint_capacity',
     capacitySettingsBase: 'gitlab_capacity_settings',
+    skillLabelMapping: 'gitlab-pm-skill-label-mapping',
 
     // Absences (base key - per-project variants handled dynamically)
     absencesBase: 'gitlab-pm-absences',
+    holidayCalendars: 'gitlab-pm-holiday-calendars',
+    absenceIcsMapping: 'gitlab-pm-absence-ics-mapping',
 
     // Stakeholder Hub
     stakeholders: 'stakeholders',
@@ -69,6 +78,15 @@ function getAllStorageKeys() {
     // Forecast Accuracy (base key - per-project variants handled dynamically)
     forecastsBase: 'gitlab-pm-forecasts',
 
+    // Capacity Scenarios (base key - per-project variants handled dynamically)
+    capacityScenariosBase: 'gitlab-pm-capacity-scenarios',
+
+    // Metric Snapshots (base key - per-project variants handled dynamically)
+    metricSnapshotsBase: 'gitlab-pm-metric-snapshots',
+
+    // Workflow States (base key - per-project variants handled dynamically)
+    workflowBase: 'gitlab-pm-workflow',
+
     // Backlog Health
     backlogHealthHistory: 'backlogHealthHistory',
 
@@ -98,8 +116,8 @@ function getPerProjectKeys(baseKey) {
     podKeys: {}
   }
 
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i)
+  for (let i = 0; i < persistentStore.length; i++) {
+    const key = persistentStore.key(i)
     if (key && key.startsWith(baseKey)) {
       if (key === baseKey) {
         // Base key without suffix (default/global)
@@ -123,19 +141,19 @@ function getPerProjectKeys(baseKey) {
 }
 
 /**
- * Load data from localStorage
+ * Load data from storage
  * @param {string} key - Storage key
  * @param {boolean} isRawString - If true, return raw string without JSON parsing (for tokens, URLs)
  */
 function loadFromStorage(key, isRawString = false) {
   try {
-    const data = localStorage.getItem(key)
+    const data = persistentStore.getItem(key)
     if (!data) return null
     if (isRawString) return data
     return JSON.parse(data)
   } catch (e) {
     // If JSON parse fails, return raw string (backwards compatibility)
-    const rawData = localStorage.getItem(key)
+    const rawData = persistentStore.getItem(key)
     if (rawData) return rawData
     console.warn(`Failed to load ${key}:`, e)
     return null
@@ -143,7 +161,7 @@ function loadFromStorage(key, isRawString = false) {
 }
 
 /**
- * Save data to localStorage
+ * Save data to storage
  * @param {string} key - Storage key
  * @param {*} data - Data to save
  * @param {boolean} isRawString - If true, save as raw string without JSON stringifying
@@ -151,9 +169,9 @@ function loadFromStorage(key, isRawString = false) {
 function saveToStorage(key, data, isRawString = false) {
   try {
     if (isRawString && typeof data === 'string') {
-      localStorage.setItem(key, data)
+      persistentStore.setItem(key, data)
     } else {
-      localStorage.setItem(key, JSON.stringify(data))
+      persistentStore.setItem(key, JSON.stringify(data))
     }
     return true
   } catch (e) {
@@ -170,13 +188,169 @@ function maskToken(token) {
   return token.substring(0, 4) + '***' + token.substring(token.length - 4)
 }
 
+// Encrypted backup envelope (PBKDF2-SHA-256 key derivation + AES-256-GCM)
+const ENCRYPTED_FORMAT = 'githarmony-encrypted-backup'
+const ENCRYPTED_FORMAT_VERSION = 1
+const PBKDF2_ITERATIONS = 310000
+const MAX_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS * 10 // Files asking for more would stall the import
+
+/**
+ * Build an Error carrying a code the UI can branch on
+ * Codes: PASSWORD_REQUIRED, WRONG_PASSWORD, BACKUP_TAMPERED, INVALID_ENCRYPTED_BACKUP
+ */
+function createBackupError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+function bytesToBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+function base64ToBytes(value) {
+  const binary = atob(value)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+/**
+ * Derive the AES key and a password check value from the password
+ * The first 256 bits become the AES key, the hash of the last 256 bits is stored in the
+ * envelope so a wrong password can be told apart from a modified file
+ */
+async function deriveBackupKey(password, salt, iterations) {
+  const subtle = globalThis.crypto?.subtle
+  if (!subtle) {
+    throw new Error('Backup encryption requires WebCrypto (a secure https:// or localhost page)')
+  }
+
+  const baseKey = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+  const bits = new Uint8Array(await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    512
+  ))
+
+  const key = await subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt'])
+  const check = bytesToBase64(new Uint8Array(await subtle.digest('SHA-256', bits.slice(32))))
+  return { key, check }
+}
+
+/**
+ * Envelope fields bound to the ciphertext as additional authenticated data
+ */
+function getEnvelopeAad(envelope) {
+  return new TextEncoder().encode(JSON.stringify([envelope.format, envelope.version, envelope.kdf, envelope.cipher]))
+}
+
+/**
+ * Check whether a parsed backup file is an encrypted envelope
+ */
+export function isEncryptedBackup(backup) {
+  return !!backup && backup.format === ENCRYPTED_FORMAT
+}
+
+/**
+ * Encrypt a backup with a password
+ * @param {Object} backup - Backup object from createBackup()
+ * @param {string} password - Encryption password
+ * @returns {Promise<Object>} Encrypted envelope (safe to write to a file)
+ */
+export async function encryptBackup(backup, password) {
+  if (!password) {
+    throw createBackupError('PASSWORD_REQUIRED', 'A password is required to encrypt the backup')
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const { key, check } = await deriveBackupKey(password, salt, PBKDF2_ITERATIONS)
+
+  const plain = {
+    ...backup,
+    metadata: { ...backup.metadata, backupType: 'encrypted' }
+  }
+
+  const envelope = {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_FORMAT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt), check },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) }
+  }
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: getEnvelopeAad(envelope) },
+    key,
+    new TextEncoder().encode(JSON.stringify(plain))
+  )
+
+  return {
+    ...envelope,
+    createdAt: plain.metadata.timestamp,
+    data: bytesToBase64(new Uint8Array(ciphertext))
+  }
+}
+
+/**
+ * Decrypt an encrypted backup envelope
+ * @param {Object} envelope - Parsed encrypted backup file
+ * @param {string} password - Password used at export
+ * @returns {Promise<Object>} Backup object
+ * @throws {Error} code WRONG_PASSWORD, BACKUP_TAMPERED or INVALID_ENCRYPTED_BACKUP
+ */
+export async function decryptBackup(envelope, password) {
+  if (!password) {
+    throw createBackupError('PASSWORD_REQUIRED', 'This backup is encrypted - enter its password to import it')
+  }
+
+  const { kdf, cipher, data } = envelope
+  if (envelope.version !== ENCRYPTED_FORMAT_VERSION || kdf?.name !== 'PBKDF2' || cipher?.name !== 'AES-GCM' ||
+      !kdf.salt || !kdf.check || !Number.isInteger(kdf.iterations) || kdf.iterations <= 0 ||
+      kdf.iterations > MAX_PBKDF2_ITERATIONS || !cipher.iv || typeof data !== 'string') {
+    throw createBackupError('INVALID_ENCRYPTED_BACKUP', 'Unsupported or damaged encrypted backup file')
+  }
+
+  let salt, iv, ciphertext
+  try {
+    salt = base64ToBytes(kdf.salt)
+    iv = base64ToBytes(cipher.iv)
+    ciphertext = base64ToBytes(data)
+  } catch {
+    throw createBackupError('BACKUP_TAMPERED', 'Backup file has been modified or corrupted and cannot be decrypted')
+  }
+
+  const { key, check } = await deriveBackupKey(password, salt, kdf.iterations)
+  if (check !== kdf.check) {
+    throw createBackupError('WRONG_PASSWORD', 'Wrong password - the backup could not be decrypted')
+  }
+
+  let plaintext
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: getEnvelopeAad(envelope) },
+      key,
+      ciphertext
+    )
+  } catch {
+    // Password is right, so the authentication tag failed: contents or header were changed
+    throw createBackupError('BACKUP_TAMPERED', 'Backup file has been modified or corrupted and cannot be decrypted')
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext))
+}
+
 /**
  * Create a complete backup of application data
  * @param {Object} options - Backup options
  * @param {boolean} options.includeTokens - Include access tokens (default: false for security)
- * @param {boolean} options.encrypt - Encrypt backup (future feature)
- * @param {string} options.password - Encryption password (future feature)
- * @returns {Object} Backup object
+ * @returns {Object} Backup object (encrypt it with a password via exportBackupToFile or encryptBackup)
  */
 export function createBackup(options = {}) {
   const { includeTokens = false } = options
@@ -195,25 +369,33 @@ export function createBackup(options = {}) {
   }
 
   // 1. Core GitLab Configuration
-  // All these values are stored as raw strings in localStorage (not JSON)
+  // All these values are stored as raw strings in storage (not JSON)
   // We must read them directly without JSON.parse
-  const gitlabToken = localStorage.getItem(keys.gitlabToken) || null
-  const gitlabUrl = localStorage.getItem(keys.gitlabUrl) || null
-  const projectId = localStorage.getItem(keys.projectId) || null
-  const groupPath = localStorage.getItem(keys.groupPath) || null
-  const filter2025Raw = localStorage.getItem(keys.filter2025) || null
-  const mode = localStorage.getItem(keys.mode) || null
-
-  // Convert filter2025 from string "true"/"false" to boolean for cleaner JSON
-  const filter2025 = filter2025Raw === 'true' ? true : (filter2025Raw === 'false' ? false : null)
-
-  if (gitlabToken || gitlabUrl || projectId || groupPath || filter2025 !== null || mode) {
+  const gitlabToken = persistentStore.getItem(keys.gitlabToken) || null
+  const gitlabUrl = persistentStore.getItem(keys.gitlabUrl) || null
+  const projectId = persistentStore.getItem(keys.projectId) || null
+  const groupPath = persistentStore.getItem(keys.groupPath) || null
+  const filter2025Raw = persistentStore.getItem(keys.filter2025) || null
+  const mode = persistentStore.getItem(keys.mode) || null
+  const groupPaths = loadFromStorage(keys.groupPaths)
+  const includeSubgroupsRaw = persistentStore.getItem(keys.includeSubgroups)
+  const includeSubgroups = includeSubgroupsRaw === null ? null : includeSubgroupsRaw !== 'false'
+
+  // Time window is stored as JSON; installs that never saved one still carry the legacy filter2025 flag
+  const storedWindow = loadFromStorage(keys.dataWindow)
+  const dataWindow = storedWindow
+    ? normalizeDataWindow(storedWindow)
+    : (filter2025Raw !== null ? dataWindowFromLegacyFilter(filter2025Raw) : null)
+
+  if (gitlabToken || gitlabUrl || projectId || groupPath || dataWindow || mode) {
     data.gitlabConfig = {
       gitlabUrl,
       gitlabToken: includeTokens ? gitlabToken : (gitlabToken ? maskToken(gitlabToken) : null),
       projectId,
       groupPath,
-      filter2025,
+      groupPaths: Array.isArray(groupPaths) ? groupPaths : null,
+      includeSubgroups,
+      dataWindow,
       mode
     }
     includedData.push('gitlabConfig')
@@ -390,6 +572,9 @@ export function createBackup(options = {}) {
       delete data.absences
     }
   }
+  addIfExists('holidayCalendars', keys.holidayCalendars)
+  addIfExists('absenceIcsMapping', keys.absenceIcsMapping)
+  addIfExists('skillLabelMapping', keys.skillLabelMapping)
 
   // 8. Stakeholder Hub Data
   const stakeholders = loadFromStorage(keys.stakeholders)
@@ -525,6 +710,93 @@ export function createBackup(options = {}) {
     includedData.push('uiState')
   }
 
+  // 19. Capacity Scenarios (per-project)
+  const scenarioKeys = getPerProjectKeys(keys.capacityScenariosBase)
+  if (Object.keys(scenarioKeys.projectKeys).length > 0 || Object.keys(scenarioKeys.podKeys).length > 0) {
+    data.capacityScenarios = {
+      projectLevel: {},
+      podLevel: {}
+    }
+
+    Object.entries(scenarioKeys.projectKeys).forEach(([projectId, key]) => {
+      const scenarioData = loadFromStorage(key)
+      if (scenarioData) {
+        data.capacityScenarios.projectLevel[projectId] = scenarioData
+      }
+    })
+
+    Object.entries(scenarioKeys.podKeys).forEach(([podId, key]) => {
+      const scenarioData = loadFromStorage(key)
+      if (scenarioData) {
+        data.capacityScenarios.podLevel[podId] = scenarioData
+      }
+    })
+
+    if (Object.keys(data.capacityScenarios.projectLevel).length > 0 || Object.keys(data.capacityScenarios.podLevel).length > 0) {
+      includedData.push('capacityScenarios')
+    } else {
+      delete data.capacityScenarios
+    }
+  }
+
+  // 20. Metric Snapshots (per-project)
+  const snapshotKeys = getPerProjectKeys(keys.metricSnapshotsBase)
+  if (Object.keys(snapshotKeys.projectKeys).length > 0 || Object.keys(snapshotKeys.podKeys).length > 0) {
+    data.metricSnapshots = {
+      projectLevel: {},
+      podLevel: {}
+    }
+
+    Object.entries(snapshotKeys.projectKeys).forEach(([projectId, key]) => {
+      const snapshotData = loadFromStorage(key)
+      if (snapshotData) {
+        data.metricSnapshots.projectLevel[projectId] = snapshotData
+      }
+    })
+
+    Object.entries(snapshotKeys.podKeys).forEach(([podId, key]) => {
+      const snapshotData = loadFromStorage(key)
+      if (snapshotData) {
+        data.metricSnapshots.podLevel[podId] = snapshotData
+      }
+    })
+
+    if (Object.keys(data.metricSnapshots.projectLevel).length > 0 || Object.keys(data.metricSnapshots.podLevel).length > 0) {
+      includedData.push('metricSnapshots')
+    } else {
+      delete data.metricSnapshots
+    }
+  }
+
+  // 21. Workflow States (per-project)
+  const workflowKeys = getPerProjectKeys(keys.workflowBase)
+  if (Object.keys(workflowKeys.projectKeys).length > 0 || Object.keys(workflowKeys.podKeys).length > 0) {
+    data.workflows = {
+      projectLevel: {},
+      podLevel: {}
+    }
+
+    Object.entries(workflowKeys.projectKeys).forEach(([projectId, key]) => {
+      const workflowData = loadFromStorage(key)
+      if (workflowData) {
+        data.workflows.projectLevel[projectId] = workflowData
+      }
+    })
+
+    Object.entries(workflowKeys.podKeys).forEach(([podId, key]) => {
+      const workflowData = loadFromStorage(key)
+      if (workflowData) {
+        data.workflows.podLevel[podId] = workflowData
+      }
+    })
+
+    if (Object.keys(data.workflows.projectLevel).length > 0 || Object.keys(data.workflows.podLevel).length > 0) {
+      includedData.push('workflows')
+    } else {
+      delete data.workflows
+    }
+  }
+
   // Create backup object
   const backup = {
     metadata: {
@@ -546,13 +818,19 @@ export function createBackup(options = {}) {
  * Export backup to downloadable file
  * @param {Object} backup - Backup object from createBackup()
  * @param {string} filename - Optional custom filename
- * @returns {string} Downloaded filename
+ * @param {Object} options - Export options
+ * @param {string} options.password - Encrypt the file with this password (AES-GCM, key derived with PBKDF2)
+ * @returns {Promise<string>} Downloaded filename
  */
-export function exportBackupToFile(backup, filename = null) {
+export async function exportBackupToFile(backup, filename = null, options = {}) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
-  const defaultFilename = `gitlab-pm-backup-${timestamp}.json`
+  const defaultFilename = options.password
+    ? `gitlab-pm-backup-${timestamp}.encrypted.json`
+    : `gitlab-pm-backup-${timestamp}.json`
+
+  const content = options.password ? await encryptBackup(backup, options.password) : backup
 
-  const blob = new Blob([JSON.stringify(backup, null, 2)], {
+  const blob = new Blob([JSON.stringify(content, null, 2)], {
     type: 'application/json'
   })
 
@@ -569,41 +847,49 @@ export function exportBackupToFile(backup, filename = null) {
 }
 
 /**
- * Import backup from file
- * @param {File} file - File object from input
- * @returns {Promise<Object>} Parsed backup object
+ * Read a file as text
  */
-export async function importBackupFromFile(file) {
+function readFileAsText(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader()
+    reader.onload = (e) => resolve(e.target.result)
+    reader.onerror = () => reject(new Error('Failed to read file'))
+    reader.readAsText(file)
+  })
+}
 
-    reader.onload = (e) => {
-      try {
-        const backup = JSON.parse(e.target.result)
+/**
+ * Import backup from file
+ * Encrypted backups are decrypted with the given password
+ * @param {File} file - File object from input
+ * @param {string} password - Password for encrypted backups (optional)
+ * @returns {Promise<Object>} Parsed backup object
+ * @throws {Error} code PASSWORD_REQUIRED when the file is encrypted and no password was given,
+ *   WRONG_PASSWORD or BACKUP_TAMPERED when decryption fails
+ */
+export async function importBackupFromFile(file, password = null) {
+  const text = await readFileAsText(file)
 
-        // Validate backup structure
-        if (!backup.metadata || !backup.data) {
-          reject(new Error('Invalid backup file structure'))
-          return
-        }
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (error) {
+    throw new Error('Failed to parse backup file: ' + error.message)
+  }
 
-        // Check version compatibility
-        if (backup.metadata.version !== BACKUP_VERSION) {
-          console.warn(`Backup version ${backup.metadata.version} may not be fully compatible with current version ${BACKUP_VERSION}`)
-        }
+  const backup = isEncryptedBackup(parsed) ? await decryptBackup(parsed, password) : parsed
 
-        resolve(backup)
-      } catch (error) {
-        reject(new Error('Failed to parse backup file: ' + error.message))
-      }
-    }
+  // Validate backup structure
+  if (!backup.metadata || !backup.data) {
+    throw new Error('Invalid backup file structure')
+  }
 
-    reader.onerror = () => {
-      reject(new Error('Failed to read file'))
-    }
+  // Check version compatibility
+  if (backup.metadata.version !== BACKUP_VERSION) {
+    console.warn(`Backup version ${backup.metadata.version} may not be fully compatible with current version ${BACKUP_VERSION}`)
+  }
 
-    reader.readAsText(file)
-  })
+  return backup
 }
 
 /**
@@ -619,6 +905,13 @@ export function validateBackup(backup) {
     info: {}
   }
 
+  // Encrypted files must be decrypted with importBackupFromFile() first
+  if (isEncryptedBackup(backup)) {
+    result.valid = false
+    result.errors.push('Backup is encrypted - enter its password to decrypt it before restoring')
+    return result
+  }
+
   // Check structure
   if (!backup.metadata || !backup.data) {
     result.valid = false
@@ -653,6 +946,7 @@ export function validateBackup(backup) {
     createdAt: backup.metadata.timestamp,
     itemCount: backup.metadata.itemCount,
     includedData: backup.metadata.includedData || [],
+    encrypted: backup.metadata.backupType === 'encrypted',
     backupAge: Math.floor((Date.now() - new Date(backup.metadata.timestamp).getTime()) / (1000 * 60 * 60 * 24)) + ' days'
   }
 
@@ -700,13 +994,23 @@ export function restoreFromBackup(backup, options = {}) {
           if (overwrite || !loadFromStorage(keys.gitlabUrl)) {
             // All core config values are stored as raw strings, not JSON
             if (data.gitlabUrl) saveToStorage(keys.gitlabUrl, data.gitlabUrl, true)
-            if (data.gitlabToken) saveToStorage(keys.gitlabToken, data.gitlabToken, true)
+            // Masked tokens (backups without tokens) must not replace a working token
+            if (data.gitlabToken && !data.gitlabToken.includes('***')) {
+              saveToStorage(keys.gitlabToken, data.gitlabToken, true)
+            }
             if (data.projectId) saveToStorage(keys.projectId, data.projectId, true)
             if (data.groupPath) saveToStorage(keys.groupPath, data.groupPath, true)
-            if (data.filter2025 !== null && data.filter2025 !== undefined) {
-              // filter2025 is stored as string "true" or "false"
-              const filterValue = typeof data.filter2025 === 'boolean' ? data.filter2025.toString() : data.filter2025
-              saveToStorage(keys.filter2025, filterValue, true)
+            if (Array.isArray(data.groupPaths)) saveToStorage(keys.groupPaths, data.groupPaths)
+            if (typeof data.includeSubgroups === 'boolean') {
+              saveToStorage(keys.includeSubgroups, data.includeSubgroups.toString(), true)
+            }
+            if (data.dataWindow) {
+              saveToStorage(keys.dataWindow, normalizeDataWindow(data.dataWindow))
+              persistentStore.removeItem(keys.filter2025)
+            } else if (data.filter2025 !== null && data.filter2025 !== undefined) {
+              // Backups created before time windows carry the filter2025 boolean
+              saveToStorage(keys.dataWindow, dataWindowFromLegacyFilter(data.filter2025))
+              persistentStore.removeItem(keys.filter2025)
             }
             if (data.mode) saveToStorage(keys.mode, data.mode, true)
             result.restored.push('gitlabConfig')
@@ -962,6 +1266,27 @@ export function restoreFromBackup(backup, options = {}) {
           break
         }
 
+        case 'holidayCalendars':
+          if (overwrite || !loadFromStorage(keys.holidayCalendars)) {
+            saveToStorage(keys.holidayCalendars, data)
+            result.restored.push('holidayCalendars')
+          }
+          break
+
+        case 'absenceIcsMapping':
+          if (overwrite || !loadFromStorage(keys.absenceIcsMapping)) {
+            saveToStorage(keys.absenceIcsMapping, data)
+            result.restored.push('absenceIcsMapping')
+          }
+          break
+
+        case 'skillLabelMapping':
+          if (overwrite || !loadFromStorage(keys.skillLabelMapping)) {
+            saveToStorage(keys.skillLabelMapping, data)
+            result.restored.push('skillLabelMapping')
+          }
+          break
+
         case 'stakeholderHub':
           if (data.stakeholders) {
             if (overwrite || !loadFromStorage(keys.stakeholders)) {
@@ -1122,6 +1447,96 @@ export function restoreFromBackup(backup, options = {}) {
           break
         }
 
+        case 'capacityScenarios': {
+          // Restore project and pod-level capacity scenarios
+          let scenarioCount = 0
+
+          Object.entries(data.projectLevel || {}).forEach(([projectId, scenarioData]) => {
+            const key = projectId === 'default'
+              ? keys.capacityScenariosBase
+              : `${keys.capacityScenariosBase}_${projectId}`
+
+            if (overwrite || !loadFromStorage(key)) {
+              saveToStorage(key, scenarioData)
+              scenarioCount++
+            }
+          })
+
+          Object.entries(data.podLevel || {}).forEach(([podId, scenarioData]) => {
+            const key = `${keys.capacityScenariosBase}_pod_${podId}`
+
+            if (overwrite || !loadFromStorage(key)) {
+              saveToStorage(key, scenarioData)
+              scenarioCount++
+            }
+          })
+
+          if (scenarioCount > 0) {
+            result.restored.push(`capacityScenarios (${scenarioCount} items)`)
+          }
+          break
+        }
+
+        case 'metricSnapshots': {
+          // Restore project and pod-level metric history
+          let snapshotCount = 0
+
+          Object.entries(data.projectLevel || {}).forEach(([projectId, snapshotData]) => {
+            const key = projectId === 'default'
+              ? keys.metricSnapshotsBase
+              : `${keys.metricSnapshotsBase}_${projectId}`
+
+            if (overwrite || !loadFromStorage(key)) {
+              saveToStorage(key, snapshotData)
+              snapshotCount++
+            }
+          })
+
+          Object.entries(data.podLevel || {}).forEach(([podId, snapshotData]) => {
+            const key = `${keys.metricSnapshotsBase}_pod_${podId}`
+
+            if (overwrite || !loadFromStorage(key)) {
+              saveToStorage(key, snapshotData)
+              snapshotCount++
+            }
+          })
+
+          if (snapshotCount > 0) {
+            result.restored.push(`metricSnapshots (${snapshotCount} items)`)
+          }
+          break
+        }
+
+        case 'workflows': {
+          // Restore project and pod-level workflow definitions
+          let workflowCount = 0
+
+          Object.entries(data.projectLevel || {}).forEach(([projectId, workflowData]) => {
+            const key = projectId === 'default'
+              ? keys.workflowBase
+              : `${keys.workflowBase}_${projectId}`
+
+            if (overwrite || !loadFromStorage(key)) {
+              saveToStorage(key, workflowData)
+              workflowCount++
+            }
+          })
+
+          Object.entries(data.podLevel || {}).forEach(([podId, workflowData]) => {
+            const key = `${keys.workflowBase}_pod_${podId}`
+
+            if (overwrite || !loadFromStorage(key)) {
+              saveToStorage(key, workflowData)
+              workflowCount++
+            }
+          })
+
+          if (workflowCount > 0) {
+            result.restored.push(`workflows (${workflowCount} items)`)
+          }
+          break
+        }
+
         case 'backlogHealthHistory':
           if (overwrite || !loadFromStorage(keys.backlogHealthHistory)) {
             saveToStorage(keys.backlogHealthHistory, data)
@@ -1189,9 +1604,23 @@ export function restoreFromBackup(backup, options = {}) {
 
 /**
  * Get backup statistics
- * @returns {Object} Statistics about current data
+ * @param {Object} backup - Backup to describe (optional, defaults to the current data)
+ * @returns {Object} Statistics about current data, or about the backup including record counts per list
  */
-export function getBackupStatistics() {
+export function getBackupStatistics(backup = null) {
+  if (backup) {
+    const categories = Object.keys(backup.data)
+    const estimatedSize = JSON.stringify(backup.data).length
+    return {
+      totalItems: categories.length,
+      categories,
+      estimatedSize,
+      estimatedSizeKB: Math.round(estimatedSize / 1024),
+      recordCounts: Array.from(getRecordCollections(backup.data).values())
+        .map(collection => ({ label: collection.label, count: collection.records.length }))
+    }
+  }
+
   const keys = getAllStorageKeys()
   const stats = {
     totalItems: 0,
@@ -1229,28 +1658,177 @@ export function clearAllData(confirm = false) {
 
   const keys = getAllStorageKeys()
   Object.values(keys).forEach(key => {
-    localStorage.removeItem(key)
+    persistentStore.removeItem(key)
   })
 
   return true
 }
 
+// Record lists that can be merged record by record instead of overwriting the whole category
+// field: array property inside the stored object (null when the stored value is the array itself)
+const RECORD_COLLECTIONS = [
+  { category: 'risks', label: 'Risks', key: 'risks', field: null },
+  { category: 'retroActions', label: 'Retro actions', key: 'retroActions', field: null },
+  { category: 'releases', label: 'Releases', key: 'releases', field: 'releases' },
+  { category: 'stakeholderHub', part: 'stakeholders', label: 'Stakeholders', key: 'stakeholders', field: null },
+  { category: 'stakeholderHub', part: 'communicationHistory', label: 'Communications', key: 'communicationHistory', field: null },
+  { category: 'stakeholderHub', part: 'communicationTemplates', label: 'Communication templates', key: 'communicationTemplates', field: null },
+  { category: 'stakeholderHub', part: 'decisions', label: 'Stakeholder decisions', key: 'stakeholderDecisions', field: null },
+  { category: 'stakeholderHub', part: 'documents', label: 'Documents', key: 'documents', field: null },
+  { category: 'absences', label: 'Absences', key: 'absencesBase', field: 'absences', perProject: true },
+  { category: 'projectDecisions', label: 'Project decisions', key: 'projectDecisionsBase', field: 'decisions', perProject: true },
+  { category: 'capacityScenarios', label: 'Capacity scenarios', key: 'capacityScenariosBase', field: 'scenarios', perProject: true }
+]
+
+export const RECORD_CATEGORIES = [...new Set(RECORD_COLLECTIONS.map(c => c.category))]
+
+/**
+ * Record resolutions for the merge-aware restore
+ */
+export const RESOLUTION = {
+  KEEP_LOCAL: 'local',
+  TAKE_BACKUP: 'backup',
+  KEEP_BOTH: 'both'
+}
+
+/**
+ * JSON with sorted object keys, so records compare equal regardless of key order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`
+  }
+  return JSON.stringify(value) ?? 'null'
+}
+
+function getRecordId(record) {
+  return record?.id !== undefined && record?.id !== null ? String(record.id) : stableStringify(record)
+}
+
+/**
+ * Human readable label for a record in the restore wizard
+ */
+export function getRecordLabel(record) {
+  if (!record || typeof record !== 'object') return String(record)
+  if (record.username && record.startDate) {
+    const day = value => String(value).slice(0, 10)
+    return `${record.username}: ${day(record.startDate)} – ${day(record.endDate)}${record.type ? ` (${record.type})` : ''}`
+  }
+  return record.title || record.name || record.subject || record.action || record.description || `#${record.id}`
+}
+
+/**
+ * Flatten the mergeable record lists of backup data
+ * @returns {Map} collection id → { id, category, label, storageKey, field, container, records }
+ */
+function getRecordCollections(data) {
+  const keys = getAllStorageKeys()
+  const collections = new Map()
+
+  const add = (spec, id, label, storageKey, stored) => {
+    if (stored === null || stored === undefined) return
+    const records = spec.field ? stored[spec.field] : stored
+    if (!Array.isArray(records)) return
+    collections.set(id, {
+      id,
+      category: spec.category,
+      label,
+      storageKey,
+      field: spec.field,
+      container: spec.field ? stored : null,
+      records
+    })
+  }
+
+  RECORD_COLLECTIONS.forEach(spec => {
+    const categoryData = data?.[spec.category]
+    if (!categoryData) return
+
+    if (spec.part) {
+      add(spec, `${spec.category}.${spec.part}`, spec.label, keys[spec.key], categoryData[spec.part])
+    } else if (spec.perProject) {
+      const baseKey = keys[spec.key]
+      // Absences backed up before pods existed have no projectLevel/podLevel split
+      const projectLevel = categoryData.projectLevel || categoryData.podLevel
+        ? categoryData.projectLevel || {}
+        : categoryData
+
+      Object.entries(projectLevel).forEach(([projectId, stored]) => {
+        const storageKey = projectId === 'default' ? baseKey : `${baseKey}_${projectId}`
+        const scope = projectId === 'default' ? 'default' : `project ${projectId}`
+        add(spec, `${spec.category}.project.${projectId}`, `${spec.label} (${scope})`, storageKey, stored)
+      })
+      Object.entries(categoryData.podLevel || {}).forEach(([podId, stored]) => {
+        add(spec, `${spec.category}.pod.${podId}`, `${spec.label} (pod ${podId})`, `${baseKey}_pod_${podId}`, stored)
+      })
+    } else {
+      add(spec, spec.category, spec.label, keys[spec.key], categoryData)
+    }
+  })
+
+  return collections
+}
+
+/**
+ * Per-record differences between two lists
+ * status: 'added' (only in backup), 'removed' (only local), 'modified', 'unchanged'
+ */
+function diffRecords(localRecords, backupRecords) {
+  const localById = new Map(localRecords.map(record => [getRecordId(record), record]))
+  const backupById = new Map(backupRecords.map(record => [getRecordId(record), record]))
+  const entries = []
+
+  localById.forEach((local, recordId) => {
+    const backup = backupById.get(recordId)
+    if (!backup) {
+      entries.push({ recordId, status: 'removed', local, backup: null, changedFields: [] })
+      return
+    }
+    const fields = [...new Set([...Object.keys(local || {}), ...Object.keys(backup || {})])]
+    const changedFields = typeof local === 'object' && typeof backup === 'object'
+      ? fields.filter(field => stableStringify(local[field]) !== stableStringify(backup[field]))
+      : (stableStringify(local) === stableStringify(backup) ? [] : ['value'])
+    entries.push({
+      recordId,
+      status: changedFields.length > 0 ? 'modified' : 'unchanged',
+      local,
+      backup,
+      changedFields
+    })
+  })
+
+  backupById.forEach((backup, recordId) => {
+    if (!localById.has(recordId)) {
+      entries.push({ recordId, status: 'added', local: null, backup, changedFields: [] })
+    }
+  })
+
+  return entries
+}
+
 /**
  * Compare two backups and show differences
- * @param {Object} backup1 - First backup
- * @param {Object} backup2 - Second backup
- * @returns {Object} Comparison result
+ * Used by the restore wizard with the current local data as backup1 (createBackup()) and the
+ * imported file as backup2
+ * @param {Object} backup1 - First backup (local)
+ * @param {Object} backup2 - Second backup (incoming)
+ * @returns {Object} Comparison result: added/removed/modified categories, plus per-record diffs
+ *   for mergeable lists in records: [{ id, category, label, storageKey, field, container, entries, counts }]
  */
 export function compareBackups(backup1, backup2) {
   const result = {
     differences: [],
     added: [],
     removed: [],
-    modified: []
+    modified: [],
+    records: []
   }
 
   const categories1 = new Set(Object.keys(backup1.data))
-  const categories2 = new Set(backup2.data)
+  const categories2 = new Set(Object.keys(backup2.data))
 
   // Find added categories
   categories2.forEach(cat => {
@@ -1266,16 +1844,168 @@ export function compareBackups(backup1, backup2) {
     }
   })
 
-  // Find modified categories (simple length check)
+  // Find modified categories
   categories1.forEach(cat => {
     if (categories2.has(cat)) {
-      const json1 = JSON.stringify(backup1.data[cat])
-      const json2 = JSON.stringify(backup2.data[cat])
+      const json1 = stableStringify(backup1.data[cat])
+      const json2 = stableStringify(backup2.data[cat])
       if (json1 !== json2) {
         result.modified.push(cat)
       }
     }
   })
 
+  // Per-record differences for mergeable lists present in the incoming backup
+  const localCollections = getRecordCollections(backup1.data)
+  const backupCollections = getRecordCollections(backup2.data)
+
+  backupCollections.forEach((incoming, id) => {
+    const local = localCollections.get(id)
+    const entries = diffRecords(local?.records || [], incoming.records)
+    const counts = { added: 0, removed: 0, modified: 0, unchanged: 0 }
+    entries.forEach(entry => { counts[entry.status]++ })
+
+    const { records: _records, ...collection } = incoming
+    result.records.push({
+      ...collection,
+      container: local?.container || incoming.container,
+      entries,
+      counts
+    })
+  })
+
+  result.differences = [
+    ...result.added.map(category => ({ category, type: 'added' })),
+    ...result.removed.map(category => ({ category, type: 'removed' })),
+    ...result.modified.map(category => ({ category, type: 'modified' }))
+  ]
+
+  return result
+}
+
+/**
+ * Resolution used when the user has not picked one
+ * New records from the backup are taken, everything else keeps the local version
+ */
+export function getDefaultResolution(entry) {
+  return entry.status === 'added' ? RESOLUTION.TAKE_BACKUP : RESOLUTION.KEEP_LOCAL
+}
+
+/**
+ * Key of a record in the resolutions map
+ */
+export function getResolutionKey(collectionId, recordId) {
+  return `${collectionId}|${recordId}`
+}
+
+/**
+ * Build the merged record list of one collection
+ * @param {Object} collection - Entry of compareBackups().records
+ * @param {Object} resolutions - { [getResolutionKey()]: RESOLUTION value }
+ * @returns {Array} Merged records (local order first, records only in the backup appended)
+ */
+export function mergeRecordCollection(collection, resolutions = {}) {
+  const merged = []
+  const usedIds = new Set(collection.entries.map(entry => entry.recordId))
+  const appended = []
+
+  const copyOf = (record) => {
+    if (!record || typeof record !== 'object' || record.id === undefined) return record
+    let id = `${record.id}-restored`
+    for (let n = 2; usedIds.has(id); n++) id = `${record.id}-restored-${n}`
+    usedIds.add(id)
+    return { ...record, id }
+  }
+
+  collection.entries.forEach(entry => {
+    const resolution = resolutions[getResolutionKey(collection.id, entry.recordId)] || getDefaultResolution(entry)
+
+    switch (entry.status) {
+      case 'added':
+        if (resolution !== RESOLUTION.KEEP_LOCAL) appended.push(entry.backup)
+        break
+      case 'removed':
+        // Only exists locally: "take backup" means dropping it
+        if (resolution !== RESOLUTION.TAKE_BACKUP) merged.push(entry.local)
+        break
+      case 'modified':
+        if (resolution === RESOLUTION.TAKE_BACKUP) {
+          merged.push(entry.backup)
+        } else {
+          merged.push(entry.local)
+          if (resolution === RESOLUTION.KEEP_BOTH) appended.push(copyOf(entry.backup))
+        }
+        break
+      default:
+        merged.push(entry.local)
+    }
+  })
+
+  return [...merged, ...appended]
+}
+
+/**
+ * Restore a backup record by record
+ * Mergeable lists are merged with the chosen resolutions, other categories are only
+ * restored (overwritten) when listed in options.categories
+ * @param {Object} backup - Backup object
+ * @param {Object} comparison - compareBackups(createBackup(), backup)
+ * @param {Object} options - { resolutions, categories: non-record categories to take from the backup }
+ * @returns {Object} Restore result with restored/failed/skipped lists (same shape as restoreFromBackup)
+ */
+export function restoreMergedBackup(backup, comparison, options = {}) {
+  const { resolutions = {}, categories = [] } = options
+  const result = {
+    success: true,
+    restored: [],
+    failed: [],
+    skipped: []
+  }
+
+  comparison.records.forEach(collection => {
+    const hasChanges = collection.entries.some(entry => {
+      const resolution = resolutions[getResolutionKey(collection.id, entry.recordId)] || getDefaultResolution(entry)
+      return (entry.status === 'added' && resolution !== RESOLUTION.KEEP_LOCAL) ||
+        (entry.status === 'removed' && resolution === RESOLUTION.TAKE_BACKUP) ||
+        (entry.status === 'modified' && resolution !== RESOLUTION.KEEP_LOCAL)
+    })
+    if (!hasChanges) {
+      result.skipped.push(`${collection.label} (kept local)`)
+      return
+    }
+
+    try {
+      const merged = mergeRecordCollection(collection, resolutions)
+      let value = merged
+      if (collection.field) {
+        const current = loadFromStorage(collection.storageKey)
+        const base = current && typeof current === 'object' ? current : (collection.container || {})
+        value = { ...base, [collection.field]: merged }
+        if ('lastModified' in base) value.lastModified = new Date().toISOString()
+        if ('updatedAt' in base) value.updatedAt = new Date().toISOString()
+      }
+
+      if (saveToStorage(collection.storageKey, value)) {
+        result.restored.push(`${collection.label} (${merged.length} records)`)
+      } else {
+        result.failed.push(collection.label)
+        result.success = false
+      }
+    } catch (error) {
+      console.error(`Failed to merge ${collection.label}:`, error)
+      result.failed.push(collection.label)
+      result.success = false
+    }
+  })
+
+  const wholeCategories = categories.filter(category => !RECORD_CATEGORIES.includes(category))
+  if (wholeCategories.length > 0) {
+    const categoryResult = restoreFromBackup(backup, { overwrite: true, selectiveRestore: wholeCategories })
+    result.restored.push(...categoryResult.restored)
+    result.failed.push(...categoryResult.failed)
+    result.skipped.push(...categoryResult.skipped)
+    result.success = result.success && categoryResult.success
+  }
+
   return result
 }
@@ -0,0 +1,262 @@
+/**
+ * Board Write-Back Service
+ * Translates Sprint Board actions (column moves, in-card edits) into GitLab issue updates
+ * Column labels follow the project's configured workflow, or else the workflow phases
+ * detected by cycleTimeService
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { updateIssue } from './gitlabApi.js'
+import { setIssueIterationGraphql } from './gitlabGraphqlApi.js'
+import { DEFAULT_PHASE_PATTERNS, detectIssuePhase } from './cycleTimeService.js'
+import { loadWorkflow, getWorkflowState, isWorkflowStateLabel } from './workflowConfigService.js'
+
+export const BOARD_COLUMNS = ['backlog', 'inprogress', 'testing', 'done']
+
+export const BOARD_COLUMN_TITLES = {
+  backlog: 'Backlog',
+  inprogress: 'In Progress',
+  testing: 'Testing',
+  done: 'Done'
+}
+
+// Workflow phase (cycleTimeService) each label-driven column stands for
+const COLUMN_PHASES = {
+  inprogress: 'inProgress',
+  testing: 'testing'
+}
+
+// Applied when no issue in the dataset uses a label for the column yet
+const FALLBACK_COLUMN_LABELS = {
+  inprogress: 'In Progress',
+  testing: 'In Testing'
+}
+
+// Column of each phase of a configured workflow's states
+const PHASE_COLUMNS = {
+  backlog: 'backlog',
+  analysis: 'backlog',
+  inProgress: 'inprogress',
+  review: 'inprogress',
+  awaitingTesting: 'testing',
+  testing: 'testing',
+  awaitingRelease: 'done',
+  released: 'done',
+  done: 'done',
+  cancelled: 'done'
+}
+
+// Blocked is a flag on top of the workflow position, so it survives column moves
+const WORKFLOW_PHASES = Object.keys(DEFAULT_PHASE_PATTERNS).filter(phase => phase !== 'blocked')
+
+const getLabelName = label => typeof label === 'string' ? label : (label.name || label.title || '')
+
+/**
+ * Get the board column of an issue based on its state and status labels
+ * @returns {string} 'backlog' | 'inprogress' | 'testing' | 'done'
+ */
+export function getBoardColumn(issue) {
+  // Closed issues are always "done"
+  if (issue.state === 'closed') return 'done'
+
+  // A configured workflow places issues by the phase of their state (blocked states don't move them)
+  const workflow = loadWorkflow()
+  if (workflow) {
+    const state = getWorkflowState(issue, workflow, { includeBlocked: false })
+    return state ? PHASE_COLUMNS[state.phase] : 'backlog'
+  }
+
+  // Check for specific status labels (case-insensitive exact match)
+  // Labels can be strings OR objects with a 'name' property
+  const labelNames = (issue.labels || []).map(l => getLabelName(l).toLowerCase().trim())
+
+  // Cancelled and Awaiting Release go to Done column
+  if (labelNames.includes('status::cancelled') || labelNames.includes('cancelled')) return 'done'
+  if (labelNames.includes('status::awaiting release') || labelNames.includes('awaiting release')) return 'done'
+
+  // In Testing
+  if (labelNames.includes('status::in testing') || labelNames.includes('in testing')) return 'testing'
+
+  // In Progress
+  if (labelNames.includes('status::in progress') || labelNames.includes('in progress')) return 'inprogress'
+
+  // Everything else (including no status label) goes to Backlog
+  // This includes: In Discovery, In Analysis, Awaiting Refinement,
+  // Ready for Work, Done (but open), Awaiting Release, Released, or no label
+  return 'backlog'
+}
+
+/**
+ * Whether a label marks a workflow position: a non-blocked state label (or one of its scope)
+ * of the configured workflow, else a phase pattern used as the whole label name,
+ * optionally scoped (e.g. "In Progress" or "Status::In Progress")
+ * Partial matches like "design-review" are left alone
+ */
+function isWorkflowLabel(label) {
+  const workflow = loadWorkflow()
+  if (workflow) {
+    return isWorkflowStateLabel(label, workflow) &&
+      getWorkflowState({ labels: [label] }, workflow)?.phase !== 'blocked'
+  }
+
+  const name = getLabelName(label).toLowerCase().trim()
+  const unscoped = name.includes('::') ? name.slice(name.lastIndexOf('::') + 2).trim() : name
+  return WORKFLOW_PHASES.some(phase => DEFAULT_PHASE_PATTERNS[phase].includes(unscoped))
+}
+
+/**
+ * Pick the label that moves an issue into a column
+ * Uses the configured workflow's state label, otherwise the most common matching workflow label
+ * in the dataset so moves follow the project's own naming
+ * @returns {string|null} Label name, or null for columns driven by state/absence of labels
+ */
+export function resolveColumnLabel(column, issues) {
+  const phase = COLUMN_PHASES[column]
+  if (!phase) return null
+
+  // With a configured workflow: the first label of the column's first state, preferring the
+  // state of the column's own phase (e.g. "In Progress" over "In Review")
+  const workflow = loadWorkflow()
+  if (workflow) {
+    const states = workflow.states.filter(state => PHASE_COLUMNS[state.phase] === column && state.labels.length > 0)
+    const state = states.find(s => s.phase === phase) || states[0]
+    return state ? state.labels[0] : FALLBACK_COLUMN_LABELS[column]
+  }
+
+  const counts = new Map()
+  issues.forEach(issue => {
+    (issue.labels || []).forEach(label => {
+      const name = getLabelName(label)
+      if (!isWorkflowLabel(name)) return
+      const probe = { state: 'opened', labels: [name] }
+      if (detectIssuePhase(probe) === phase && getBoardColumn(probe) === column) {
+        counts.set(name, (counts.get(name) || 0) + 1)
+      }
+    })
+  })
+
+  if (counts.size === 0) return FALLBACK_COLUMN_LABELS[column]
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0][0]
+}
+
+/**
+ * Build the issue patch for moving an issue to another board column
+ * Workflow labels are swapped for the column label; Done closes the issue,
+ * moving a closed issue anywhere else reopens it
+ * @returns {Object|null} Patch ({ labels, state, closed_at }) or null if nothing changes
+ */
+export function buildColumnMovePatch(issue, column, issues) {
+  if (getBoardColumn(issue) === column) return null
+
+  const labels = (issue.labels || []).map(getLabelName)
+  const columnLabel = resolveColumnLabel(column, issues)
+  const keptLabels = labels.filter(label => !isWorkflowLabel(label) || label === columnLabel)
+  const nextLabels = columnLabel && !keptLabels.includes(columnLabel) ? [...keptLabels, columnLabel] : keptLabels
+
+  const patch = { labels: nextLabels }
+  if (column === 'done' && issue.state !== 'closed') {
+    patch.state = 'closed'
+    patch.closed_at = new Date().toISOString()
+  } else if (column !== 'done' && issue.state === 'closed') {
+    patch.state = 'opened'
+    patch.closed_at = null
+  }
+  return patch
+}
+
+/**
+ * Snapshot the fields a patch touches, used as the undo patch
+ */
+export function pickIssueFields(issue, fields) {
+  const picked = {}
+  fields.forEach(field => {
+    picked[field] = field === 'labels'
+      ? (issue.labels || []).map(getLabelName)
+      : (issue[field] === undefined ? null : issue[field])
+  })
+  return picked
+}
+
+/**
+ * Translate a patch into REST edit attributes plus an optional iteration change
+ * @returns {Object} { changes, iteration } - iteration is { id } or null when untouched
+ */
+export function buildIssueUpdate(issue, patch) {
+  const changes = {}
+
+  if ('labels' in patch) {
+    const current = (issue.labels || []).map(getLabelName)
+    const added = patch.labels.filter(label => !current.includes(label))
+    const removed = current.filter(label => !patch.labels.includes(label))
+    if (added.length > 0) changes.add_labels = added.join(',')
+    if (removed.length > 0) changes.remove_labels = removed.join(',')
+  }
+  if ('state' in patch && patch.state !== issue.state) {
+    changes.state_event = patch.state === 'closed' ? 'close' : 'reopen'
+  }
+  if ('milestone' in patch) {
+    changes.milestone_id = patch.milestone?.id || 0 // 0 unassigns
+  }
+  if ('weight' in patch) {
+    changes.weight = patch.weight
+  }
+  if ('due_date' in patch) {
+    changes.due_date = patch.due_date
+  }
+
+  const iteration = 'iteration' in patch ? { id: patch.iteration?.id || null } : null
+  return { changes, iteration }
+}
+
+/**
+ * Full project path of an issue (needed for GraphQL mutations)
+ */
+function getIssueProjectPath(issue) {
+  if (issue.references?.full) {
+    return issue.references.full.split('#')[0]
+  }
+  return new URL(issue.web_url).pathname.split('/-/')[0].replace(/^\//, '')
+}
+
+/**
+ * Write a patch to GitLab
+ * The iteration is set by a separate GraphQL mutation after the REST update. When the mutation
+ * fails, the REST changes are reverted so the issue is left as it was; if reverting fails too,
+ * the thrown error carries savedFields (patch fields GitLab kept)
+ * @param {Object} issue - Issue as currently shown (the patch is diffed against it)
+ * @param {Object} patch - Issue fields to change (labels, state, milestone, iteration, weight, due_date)
+ * @param {Object} config - { gitlabUrl, token, projectId } projectId is used when the issue has no project_id
+ * @param {Object} options - { signal }
+ */
+export async function applyIssuePatch(issue, patch, config, options = {}) {
+  const { changes, iteration } = buildIssueUpdate(issue, patch)
+  const projectId = issue.project_id || config.projectId
+
+  if (isDev) {
+    console.log(`Writing back issue #${issue.iid}:`, changes, iteration)
+  }
+
+  const hasChanges = Object.keys(changes).length > 0
+  if (hasChanges) {
+    await updateIssue(config.gitlabUrl, projectId, issue.iid, changes, config.token, options)
+  }
+  if (!iteration) return
+
+  try {
+    await setIssueIterationGraphql(config.gitlabUrl, getIssueProjectPath(issue), issue.iid, iteration.id, config.token, options)
+  } catch (error) {
+    if (!hasChanges) throw error
+
+    const savedFields = Object.keys(patch).filter(field => field !== 'iteration')
+    const { changes: revert } = buildIssueUpdate({ ...issue, ...patch }, pickIssueFields(issue, savedFields))
+    try {
+      // Not tied to the signal: the revert has to run even when the write was cancelled
+      await updateIssue(config.gitlabUrl, projectId, issue.iid, revert, config.token)
+    } catch (revertError) {
+      console.error(`Failed to revert issue #${issue.iid} after the iteration update failed:`, revertError)
+      error.savedFields = savedFields
+    }
+    throw error
+  }
+}
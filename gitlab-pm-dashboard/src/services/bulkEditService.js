@@ -0,0 +1,161 @@
+/**
+ * Bulk Edit Service
+ * Plans edits for a list of issues (dry run) and applies them one by one with progress reporting
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { applyIssuePatch } from './boardWriteBackService.js'
+import { isAbortError } from './gitlabHttpClient.js'
+
+const getLabelName = label => typeof label === 'string' ? label : (label.name || label.title || '')
+
+/**
+ * Split a comma separated label input into label names
+ */
+export function parseLabelList(value) {
+  return (value || '')
+    .split(',')
+    .map(label => label.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Whether a milestone can be set on an issue
+ * Project milestones only apply within their project; group milestones (no project_id)
+ * apply to every project of the group
+ */
+export function isMilestoneValidForIssue(milestone, issue) {
+  return !milestone.project_id || milestone.project_id === issue.project_id
+}
+
+/**
+ * Milestones that can be picked for a list of issues
+ * Open loaded project/group milestones valid for at least one of the issues' projects,
+ * plus the milestones the issues already carry
+ * @param {Array} issues - Issues to edit
+ * @param {Array} milestones - Milestones loaded for the project/group
+ */
+export function collectMilestones(issues, milestones = []) {
+  const byId = new Map()
+  milestones.forEach(milestone => {
+    if (milestone.state !== 'closed' && issues.some(issue => isMilestoneValidForIssue(milestone, issue))) {
+      byId.set(milestone.id, milestone)
+    }
+  })
+  issues.forEach(issue => {
+    if (issue.milestone?.id && !byId.has(issue.milestone.id)) {
+      byId.set(issue.milestone.id, issue.milestone)
+    }
+  })
+  return Array.from(byId.values()).sort((a, b) => a.title.localeCompare(b.title))
+}
+
+/**
+ * Build the dry-run plan for a bulk edit
+ * @param {Array} issues - Issues to edit
+ * @param {Object} edit - {
+ *   addLabels: string[], removeLabels: string[],
+ *   weight: number|null|undefined, milestone: Object|null|undefined (undefined leaves the field alone),
+ *   onlyIfMissing: boolean - only set weight/milestone on issues that have none
+ * }
+ * A milestone is only set on issues of projects it is valid for, the others stay unchanged
+ * @returns {Object} { changes: [{ issue, patch, diff: [{ field, from, to }] }], unchanged: [issue] }
+ */
+export function buildBulkEditPlan(issues, edit) {
+  const addLabels = edit.addLabels || []
+  const removeLabels = (edit.removeLabels || []).map(label => label.toLowerCase())
+  const changes = []
+  const unchanged = []
+
+  issues.forEach(issue => {
+    const patch = {}
+    const diff = []
+
+    if (addLabels.length > 0 || removeLabels.length > 0) {
+      const current = (issue.labels || []).map(getLabelName)
+      const kept = current.filter(label => !removeLabels.includes(label.toLowerCase()))
+      const added = addLabels.filter(label => !kept.some(l => l.toLowerCase() === label.toLowerCase()))
+      const next = [...kept, ...added]
+      const removed = current.filter(label => !kept.includes(label))
+
+      if (added.length > 0 || removed.length > 0) {
+        patch.labels = next
+        diff.push({
+          field: 'labels',
+          from: removed.length > 0 ? removed.join(', ') : null,
+          to: added.length > 0 ? added.join(', ') : null
+        })
+      }
+    }
+
+    if (edit.weight !== undefined && !(edit.onlyIfMissing && issue.weight != null)) {
+      if ((issue.weight ?? null) !== edit.weight) {
+        patch.weight = edit.weight
+        diff.push({ field: 'weight', from: issue.weight ?? null, to: edit.weight })
+      }
+    }
+
+    if (edit.milestone !== undefined && !(edit.onlyIfMissing && issue.milestone) &&
+      (edit.milestone === null || isMilestoneValidForIssue(edit.milestone, issue))) {
+      if ((issue.milestone?.id || null) !== (edit.milestone?.id || null)) {
+        patch.milestone = edit.milestone
+        diff.push({ field: 'milestone', from: issue.milestone?.title || null, to: edit.milestone?.title || null })
+      }
+    }
+
+    if (diff.length > 0) {
+      changes.push({ issue, patch, diff })
+    } else {
+      unchanged.push(issue)
+    }
+  })
+
+  return { changes, unchanged }
+}
+
+/**
+ * Apply a bulk edit plan sequentially (same pattern as batchUpdateIssueAssignees)
+ * @param {Array} planChanges - plan.changes from buildBulkEditPlan()
+ * @param {Object} config - { gitlabUrl, token, projectId }
+ * @param {function} onProgress - Progress callback ({ current, total, issue }) (optional)
+ * @param {Object} options - { signal } stops after the current issue when aborted
+ * @returns {Promise<object>} Results object with successful/failed arrays ({ issue, diff } / { issue, diff, error })
+ */
+export async function applyBulkEditPlan(planChanges, config, onProgress = null, options = {}) {
+  const results = {
+    successful: [],
+    failed: []
+  }
+
+  if (isDev) {
+    console.log(`Starting bulk edit for ${planChanges.length} issues`)
+  }
+
+  for (let i = 0; i < planChanges.length; i++) {
+    const { issue, patch, diff } = planChanges[i]
+    if (options.signal?.aborted) break
+
+    if (onProgress) {
+      onProgress({
+        current: i + 1,
+        total: planChanges.length,
+        issue
+      })
+    }
+
+    try {
+      await applyIssuePatch(issue, patch, config, options)
+      results.successful.push({ issue, diff })
+    } catch (error) {
+      if (isAbortError(error)) break
+      console.error(`Failed to update issue #${issue.iid}:`, error.message)
+      results.failed.push({ issue, diff, error: error.message })
+    }
+  }
+
+  if (isDev) {
+    console.log(`Bulk edit completed: ${results.successful.length} successful, ${results.failed.length} failed`)
+  }
+  return results
+}
@@ -0,0 +1,313 @@
+/**
+ * Capacity Scenario Service
+ * Saved "what if" team scenarios (hires, departures, capacity changes) per project, their
+ * weekly capacity, and their effect on milestone and release delivery dates
+ *
+ * Scenario: { id, name, description, teamChanges: [{ id, type, week, ... }], createdAt, updatedAt }
+ * Change types: 'hire' { name, username, role, capacity, rampUpWeeks },
+ *               'departure' { name, username }, 'capacity_change' { name, username, oldCapacity, newCapacity }
+ * Weeks are 1-based and start today.
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { getActiveProjectId } from './storageService'
+import { persistentStore } from './persistentStore'
+import { loadAbsences } from './absenceService'
+import { getWorkingDayRules, countWorkingDays } from './holidayCalendarService'
+import { monteCarloForecast, getCompletionProbability, getWorkCompletedBy, waitForNextTask } from './forecastService'
+import { loadReleases, getReleaseIssues } from './releaseService'
+
+const STORAGE_KEY = 'gitlab-pm-capacity-scenarios'
+const PROFILE_WEEKS = 104 // Capacity profile horizon for delivery forecasts
+const SIMULATIONS = 1000
+
+export const BASELINE_SCENARIO_ID = 'baseline'
+
+/**
+ * Get project-specific key for storage
+ */
+function getProjectKey(baseKey) {
+  const projectId = getActiveProjectId()
+  if (!projectId || projectId === 'cross-project') {
+    return baseKey
+  }
+  return `${baseKey}_${projectId}`
+}
+
+/**
+ * The baseline scenario: the current team without changes (never stored)
+ */
+export function createBaselineScenario() {
+  return {
+    id: BASELINE_SCENARIO_ID,
+    name: 'Current Team (Baseline)',
+    description: 'Current team configuration without changes',
+    teamChanges: [],
+    createdAt: new Date().toISOString()
+  }
+}
+
+/**
+ * Load saved scenarios for the active project
+ * @returns {Array} Scenarios (without the baseline)
+ */
+export function loadCapacityScenarios() {
+  try {
+    const stored = persistentStore.getItem(getProjectKey(STORAGE_KEY))
+    if (stored) {
+      return JSON.parse(stored).scenarios || []
+    }
+  } catch (error) {
+    console.error('Error loading capacity scenarios:', error)
+  }
+  return []
+}
+
+/**
+ * Save scenarios for the active project (the baseline is dropped) and notify open forecasts
+ * @param {Array} scenarios
+ */
+export function saveCapacityScenarios(scenarios) {
+  try {
+    persistentStore.setItem(getProjectKey(STORAGE_KEY), JSON.stringify({
+      scenarios: scenarios.filter(s => s.id !== BASELINE_SCENARIO_ID),
+      lastModified: new Date().toISOString()
+    }))
+    window.dispatchEvent(new Event('capacityScenariosChanged'))
+    return true
+  } catch (error) {
+    console.error('Error saving capacity scenarios:', error)
+    return false
+  }
+}
+
+/**
+ * Team roster of a scenario in a given week
+ * Current members start in week 1; hires start in their change week and ramp up,
+ * departures leave in their change week
+ * @returns {Array} Members with { defaultCapacity, startWeek, rampUpWeeks }
+ */
+export function getScenarioTeam(teamMembers, scenario, weekNum) {
+  let team = teamMembers.map(member => ({ ...member, startWeek: 1, rampUpWeeks: 0, endWeek: null }))
+
+  ;[...(scenario?.teamChanges || [])]
+    .filter(change => change.week <= weekNum)
+    .sort((a, b) => a.week - b.week)
+    .forEach(change => {
+      switch (change.type) {
+        case 'hire':
+          team.push({
+            username: change.username,
+            name: change.name,
+            role: change.role,
+            defaultCapacity: change.capacity,
+            startWeek: change.week,
+            rampUpWeeks: change.rampUpWeeks ?? 4,
+            endWeek: null
+          })
+          break
+
+        case 'departure':
+          team = team.map(m => m.username === change.username ? { ...m, endWeek: change.week } : m)
+          break
+
+        case 'capacity_change':
+          team = team.map(m => m.username === change.username ? { ...m, defaultCapacity: change.newCapacity } : m)
+          break
+      }
+    })
+
+  return team.filter(m => m.startWeek <= weekNum && (!m.endWeek || m.endWeek > weekNum))
+}
+
+/**
+ * Weekly capacity of a scenario
+ * @param {Array} teamMembers - Current team
+ * @param {Object} scenario
+ * @param {number} weeks - Number of weeks from today
+ * @param {Object} options - { absences } (defaults to stored absences)
+ * @returns {Array} [{ weekNum, weekStart, weekEnd, team, teamCount, totalCapacity, plannedCapacity, effectiveCapacity }]
+ *   totalCapacity: nominal hours, plannedCapacity: after ramp-up, effectiveCapacity: after ramp-up and absences
+ */
+export function calculateScenarioWeeks(teamMembers, scenario, weeks, { absences = loadAbsences()?.absences || [] } = {}) {
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  const rulesByMember = new Map()
+  const result = []
+
+  for (let i = 0; i < weeks; i++) {
+    const weekNum = i + 1
+    const weekStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() + i * 7)
+    const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6)
+    const team = getScenarioTeam(teamMembers, scenario, weekNum)
+
+    let totalCapacity = 0
+    let plannedCapacity = 0
+    let effectiveCapacity = 0
+
+    team.forEach(member => {
+      const baseCapacity = member.defaultCapacity !== undefined && member.defaultCapacity !== null ? member.defaultCapacity : 40
+      totalCapacity += baseCapacity
+
+      // Apply ramp-up factor for new hires
+      const weeksActive = weekNum - member.startWeek
+      const rampUpFactor = member.rampUpWeeks > 0 ? Math.min(1, (weeksActive + 1) / member.rampUpWeeks) : 1
+      const memberPlanned = baseCapacity * rampUpFactor
+      plannedCapacity += memberPlanned
+
+      // Subtract absent working days (member's work week and holidays)
+      if (!rulesByMember.has(member.username)) rulesByMember.set(member.username, getWorkingDayRules(member))
+      const rules = rulesByMember.get(member.username)
+      const dailyCapacity = baseCapacity / rules.workDays.size
+      let workingDaysOff = 0
+
+      absences
+        .filter(absence =>
+          absence.username === member.username &&
+          new Date(absence.startDate) <= weekEnd &&
+          new Date(absence.endDate) >= weekStart
+        )
+        .forEach(absence => {
+          const absStart = new Date(Math.max(new Date(absence.startDate).getTime(), weekStart.getTime()))
+          const absEnd = new Date(Math.min(new Date(absence.endDate).getTime(), weekEnd.getTime()))
+          workingDaysOff += countWorkingDays(absStart, absEnd, rules)
+        })
+
+      effectiveCapacity += Math.max(0, memberPlanned - workingDaysOff * dailyCapacity)
+    })
+
+    result.push({
+      weekNum,
+      weekStart,
+      weekEnd,
+      team,
+      teamCount: team.length,
+      totalCapacity,
+      plannedCapacity,
+      effectiveCapacity
+    })
+  }
+
+  return result
+}
+
+/**
+ * Weekly capacity of a scenario relative to the current team
+ * Absences affect every scenario alike, so the ratio uses planned (ramped-up) capacity
+ * @returns {Array|null} Factor per week, or null for the baseline
+ */
+export function getScenarioCapacityProfile(teamMembers, scenario, weeks = PROFILE_WEEKS) {
+  if (!scenario || scenario.id === BASELINE_SCENARIO_ID || scenario.teamChanges.length === 0) return null
+
+  const baselineCapacity = calculateScenarioWeeks(teamMembers, null, 1, { absences: [] })[0].plannedCapacity
+  if (baselineCapacity === 0) return null
+
+  return calculateScenarioWeeks(teamMembers, scenario, weeks, { absences: [] })
+    .map(week => week.plannedCapacity / baselineCapacity)
+}
+
+/**
+ * Delivery targets to forecast: open milestones and planned releases
+ * @param {Array} milestones
+ * @param {Array} issues
+ * @param {Array} releases - Defaults to the stored releases
+ * @returns {Array} [{ id, type: 'milestone'|'release', title, dueDate, issues }]
+ */
+export function getDeliveryTargets(milestones, issues, releases = loadReleases()) {
+  const milestoneTargets = (milestones || [])
+    .filter(m => m.state !== 'closed')
+    .map(m => ({
+      id: `milestone-${m.id}`,
+      type: 'milestone',
+      title: m.title,
+      dueDate: m.due_date ? new Date(m.due_date) : null,
+      issues: issues.filter(issue => issue.milestone?.id === m.id)
+    }))
+
+  const releaseTargets = releases
+    .filter(r => r.status !== 'released')
+    .map(r => ({
+      id: `release-${r.id}`,
+      type: 'release',
+      title: r.name ? `${r.version} - ${r.name}` : r.version,
+      dueDate: r.targetDate ? new Date(r.targetDate) : null,
+      issues: getReleaseIssues(r, issues)
+    }))
+
+  return [...milestoneTargets, ...releaseTargets]
+    .filter(target => target.issues.some(issue => issue.state === 'opened'))
+}
+
+/**
+ * Seeded random number generator (mulberry32)
+ * Every scenario of a target uses the same sequence, so differences come from capacity only
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function hashString(value) {
+  let hash = 0
+  for (let i = 0; i < value.length; i++) {
+    hash = (Math.imul(hash, 31) + value.charCodeAt(i)) >>> 0
+  }
+  return hash
+}
+
+/**
+ * P50/P90 delivery dates per target for the baseline and each scenario
+ * Each target and scenario is simulated in its own task, so the page stays responsive
+ * @param {Array} scenarios - Including the baseline
+ * @param {Array} teamMembers - Current team
+ * @param {Array} targets - From getDeliveryTargets()
+ * @param {Array} issues - All issues
+ * @param {Object} options - { signal } (an aborted run stops early)
+ * @returns {Promise<Array|null>} null when aborted, otherwise
+ *   [{ target, forecasts: { [scenarioId]: { p50, p90, remainingWork, dueProbability, doneByDue } | null } }]
+ *   p50/p90: { weeks, date }; dueProbability: % chance to finish by the due date;
+ *   doneByDue: issues done by the due date { p50, p85 }; null when the target has no completion history
+ */
+export async function forecastScenarioDelivery(scenarios, teamMembers, targets, issues, { signal } = {}) {
+  const profiles = new Map(scenarios.map(scenario => [
+    scenario.id,
+    getScenarioCapacityProfile(teamMembers, scenario)
+  ]))
+
+  const results = []
+  for (const target of targets) {
+    const forecasts = {}
+    for (const scenario of scenarios) {
+      await waitForNextTask()
+      if (signal?.aborted) return null
+
+      const forecast = monteCarloForecast({ issues: target.issues }, issues, SIMULATIONS, {
+        capacityProfile: profiles.get(scenario.id),
+        random: createSeededRandom(hashString(target.id))
+      })
+      forecasts[scenario.id] = forecast
+        ? {
+            p50: forecast.percentiles.p50,
+            p90: forecast.percentiles.p90,
+            remainingWork: forecast.remainingWork,
+            dueProbability: target.dueDate ? getCompletionProbability(forecast, target.dueDate) : null,
+            doneByDue: target.dueDate ? getWorkCompletedBy(forecast, target.dueDate) : null
+          }
+        : null
+    }
+    results.push({ target, forecasts })
+  }
+
+  if (isDev) {
+    console.log(`Scenario delivery forecast: ${targets.length} target(s) x ${scenarios.length} scenario(s)`)
+  }
+
+  return results
+}
@@ -4,10 +4,11 @@
  */
 
 import { getStaleThresholds, getEnabledCriteria } from './criteriaConfigService'
+import { getWorkflowViolation } from './workflowConfigService'
 
 /**
  * Configurable thresholds for stale issue detection
- * Now loaded from localStorage config
+ * Now loaded from storage config
  */
 export function getStaleThresholdsConfig() {
   return getStaleThresholds()
@@ -82,7 +83,9 @@ const VALIDATION_FUNCTIONS = {
   stale: (issue) => {
     const staleStatus = checkStaleStatus(issue)
     return !staleStatus.isStale
-  }
+  },
+  // Passes when no workflow is configured for the project
+  workflow: (issue) => !getWorkflowViolation(issue)
 }
 
 /**
@@ -157,7 +160,8 @@ export function checkIssueCompliance(issue) {
         name: criteria.name,
         description: criteria.description,
         severity,
-        ...(key === 'stale' && { daysOpen: staleStatus.daysOpen })
+        ...(key === 'stale' && { daysOpen: staleStatus.daysOpen }),
+        ...(key === 'workflow' && { workflowProblem: getWorkflowViolation(issue) })
       })
     } else {
       passed.push(key)
@@ -308,6 +312,7 @@ export function exportToCSV(nonCompliantIssues) {
     'Missing Milestone',
     'Missing Due Date',
     'Missing Priority',
+    'Workflow Problem',
     'Created At',
     'Updated At',
     'Author',
@@ -322,6 +327,7 @@ export function exportToCSV(nonCompliantIssues) {
     issue.violations.forEach(v => {
       violationMap[v.criterion] = true
     })
+    const workflowProblem = issue.violations.find(v => v.criterion === 'workflow')?.workflowProblem
 
     const staleStatus = issue.staleStatus?.isStale
       ? (issue.staleStatus.severity === 'critical' ? 'CRITICAL' : 'WARNING')
@@ -343,6 +349,7 @@ export function exportToCSV(nonCompliantIssues) {
       violationMap.milestone ? 'YES' : 'NO',
       violationMap.dueDate ? 'YES' : 'NO',
       violationMap.priority ? 'YES' : 'NO',
+      workflowProblem ? `"${workflowProblem.replace(/"/g, '""')}"` : 'NO',
       new Date(issue.createdAt).toLocaleDateString(),
       new Date(issue.updatedAt).toLocaleDateString(),
       issue.author ? issue.author.name : 'Unknown',
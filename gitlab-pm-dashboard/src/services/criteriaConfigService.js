@@ -1,8 +1,10 @@
 /**
  * Quality Criteria Configuration Service
- * Manages localStorage persistence for custom quality criteria settings
+ * Manages persistence for custom quality criteria settings
  */
 
+import { persistentStore } from './persistentStore.js'
+
 const STORAGE_KEY = 'gitlab-pm-quality-criteria-config'
 
 /**
@@ -68,17 +70,23 @@ const DEFAULT_CONFIG = {
       description: 'Issue has been open too long',
       enabled: true,
       severity: 'low'
+    },
+    workflow: {
+      name: 'Workflow State',
+      description: 'Issue must be in one state of the configured workflow (no conflicting or unknown workflow labels)',
+      enabled: true,
+      severity: 'medium'
     }
   }
 }
 
 /**
- * Load criteria configuration from localStorage
+ * Load criteria configuration from storage
  * Returns default config if none exists
  */
 export function loadCriteriaConfig() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY)
+    const stored = persistentStore.getItem(STORAGE_KEY)
     if (!stored) {
       return DEFAULT_CONFIG
     }
@@ -103,11 +111,11 @@ export function loadCriteriaConfig() {
 }
 
 /**
- * Save criteria configuration to localStorage
+ * Save criteria configuration to storage
  */
 export function saveCriteriaConfig(config) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(config))
+    persistentStore.setItem(STORAGE_KEY, JSON.stringify(config))
     return true
   } catch (error) {
     console.error('Error saving criteria config:', error)
@@ -120,7 +128,7 @@ export function saveCriteriaConfig(config) {
  */
 export function resetCriteriaConfig() {
   try {
-    localStorage.removeItem(STORAGE_KEY)
+    persistentStore.removeItem(STORAGE_KEY)
     return true
   } catch (error) {
     console.error('Error resetting criteria config:', error)
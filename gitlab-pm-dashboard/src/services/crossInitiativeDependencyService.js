@@ -10,10 +10,11 @@ import { detectAllDependencies } from './dependencyService'
 /**
  * Detect dependencies between initiatives
  * An initiative depends on another if any of its issues depend on issues in the other initiative
+ * @param {Object} options - Passed to detectAllDependencies (issueLinks, includeMentions)
  */
-export function detectInitiativeDependencies(initiatives, issues) {
+export function detectInitiativeDependencies(initiatives, issues, options = {}) {
   // First, get all issue-level dependencies
-  const issueDependencyMap = detectAllDependencies(issues)
+  const issueDependencyMap = detectAllDependencies(issues, options)
 
   const initiativeDependencies = []
 
@@ -22,13 +23,13 @@ export function detectInitiativeDependencies(initiatives, issues) {
 
     // Check each issue in this initiative
     fromInitiative.issues.forEach(issue => {
-      const depInfo = issueDependencyMap.get(issue.iid)
+      const depInfo = issueDependencyMap.get(issue.id)
 
       if (depInfo && depInfo.dependencies.length > 0) {
-        // Check which initiatives the dependencies belong to
+        // Check which initiatives the dependencies belong to (by ID: IIDs repeat across projects)
         depInfo.dependencies.forEach(depIssue => {
           const depInitiative = initiatives.find(init =>
-            init.issues.some(i => i.iid === depIssue.iid)
+            init.issues.some(i => i.id === depIssue.id)
           )
 
           if (depInitiative && depInitiative.id !== fromInitiative.id) {
@@ -120,8 +121,8 @@ function calculateDependencySeverity(openDeps, totalDeps, blockingStatus, blocki
 /**
  * Build initiative dependency graph (nodes and edges for visualization)
  */
-export function buildInitiativeDependencyGraph(initiatives, issues) {
-  const dependencies = detectInitiativeDependencies(initiatives, issues)
+export function buildInitiativeDependencyGraph(initiatives, issues, options = {}) {
+  const dependencies = detectInitiativeDependencies(initiatives, issues, options)
 
   const nodes = initiatives.map(init => ({
     id: init.id,
@@ -156,8 +157,8 @@ export function buildInitiativeDependencyGraph(initiatives, issues) {
  * Find critical path through initiatives
  * Returns the longest dependency chain
  */
-export function findCriticalPath(initiatives, issues) {
-  const dependencies = detectInitiativeDependencies(initiatives, issues)
+export function findCriticalPath(initiatives, issues, options = {}) {
+  const dependencies = detectInitiativeDependencies(initiatives, issues, options)
 
   // Build adjacency list
   const graph = new Map()
@@ -223,8 +224,8 @@ export function findCriticalPath(initiatives, issues) {
 /**
  * Calculate cascade impact - if initiative X is delayed N weeks, what else shifts?
  */
-export function calculateCascadeImpact(initiativeId, delayWeeks, initiatives, issues) {
-  const dependencies = detectInitiativeDependencies(initiatives, issues)
+export function calculateCascadeImpact(initiativeId, delayWeeks, initiatives, issues, options = {}) {
+  const dependencies = detectInitiativeDependencies(initiatives, issues, options)
 
   // Build reverse dependency map (who depends on this initiative?)
   const impactedInitiatives = []
@@ -267,8 +268,8 @@ export function calculateCascadeImpact(initiativeId, delayWeeks, initiatives, is
 /**
  * Get initiative dependency matrix (table showing which initiatives depend on which)
  */
-export function getInitiativeDependencyMatrix(initiatives, issues) {
-  const dependencies = detectInitiativeDependencies(initiatives, issues)
+export function getInitiativeDependencyMatrix(initiatives, issues, options = {}) {
+  const dependencies = detectInitiativeDependencies(initiatives, issues, options)
 
   const matrix = []
 
@@ -318,8 +319,8 @@ export function getInitiativeDependencyMatrix(initiatives, issues) {
 /**
  * Find blocking initiatives (initiatives that are blocking others)
  */
-export function findBlockingInitiatives(initiatives, issues) {
-  const dependencies = detectInitiativeDependencies(initiatives, issues)
+export function findBlockingInitiatives(initiatives, issues, options = {}) {
+  const dependencies = detectInitiativeDependencies(initiatives, issues, options)
 
   const blockingMap = new Map()
 
@@ -0,0 +1,229 @@
+/**
+ * Cumulative Flow Service
+ * Reconstructs how many issues sat in each workflow phase on every day, from label event
+ * history (enhancedCycleTimeService) and the label → phase mapping of cycleTimeService
+ *
+ * Arrivals: issues leaving the backlog (committed work), departures: issues finishing
+ * (done, released or cancelled). Cancelled work leaves the diagram.
+ */
+
+import { detectIssuePhase } from './cycleTimeService'
+import { loadWorkflow } from './workflowConfigService'
+import { toDateKey } from './holidayCalendarService'
+import { getSprintFromLabels } from '../utils/labelUtils'
+
+const DAY_MS = 1000 * 60 * 60 * 24
+const WIP_GROWTH_MIN = 3 // Issues a week's WIP growth must reach to be annotated...
+const WIP_GROWTH_RATIO = 0.25 // ...and the share of the previous WIP
+const TEAM_LABEL_PATTERN = /^(team|squad|group)::/i
+
+// Stacking order, bottom to top: finished work first, backlog on top
+export const FLOW_PHASES = ['done', 'released', 'awaitingRelease', 'testing', 'awaitingTesting', 'review', 'inProgress', 'blocked', 'analysis', 'backlog']
+
+const FINISHED_PHASES = new Set(['done', 'released', 'cancelled'])
+export const WIP_PHASES = FLOW_PHASES.filter(phase => phase !== 'backlog' && !FINISHED_PHASES.has(phase))
+
+function startOfDay(date) {
+  const d = new Date(date)
+  d.setHours(0, 0, 0, 0)
+  return d
+}
+
+/**
+ * Phase history of one issue
+ * The labels at creation are found by undoing every label event on the current labels,
+ * then the events are replayed. Without fetched events (undefined), an open issue in work is
+ * assumed to have left the backlog at its last update, a closed one when it was closed.
+ * @param {Object} issue
+ * @param {Array} labelEvents - resource_label_events of the issue, or undefined when not fetched
+ * @param {Object} phasePatterns - Optional, instead of the project workflow
+ * @param {Object} workflow - Defaults to the active project's workflow
+ * @returns {Object} { timeline: [{ date, phase }], estimated }
+ */
+export function getIssuePhaseTimeline(issue, labelEvents, phasePatterns = null, workflow = loadWorkflow()) {
+  const createdAt = new Date(issue.created_at)
+  const closedAt = issue.state === 'closed' && issue.closed_at ? new Date(issue.closed_at) : null
+  const currentPhase = detectIssuePhase({ ...issue, state: 'opened' }, phasePatterns, workflow)
+  const finishedPhase = ['released', 'cancelled'].includes(currentPhase) ? currentPhase : 'done'
+
+  if (!labelEvents) {
+    const timeline = [{ date: createdAt, phase: 'backlog' }]
+    if (!closedAt && currentPhase !== 'backlog') {
+      timeline.push({ date: new Date(Math.max(createdAt.getTime(), new Date(issue.updated_at || createdAt).getTime())), phase: currentPhase })
+    }
+    if (closedAt) timeline.push({ date: closedAt, phase: finishedPhase })
+    return { timeline, estimated: issue.state === 'closed' || currentPhase !== 'backlog' }
+  }
+
+  const events = labelEvents
+    .filter(event => event.label?.name && event.created_at)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
+  // Labels at creation
+  const labels = new Set(issue.labels || [])
+  ;[...events].reverse().forEach(event => {
+    if (event.action === 'add') labels.delete(event.label.name)
+    else if (event.action === 'remove') labels.add(event.label.name)
+  })
+
+  const phaseOf = () => detectIssuePhase({ labels: Array.from(labels), state: 'opened' }, phasePatterns, workflow)
+  const timeline = [{ date: createdAt, phase: phaseOf() }]
+
+  events
+    .filter(event => !closedAt || new Date(event.created_at) < closedAt)
+    .forEach(event => {
+      if (event.action === 'add') labels.add(event.label.name)
+      else if (event.action === 'remove') labels.delete(event.label.name)
+
+      const phase = phaseOf()
+      if (phase !== timeline[timeline.length - 1].phase) {
+        timeline.push({ date: new Date(Math.max(createdAt.getTime(), new Date(event.created_at).getTime())), phase })
+      }
+    })
+
+  if (closedAt) timeline.push({ date: closedAt, phase: finishedPhase })
+
+  return { timeline, estimated: false }
+}
+
+function getPhaseAt(timeline, time) {
+  let phase = null
+  for (const entry of timeline) {
+    if (entry.date.getTime() > time) break
+    phase = entry.phase
+  }
+  return phase
+}
+
+/**
+ * Daily cumulative flow
+ * @param {Array} issues
+ * @param {Map} labelEventsMap - Issue ID → label events (may be null)
+ * @param {Object} options - { days (default 90), now, phasePatterns, workflow }
+ * @returns {Object} {
+ *   days: [{ date, counts: { [phase]: n }, wip, arrivals, departures }],
+ *   phases: FLOW_PHASES that occur, bottom to top,
+ *   arrivalBands: [{ start, end, arrivals, departures }] weeks where arrivals outpaced departures,
+ *   wipGrowth: [{ date, from, to, change }] weeks with marked WIP growth,
+ *   estimatedIssues, issueCount
+ * }
+ */
+export function calculateCumulativeFlow(issues, labelEventsMap, { days = 90, now = new Date(), phasePatterns = null, workflow = loadWorkflow() } = {}) {
+  const firstDay = startOfDay(now.getTime() - (days - 1) * DAY_MS)
+
+  const histories = issues
+    .filter(issue => issue.created_at)
+    .map(issue => {
+      const { timeline, estimated } = getIssuePhaseTimeline(issue, labelEventsMap?.get(issue.id), phasePatterns, workflow)
+      return {
+        timeline,
+        estimated,
+        committedAt: timeline.find(entry => entry.phase !== 'backlog')?.date || null,
+        finishedAt: timeline.find(entry => FINISHED_PHASES.has(entry.phase))?.date || null
+      }
+    })
+
+  const result = []
+  for (let i = 0; i < days; i++) {
+    const dayStart = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i)
+    const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1).getTime() - 1
+    const counts = Object.fromEntries(FLOW_PHASES.map(phase => [phase, 0]))
+    let arrivals = 0
+    let departures = 0
+
+    histories.forEach(history => {
+      const phase = getPhaseAt(history.timeline, dayEnd)
+      if (phase && phase in counts) counts[phase]++
+      if (history.committedAt && history.committedAt >= dayStart && history.committedAt.getTime() <= dayEnd) arrivals++
+      if (history.finishedAt && history.finishedAt >= dayStart && history.finishedAt.getTime() <= dayEnd) departures++
+    })
+
+    result.push({
+      date: toDateKey(dayStart),
+      counts,
+      wip: WIP_PHASES.reduce((sum, phase) => sum + counts[phase], 0),
+      arrivals,
+      departures
+    })
+  }
+
+  return {
+    days: result,
+    phases: FLOW_PHASES.filter(phase => result.some(day => day.counts[phase] > 0)),
+    ...getFlowAnnotations(result),
+    estimatedIssues: histories.filter(h => h.estimated).length,
+    issueCount: histories.length
+  }
+}
+
+/**
+ * Weekly annotations: weeks where arrivals outpaced departures (merged into bands)
+ * and weeks where WIP grew markedly
+ */
+function getFlowAnnotations(days) {
+  const arrivalBands = []
+  const wipGrowth = []
+  let previousWip = days.length > 0 ? days[0].wip : 0
+  let previousWeekOutpaced = false
+
+  for (let i = 0; i < days.length; i += 7) {
+    const week = days.slice(i, i + 7)
+    const arrivals = week.reduce((sum, day) => sum + day.arrivals, 0)
+    const departures = week.reduce((sum, day) => sum + day.departures, 0)
+    const start = week[0].date
+    const end = week[week.length - 1].date
+
+    const outpaced = arrivals > departures
+    if (outpaced && previousWeekOutpaced) {
+      const last = arrivalBands[arrivalBands.length - 1]
+      Object.assign(last, { end, arrivals: last.arrivals + arrivals, departures: last.departures + departures })
+    } else if (outpaced) {
+      arrivalBands.push({ start, end, arrivals, departures })
+    }
+    previousWeekOutpaced = outpaced
+
+    const wip = week[week.length - 1].wip
+    const change = wip - previousWip
+    if (change >= WIP_GROWTH_MIN && change >= previousWip * WIP_GROWTH_RATIO) {
+      wipGrowth.push({ date: end, from: previousWip, to: wip, change })
+    }
+    previousWip = wip
+  }
+
+  return { arrivalBands, wipGrowth }
+}
+
+/**
+ * Iterations, team labels and epics the flow can be filtered by
+ * @returns {Object} { iterations: [name], teams: [label], epics: [{ id, title }] }
+ */
+export function getFlowFilterOptions(issues) {
+  const iterations = new Set()
+  const teams = new Set()
+  const epics = new Map()
+
+  issues.forEach(issue => {
+    const iteration = getSprintFromLabels(issue.labels, issue.iteration)
+    if (iteration) iterations.add(iteration)
+    ;(issue.labels || []).filter(label => TEAM_LABEL_PATTERN.test(label)).forEach(label => teams.add(label))
+    if (issue.epic?.id) epics.set(issue.epic.id, { id: issue.epic.id, title: issue.epic.title || `Epic &${issue.epic.iid}` })
+  })
+
+  return {
+    iterations: Array.from(iterations).sort(),
+    teams: Array.from(teams).sort(),
+    epics: Array.from(epics.values()).sort((a, b) => a.title.localeCompare(b.title))
+  }
+}
+
+/**
+ * Issues matching the flow filters (empty filter = all)
+ * @param {Object} filters - { iteration, team, epicId }
+ */
+export function filterFlowIssues(issues, { iteration = '', team = '', epicId = '' } = {}) {
+  return issues.filter(issue =>
+    (!iteration || getSprintFromLabels(issue.labels, issue.iteration) === iteration) &&
+    (!team || (issue.labels || []).includes(team)) &&
+    (!epicId || String(issue.epic?.id) === String(epicId))
+  )
+}
@@ -3,6 +3,8 @@
  * Tracks how long issues spend in different phases
  */
 
+import { loadWorkflow, getWorkflowState, isWorkflowStateLabel } from './workflowConfigService'
+
 /**
  * Common label patterns for different phases
  * Updated to match actual GitLab labels in use
@@ -28,8 +30,20 @@ export const DEFAULT_PHASE_PATTERNS = {
 
 /**
  * Detect which phase an issue is in based on its labels
+ * Uses the project's configured workflow (exact label mapping) when there is one,
+ * otherwise substring matching against phase patterns
+ * @param {Object} issue
+ * @param {Object} phasePatterns - Match these patterns instead of the workflow
+ * @param {Object} workflow - Defaults to the active project's workflow (null = patterns)
  */
-export function detectIssuePhase(issue, phasePatterns = DEFAULT_PHASE_PATTERNS) {
+export function detectIssuePhase(issue, phasePatterns = null, workflow = loadWorkflow()) {
+  if (workflow && !phasePatterns) {
+    const state = getWorkflowState(issue, workflow)
+    if (state) return state.phase
+    return issue.state === 'closed' ? 'done' : 'backlog'
+  }
+  phasePatterns = phasePatterns || DEFAULT_PHASE_PATTERNS
+
   if (!issue.labels || issue.labels.length === 0) {
     if (issue.state === 'closed') return 'done'
     return 'backlog'
@@ -244,7 +258,7 @@ export function getCycleTimeStats(issues) {
 /**
  * Get issue distribution by phase
  */
-export function getPhaseDistribution(issues, phasePatterns = DEFAULT_PHASE_PATTERNS) {
+export function getPhaseDistribution(issues, phasePatterns = null, workflow = loadWorkflow()) {
   const distribution = {
     backlog: [],
     analysis: [],
@@ -260,7 +274,7 @@ export function getPhaseDistribution(issues, phasePatterns = DEFAULT_PHASE_PATTE
   }
 
   issues.forEach(issue => {
-    const phase = detectIssuePhase(issue, phasePatterns)
+    const phase = detectIssuePhase(issue, phasePatterns, workflow)
     if (distribution[phase]) {
       distribution[phase].push(issue)
     } else {
@@ -569,11 +583,15 @@ export function getDetectedLabels(issues) {
     other: []
   }
 
+  const workflow = loadWorkflow()
+
   Array.from(allLabels).forEach(label => {
     const lower = label.toLowerCase()
-    if (lower.includes('status')) {
+    if (workflow && isWorkflowStateLabel(label, workflow)) {
+      labelsByCategory.phase.push(label)
+    } else if (lower.includes('status')) {
       labelsByCategory.status.push(label)
-    } else if (Object.values(DEFAULT_PHASE_PATTERNS).flat().some(p => lower.includes(p))) {
+    } else if (!workflow && Object.values(DEFAULT_PHASE_PATTERNS).flat().some(p => lower.includes(p))) {
       labelsByCategory.phase.push(label)
     } else if (lower.includes('workflow') || lower.includes('work')) {
       labelsByCategory.workflow.push(label)
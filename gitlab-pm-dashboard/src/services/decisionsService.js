@@ -5,11 +5,12 @@
  */
 
 import { getActiveProjectId } from './storageService'
+import { persistentStore } from './persistentStore'
 
 const STORAGE_KEY = 'gitlab-pm-decisions'
 
 /**
- * Get project-specific key for localStorage
+ * Get project-specific key for storage
  */
 function getProjectKey(baseKey) {
   const projectId = getActiveProjectId()
@@ -24,7 +25,7 @@ function getProjectKey(baseKey) {
  */
 export function loadDecisions() {
   try {
-    const stored = localStorage.getItem(getProjectKey(STORAGE_KEY))
+    const stored = persistentStore.getItem(getProjectKey(STORAGE_KEY))
     if (stored) {
       const data = JSON.parse(stored)
       // Convert date strings back to Date objects
@@ -56,7 +57,7 @@ export function saveDecisions(decisionsData) {
       ...decisionsData,
       lastModified: new Date().toISOString()
     }
-    localStorage.setItem(getProjectKey(STORAGE_KEY), JSON.stringify(toSave))
+    persistentStore.setItem(getProjectKey(STORAGE_KEY), JSON.stringify(toSave))
     return true
   } catch (error) {
     console.error('Error saving decisions:', error)
@@ -2,15 +2,67 @@
  * Dependency Detection and Analysis Service
  * Automatically detects and analyzes issue dependencies
  * 100% automatic - no manual input required
+ * Sources: GitLab issue links (blocks / is_blocked_by / relates_to) and description text
  */
 
+const isDev = import.meta.env.MODE === 'development'
+
+import { fetchIssueLinks } from './gitlabApi.js'
+import { isAbortError } from './gitlabHttpClient.js'
+import { persistentStore } from './persistentStore.js'
+import { loadOfflineDataset, saveOfflineDataset } from './syncSnapshotService.js'
+import { isOfflineMode, getIssueLinksDatasetKey } from './offlineService.js'
+
+const SETTINGS_KEY = 'dependency_detection_settings'
+
+const DEFAULT_SETTINGS = {
+  includeMentions: true // Treat bare #123 mentions as (low confidence) dependencies
+}
+
+/**
+ * Where an edge came from and how much to trust it
+ * API links are explicit, text patterns are phrased intent, bare mentions are guesses
+ */
+export const DEPENDENCY_SOURCES = {
+  API_LINK: { source: 'api', confidence: 'high' },
+  TEXT_PATTERN: { source: 'text', confidence: 'medium' },
+  MENTION: { source: 'mention', confidence: 'low' }
+}
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 }
+
+/**
+ * Load dependency detection settings
+ */
+export function getDependencySettings() {
+  try {
+    const stored = persistentStore.getItem(SETTINGS_KEY)
+    return stored ? { ...DEFAULT_SETTINGS, ...JSON.parse(stored) } : { ...DEFAULT_SETTINGS }
+  } catch (e) {
+    console.error('Error loading dependency settings:', e)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+/**
+ * Save dependency detection settings
+ */
+export function saveDependencySettings(settings) {
+  try {
+    persistentStore.setItem(SETTINGS_KEY, JSON.stringify({ ...getDependencySettings(), ...settings }))
+  } catch (e) {
+    console.error('Error saving dependency settings:', e)
+  }
+}
+
 /**
  * Parse issue description/title for dependency patterns
+ * Returns [{ iid, source, confidence }]; explicit phrases win over bare mentions
  */
-function parseDependencyPatterns(text) {
+function parseDependencyPatterns(text, includeMentions = true) {
   if (!text) return []
 
-  const dependencies = []
+  const dependencies = new Map()
 
   // Common dependency patterns
   const patterns = [
@@ -20,68 +72,276 @@ function parseDependencyPatterns(text) {
     /needs #(\d+)/gi,
     /waiting for #(\d+)/gi,
     /blocks? #(\d+)/gi,
-    /dependency:? #(\d+)/gi,
-    /(?:^|\s)#(\d+)(?:\s|$)/g  // Generic #123 mentions
+    /dependency:? #(\d+)/gi
   ]
 
-  patterns.forEach(pattern => {
+  const collect = (pattern, tag) => {
     let match
     while ((match = pattern.exec(text)) !== null) {
       const issueNumber = parseInt(match[1], 10)
-      if (issueNumber && !dependencies.includes(issueNumber)) {
-        dependencies.push(issueNumber)
+      if (issueNumber && !dependencies.has(issueNumber)) {
+        dependencies.set(issueNumber, { iid: issueNumber, ...tag })
       }
     }
-  })
+  }
+
+  patterns.forEach(pattern => collect(pattern, DEPENDENCY_SOURCES.TEXT_PATTERN))
+
+  if (includeMentions) {
+    collect(/(?:^|\s)#(\d+)(?:\s|$)/g, DEPENDENCY_SOURCES.MENTION) // Generic #123 mentions
+  }
+
+  return Array.from(dependencies.values())
+}
+
+/**
+ * Project path of an issue URL ("https://gitlab.com/group/project/-/issues/1" -> ".../group/project")
+ */
+function getProjectUrl(webUrl) {
+  return webUrl ? webUrl.split('/-/')[0] : null
+}
+
+/**
+ * Detect dependencies from GitLab issue links
+ * Uses the fetched links map when available, otherwise the linked_issues (or
+ * blocked_by_issues) field the GraphQL data source provides
+ *
+ * @returns {Object} { blockedBy: [linkedIssue], blocks: [linkedIssue], related: [linkedIssue] }
+ */
+function getRelatedIssueDependencies(issue, issueLinks) {
+  const result = { blockedBy: [], blocks: [], related: [] }
+  let links = issueLinks?.get(issue.id)
+
+  if (!links && issue.linked_issues) {
+    // GraphQL links carry no project ID: same project when the URLs share the project path
+    const projectUrl = getProjectUrl(issue.web_url)
+    links = issue.linked_issues.map(linked => ({
+      ...linked,
+      project_id: projectUrl && getProjectUrl(linked.web_url) === projectUrl ? issue.project_id : null
+    }))
+  }
 
-  return dependencies
+  if (links) {
+    links.forEach(linked => {
+      if (linked.link_type === 'is_blocked_by') result.blockedBy.push(linked)
+      else if (linked.link_type === 'blocks') result.blocks.push(linked)
+      else result.related.push(linked)
+    })
+  } else if (issue.blocked_by_issues) {
+    result.blockedBy = issue.blocked_by_issues.map(blocker => ({ ...blocker, project_id: issue.project_id }))
+  }
+
+  return result
 }
 
 /**
- * Detect dependencies from GitLab related issues (if available)
+ * Fetch issue links for a set of issues in batches
+ *
+ * @param {Array} issues - Array of GitLab issues
+ * @param {Object} config - { gitlabUrl, projectId, token, signal }
+ * @param {Function} onProgress - Optional callback (current, total)
+ * @returns {Map} Map of issue ID to linked issues
  */
-function getRelatedIssueDependencies() {
-  // GitLab API can provide related issues
-  // For now, we'll parse from description/comments
-  // Future enhancement: Use GitLab Related Issues API
-  return []
+export async function fetchIssueLinksMap(issues, config, onProgress = null) {
+  const { gitlabUrl, projectId, token, signal } = config
+  const issueLinks = new Map()
+
+  // Batch requests to avoid overwhelming the API
+  const batchSize = 10
+  let processed = 0
+
+  for (let i = 0; i < issues.length; i += batchSize) {
+    const batch = issues.slice(i, i + batchSize)
+
+    const results = await Promise.all(
+      batch.map(async (issue) => {
+        try {
+          const links = await fetchIssueLinks(gitlabUrl, issue.project_id || projectId, issue.iid, token, { signal })
+          return { id: issue.id, links }
+        } catch (error) {
+          if (isAbortError(error)) throw error
+          console.warn(`Failed to fetch links for issue #${issue.iid}:`, error)
+          return { id: issue.id, links: null }
+        }
+      })
+    )
+
+    results.forEach(({ id, links }) => {
+      if (links) {
+        issueLinks.set(id, links)
+      }
+    })
+
+    processed += batch.length
+    if (onProgress) {
+      onProgress(processed, issues.length)
+    }
+  }
+
+  if (isDev) {
+    console.log(`✓ Fetched issue links for ${issueLinks.size} issues`)
+  }
+  return issueLinks
+}
+
+/**
+ * Cache for issue links to avoid one request per issue on every mount
+ */
+let issueLinksCache = new Map() // issue ID -> linked issues
+let issueLinksCacheTimestamp = null
+const ISSUE_LINKS_CACHE_TTL = 5 * 60 * 1000 // 5 minutes
+
+/**
+ * Get or fetch issue links with caching
+ * Only issues missing from the cache are fetched (failed ones are retried next time);
+ * falls back to the links stored by the last successful fetch while offline
+ * @returns {Map} Map of issue ID to linked issues, for the given issues
+ */
+export async function getOrFetchIssueLinks(issues, config, onProgress = null) {
+  const now = Date.now()
+  if (!issueLinksCacheTimestamp || (now - issueLinksCacheTimestamp) >= ISSUE_LINKS_CACHE_TTL) {
+    issueLinksCache = new Map()
+    issueLinksCacheTimestamp = now
+  }
+
+  const pick = links => new Map(issues.filter(issue => links.has(issue.id)).map(issue => [issue.id, links.get(issue.id)]))
+
+  // Offline: serve the links persisted by the last successful fetch
+  const datasetKey = getIssueLinksDatasetKey(config)
+  if (isOfflineMode()) {
+    const stored = await loadOfflineDataset(datasetKey)
+    if (isDev) {
+      console.log(`Offline: using stored issue links (${stored?.links?.size || 0} issues)`)
+    }
+    return pick(stored?.links || new Map())
+  }
+
+  const missing = issues.filter(issue => !issueLinksCache.has(issue.id))
+  if (missing.length > 0) {
+    const fetched = await fetchIssueLinksMap(missing, config, onProgress)
+    fetched.forEach((links, id) => issueLinksCache.set(id, links))
+
+    if (fetched.size > 0) {
+      const stored = await loadOfflineDataset(datasetKey)
+      await saveOfflineDataset(datasetKey, { links: new Map([...(stored?.links || []), ...fetched]) })
+    }
+  } else if (isDev) {
+    console.log('Using cached issue links')
+  }
+
+  return pick(issueLinksCache)
+}
+
+/**
+ * Whether two issue references point at the same issue
+ * (IDs are unique across projects, IIDs only within one)
+ */
+function isSameIssue(a, b) {
+  if (a.id !== undefined && b.id !== undefined) return a.id === b.id
+  return a.iid === b.iid
+}
+
+/**
+ * Key of an issue reference in maps and graphs (ID; IID only for references without one)
+ */
+function getIssueKey(issue) {
+  return issue.id ?? `iid:${issue.iid}`
 }
 
 /**
  * Find all dependencies for all issues
+ *
+ * @param {Array} issues - Array of GitLab issues
+ * @param {Object} options - { issueLinks, includeMentions }
+ *   issueLinks: Map from fetchIssueLinksMap (API links take precedence over text heuristics)
+ *   includeMentions: treat bare #123 mentions as dependencies (defaults to the saved setting)
+ * @returns {Map} Map of issue ID to { issue, dependencies, dependencyEdges, relatedIssues, ... }
  */
-export function detectAllDependencies(issues) {
-  const issueMap = new Map()
-  const dependencyMap = new Map()
+export function detectAllDependencies(issues, options = {}) {
+  const {
+    issueLinks = null,
+    includeMentions = getDependencySettings().includeMentions
+  } = options
 
-  // Build issue lookup map
+  const issueById = new Map()
+  const issueByProjectIid = new Map()
+
+  // Build issue lookup maps (text references like #123 are project-local)
   issues.forEach(issue => {
-    issueMap.set(issue.iid, issue)
+    issueById.set(issue.id, issue)
+    issueByProjectIid.set(`${issue.project_id}:${issue.iid}`, issue)
   })
 
+  const findByIid = (iid, projectId) => issueByProjectIid.get(`${projectId}:${iid}`)
+
+  // Loaded copy of a linked issue, or the link payload itself for issues outside the dataset
+  const resolveLinked = linked => issueById.get(linked.id) || linked
+
+  // issue.id -> { issue, edges: Map(dependency key -> edge), related: Map }
+  const entries = new Map()
+  const getEntry = issue => {
+    if (!entries.has(issue.id)) {
+      entries.set(issue.id, { issue, edges: new Map(), related: new Map() })
+    }
+    return entries.get(issue.id)
+  }
+
+  const addEdge = (issue, dependency, tag, linkType) => {
+    if (isSameIssue(issue, dependency)) return
+    const edges = getEntry(issue).edges
+    const key = getIssueKey(dependency)
+    const existing = edges.get(key)
+    if (!existing || CONFIDENCE_RANK[tag.confidence] > CONFIDENCE_RANK[existing.confidence]) {
+      edges.set(key, { issue: dependency, ...tag, linkType })
+    }
+  }
+
   // Detect dependencies for each issue
   issues.forEach(issue => {
     const textToSearch = `${issue.title} ${issue.description || ''}`
-    const dependencyIssueNumbers = parseDependencyPatterns(textToSearch)
-    const relatedDeps = getRelatedIssueDependencies(issue)
+    parseDependencyPatterns(textToSearch, includeMentions).forEach(({ iid, source, confidence }) => {
+      const dependency = findByIid(iid, issue.project_id)
+      if (dependency) {
+        addEdge(issue, dependency, { source, confidence }, null)
+      }
+    })
 
-    const allDeps = [...new Set([...dependencyIssueNumbers, ...relatedDeps])]
+    const { blockedBy, blocks, related } = getRelatedIssueDependencies(issue, issueLinks)
 
-    if (allDeps.length > 0) {
-      const resolvedDeps = allDeps
-        .map(iid => issueMap.get(iid))
-        .filter(dep => dep !== undefined)
+    blockedBy.forEach(linked => {
+      addEdge(issue, resolveLinked(linked), DEPENDENCY_SOURCES.API_LINK, 'is_blocked_by')
+    })
 
-      if (resolvedDeps.length > 0) {
-        dependencyMap.set(issue.iid, {
-          issue,
-          dependencies: resolvedDeps,
-          dependencyCount: resolvedDeps.length,
-          openDependencies: resolvedDeps.filter(dep => dep.state === 'opened'),
-          closedDependencies: resolvedDeps.filter(dep => dep.state === 'closed')
-        })
+    // "A blocks B" means B depends on A (only resolvable when B is loaded)
+    blocks.forEach(linked => {
+      const blocked = issueById.get(linked.id)
+      if (blocked) {
+        addEdge(blocked, issue, DEPENDENCY_SOURCES.API_LINK, 'is_blocked_by')
       }
-    }
+    })
+
+    related.forEach(linked => {
+      getEntry(issue).related.set(linked.id, resolveLinked(linked))
+    })
+  })
+
+  const dependencyMap = new Map()
+
+  entries.forEach(({ issue, edges, related }) => {
+    if (edges.size === 0) return
+
+    const dependencyEdges = Array.from(edges.values())
+    const resolvedDeps = dependencyEdges.map(edge => edge.issue)
+
+    dependencyMap.set(issue.id, {
+      issue,
+      dependencies: resolvedDeps,
+      dependencyEdges,
+      relatedIssues: Array.from(related.values()),
+      dependencyCount: resolvedDeps.length,
+      openDependencies: resolvedDeps.filter(dep => dep.state === 'opened'),
+      closedDependencies: resolvedDeps.filter(dep => dep.state === 'closed')
+    })
   })
 
   return dependencyMap
@@ -89,12 +349,13 @@ export function detectAllDependencies(issues) {
 
 /**
  * Find issues that are blocked by open dependencies
+ * @param {Object} options - Passed to detectAllDependencies
  */
-export function findBlockedIssues(issues) {
-  const dependencyMap = detectAllDependencies(issues)
+export function findBlockedIssues(issues, options = {}) {
+  const dependencyMap = detectAllDependencies(issues, options)
   const blockedIssues = []
 
-  dependencyMap.forEach((depInfo, issueIid) => {
+  dependencyMap.forEach((depInfo, issueId) => {
     if (depInfo.openDependencies.length > 0) {
       // Calculate severity
       const openCount = depInfo.openDependencies.length
@@ -107,9 +368,9 @@ export function findBlockedIssues(issues) {
 
       // Find which issues this blocks (reverse dependency)
       const blocksOtherIssues = []
-      dependencyMap.forEach((otherDepInfo, otherIid) => {
-        if (otherIid !== issueIid) {
-          const blockedByThis = otherDepInfo.dependencies.some(dep => dep.iid === issueIid)
+      dependencyMap.forEach((otherDepInfo, otherId) => {
+        if (otherId !== issueId) {
+          const blockedByThis = otherDepInfo.dependencies.some(dep => isSameIssue(dep, depInfo.issue))
           if (blockedByThis) {
             blocksOtherIssues.push(otherDepInfo.issue)
           }
@@ -149,10 +410,11 @@ function calculateImpact(openDependencies, blocksCount) {
 
 /**
  * Get dependency statistics
+ * @param {Object} options - Passed to detectAllDependencies
  */
-export function getDependencyStats(issues) {
-  const blockedIssues = findBlockedIssues(issues)
-  const dependencyMap = detectAllDependencies(issues)
+export function getDependencyStats(issues, options = {}) {
+  const blockedIssues = findBlockedIssues(issues, options)
+  const dependencyMap = detectAllDependencies(issues, options)
 
   const totalIssuesWithDependencies = dependencyMap.size
   const totalBlockedIssues = blockedIssues.length
@@ -161,8 +423,12 @@ export function getDependencyStats(issues) {
 
   // Calculate total open dependencies across all issues
   let totalOpenDependencies = 0
+  const edgesBySource = { api: 0, text: 0, mention: 0 }
   dependencyMap.forEach(depInfo => {
     totalOpenDependencies += depInfo.openDependencies.length
+    depInfo.dependencyEdges.forEach(edge => {
+      edgesBySource[edge.source]++
+    })
   })
 
   return {
@@ -171,6 +437,7 @@ export function getDependencyStats(issues) {
     highSeverityBlocked,
     mediumSeverityBlocked,
     totalOpenDependencies,
+    edgesBySource,
     hasBlockers: totalBlockedIssues > 0
   }
 }
@@ -220,30 +487,68 @@ export function getRecommendedActions(blockedIssue) {
 
 /**
  * Build dependency graph data structure
- * Returns nodes and edges for visualization
+ * Returns nodes and edges for visualization; every edge carries its source and confidence
+ * @param {Object} options - Passed to detectAllDependencies
  */
-export function buildDependencyGraph(issues) {
-  const dependencyMap = detectAllDependencies(issues)
+export function buildDependencyGraph(issues, options = {}) {
+  const dependencyMap = detectAllDependencies(issues, options)
   const nodes = []
   const edges = []
+  const relatedPairs = new Set()
 
-  // Add all issues with dependencies as nodes
-  dependencyMap.forEach((depInfo, issueIid) => {
+  // Add all issues with dependencies as nodes (keyed by ID: IIDs repeat across projects)
+  dependencyMap.forEach((depInfo, issueId) => {
     nodes.push({
-      id: issueIid,
-      label: `#${issueIid}: ${depInfo.issue.title}`,
+      id: issueId,
+      label: `#${depInfo.issue.iid}: ${depInfo.issue.title}`,
       issue: depInfo.issue,
       state: depInfo.issue.state,
       hasOpenDependencies: depInfo.openDependencies.length > 0
     })
 
     // Add dependency edges
-    depInfo.dependencies.forEach(dep => {
+    depInfo.dependencyEdges.forEach(edge => {
       edges.push({
-        from: issueIid,
-        to: dep.iid,
-        label: 'depends on',
-        isBlocking: dep.state === 'opened'
+        from: issueId,
+        to: getIssueKey(edge.issue),
+        label: edge.linkType === 'is_blocked_by' ? 'blocked by' : 'depends on',
+        isBlocking: edge.issue.state === 'opened',
+        crossProject: edge.issue.project_id !== undefined && edge.issue.project_id !== depInfo.issue.project_id,
+        source: edge.source,
+        confidence: edge.confidence,
+        linkType: edge.linkType
+      })
+    })
+
+  })
+
+  // "Relates to" links are shown but never block
+  issues.forEach(issue => {
+    const { related } = getRelatedIssueDependencies(issue, options.issueLinks)
+
+    related.forEach(linked => {
+      const pairKey = [issue.id, linked.id].sort().join('-')
+      if (relatedPairs.has(pairKey)) return
+      relatedPairs.add(pairKey)
+
+      if (!dependencyMap.has(issue.id) && !nodes.some(node => node.id === issue.id)) {
+        nodes.push({
+          id: issue.id,
+          label: `#${issue.iid}: ${issue.title}`,
+          issue,
+          state: issue.state,
+          hasOpenDependencies: false
+        })
+      }
+
+      edges.push({
+        from: issue.id,
+        to: getIssueKey(linked),
+        label: 'relates to',
+        isBlocking: false,
+        crossProject: linked.project_id !== issue.project_id,
+        ...DEPENDENCY_SOURCES.API_LINK,
+        linkType: 'relates_to'
       })
     })
   })
@@ -253,22 +558,28 @@ export function buildDependencyGraph(issues) {
 
 /**
  * Detect circular dependencies (A depends on B, B depends on A)
+ * The cycle's confidence is that of its weakest edge
+ * @param {Object} options - Passed to detectAllDependencies
  */
-export function detectCircularDependencies(issues) {
-  const dependencyMap = detectAllDependencies(issues)
+export function detectCircularDependencies(issues, options = {}) {
+  const dependencyMap = detectAllDependencies(issues, options)
   const circular = []
 
-  dependencyMap.forEach((depInfo, issueIid) => {
-    depInfo.dependencies.forEach(dep => {
+  dependencyMap.forEach(depInfo => {
+    depInfo.dependencyEdges.forEach(edge => {
+      const dep = edge.issue
       // Check if dependency also depends on this issue
-      const reverseDep = dependencyMap.get(dep.iid)
+      const reverseDep = dependencyMap.get(dep.id)
       if (reverseDep) {
-        const hasReverse = reverseDep.dependencies.some(d => d.iid === issueIid)
-        if (hasReverse) {
+        const reverseEdge = reverseDep.dependencyEdges.find(e => isSameIssue(e.issue, depInfo.issue))
+        if (reverseEdge) {
+          const weakest = CONFIDENCE_RANK[edge.confidence] <= CONFIDENCE_RANK[reverseEdge.confidence] ? edge : reverseEdge
           circular.push({
             issue1: depInfo.issue,
             issue2: dep,
-            type: 'circular'
+            type: 'circular',
+            source: weakest.source,
+            confidence: weakest.confidence
           })
         }
       }
@@ -279,8 +590,8 @@ export function detectCircularDependencies(issues) {
   const unique = []
   circular.forEach(circ => {
     const exists = unique.some(u =>
-      (u.issue1.iid === circ.issue1.iid && u.issue2.iid === circ.issue2.iid) ||
-      (u.issue1.iid === circ.issue2.iid && u.issue2.iid === circ.issue1.iid)
+      (isSameIssue(u.issue1, circ.issue1) && isSameIssue(u.issue2, circ.issue2)) ||
+      (isSameIssue(u.issue1, circ.issue2) && isSameIssue(u.issue2, circ.issue1))
     )
     if (!exists) {
       unique.push(circ)
@@ -3,6 +3,8 @@
  * Manages DoD templates and compliance checking
  */
 
+import { persistentStore } from './persistentStore.js'
+
 const STORAGE_KEY = 'dodTemplates'
 
 /**
@@ -43,11 +45,11 @@ const DEFAULT_DOD_TEMPLATES = {
 }
 
 /**
- * Get DoD templates from localStorage or return defaults
+ * Get DoD templates from storage or return defaults
  */
 export function getDoDTemplates() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY)
+    const stored = persistentStore.getItem(STORAGE_KEY)
     if (stored) {
       return JSON.parse(stored)
     }
@@ -59,17 +61,17 @@ export function getDoDTemplates() {
 }
 
 /**
- * Save DoD templates to localStorage
+ * Save DoD templates to storage
  */
 export function saveDoDTemplates(templates) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates))
+  persistentStore.setItem(STORAGE_KEY, JSON.stringify(templates))
 }
 
 /**
  * Reset DoD templates to defaults
  */
 export function resetDoDTemplates() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(DEFAULT_DOD_TEMPLATES))
+  persistentStore.setItem(STORAGE_KEY, JSON.stringify(DEFAULT_DOD_TEMPLATES))
   return DEFAULT_DOD_TEMPLATES
 }
 
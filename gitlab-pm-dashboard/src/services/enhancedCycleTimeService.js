@@ -6,7 +6,11 @@
 const isDev = import.meta.env.MODE === 'development'
 
 import { fetchIssueLabelHistory } from './gitlabApi.js'
-import { DEFAULT_PHASE_PATTERNS, estimateCycleTime } from './cycleTimeService.js'
+import { isAbortError } from './gitlabHttpClient.js'
+import { DEFAULT_PHASE_PATTERNS, estimateCycleTime, detectIssuePhase } from './cycleTimeService.js'
+import { loadWorkflow, getWorkflowState } from './workflowConfigService.js'
+import { loadOfflineDataset, saveOfflineDataset } from './syncSnapshotService.js'
+import { isOfflineMode, getLabelEventsDatasetKey } from './offlineService.js'
 
 /**
  * Calculate accurate cycle time using label event history
@@ -32,25 +36,31 @@ export function calculateAccurateCycleTime(issue, labelEvents) {
     new Date(a.created_at) - new Date(b.created_at)
   )
 
-  // Build timeline of label changes
-  const timeline = []
-  let currentLabels = new Set()
-
-  // Start with issue creation
-  if (issue.labels) {
-    issue.labels.forEach(label => currentLabels.add(label.toLowerCase()))
-  }
-
-  // Process each label event
-  sortedEvents.forEach(event => {
-    // Skip events with null/undefined labels (data quality issue from GitLab API)
+  // Skip events with null/undefined labels (data quality issue from GitLab API)
+  const validEvents = sortedEvents.filter(event => {
     if (!event.label || !event.label.name) {
       if (isDev) {
         console.warn('Skipping label event with null label:', event)
       }
-      return
+      return false
     }
+    return true
+  })
+
+  // Labels at creation: the current labels with all events undone
+  const currentLabels = new Set((issue.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase()))
+  ;[...validEvents].reverse().forEach(event => {
+    const labelLower = event.label.name.toLowerCase()
+    if (event.action === 'add') currentLabels.delete(labelLower)
+    else if (event.action === 'remove') currentLabels.add(labelLower)
+  })
+  const labelsAtCreation = Array.from(currentLabels)
+
+  // Build timeline of label changes
+  const timeline = []
 
+  // Process each label event
+  validEvents.forEach(event => {
     const labelLower = event.label.name.toLowerCase()
 
     if (event.action === 'add') {
@@ -74,45 +84,53 @@ export function calculateAccurateCycleTime(issue, labelEvents) {
     }
   })
 
-  // Find when work actually started (moved from backlog to active work)
-  // Include all non-backlog, non-cancelled phase labels
-  const workStartLabels = [
-    ...DEFAULT_PHASE_PATTERNS.analysis,
-    ...DEFAULT_PHASE_PATTERNS.inProgress,
-    ...DEFAULT_PHASE_PATTERNS.review,
-    ...DEFAULT_PHASE_PATTERNS.testing,
-    ...DEFAULT_PHASE_PATTERNS.awaitingTesting,
-    ...DEFAULT_PHASE_PATTERNS.awaitingRelease
-  ].map(l => l.toLowerCase())
-
-  // Debug: Log what labels we're looking for vs what we have
-  if (isDev && timeline.length > 0) {
-    const allLabelsInHistory = [...new Set(timeline.map(t => t.labelLower))]
-    const matchingLabels = allLabelsInHistory.filter(l =>
-      workStartLabels.some(wsl => l.includes(wsl))
-    )
-
-    if (matchingLabels.length === 0 && allLabelsInHistory.length > 0) {
-      console.log(`Issue #${issue.iid}: No work-start labels found. Labels in history:`, allLabelsInHistory.slice(0, 10))
-      console.log('Looking for patterns:', workStartLabels.slice(0, 10))
-    }
-  }
-
   let workStartedAt = null
 
-  // Find first time an "active work" label was added
-  for (const event of timeline) {
-    if (event.action === 'add') {
-      const isWorkLabel = workStartLabels.some(pattern =>
-        event.labelLower.includes(pattern)
+  const workflow = loadWorkflow()
+  if (workflow) {
+    // Work starts when the issue first enters a state marked as active work (possibly at creation)
+    workStartedAt = getWorkflowState({ labels: labelsAtCreation }, workflow)?.active
+      ? new Date(issue.created_at)
+      : timeline.find(event => getWorkflowState({ labels: event.labels }, workflow)?.active)?.timestamp || null
+  } else {
+    // Find when work actually started (moved from backlog to active work)
+    // Include all non-backlog, non-cancelled phase labels
+    const workStartLabels = [
+      ...DEFAULT_PHASE_PATTERNS.analysis,
+      ...DEFAULT_PHASE_PATTERNS.inProgress,
+      ...DEFAULT_PHASE_PATTERNS.review,
+      ...DEFAULT_PHASE_PATTERNS.testing,
+      ...DEFAULT_PHASE_PATTERNS.awaitingTesting,
+      ...DEFAULT_PHASE_PATTERNS.awaitingRelease
+    ].map(l => l.toLowerCase())
+
+    // Debug: Log what labels we're looking for vs what we have
+    if (isDev && timeline.length > 0) {
+      const allLabelsInHistory = [...new Set(timeline.map(t => t.labelLower))]
+      const matchingLabels = allLabelsInHistory.filter(l =>
+        workStartLabels.some(wsl => l.includes(wsl))
       )
 
-      if (isWorkLabel) {
-        workStartedAt = event.timestamp
-        if (isDev) {
-          console.log(`Issue #${issue.iid}: Work started at ${workStartedAt.toISOString()} with label "${event.label}"`)
+      if (matchingLabels.length === 0 && allLabelsInHistory.length > 0) {
+        console.log(`Issue #${issue.iid}: No work-start labels found. Labels in history:`, allLabelsInHistory.slice(0, 10))
+        console.log('Looking for patterns:', workStartLabels.slice(0, 10))
+      }
+    }
+
+    // Find first time an "active work" label was added
+    for (const event of timeline) {
+      if (event.action === 'add') {
+        const isWorkLabel = workStartLabels.some(pattern =>
+          event.labelLower.includes(pattern)
+        )
+
+        if (isWorkLabel) {
+          workStartedAt = event.timestamp
+          if (isDev) {
+            console.log(`Issue #${issue.iid}: Work started at ${workStartedAt.toISOString()} with label "${event.label}"`)
+          }
+          break
         }
-        break
       }
     }
   }
@@ -169,24 +187,64 @@ export function calculateAccurateCycleTime(issue, labelEvents) {
     workStartedAt,
     workEndedAt,
     timeline,
-    method: 'label_events'
+    method: 'label_events',
+    ...getActiveAndWaitingDays(timeline, labelsAtCreation, workStartedAt, workEndedAt, workflow)
   }
 }
 
+/**
+ * Days spent in active vs. waiting workflow states between work start and close
+ * @param {Array} timeline - Label changes, each with the labels after it
+ * @param {Array} labelsAtCreation - Labels before the first change
+ * @returns {Object} { activeDays, waitingDays } - null without a configured workflow
+ */
+function getActiveAndWaitingDays(timeline, labelsAtCreation, workStartedAt, workEndedAt, workflow) {
+  if (!workflow) {
+    return { activeDays: null, waitingDays: null }
+  }
+
+  // Labels in effect at work start, then every change until close
+  const before = timeline.filter(event => event.timestamp <= workStartedAt)
+  const segments = [
+    { timestamp: workStartedAt, labels: before.length > 0 ? before[before.length - 1].labels : labelsAtCreation },
+    ...timeline.filter(event => event.timestamp > workStartedAt && event.timestamp < workEndedAt)
+  ]
+
+  let activeMs = 0
+  let waitingMs = 0
+  segments.forEach((segment, index) => {
+    const until = index < segments.length - 1 ? segments[index + 1].timestamp : workEndedAt
+    if (getWorkflowState({ labels: segment.labels }, workflow)?.active) {
+      activeMs += until - segment.timestamp
+    } else {
+      waitingMs += until - segment.timestamp
+    }
+  })
+
+  const toDays = ms => Math.round((ms / (1000 * 60 * 60 * 24)) * 10) / 10
+  return { activeDays: toDays(activeMs), waitingDays: toDays(waitingMs) }
+}
+
 /**
  * Batch fetch label events for multiple issues
+ * Requests go through the shared GitLab HTTP client, which bounds concurrency
+ * and retries rate-limited calls
  *
  * @param {Array} issues - Array of GitLab issues
- * @param {Object} config - { gitlabUrl, projectId, token }
+ * @param {Object} config - { gitlabUrl, projectId, token, signal }
  * @param {Function} onProgress - Optional callback (current, total)
- * @returns {Map} Map of issue IID to label events
+ * @param {Object} options - { includeActiveOpen: also fetch open issues past the backlog (for flow history) }
+ * @returns {Map} Map of issue ID to label events (IIDs repeat across projects)
  */
-export async function fetchBatchLabelEvents(issues, config, onProgress = null) {
-  const { gitlabUrl, projectId, token } = config
+export async function fetchBatchLabelEvents(issues, config, onProgress = null, { includeActiveOpen = false } = {}) {
+  const { gitlabUrl, projectId, token, signal } = config
   const labelEventsMap = new Map()
 
-  // Only fetch for closed issues
-  const closedIssues = issues.filter(i => i.state === 'closed')
+  // Closed issues, plus open issues already in work when requested
+  // (open backlog issues without phase history are assumed to have been in the backlog since creation)
+  const closedIssues = issues.filter(i =>
+    i.state === 'closed' || (includeActiveOpen && detectIssuePhase(i) !== 'backlog')
+  )
 
   // Identify unique projects
   const projectIds = [...new Set(closedIssues.map(i => i.project_id).filter(Boolean))]
@@ -209,18 +267,19 @@ export async function fetchBatchLabelEvents(issues, config, onProgress = null) {
         try {
           // Use the issue's project_id if available (for multi-project/pod scenarios)
           const issueProjectId = issue.project_id || projectId
-          const events = await fetchIssueLabelHistory(gitlabUrl, issueProjectId, issue.iid, token)
-          return { iid: issue.iid, events, projectId: issueProjectId }
+          const events = await fetchIssueLabelHistory(gitlabUrl, issueProjectId, issue.iid, token, { signal })
+          return { id: issue.id, events, projectId: issueProjectId }
         } catch (error) {
+          if (isAbortError(error)) throw error
           console.warn(`Failed to fetch label events for issue #${issue.iid}:`, error)
-          return { iid: issue.iid, events: null, projectId: issue.project_id || projectId }
+          return { id: issue.id, events: null, projectId: issue.project_id || projectId }
         }
       })
     )
 
-    results.forEach(({ iid, events }) => {
+    results.forEach(({ id, events }) => {
       if (events) {
-        labelEventsMap.set(iid, events)
+        labelEventsMap.set(id, events)
       }
     })
 
@@ -240,7 +299,7 @@ export async function fetchBatchLabelEvents(issues, config, onProgress = null) {
  * Get enhanced cycle time statistics using label event history
  *
  * @param {Array} issues - Array of GitLab issues
- * @param {Map} labelEventsMap - Map of issue IID to label events
+ * @param {Map} labelEventsMap - Map of issue ID to label events
  * @returns {Object} Enhanced cycle time statistics
  */
 export function getEnhancedCycleTimeStats(issues, labelEventsMap) {
@@ -262,7 +321,7 @@ export function getEnhancedCycleTimeStats(issues, labelEventsMap) {
 
   // Calculate cycle times with label event data
   const cycleTimeData = closedIssues.map(issue => {
-    const labelEvents = labelEventsMap.get(issue.iid)
+    const labelEvents = labelEventsMap.get(issue.id)
     const result = calculateAccurateCycleTime(issue, labelEvents)
 
     // If accurate cycle time couldn't be determined, fall back to estimation
@@ -299,7 +358,9 @@ export function getEnhancedCycleTimeStats(issues, labelEventsMap) {
       cycleTime: result.cycleTime,
       workStartedAt: result.workStartedAt,
       workEndedAt: result.workEndedAt,
-      method: result.method
+      method: result.method,
+      activeDays: result.activeDays,
+      waitingDays: result.waitingDays
     }
   }).filter(d => d.cycleTime !== null)
 
@@ -359,6 +420,12 @@ export function getEnhancedCycleTimeStats(issues, labelEventsMap) {
     medianLeadTime = leadTimes[Math.floor(leadTimes.length / 2)]
   }
 
+  // Share of cycle time spent in active workflow states (configured workflow only)
+  const withFlowData = cycleTimeData.filter(d => typeof d.activeDays === 'number')
+  const totalActiveDays = withFlowData.reduce((sum, d) => sum + d.activeDays, 0)
+  const totalFlowDays = totalActiveDays + withFlowData.reduce((sum, d) => sum + d.waitingDays, 0)
+  const flowEfficiency = totalFlowDays > 0 ? Math.round((totalActiveDays / totalFlowDays) * 100) : null
+
   // Debug logging - detailed analysis
   if (isDev) {
     console.log('=== Enhanced Cycle Time Stats ===')
@@ -415,6 +482,7 @@ export function getEnhancedCycleTimeStats(issues, labelEventsMap) {
     avgWaitTime: Math.max(0, avgLeadTime - avgCycleTime),
     accurateCount,
     estimatedCount,
+    flowEfficiency,
     method: accurateCount > 0 ? 'label_events' : 'estimated',
     dataQuality: accurateCount > 0 ? `${Math.round((accurateCount / cycleTimeData.length) * 100)}% accurate` : 'estimated'
   }
@@ -425,25 +493,45 @@ export function getEnhancedCycleTimeStats(issues, labelEventsMap) {
  */
 let labelEventsCache = null
 let cacheTimestamp = null
+let cacheIncludesActiveOpen = false
 const CACHE_TTL = 5 * 60 * 1000 // 5 minutes
 
 /**
  * Get or fetch label events with caching
+ * Falls back to the events stored by the last successful fetch while offline
+ * @param {Object} options - { includeActiveOpen } see fetchBatchLabelEvents()
  */
-export async function getOrFetchLabelEvents(issues, config, onProgress = null) {
+export async function getOrFetchLabelEvents(issues, config, onProgress = null, options = {}) {
   const now = Date.now()
+  const includeActiveOpen = Boolean(options.includeActiveOpen)
 
-  // Return cached data if still valid
-  if (labelEventsCache && cacheTimestamp && (now - cacheTimestamp) < CACHE_TTL) {
+  // Return cached data if still valid (and covering open issues when those are needed)
+  if (labelEventsCache && cacheTimestamp && (now - cacheTimestamp) < CACHE_TTL &&
+    (cacheIncludesActiveOpen || !includeActiveOpen)) {
     if (isDev) {
       console.log('Using cached label events')
     }
     return labelEventsCache
   }
 
+  // Offline: serve the label events persisted by the last successful fetch
+  const datasetKey = getLabelEventsDatasetKey(config)
+  if (isOfflineMode()) {
+    const stored = await loadOfflineDataset(datasetKey)
+    if (isDev) {
+      console.log(`Offline: using stored label events (${stored?.events?.size || 0} issues)`)
+    }
+    return stored?.events || new Map()
+  }
+
   // Fetch fresh data
-  labelEventsCache = await fetchBatchLabelEvents(issues, config, onProgress)
+  labelEventsCache = await fetchBatchLabelEvents(issues, config, onProgress, { includeActiveOpen })
   cacheTimestamp = now
+  cacheIncludesActiveOpen = includeActiveOpen
+
+  if (labelEventsCache.size > 0) {
+    await saveOfflineDataset(datasetKey, { events: labelEventsCache })
+  }
 
   return labelEventsCache
 }
@@ -454,4 +542,5 @@ export async function getOrFetchLabelEvents(issues, config, onProgress = null) {
 export function clearLabelEventsCache() {
   labelEventsCache = null
   cacheTimestamp = null
+  cacheIncludesActiveOpen = false
 }
@@ -2,14 +2,41 @@
  * Forecast Accuracy Service
  * Tracks historical predictions vs actual outcomes to build confidence in forecasting
  * Helps executives understand reliability of project timeline predictions
+ *
+ * On every data refresh the Monte Carlo forecast (forecastService) and the RAG projection
+ * (ragAnalysisService) of each open epic and milestone, and the linear projection of each
+ * initiative, are recorded with their inputs, and earlier snapshots are resolved against
+ * the date the work actually finished. Targets whose inputs did not change since today's
+ * snapshot are not forecast again, and the rest are simulated one per task.
+ * Calibration compares percentile dates with outcomes: did 85% of targets land by their P85 date?
  */
 
+const isDev = import.meta.env.MODE === 'development'
+
 import { getActiveProjectId } from './storageService'
+import { persistentStore } from './persistentStore'
+import { monteCarloForecast, getCompletionProbability, forecastInitiativeCompletion, waitForNextTask } from './forecastService'
+import { calculateEpicRAG, getHistoricalData } from './ragAnalysisService'
+import { getInitiatives } from './initiativeService'
 
 const STORAGE_KEY = 'gitlab-pm-forecasts'
+const DAY_MS = 1000 * 60 * 60 * 24
+const SNAPSHOT_RETENTION_DAYS = 365
+const DAILY_SNAPSHOT_DAYS = 30 // Older snapshots are thinned out to one per week
+const MAX_SNAPSHOTS_PER_TARGET = 40 // Per target and method, so the stored history stays small
+const SIMULATIONS = 1000
+const CALIBRATION_TOLERANCE = 10 // Percentage points a hit rate may deviate from its level
+const MIN_CALIBRATION_SAMPLES = 5
+
+export const CALIBRATION_LEVELS = [50, 85, 95]
+export const FORECAST_METHODS = {
+  'monte-carlo': 'Monte Carlo (P50)',
+  'rag-projection': 'RAG projection',
+  'linear-projection': 'Linear projection (initiatives)'
+}
 
 /**
- * Get project-specific key for localStorage
+ * Get project-specific key for storage
  */
 function getProjectKey(baseKey) {
   const projectId = getActiveProjectId()
@@ -24,7 +51,7 @@ function getProjectKey(baseKey) {
  */
 export function loadForecastHistory() {
   try {
-    const stored = localStorage.getItem(getProjectKey(STORAGE_KEY))
+    const stored = persistentStore.getItem(getProjectKey(STORAGE_KEY))
     if (stored) {
       const data = JSON.parse(stored)
       // Convert date strings back to Date objects
@@ -33,7 +60,10 @@ export function loadForecastHistory() {
           ...forecast,
           createdAt: new Date(forecast.createdAt),
           targetDate: new Date(forecast.targetDate),
-          actualDate: forecast.actualDate ? new Date(forecast.actualDate) : null
+          actualDate: forecast.actualDate ? new Date(forecast.actualDate) : null,
+          percentileDates: forecast.percentileDates
+            ? Object.fromEntries(Object.entries(forecast.percentileDates).map(([key, date]) => [key, new Date(date)]))
+            : null
         }))
       }
       return data
@@ -57,7 +87,7 @@ export function saveForecastHistory(forecastData) {
       ...forecastData,
       lastModified: new Date().toISOString()
     }
-    localStorage.setItem(getProjectKey(STORAGE_KEY), JSON.stringify(toSave))
+    persistentStore.setItem(getProjectKey(STORAGE_KEY), JSON.stringify(toSave))
     return true
   } catch (error) {
     console.error('Error saving forecast history:', error)
@@ -110,6 +140,17 @@ export function updateForecastOutcome(forecastId, actualDate, status = 'complete
     return null
   }
 
+  applyForecastOutcome(forecast, actualDate, status)
+
+  saveForecastHistory(data)
+  return forecast
+}
+
+/**
+ * Set the outcome of a forecast and calculate its accuracy
+ * landedBy records for each percentile date whether the work was done by the end of that day
+ */
+function applyForecastOutcome(forecast, actualDate, status) {
   forecast.actualDate = actualDate
   forecast.status = status
 
@@ -117,7 +158,7 @@ export function updateForecastOutcome(forecastId, actualDate, status = 'complete
   if (status === 'completed' && actualDate && forecast.targetDate) {
     const targetTime = new Date(forecast.targetDate).getTime()
     const actualTime = new Date(actualDate).getTime()
-    const diffDays = Math.round((actualTime - targetTime) / (1000 * 60 * 60 * 24))
+    const diffDays = Math.round((actualTime - targetTime) / DAY_MS)
 
     forecast.accuracy = {
       diffDays,
@@ -126,10 +167,17 @@ export function updateForecastOutcome(forecastId, actualDate, status = 'complete
       wasOnTime: Math.abs(diffDays) <= 3, // Within 3 days is "on time"
       wasLate: diffDays > 3
     }
-  }
 
-  saveForecastHistory(data)
-  return forecast
+    if (forecast.percentileDates) {
+      forecast.accuracy.landedBy = Object.fromEntries(
+        Object.entries(forecast.percentileDates).map(([key, date]) => {
+          const endOfDay = new Date(date)
+          endOfDay.setHours(23, 59, 59, 999)
+          return [key, actualTime <= endOfDay.getTime()]
+        })
+      )
+    }
+  }
 }
 
 /**
@@ -161,22 +209,24 @@ export function getForecastAccuracyStats() {
   const earlyCount = completed.filter(f => f.accuracy.wasEarly && !f.accuracy.wasOnTime).length
   const lateCount = completed.filter(f => f.accuracy.wasLate).length
 
-  const avgConfidenceScore = Math.round(
-    completed.reduce((sum, f) => sum + f.confidenceScore, 0) / completed.length
-  )
+  // Only forecasts against a due date carry a confidence score
+  const scored = completed.filter(f => typeof f.confidenceScore === 'number')
+  const avgConfidenceScore = scored.length > 0
+    ? Math.round(scored.reduce((sum, f) => sum + f.confidenceScore, 0) / scored.length)
+    : 0
 
   // Calculate overall accuracy (100% - average percentage error)
   const avgPercentageError = completed.reduce((sum, f) => sum + f.accuracy.percentageError, 0) / completed.length
   const overallAccuracy = Math.max(0, Math.round(100 - avgPercentageError))
 
   // Analyze correlation between confidence score and accuracy
-  const highConfidenceForecasts = completed.filter(f => f.confidenceScore >= 70)
+  const highConfidenceForecasts = scored.filter(f => f.confidenceScore >= 70)
   const highConfidenceOnTime = highConfidenceForecasts.filter(f => f.accuracy.wasOnTime).length
   const highConfidenceAccuracy = highConfidenceForecasts.length > 0
     ? (highConfidenceOnTime / highConfidenceForecasts.length) * 100
     : 0
 
-  const lowConfidenceForecasts = completed.filter(f => f.confidenceScore < 50)
+  const lowConfidenceForecasts = scored.filter(f => f.confidenceScore < 50)
   const lowConfidenceOnTime = lowConfidenceForecasts.filter(f => f.accuracy.wasOnTime).length
   const lowConfidenceAccuracy = lowConfidenceForecasts.length > 0
     ? (lowConfidenceOnTime / lowConfidenceForecasts.length) * 100
@@ -289,7 +339,7 @@ export function calculateForecastReliability() {
     return {
       score: null,
       reason: 'Insufficient data (need at least 5 completed forecasts)',
-      recommendation: 'Continue tracking forecasts to build confidence'
+      recommendation: 'Forecasts of open epics and milestones are recorded on every refresh and resolved once their work is done'
     }
   }
 
@@ -359,50 +409,358 @@ export function calculateForecastReliability() {
 }
 
 /**
- * Auto-detect and record forecasts from velocity data
- * This can be called periodically to track implicit forecasts
+ * Epics, milestones and initiatives of a dataset with their issues
  */
-export function autoRecordForecastsFromMilestones(milestones, currentVelocity) {
-  const data = loadForecastHistory()
-  const newForecasts = []
-
-  milestones.forEach(milestone => {
-    // Check if we already have a forecast for this milestone
-    const existingForecast = data.forecasts.find(
-      f => f.type === 'milestone' && f.targetId === milestone.id && f.status === 'pending'
-    )
-
-    if (!existingForecast && milestone.due_date && milestone.stats) {
-      const openIssues = milestone.stats.total_issues - milestone.stats.closed_issues
-      const projectedDate = new Date(milestone.due_date)
-
-      // Simple confidence based on progress and time remaining
-      const progress = (milestone.stats.closed_issues / milestone.stats.total_issues) * 100
-      const daysUntilDue = Math.ceil((new Date(milestone.due_date) - new Date()) / (1000 * 60 * 60 * 24))
-      let confidence = 50
-
-      if (progress > 80 && daysUntilDue > 0) confidence = 85
-      else if (progress > 60 && daysUntilDue > 3) confidence = 70
-      else if (progress < 30 && daysUntilDue < 7) confidence = 30
-
-      const forecast = recordForecast(
-        'milestone',
-        milestone.id,
-        milestone.title,
-        projectedDate,
-        milestone.stats.total_issues,
-        confidence,
-        {
-          progress,
-          openIssues,
-          velocity: currentVelocity,
-          autoGenerated: true
+function getForecastTargets({ issues = [], epics = [], milestones = [] }) {
+  const epicTargets = epics.map(epic => ({
+    type: 'epic',
+    id: epic.id,
+    name: epic.title,
+    dueDate: epic.end_date || epic.due_date || null,
+    closed: epic.state === 'closed',
+    closedAt: epic.closed_at || null,
+    epic,
+    issues: issues.filter(i => i.epic?.id === epic.id)
+  }))
+
+  const milestoneTargets = milestones.map(milestone => ({
+    type: 'milestone',
+    id: milestone.id,
+    name: milestone.title,
+    dueDate: milestone.due_date || null,
+    closed: milestone.state === 'closed',
+    closedAt: null,
+    issues: issues.filter(i => i.milestone?.id === milestone.id)
+  }))
+
+  const initiativeTargets = getInitiatives(epics, issues).map(initiative => ({
+    type: 'initiative',
+    id: initiative.id,
+    name: initiative.name,
+    dueDate: initiative.dueDate ? new Date(initiative.dueDate).toISOString().split('T')[0] : null,
+    closed: false,
+    closedAt: null,
+    initiative,
+    issues: initiative.issues
+  }))
+
+  return [...epicTargets, ...milestoneTargets, ...initiativeTargets].filter(target => target.issues.length > 0)
+}
+
+function hashString(value) {
+  let hash = 0
+  for (let i = 0; i < value.length; i++) {
+    hash = (Math.imul(hash, 31) + value.charCodeAt(i)) >>> 0
+  }
+  return hash
+}
+
+/**
+ * Fields of an issue that forecasts depend on (size, state, completion; not e.g. workflow labels)
+ */
+function getIssueSignature(issue) {
+  const spLabel = issue.labels?.find(l => typeof l === 'string' && l.toLowerCase().startsWith('sp::'))
+  return `${issue.id}:${issue.state}:${issue.weight ?? ''}:${spLabel || ''}:${issue.closed_at || ''}`
+}
+
+/**
+ * Key of everything a target's forecasts are computed from: its issues and due date,
+ * plus the closed issues the throughput history comes from
+ */
+function getTargetInputsKey(target, throughputSignature) {
+  return hashString(`${throughputSignature}|${target.dueDate || ''}|${target.issues.map(getIssueSignature).join(',')}`)
+}
+
+/**
+ * Outcome of a target, or null while work is still open
+ * Done: all issues closed (finished when the last one closed)
+ * Cancelled: epic/milestone closed with open issues left
+ */
+function getTargetOutcome(target) {
+  const hasOpenIssues = target.issues.some(i => i.state === 'opened')
+
+  if (hasOpenIssues) {
+    return target.closed ? { status: 'cancelled', actualDate: target.closedAt ? new Date(target.closedAt) : null } : null
+  }
+
+  const closedTimes = target.issues.filter(i => i.closed_at).map(i => new Date(i.closed_at).getTime())
+  if (closedTimes.length === 0) return null
+
+  return { status: 'completed', actualDate: new Date(Math.max(...closedTimes)) }
+}
+
+/**
+ * Forecasts of an open target: Monte Carlo percentiles and, for epics, the RAG projection;
+ * initiatives get the linear projection shown in Cross-Team Coordination
+ * @returns {Array} [{ method, targetDate, percentileDates, confidenceScore, inputs }]
+ */
+function forecastTarget(target, issues, historicalData) {
+  const snapshots = []
+
+  if (target.type === 'initiative') {
+    const forecast = forecastInitiativeCompletion(target.initiative, issues)
+    if (!forecast.isComplete && forecast.forecastDate) {
+      snapshots.push({
+        method: 'linear-projection',
+        targetDate: forecast.forecastDate,
+        percentileDates: null,
+        confidenceScore: null,
+        inputs: {
+          metric: forecast.remainingWork.metric,
+          remainingIssues: forecast.remainingWork.issues,
+          remainingStoryPoints: forecast.remainingWork.storyPoints,
+          weeklyAverage: forecast.velocity.weeklyAverage,
+          weeklyPointsAverage: forecast.velocity.weeklyPointsAverage,
+          weeksRemaining: forecast.weeksRemaining,
+          confidence: forecast.confidence
         }
-      )
+      })
+    }
+    return snapshots
+  }
 
-      newForecasts.push(forecast)
+  const simulation = monteCarloForecast({ issues: target.issues }, issues, SIMULATIONS)
+  if (simulation) {
+    const { p50, p85, p95 } = simulation.percentiles
+    snapshots.push({
+      method: 'monte-carlo',
+      targetDate: p50.date,
+      percentileDates: { p50: p50.date, p85: p85.date, p95: p95.date },
+      confidenceScore: target.dueDate ? getCompletionProbability(simulation, target.dueDate) : null,
+      inputs: {
+        metric: simulation.metric,
+        period: simulation.period,
+        scopeGrowth: simulation.scopeGrowth,
+        remainingWork: simulation.remainingWork,
+        sampleCount: simulation.sampleCount,
+        averageThroughput: simulation.averageThroughput,
+        averageScopeGrowth: simulation.averageScopeGrowth,
+        incompleteRate: simulation.incompleteRate
+      }
+    })
+  }
+
+  if (target.type === 'epic') {
+    const rag = calculateEpicRAG(target.epic, target.issues, historicalData)
+    if (rag.projection) {
+      snapshots.push({
+        method: 'rag-projection',
+        targetDate: rag.projection.date,
+        percentileDates: null,
+        confidenceScore: null,
+        inputs: {
+          status: rag.status,
+          remainingIssues: rag.metrics.remainingIssues,
+          currentVelocity: Math.round(rag.metrics.currentVelocity * 10) / 10,
+          remainingIterations: rag.metrics.remainingIterations,
+          iterationsNeeded: rag.projection.iterationsNeeded
+        }
+      })
+    }
+  }
+
+  return snapshots
+}
+
+/**
+ * Keep the first snapshot per target, method and week once snapshots are older than 30 days
+ */
+function thinSnapshots(forecasts, now) {
+  const dailyCutoff = now.getTime() - DAILY_SNAPSHOT_DAYS * DAY_MS
+  const seen = new Set()
+
+  return [...forecasts]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .filter(f => {
+      const created = new Date(f.createdAt).getTime()
+      if (!f.method || created >= dailyCutoff) return true
+
+      const key = `${f.type}:${f.targetId}:${f.method}:${Math.floor(created / (7 * DAY_MS))}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+/**
+ * Keep the newest snapshots per target and method
+ */
+function capSnapshots(forecasts) {
+  const counts = new Map()
+
+  return [...forecasts]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .filter(f => {
+      if (!f.method) return true
+
+      const key = `${f.type}:${f.targetId}:${f.method}`
+      const count = (counts.get(key) || 0) + 1
+      counts.set(key, count)
+      return count <= MAX_SNAPSHOTS_PER_TARGET
+    })
+    .reverse()
+}
+
+/**
+ * Record forecast snapshots and resolve finished ones for a freshly loaded dataset
+ * Keeps one snapshot per target and method per day (a later refresh replaces it), one per
+ * week after 30 days, at most 40 per target and method and none after a year; the former
+ * milestone due-date heuristics are dropped.
+ * Targets whose inputs are unchanged since today's snapshot are skipped, the others are
+ * forecast one per task so the 1000 simulations per target don't block rendering, and the
+ * history is only saved when something changed (live updates re-run this on every delta)
+ * @param {Object} dataset - { issues, epics, milestones }
+ * @param {Object} options - { now, signal } (an aborted run stops without saving)
+ * @returns {Promise<Object|null>} { recorded, resolved }, or null when aborted
+ */
+export async function trackForecasts(dataset, { now = new Date(), signal } = {}) {
+  const data = loadForecastHistory()
+  const issues = dataset.issues || []
+  const targets = getForecastTargets(dataset)
+  const targetsByKey = new Map(targets.map(target => [`${target.type}:${target.id}`, target]))
+  const retentionCutoff = now.getTime() - SNAPSHOT_RETENTION_DAYS * DAY_MS
+  const today = now.toDateString()
+
+  let forecasts = thinSnapshots(data.forecasts.filter(f =>
+    !f.metadata?.autoGenerated && new Date(f.createdAt).getTime() >= retentionCutoff
+  ), now)
+  const pruned = forecasts.length !== data.forecasts.length
+
+  // Resolve pending forecasts whose work has finished
+  let resolved = 0
+  forecasts
+    .filter(f => f.status === 'pending')
+    .forEach(forecast => {
+      const target = targetsByKey.get(`${forecast.type}:${forecast.targetId}`)
+      const outcome = target && getTargetOutcome(target)
+      if (outcome) {
+        applyForecastOutcome(forecast, outcome.actualDate, outcome.status)
+        resolved++
+      }
+    })
+
+  // Snapshot today's forecasts of open targets whose inputs changed
+  const closedIssues = issues.filter(i => i.state === 'closed')
+  const throughputSignature = closedIssues.map(getIssueSignature).join(',')
+  const unchangedToday = new Set(forecasts
+    .filter(f => f.status === 'pending' && f.inputsKey !== undefined && new Date(f.createdAt).toDateString() === today)
+    .map(f => `${f.type}:${f.targetId}:${f.inputsKey}`))
+  let historicalData = null
+  let recorded = 0
+
+  const changedTargets = targets
+    .filter(target => !getTargetOutcome(target))
+    .map(target => ({ target, inputsKey: getTargetInputsKey(target, throughputSignature) }))
+    .filter(({ target, inputsKey }) => !unchangedToday.has(`${target.type}:${target.id}:${inputsKey}`))
+
+  for (const { target, inputsKey } of changedTargets) {
+    await waitForNextTask()
+    if (signal?.aborted) return null
+
+    historicalData = historicalData || getHistoricalData(closedIssues)
+    forecastTarget(target, issues, historicalData).forEach(snapshot => {
+      forecasts = forecasts.filter(f => !(
+        f.type === target.type &&
+        f.targetId === target.id &&
+        f.method === snapshot.method &&
+        f.status === 'pending' &&
+        new Date(f.createdAt).toDateString() === today
+      ))
+
+      forecasts.push({
+        id: `forecast-${now.getTime()}-${Math.random().toString(36).substr(2, 9)}`,
+        type: target.type,
+        targetId: target.id,
+        targetName: target.name,
+        dueDate: target.dueDate,
+        scopeSize: target.issues.length,
+        ...snapshot,
+        inputsKey,
+        metadata: {},
+        createdAt: now,
+        actualDate: null,
+        accuracy: null,
+        status: 'pending'
+      })
+      recorded++
+    })
+  }
+
+  const kept = capSnapshots(forecasts)
+  if (recorded > 0 || resolved > 0 || pruned || kept.length !== forecasts.length) {
+    saveForecastHistory({ ...data, forecasts: kept })
+  }
+
+  if (isDev) {
+    console.log(`Forecast tracking: ${recorded} snapshot(s) recorded, ${resolved} resolved`)
+  }
+
+  return { recorded, resolved }
+}
+
+/**
+ * Calibration of percentile forecasts: how often work landed by its P50/P85/P95 date
+ * A well calibrated forecast lands by its P85 date about 85% of the time.
+ * @param {Object} options - { type: 'epic'|'milestone' (default all) }
+ * @returns {Object} { resolvedForecasts, levels: [{ level, forecasts, targets, hits, hitRate, deviation, assessment }] }
+ *   assessment: 'calibrated', 'optimistic' (lands by the date less often than stated),
+ *   'pessimistic' (more often) or 'insufficient' (fewer than 5 resolved forecasts)
+ */
+export function getCalibrationReport({ type = null } = {}) {
+  const resolved = loadForecastHistory().forecasts.filter(f =>
+    f.status === 'completed' && f.accuracy?.landedBy && (!type || f.type === type)
+  )
+
+  const levels = CALIBRATION_LEVELS.map(level => {
+    const key = `p${level}`
+    const relevant = resolved.filter(f => key in f.accuracy.landedBy)
+    const hits = relevant.filter(f => f.accuracy.landedBy[key]).length
+    const hitRate = relevant.length > 0 ? Math.round((hits / relevant.length) * 100) : null
+
+    let assessment = 'insufficient'
+    if (relevant.length >= MIN_CALIBRATION_SAMPLES) {
+      if (hitRate < level - CALIBRATION_TOLERANCE) assessment = 'optimistic'
+      else if (hitRate > level + CALIBRATION_TOLERANCE) assessment = 'pessimistic'
+      else assessment = 'calibrated'
+    }
+
+    return {
+      level,
+      forecasts: relevant.length,
+      targets: new Set(relevant.map(f => `${f.type}:${f.targetId}`)).size,
+      hits,
+      hitRate,
+      deviation: hitRate !== null ? hitRate - level : null,
+      assessment
     }
   })
 
-  return newForecasts
+  return { resolvedForecasts: resolved.length, levels }
+}
+
+/**
+ * Accuracy per forecasting method (Monte Carlo P50 vs. RAG projection)
+ * bias: average days late (+) or early (-) against the forecast date
+ * @returns {Array} [{ method, label, resolved, avgDaysOff, bias, onTimePercentage }]
+ */
+export function getForecastAccuracyByMethod() {
+  const completed = loadForecastHistory().forecasts.filter(f => f.status === 'completed' && f.accuracy && f.method)
+
+  return Object.entries(FORECAST_METHODS)
+    .map(([method, label]) => {
+      const forecasts = completed.filter(f => f.method === method)
+      if (forecasts.length === 0) return null
+
+      const totalDiff = forecasts.reduce((sum, f) => sum + f.accuracy.diffDays, 0)
+      const totalOff = forecasts.reduce((sum, f) => sum + Math.abs(f.accuracy.diffDays), 0)
+      return {
+        method,
+        label,
+        resolved: forecasts.length,
+        avgDaysOff: Math.round(totalOff / forecasts.length),
+        bias: Math.round(totalDiff / forecasts.length),
+        onTimePercentage: Math.round((forecasts.filter(f => f.accuracy.wasOnTime).length / forecasts.length) * 100)
+      }
+    })
+    .filter(Boolean)
 }
@@ -313,58 +313,265 @@ export function forecastAllInitiatives(initiatives, issues) {
   })
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_SIMULATED_WEEKS = 520
+const MAX_SIMULATED_PERIODS = 1000 // Caps daily sampling (~2.7 years) where 520 weeks would be 3,640 draws per run
+const DEFAULT_LOOKBACK_WEEKS = 12
+const DEFAULT_HORIZON_WEEKS = 52
+const INITIAL_SCOPE_DAYS = 7 // Issues added in an epic's first week are its initial scope, later ones scope growth
+const FORECAST_PERCENTILES = [10, 50, 85, 90, 95]
+
 /**
- * Calculate Monte Carlo simulation for completion date
- * Runs 1000 simulations with random velocity variations
+ * Weight of an issue (weight field, then sp:: label), or null when not estimated
  */
-export function monteCarloForecast(initiative, issues, simulations = 1000) {
-  const velocity = calculateInitiativeVelocity(initiative, issues)
-  const remainingIssues = initiative.issues.filter(i => i.state === 'opened').length
+function getIssueWeight(issue) {
+  if (issue.weight > 0) return issue.weight
+
+  const spLabel = issue.labels?.find(l => l.toLowerCase().startsWith('sp::'))
+  const sp = spLabel ? parseInt(spLabel.split('::')[1], 10) : NaN
+  return sp > 0 ? sp : null
+}
+
+/**
+ * Historical throughput and scope growth samples for a Monte Carlo forecast
+ * The window covers the last `lookbackWeeks`, starting no earlier than the initiative's first issue;
+ * empty periods count as zero samples.
+ * By weight, unestimated issues count with the average weight of the estimated ones.
+ * @param {Object} initiative - { issues }
+ * @param {Object} options - { metric: 'count'|'weight', period: 'week'|'day', lookbackWeeks, now }
+ * @returns {Object} { throughput: [], scopeGrowth: [], periodDays, defaultWeight }
+ */
+export function getForecastSamples(initiative, options = {}) {
+  const {
+    metric = 'count',
+    period = 'week',
+    lookbackWeeks = DEFAULT_LOOKBACK_WEEKS,
+    now = new Date()
+  } = options
+  const periodDays = period === 'day' ? 1 : 7
+  const periodMs = periodDays * DAY_MS
+
+  const weights = initiative.issues.map(getIssueWeight).filter(w => w !== null)
+  const defaultWeight = weights.length > 0 ? weights.reduce((sum, w) => sum + w, 0) / weights.length : 1
+  const getSize = issue => metric === 'weight' ? (getIssueWeight(issue) ?? defaultWeight) : 1
+
+  const createdTimes = initiative.issues
+    .map(issue => issue.created_at ? new Date(issue.created_at).getTime() : null)
+    .filter(time => time !== null)
+  const initiativeStart = createdTimes.length > 0 ? Math.min(...createdTimes) : null
+
+  const windowStart = Math.max(now.getTime() - lookbackWeeks * 7 * DAY_MS, initiativeStart ?? -Infinity)
+  const periodCount = Math.max(1, Math.floor((now.getTime() - windowStart) / periodMs))
+
+  // Bucket 0 is the most recent period
+  const bucketOf = time => {
+    const index = Math.floor((now.getTime() - time) / periodMs)
+    return index >= 0 && index < periodCount ? index : null
+  }
+
+  const throughput = new Array(periodCount).fill(0)
+  const scopeGrowth = new Array(periodCount).fill(0)
 
-  if (velocity.weeklyAverage === 0 || remainingIssues === 0) {
+  initiative.issues.forEach(issue => {
+    if (issue.state === 'closed' && issue.closed_at) {
+      const bucket = bucketOf(new Date(issue.closed_at).getTime())
+      if (bucket !== null) throughput[bucket] += getSize(issue)
+    }
+
+    if (issue.created_at && initiativeStart !== null) {
+      const created = new Date(issue.created_at).getTime()
+      const bucket = bucketOf(created)
+      if (bucket !== null && created >= initiativeStart + INITIAL_SCOPE_DAYS * DAY_MS) {
+        scopeGrowth[bucket] += getSize(issue)
+      }
+    }
+  })
+
+  return { throughput, scopeGrowth, periodDays, defaultWeight }
+}
+
+/**
+ * Resolves on the next task, so callers running several forecasts in a row can let the page render
+ */
+export function waitForNextTask() {
+  return new Promise(resolve => setTimeout(resolve, 0))
+}
+
+/**
+ * Monte Carlo forecast for completion date
+ * Bootstraps from historical throughput per period (randomly drawn past weeks or days) and,
+ * with scope growth, adds randomly drawn past scope additions each period.
+ * @param {Object} initiative - { issues }
+ * @param {Array} issues - All issues (unused, kept for API compatibility)
+ * @param {number} simulations
+ * @param {Object} options - {
+ *   metric: 'count' | 'weight',
+ *   period: 'week' | 'day' (sample granularity),
+ *   scopeGrowth: model issues being added (default true),
+ *   lookbackWeeks: history window (default 12),
+ *   horizonWeeks: weeks covered by itemsByWeek (default 52),
+ *   capacityProfile: weekly capacity factors relative to today's team (e.g. from a capacity scenario),
+ *   random: random number generator (defaults to Math.random; pass a seeded one to compare runs),
+ *   now: forecast start (defaults to today)
+ * }
+ * @returns {Object|null} null without completed work in the window or remaining work. Otherwise {
+ *   percentiles: { p10, p50, p85, p90, p95: { weeks, date, probability } },
+ *   distribution: [{ weeks, date, probability }] - cumulative chance of finishing by date,
+ *   itemsByWeek: [{ week, date, p50, p85, p95 }] - work done by then with at least that chance,
+ *   range, remainingWork, averageThroughput, averageScopeGrowth (per week), incompleteRate, ...
+ * }
+ */
+export function monteCarloForecast(initiative, issues, simulations = 1000, options = {}) {
+  const {
+    metric = 'count',
+    period = 'week',
+    scopeGrowth = true,
+    lookbackWeeks = DEFAULT_LOOKBACK_WEEKS,
+    horizonWeeks = DEFAULT_HORIZON_WEEKS,
+    capacityProfile = null,
+    random = Math.random,
+    now = new Date()
+  } = options
+
+  const samples = getForecastSamples(initiative, { metric, period, lookbackWeeks, now })
+  const { throughput, periodDays } = samples
+  const growth = scopeGrowth ? samples.scopeGrowth : [0]
+  const getSize = issue => metric === 'weight' ? (getIssueWeight(issue) ?? samples.defaultWeight) : 1
+  const remainingWork = initiative.issues
+    .filter(i => i.state === 'opened')
+    .reduce((sum, issue) => sum + getSize(issue), 0)
+
+  if (remainingWork === 0 || throughput.every(value => value === 0)) {
     return null
   }
 
-  const completionWeeks = []
+  const periodsPerWeek = 7 / periodDays
+  const maxPeriods = Math.min(MAX_SIMULATED_WEEKS * periodsPerWeek, MAX_SIMULATED_PERIODS)
+  const draw = values => values[Math.floor(random() * values.length)]
+
+  const completionPeriods = []
+  const doneByWeek = Array.from({ length: horizonWeeks }, () => [])
+  let incomplete = 0
 
   for (let i = 0; i < simulations; i++) {
-    // Simulate velocity with random variation based on consistency
-    const variationRange = (100 - velocity.consistency) / 100
-    const randomFactor = 1 + ((Math.random() - 0.5) * 2 * variationRange)
-    const simulatedVelocity = velocity.weeklyAverage * randomFactor
+    let remaining = remainingWork
+    let done = 0
+    let periods = 0
+
+    while (remaining > 1e-9 && periods < maxPeriods) {
+      const week = Math.floor(periods / periodsPerWeek)
+      const factor = capacityProfile?.length ? capacityProfile[Math.min(week, capacityProfile.length - 1)] : 1
+
+      remaining += draw(growth)
+      const completed = Math.min(remaining, draw(throughput) * factor)
+      remaining -= completed
+      done += completed
+      periods++
+
+      if (periods % periodsPerWeek === 0 && week < horizonWeeks) {
+        doneByWeek[week].push(done)
+      }
+    }
+
+    // Finished: the work done stays the same for the rest of the horizon
+    for (let week = Math.floor(periods / periodsPerWeek); week < horizonWeeks; week++) {
+      doneByWeek[week].push(done)
+    }
 
-    const weeks = Math.ceil(remainingIssues / simulatedVelocity)
-    completionWeeks.push(weeks)
+    if (remaining > 1e-9) incomplete++
+    completionPeriods.push(periods)
   }
 
-  // Sort results
-  completionWeeks.sort((a, b) => a - b)
+  completionPeriods.sort((a, b) => a - b)
+
+  const toPoint = (periods, probability) => ({
+    weeks: Math.round((periods / periodsPerWeek) * 10) / 10,
+    date: addDaysToDate(now, periods * periodDays),
+    probability
+  })
+
+  const percentiles = {}
+  FORECAST_PERCENTILES.forEach(p => {
+    percentiles[`p${p}`] = toPoint(completionPeriods[Math.min(simulations - 1, Math.floor(simulations * p / 100))], p)
+  })
 
-  // Calculate percentiles
-  const p10 = completionWeeks[Math.floor(simulations * 0.1)]  // 10% chance of finishing by
-  const p50 = completionWeeks[Math.floor(simulations * 0.5)]  // 50% chance (median)
-  const p90 = completionWeeks[Math.floor(simulations * 0.9)]  // 90% chance
+  // Cumulative probability of completion at each distinct outcome
+  const distribution = []
+  completionPeriods.forEach((periods, index) => {
+    const probability = Math.round(((index + 1) / simulations) * 1000) / 10
+    if (distribution.length > 0 && distribution[distribution.length - 1].periods === periods) {
+      distribution[distribution.length - 1].probability = probability
+    } else {
+      distribution.push({ periods, probability })
+    }
+  })
+
+  // "At least N done" with a given chance is the (100 - chance)th percentile of work done
+  const atLeast = (values, chance) => values[Math.floor(values.length * (100 - chance) / 100)]
+  const round1 = value => Math.round(value * 10) / 10
+  const itemsByWeek = doneByWeek.map((values, week) => {
+    const sorted = [...values].sort((a, b) => a - b)
+    return {
+      week: week + 1,
+      date: addDaysToDate(now, (week + 1) * 7),
+      p50: round1(atLeast(sorted, 50)),
+      p85: round1(atLeast(sorted, 85)),
+      p95: round1(atLeast(sorted, 95))
+    }
+  })
+
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length
 
   return {
-    percentiles: {
-      p10: { weeks: p10, date: addWeeksToDate(new Date(), p10), probability: 10 },
-      p50: { weeks: p50, date: addWeeksToDate(new Date(), p50), probability: 50 },
-      p90: { weeks: p90, date: addWeeksToDate(new Date(), p90), probability: 90 }
-    },
+    metric,
+    period,
+    scopeGrowth,
+    remainingWork: round1(remainingWork),
+    sampleCount: throughput.length,
+    averageThroughput: round1(mean(throughput) * periodsPerWeek),
+    averageScopeGrowth: round1(mean(growth) * periodsPerWeek),
+    incompleteRate: Math.round((incomplete / simulations) * 100),
+    percentiles,
+    distribution: distribution.map(({ periods, probability }) => toPoint(periods, probability)),
+    itemsByWeek,
     range: {
-      min: completionWeeks[0],
-      max: completionWeeks[simulations - 1],
-      average: completionWeeks.reduce((sum, w) => sum + w, 0) / simulations
+      min: toPoint(completionPeriods[0]).weeks,
+      max: toPoint(completionPeriods[simulations - 1]).weeks,
+      average: round1(mean(completionPeriods) / periodsPerWeek)
     }
   }
 }
 
 /**
- * Add weeks to a date
+ * Chance (0-100) of finishing by a date, from a Monte Carlo forecast
+ */
+export function getCompletionProbability(forecast, date) {
+  if (!forecast || !date) return null
+  const target = new Date(date)
+  const reached = forecast.distribution.filter(point => point.date <= target)
+  return reached.length > 0 ? reached[reached.length - 1].probability : 0
+}
+
+/**
+ * Work done by a date (with 50/85/95% chance), from a Monte Carlo forecast
+ * @returns {Object|null} { week, date, p50, p85, p95 }, null before the first week or beyond the horizon
+ */
+export function getWorkCompletedBy(forecast, date) {
+  if (!forecast || !date) return null
+  const target = new Date(date)
+  const last = forecast.itemsByWeek[forecast.itemsByWeek.length - 1]
+  if (!last || target - last.date >= 7 * DAY_MS) return null
+
+  const reached = forecast.itemsByWeek.filter(point => point.date <= target)
+  return reached.length > 0 ? reached[reached.length - 1] : null
+}
+
+/**
+ * Add days to a date
  */
-function addWeeksToDate(date, weeks) {
+function addDaysToDate(date, days) {
   const newDate = new Date(date)
-  newDate.setDate(newDate.getDate() + (weeks * 7))
+  newDate.setDate(newDate.getDate() + Math.round(days))
   return newDate
 }
 
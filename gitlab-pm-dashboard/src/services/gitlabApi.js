@@ -1,15 +1,22 @@
 /**
  * GitLab API Service
  * Handles all communication with GitLab REST API
+ * All requests go through gitlabHttpClient (retries, rate limiting, cancellation)
  */
 
 const isDev = import.meta.env.MODE === 'development'
 
+import { getSnapshotKey, loadSnapshot, saveSnapshot } from './syncSnapshotService.js'
+import { gitlabRequest, fetchAllPages, isAbortError } from './gitlabHttpClient.js'
+import { fetchIssuesGraphql, fetchGroupIssuesGraphql, fetchEpicsGraphql } from './gitlabGraphqlApi.js'
+import { resolveDataWindow, filterByDataWindow, describeDataWindow } from '../utils/dataWindowUtils.js'
+
 /**
  * Validate and fetch project information
  * Helps diagnose 404 errors by checking if project exists and is accessible
+ * @param {Object} options - { signal } AbortSignal to cancel the request
  */
-export async function validateProject(gitlabUrl, projectId, token) {
+export async function validateProject(gitlabUrl, projectId, token, options = {}) {
   const encodedProjectId = encodeURIComponent(projectId)
   const url = `${gitlabUrl}/api/v4/projects/${encodedProjectId}`
 
@@ -18,9 +25,7 @@ export async function validateProject(gitlabUrl, projectId, token) {
     console.log('  URL:', url)
   }
 
-  const response = await fetch(url, {
-    headers: { 'PRIVATE-TOKEN': token }
-  })
+  const response = await gitlabRequest(url, token, { signal: options.signal })
 
   if (!response.ok) {
     const errorText = await response.text()
@@ -31,7 +36,9 @@ export async function validateProject(gitlabUrl, projectId, token) {
     } else if (response.status === 401) {
       throw new Error(`Authentication failed: Invalid or expired access token`)
     } else {
-      throw new Error(`Project validation error: ${response.status} - ${response.statusText}`)
+      const error = new Error(`Project validation error: ${response.status} - ${response.statusText}`)
+      error.status = response.status
+      throw error
     }
   }
 
@@ -45,13 +52,24 @@ export async function validateProject(gitlabUrl, projectId, token) {
   return project
 }
 
+/**
+ * Build the optional updated_after / created_before query parameters
+ * (incremental sync and the configured data time window)
+ */
+function buildDateRangeParams(updatedAfter, createdBefore) {
+  let params = ''
+  if (updatedAfter) params += `&updated_after=${encodeURIComponent(updatedAfter)}`
+  if (createdBefore) params += `&created_before=${encodeURIComponent(createdBefore)}`
+  return params
+}
+
 /**
  * Fetch issues from a GitLab project with pagination
+ * @param {Object} options - { updatedAfter, createdBefore, signal } ISO timestamps limiting which issues are fetched
  */
-export async function fetchIssues(gitlabUrl, projectId, token) {
+export async function fetchIssues(gitlabUrl, projectId, token, options = {}) {
   const encodedProjectId = encodeURIComponent(projectId)
-  let allIssues = []
-  let page = 1
+  const dateRangeParams = buildDateRangeParams(options.updatedAfter, options.createdBefore)
   const perPage = 100
 
   if (isDev) {
@@ -61,39 +79,22 @@ export async function fetchIssues(gitlabUrl, projectId, token) {
     console.log('  Encoded Project ID:', encodedProjectId)
   }
 
-  while (true) {
-    const url = `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues?per_page=${perPage}&page=${page}&scope=all&with_iterations=true`
-    if (isDev) {
-      console.log('  API Request URL:', url)
-    }
-
-    const response = await fetch(url, {
-      headers: { 'PRIVATE-TOKEN': token }
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('API Error Response:', errorText)
-      throw new Error(`Issues API Error: ${response.status} - ${response.statusText}\nURL: ${url}\nProject ID: ${projectId}\nEncoded: ${encodedProjectId}\nResponse: ${errorText}`)
-    }
-
-    const issues = await response.json()
-
-    if (issues.length === 0) {
-      break // No more issues
-    }
-
-    allIssues = allIssues.concat(issues)
-    if (isDev) {
-      console.log(`  Fetched page ${page}: ${issues.length} issues (total: ${allIssues.length})`)
-    }
+  const url = `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues?per_page=${perPage}&scope=all&with_iterations=true${dateRangeParams}`
+  if (isDev) {
+    console.log('  API Request URL:', url)
+  }
 
-    if (issues.length < perPage) {
-      break // Last page (partial results)
+  let page = 0
+  const allIssues = await fetchAllPages(url, token, {
+    signal: options.signal,
+    label: 'Issues API',
+    onPage: (issues, all) => {
+      page++
+      if (isDev) {
+        console.log(`  Fetched page ${page}: ${issues.length} issues (total: ${all.length})`)
+      }
     }
-
-    page++
-  }
+  })
 
   if (isDev) {
     console.log(`✓ Loaded ${allIssues.length} total issues from ${page} page(s)`)
@@ -124,44 +125,33 @@ export async function fetchIssues(gitlabUrl, projectId, token) {
 
 /**
  * Fetch milestones from a GitLab project with pagination
+ * @param {Object} options - { updatedAfter, signal } updatedAfter is an ISO timestamp to only fetch changed milestones
+ * (the milestones API has no created_before filter)
  */
-export async function fetchMilestones(gitlabUrl, projectId, token) {
+export async function fetchMilestones(gitlabUrl, projectId, token, options = {}) {
   const encodedProjectId = encodeURIComponent(projectId)
-  let allMilestones = []
-  let page = 1
+  const dateRangeParams = buildDateRangeParams(options.updatedAfter, null)
   const perPage = 100
 
   if (isDev) {
     console.log('Fetching milestones with pagination...')
   }
 
-  while (true) {
-    const response = await fetch(
-      `${gitlabUrl}/api/v4/projects/${encodedProjectId}/milestones?per_page=${perPage}&page=${page}`,
-      { headers: { 'PRIVATE-TOKEN': token } }
-    )
-
-    if (!response.ok) {
-      throw new Error(`Milestones API Error: ${response.status}`)
-    }
-
-    const milestones = await response.json()
-
-    if (milestones.length === 0) {
-      break // No more milestones
-    }
-
-    allMilestones = allMilestones.concat(milestones)
-    if (isDev) {
-      console.log(`  Fetched page ${page}: ${milestones.length} milestones (total: ${allMilestones.length})`)
-    }
-
-    if (milestones.length < perPage) {
-      break // Last page (partial results)
+  let page = 0
+  const allMilestones = await fetchAllPages(
+    `${gitlabUrl}/api/v4/projects/${encodedProjectId}/milestones?per_page=${perPage}${dateRangeParams}`,
+    token,
+    {
+      signal: options.signal,
+      label: 'Milestones API',
+      onPage: (milestones, all) => {
+        page++
+        if (isDev) {
+          console.log(`  Fetched page ${page}: ${milestones.length} milestones (total: ${all.length})`)
+        }
+      }
     }
-
-    page++
-  }
+  )
 
   if (isDev) {
     console.log(`✓ Loaded ${allMilestones.length} total milestones from ${page} page(s)`)
@@ -176,9 +166,10 @@ export async function fetchMilestones(gitlabUrl, projectId, token) {
  * @param {number} issueIid - Issue IID
  * @param {number} assigneeId - New assignee's user ID
  * @param {string} token - GitLab API token
+ * @param {Object} options - { signal } AbortSignal to cancel the request
  * @returns {Promise<object>} Updated issue object
  */
-export async function updateIssueAssignee(gitlabUrl, projectId, issueIid, assigneeId, token) {
+export async function updateIssueAssignee(gitlabUrl, projectId, issueIid, assigneeId, token, options = {}) {
   const encodedProjectId = encodeURIComponent(projectId)
   const url = `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${issueIid}`
 
@@ -186,30 +177,14 @@ export async function updateIssueAssignee(gitlabUrl, projectId, issueIid, assign
     console.log(`Updating issue #${issueIid} assignee to user ${assigneeId}`)
   }
 
-  const response = await fetch(url, {
+  const response = await gitlabRequest(url, token, {
     method: 'PUT',
-    headers: {
-      'PRIVATE-TOKEN': token,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      assignee_id: assigneeId
-    })
+    body: { assignee_id: assigneeId },
+    signal: options.signal
   })
 
   if (!response.ok) {
-    const errorText = await response.text()
-    console.error('Failed to update issue assignee:', errorText)
-
-    if (response.status === 404) {
-      throw new Error(`Issue #${issueIid} not found in project ${projectId}`)
-    } else if (response.status === 401) {
-      throw new Error('Unauthorized: Invalid or expired access token')
-    } else if (response.status === 403) {
-      throw new Error('Forbidden: You do not have permission to update this issue')
-    } else {
-      throw new Error(`Failed to update assignee: ${response.status} - ${errorText}`)
-    }
+    await throwIssueUpdateError(response, issueIid, projectId, 'assignee')
   }
 
   const updatedIssue = await response.json()
@@ -219,6 +194,59 @@ export async function updateIssueAssignee(gitlabUrl, projectId, issueIid, assign
   return updatedIssue
 }
 
+/**
+ * Turn a failed issue update response into a descriptive error
+ */
+async function throwIssueUpdateError(response, issueIid, projectId, what) {
+  const errorText = await response.text()
+  console.error(`Failed to update issue ${what}:`, errorText)
+
+  if (response.status === 404) {
+    throw new Error(`Issue #${issueIid} not found in project ${projectId}`)
+  } else if (response.status === 401) {
+    throw new Error('Unauthorized: Invalid or expired access token')
+  } else if (response.status === 403) {
+    throw new Error('Forbidden: You do not have permission to update this issue')
+  } else {
+    throw new Error(`Failed to update ${what}: ${response.status} - ${errorText}`)
+  }
+}
+
+/**
+ * Update issue fields (labels, milestone, weight, due date, state)
+ * @param {string} gitlabUrl - GitLab instance URL
+ * @param {string} projectId - Project ID or path
+ * @param {number} issueIid - Issue IID
+ * @param {Object} changes - Edit issue API attributes, e.g. { add_labels, remove_labels, milestone_id, weight, due_date, state_event }
+ * @param {string} token - GitLab API token
+ * @param {Object} options - { signal } AbortSignal to cancel the request
+ * @returns {Promise<object>} Updated issue object
+ */
+export async function updateIssue(gitlabUrl, projectId, issueIid, changes, token, options = {}) {
+  const encodedProjectId = encodeURIComponent(projectId)
+  const url = `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${issueIid}`
+
+  if (isDev) {
+    console.log(`Updating issue #${issueIid}:`, changes)
+  }
+
+  const response = await gitlabRequest(url, token, {
+    method: 'PUT',
+    body: changes,
+    signal: options.signal
+  })
+
+  if (!response.ok) {
+    await throwIssueUpdateError(response, issueIid, projectId, Object.keys(changes).join(', '))
+  }
+
+  const updatedIssue = await response.json()
+  if (isDev) {
+    console.log(`✓ Successfully updated issue #${issueIid}`)
+  }
+  return updatedIssue
+}
+
 /**
  * Batch update multiple issues with new assignee
  * @param {string} gitlabUrl - GitLab instance URL
@@ -263,11 +291,6 @@ export async function batchUpdateIssueAssignees(gitlabUrl, projectId, issues, as
         error: error.message
       })
     }
-
-    // Add small delay to avoid rate limiting
-    if (i < issues.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 200))
-    }
   }
 
   if (isDev) {
@@ -278,15 +301,15 @@ export async function batchUpdateIssueAssignees(gitlabUrl, projectId, issues, as
 
 /**
  * Fetch epics from a GitLab group (Premium/Ultimate only) with pagination
+ * @param {Object} options - { updatedAfter, createdBefore, signal } ISO timestamps limiting which epics are fetched
  */
-export async function fetchEpics(gitlabUrl, groupPath, token) {
+export async function fetchEpics(gitlabUrl, groupPath, token, options = {}) {
   if (!groupPath) {
     return [] // No group path configured
   }
 
   const encodedGroupPath = encodeURIComponent(groupPath)
-  let allEpics = []
-  let page = 1
+  const dateRangeParams = buildDateRangeParams(options.updatedAfter, options.createdBefore)
   const perPage = 100
 
   if (isDev) {
@@ -296,56 +319,36 @@ export async function fetchEpics(gitlabUrl, groupPath, token) {
     console.log('  Encoded Group Path:', encodedGroupPath)
   }
 
-  try {
-    while (true) {
-      const url = `${gitlabUrl}/api/v4/groups/${encodedGroupPath}/epics?per_page=${perPage}&page=${page}`
-      if (isDev) {
-        console.log('  Epic API Request URL:', url)
-      }
-
-      const response = await fetch(url, { headers: { 'PRIVATE-TOKEN': token } })
-
-      if (isDev) {
-        console.log(`  Epic API Response Status: ${response.status}`)
-      }
-
-      if (response.status === 404) {
-        console.warn('Epics not available (requires Premium/Ultimate)')
-        return []
-      }
-
-      if (!response.ok) {
-        const errorText = await response.text()
-        console.error('Epic API Error Response:', errorText)
-        throw new Error(`Epics API Error: ${response.status} - ${errorText}`)
-      }
-
-      const epics = await response.json()
-      if (isDev) {
-        console.log(`  Epics returned on page ${page}:`, epics.length)
-      }
-
-      if (epics.length === 0) {
-        break // No more epics
-      }
-
-      allEpics = allEpics.concat(epics)
-      if (isDev) {
-        console.log(`  Fetched page ${page}: ${epics.length} epics (total: ${allEpics.length})`)
-      }
+  const url = `${gitlabUrl}/api/v4/groups/${encodedGroupPath}/epics?per_page=${perPage}${dateRangeParams}`
+  if (isDev) {
+    console.log('  Epic API Request URL:', url)
+  }
 
-      if (epics.length < perPage) {
-        break // Last page (partial results)
+  try {
+    let page = 0
+    const allEpics = await fetchAllPages(url, token, {
+      signal: options.signal,
+      label: 'Epics API',
+      onPage: (epics, all) => {
+        page++
+        if (isDev) {
+          console.log(`  Fetched page ${page}: ${epics.length} epics (total: ${all.length})`)
+        }
       }
-
-      page++
-    }
+    })
 
     if (isDev) {
       console.log(`✓ Loaded ${allEpics.length} total epics from ${page} page(s)`)
     }
     return allEpics
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error
+    }
+    if (error.status === 404) {
+      console.warn('Epics not available (requires Premium/Ultimate)')
+      return []
+    }
     console.error('Epic fetch failed:', error)
     return []
   }
@@ -354,16 +357,19 @@ export async function fetchEpics(gitlabUrl, groupPath, token) {
 /**
  * Fetch issues for a specific epic
  */
-export async function fetchEpicIssues(gitlabUrl, groupPath, epicId, token) {
+export async function fetchEpicIssues(gitlabUrl, groupPath, epicId, token, options = {}) {
   const encodedGroupPath = encodeURIComponent(groupPath)
 
-  const response = await fetch(
+  const response = await gitlabRequest(
     `${gitlabUrl}/api/v4/groups/${encodedGroupPath}/epics/${epicId}/issues`,
-    { headers: { 'PRIVATE-TOKEN': token } }
+    token,
+    { signal: options.signal }
   )
 
   if (!response.ok) {
-    throw new Error(`Epic Issues API Error: ${response.status}`)
+    const error = new Error(`Epic Issues API Error: ${response.status}`)
+    error.status = response.status
+    throw error
   }
 
   return response.json()
@@ -377,9 +383,9 @@ export async function checkPremiumFeatures(gitlabUrl, projectId, token) {
 
   try {
     // Try to fetch resource state events for the project
-    const response = await fetch(
+    const response = await gitlabRequest(
       `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues?per_page=1`,
-      { headers: { 'PRIVATE-TOKEN': token } }
+      token
     )
 
     if (!response.ok) {
@@ -393,15 +399,15 @@ export async function checkPremiumFeatures(gitlabUrl, projectId, token) {
 
     // Try to fetch resource state events for first issue
     const testIssueIid = issues[0].iid
-    const eventsResponse = await fetch(
+    const eventsResponse = await gitlabRequest(
       `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${testIssueIid}/resource_state_events`,
-      { headers: { 'PRIVATE-TOKEN': token } }
+      token
     )
 
     // Try to fetch resource label events (check both independently)
-    const labelEventsResponse = await fetch(
+    const labelEventsResponse = await gitlabRequest(
       `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${testIssueIid}/resource_label_events`,
-      { headers: { 'PRIVATE-TOKEN': token } }
+      token
     )
 
     const hasLabelHistory = labelEventsResponse.ok
@@ -465,55 +471,83 @@ export async function checkPremiumFeaturesForProjects(gitlabUrl, projectIds, tok
 /**
  * Fetch resource label events for an issue (Premium/Ultimate only)
  * Returns label add/remove history with timestamps
+ * @param {Object} options - { signal } AbortSignal to cancel the request
  */
-export async function fetchIssueLabelHistory(gitlabUrl, projectId, issueIid, token) {
+export async function fetchIssueLabelHistory(gitlabUrl, projectId, issueIid, token, options = {}) {
   const encodedProjectId = encodeURIComponent(projectId)
 
   try {
-    const response = await fetch(
-      `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${issueIid}/resource_label_events`,
-      { headers: { 'PRIVATE-TOKEN': token } }
+    return await fetchAllPages(
+      `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${issueIid}/resource_label_events?per_page=100`,
+      token,
+      { signal: options.signal, label: 'Label Events API' }
     )
-
-    if (!response.ok) {
-      return null // Not available
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error
+    }
+    if (!error.status) {
+      console.error(`Failed to fetch label history for issue ${issueIid}:`, error)
     }
+    return null // Not available
+  }
+}
+
+/**
+ * Fetch linked issues of an issue (blocks / is_blocked_by / relates_to)
+ * Each returned issue carries link_type and issue_link_id; linked issues may live in other projects
+ * @param {Object} options - { signal } AbortSignal to cancel the request
+ */
+export async function fetchIssueLinks(gitlabUrl, projectId, issueIid, token, options = {}) {
+  const encodedProjectId = encodeURIComponent(projectId)
 
-    return response.json()
+  try {
+    return await fetchAllPages(
+      `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${issueIid}/links?per_page=100`,
+      token,
+      { signal: options.signal, label: 'Issue Links API' }
+    )
   } catch (error) {
-    console.error(`Failed to fetch label history for issue ${issueIid}:`, error)
-    return null
+    if (isAbortError(error)) {
+      throw error
+    }
+    if (!error.status) {
+      console.error(`Failed to fetch links for issue ${issueIid}:`, error)
+    }
+    return null // Not available
   }
 }
 
 /**
  * Fetch resource state events for an issue (Premium/Ultimate only)
  * Returns state change history (opened/closed) with timestamps
+ * @param {Object} options - { signal } AbortSignal to cancel the request
  */
-export async function fetchIssueStateHistory(gitlabUrl, projectId, issueIid, token) {
+export async function fetchIssueStateHistory(gitlabUrl, projectId, issueIid, token, options = {}) {
   const encodedProjectId = encodeURIComponent(projectId)
 
   try {
-    const response = await fetch(
-      `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${issueIid}/resource_state_events`,
-      { headers: { 'PRIVATE-TOKEN': token } }
+    return await fetchAllPages(
+      `${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues/${issueIid}/resource_state_events?per_page=100`,
+      token,
+      { signal: options.signal, label: 'State Events API' }
     )
-
-    if (!response.ok) {
-      return null // Not available
-    }
-
-    return response.json()
   } catch (error) {
-    console.error(`Failed to fetch state history for issue ${issueIid}:`, error)
-    return null
+    if (isAbortError(error)) {
+      throw error
+    }
+    if (!error.status) {
+      console.error(`Failed to fetch state history for issue ${issueIid}:`, error)
+    }
+    return null // Not available
   }
 }
 
 /**
  * Validate and fetch group information
+ * @param {Object} options - { signal } AbortSignal to cancel the request
  */
-export async function validateGroup(gitlabUrl, groupPath, token) {
+export async function validateGroup(gitlabUrl, groupPath, token, options = {}) {
   const encodedGroupPath = encodeURIComponent(groupPath)
   const url = `${gitlabUrl}/api/v4/groups/${encodedGroupPath}`
 
@@ -522,9 +556,7 @@ export async function validateGroup(gitlabUrl, groupPath, token) {
     console.log('  URL:', url)
   }
 
-  const response = await fetch(url, {
-    headers: { 'PRIVATE-TOKEN': token }
-  })
+  const response = await gitlabRequest(url, token, { signal: options.signal })
 
   if (!response.ok) {
     const errorText = await response.text()
@@ -535,7 +567,9 @@ export async function validateGroup(gitlabUrl, groupPath, token) {
     } else if (response.status === 401) {
       throw new Error(`Authentication failed: Invalid or expired access token`)
     } else {
-      throw new Error(`Group validation error: ${response.status} - ${response.statusText}`)
+      const error = new Error(`Group validation error: ${response.status} - ${response.statusText}`)
+      error.status = response.status
+      throw error
     }
   }
 
@@ -550,50 +584,31 @@ export async function validateGroup(gitlabUrl, groupPath, token) {
 }
 
 /**
- * Fetch all projects under a group (including subgroups recursively)
+ * Fetch all projects under a group (including subgroups recursively unless disabled)
+ * @param {Object} options - { signal, includeSubgroups } includeSubgroups defaults to true
  */
-export async function fetchGroupProjects(gitlabUrl, groupPath, token) {
+export async function fetchGroupProjects(gitlabUrl, groupPath, token, options = {}) {
   const encodedGroupPath = encodeURIComponent(groupPath)
-  let allProjects = []
-  let page = 1
+  const includeSubgroups = options.includeSubgroups !== false
   const perPage = 100
 
   if (isDev) {
-    console.log('Fetching all projects in group (including subgroups)...')
+    console.log(`Fetching all projects in group (${includeSubgroups ? 'including' : 'excluding'} subgroups)...`)
     console.log('  Group Path:', groupPath)
   }
 
-  while (true) {
-    // include_subgroups=true fetches all projects from subgroups recursively
-    const url = `${gitlabUrl}/api/v4/groups/${encodedGroupPath}/projects?per_page=${perPage}&page=${page}&include_subgroups=true&archived=false`
-
-    const response = await fetch(url, {
-      headers: { 'PRIVATE-TOKEN': token }
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error('Group Projects API Error:', errorText)
-      throw new Error(`Group Projects API Error: ${response.status} - ${errorText}`)
-    }
-
-    const projects = await response.json()
+  // include_subgroups=true fetches all projects from subgroups recursively
+  const url = `${gitlabUrl}/api/v4/groups/${encodedGroupPath}/projects?per_page=${perPage}&include_subgroups=${includeSubgroups}&archived=false`
 
-    if (projects.length === 0) {
-      break
-    }
-
-    allProjects = allProjects.concat(projects)
-    if (isDev) {
-      console.log(`  Fetched page ${page}: ${projects.length} projects (total: ${allProjects.length})`)
-    }
-
-    if (projects.length < perPage) {
-      break
+  const allProjects = await fetchAllPages(url, token, {
+    signal: options.signal,
+    label: 'Group Projects API',
+    onPage: (projects, all) => {
+      if (isDev) {
+        console.log(`  Fetched ${projects.length} projects (total: ${all.length})`)
+      }
     }
-
-    page++
-  }
+  })
 
   if (isDev) {
     console.log(`✓ Found ${allProjects.length} projects in group "${groupPath}"`)
@@ -613,7 +628,7 @@ export async function fetchGroupProjects(gitlabUrl, groupPath, token) {
 /**
  * Fetch issues from multiple projects in parallel
  */
-export async function fetchIssuesFromProjects(gitlabUrl, projects, token, onProgress = null) {
+export async function fetchIssuesFromProjects(gitlabUrl, projects, token, onProgress = null, options = {}) {
   if (isDev) {
     console.log(`Fetching issues from ${projects.length} projects...`)
   }
@@ -628,9 +643,10 @@ export async function fetchIssuesFromProjects(gitlabUrl, projects, token, onProg
     const batchResults = await Promise.all(
       batch.map(async (project) => {
         try {
-          const issues = await fetchIssues(gitlabUrl, project.id, token)
+          const issues = await fetchIssues(gitlabUrl, project.id, token, options)
           return { projectId: project.id, projectPath: project.path_with_namespace, issues }
         } catch (error) {
+          if (isAbortError(error)) throw error
           console.warn(`Failed to fetch issues from project ${project.path_with_namespace}:`, error)
           return { projectId: project.id, projectPath: project.path_with_namespace, issues: [] }
         }
@@ -659,7 +675,7 @@ export async function fetchIssuesFromProjects(gitlabUrl, projects, token, onProg
 /**
  * Fetch milestones from multiple projects in parallel
  */
-export async function fetchMilestonesFromProjects(gitlabUrl, projects, token) {
+export async function fetchMilestonesFromProjects(gitlabUrl, projects, token, options = {}) {
   if (isDev) {
     console.log(`Fetching milestones from ${projects.length} projects...`)
   }
@@ -673,9 +689,10 @@ export async function fetchMilestonesFromProjects(gitlabUrl, projects, token) {
     const batchResults = await Promise.all(
       batch.map(async (project) => {
         try {
-          const milestones = await fetchMilestones(gitlabUrl, project.id, token)
+          const milestones = await fetchMilestones(gitlabUrl, project.id, token, options)
           return { projectPath: project.path_with_namespace, milestones }
         } catch (error) {
+          if (isAbortError(error)) throw error
           console.warn(`Failed to fetch milestones from project ${project.path_with_namespace}:`, error)
           return { projectPath: project.path_with_namespace, milestones: [] }
         }
@@ -698,66 +715,282 @@ export async function fetchMilestonesFromProjects(gitlabUrl, projects, token) {
   return uniqueMilestones
 }
 
+// Incremental sync tuning
+const SYNC_OVERLAP_MS = 5 * 60 * 1000 // Re-request a small window to tolerate clock skew
+const FULL_RESYNC_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000 // Periodic full sync heals anything a delta can miss
+
 /**
- * Filter data to only include items from 2025 onwards
+ * Read the total item count of a list endpoint from the X-Total header
+ * Returns null when GitLab omits the header (lists with more than 10,000 items)
  */
-function filterByYear2025(data, dateFields) {
-  const year2025Start = new Date('2025-01-01').getTime()
+async function fetchTotalCount(url, token, signal) {
+  const response = await gitlabRequest(url, token, { signal })
 
-  return data.filter(item => {
-    // Check if any of the date fields is >= 2025
-    return dateFields.some(field => {
-      const dateValue = item[field]
-      if (!dateValue) return false
+  if (!response.ok) {
+    const error = new Error(`Count request failed: ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+
+  const total = response.headers.get('X-Total')
+  return total !== null ? parseInt(total, 10) : null
+}
+
+/**
+ * Count all issues (open and closed) in a project without downloading them
+ * @param {Object} options - { updatedAfter, createdBefore, signal } same window as fetchIssues
+ */
+export async function fetchIssueCount(gitlabUrl, projectId, token, options = {}) {
+  const encodedProjectId = encodeURIComponent(projectId)
+  const dateRangeParams = buildDateRangeParams(options.updatedAfter, options.createdBefore)
+  return fetchTotalCount(`${gitlabUrl}/api/v4/projects/${encodedProjectId}/issues?per_page=1&scope=all${dateRangeParams}`, token, options.signal)
+}
+
+/**
+ * Count all milestones in a project without downloading them
+ * @param {Object} options - { updatedAfter, signal } same window as fetchMilestones
+ */
+export async function fetchMilestoneCount(gitlabUrl, projectId, token, options = {}) {
+  const encodedProjectId = encodeURIComponent(projectId)
+  const dateRangeParams = buildDateRangeParams(options.updatedAfter, null)
+  return fetchTotalCount(`${gitlabUrl}/api/v4/projects/${encodedProjectId}/milestones?per_page=1${dateRangeParams}`, token, options.signal)
+}
 
-      const itemDate = new Date(dateValue).getTime()
-      return itemDate >= year2025Start
+/**
+ * Count all epics in a group without downloading them
+ * @param {Object} options - { updatedAfter, createdBefore, signal } same window as fetchEpics
+ */
+export async function fetchEpicCount(gitlabUrl, groupPath, token, options = {}) {
+  const encodedGroupPath = encodeURIComponent(groupPath)
+  const dateRangeParams = buildDateRangeParams(options.updatedAfter, options.createdBefore)
+  return fetchTotalCount(`${gitlabUrl}/api/v4/groups/${encodedGroupPath}/epics?per_page=1${dateRangeParams}`, token, options.signal)
+}
+
+/**
+ * Merge changed items into a cached list, replacing entries with the same id
+ */
+function mergeById(cached, changed) {
+  const merged = new Map(cached.map(item => [item.id, item]))
+  changed.forEach(item => merged.set(item.id, item))
+  return Array.from(merged.values())
+}
+
+/**
+ * Detect deleted items that an updated_after delta cannot report
+ * Compares per-project server counts with the merged cache and re-downloads
+ * only the projects whose counts disagree
+ */
+async function reconcileProjectItems(items, projects, countItems, fetchItems) {
+  const batchSize = 5
+  let reconciled = items
+
+  const cachedCounts = new Map()
+  items.forEach(item => {
+    cachedCounts.set(item.project_id, (cachedCounts.get(item.project_id) || 0) + 1)
+  })
+
+  for (let i = 0; i < projects.length; i += batchSize) {
+    const batch = projects.slice(i, i + batchSize)
+
+    const staleProjects = await Promise.all(
+      batch.map(async (project) => {
+        try {
+          const serverCount = await countItems(project)
+          const cachedCount = cachedCounts.get(project.id) || 0
+          return serverCount !== null && serverCount !== cachedCount ? project : null
+        } catch (error) {
+          if (isAbortError(error)) throw error
+          console.warn(`Count check failed for project ${project.path_with_namespace || project.id}:`, error)
+          return null
+        }
+      })
+    )
+
+    for (const project of staleProjects.filter(Boolean)) {
+      if (isDev) {
+        console.log(`  Count mismatch in ${project.path_with_namespace || project.id}, re-downloading`)
+      }
+      const freshItems = await fetchItems(project)
+      reconciled = reconciled
+        .filter(item => item.project_id !== project.id)
+        .concat(freshItems)
+    }
+  }
+
+  return reconciled
+}
+
+/**
+ * Drop originals of moved issues when the issue they were moved to is also loaded
+ * (GitLab closes the original and sets moved_to_id on it)
+ */
+function removeMovedIssues(issues) {
+  const issueIds = new Set(issues.map(issue => issue.id))
+  return issues.filter(issue => !(issue.moved_to_id && issueIds.has(issue.moved_to_id)))
+}
+
+/**
+ * Run a GraphQL fetch, falling back to REST when the instance rejects the query
+ * (e.g. CE instances whose schema lacks epic, iteration or weight fields)
+ */
+async function withRestFallback(fetchGraphql, fetchRest, label) {
+  try {
+    return await fetchGraphql()
+  } catch (error) {
+    if (isAbortError(error)) throw error
+    console.warn(`GraphQL ${label} fetch failed, falling back to REST:`, error.message)
+    return fetchRest()
+  }
+}
+
+/**
+ * De-duplicate projects found through several configured groups
+ * A project reachable from more than one group (e.g. a configured subgroup of another
+ * configured group) belongs to the most specific one; each project is tagged with
+ * _sourceGroup (the configured path) and _sourceGroupName
+ */
+function assignProjectsToSourceGroups(sourceGroups, projectLists) {
+  const assigned = new Map()
+
+  projectLists.forEach((groupProjects, index) => {
+    const { path, group } = sourceGroups[index]
+    const specificity = (group.full_path || '').length
+
+    groupProjects.forEach(project => {
+      const existing = assigned.get(project.id)
+      if (!existing || specificity > existing.specificity) {
+        assigned.set(project.id, {
+          specificity,
+          project: { ...project, _sourceGroup: path, _sourceGroupName: group.name }
+        })
+      }
     })
   })
+
+  return Array.from(assigned.values()).map(entry => entry.project)
 }
 
 /**
- * Fetch all data needed for the dashboard
+ * Tag items with the source group of their project (group mode only)
  */
-export async function fetchAllData(config) {
-  const { gitlabUrl, projectId, groupPath, groupPaths, token, filter2025, mode } = config
+function tagWithSourceGroup(items, projects) {
+  if (projects.length === 0) return items
+
+  const projectsById = new Map(projects.map(p => [p.id, p]))
+  return items.map(item => {
+    const project = projectsById.get(item.project_id)
+    return project?._sourceGroup
+      ? { ...item, _sourceGroup: project._sourceGroup, _sourceGroupName: project._sourceGroupName }
+      : item
+  })
+}
 
-  if (isDev) {
-    console.log('=== Starting GitLab Data Fetch ===')
-    console.log('Full config object:', config)
-    console.log('Mode:', mode || 'project (default)')
+/**
+ * Fetch raw issues, milestones and epics
+ * Uses the stored snapshot for an incremental (updated_after) sync when one is
+ * available, then persists the merged result as the next snapshot
+ */
+async function syncRawData(config) {
+  const { gitlabUrl, projectId, groupPath, groupPaths, token, mode, forceFullSync, signal, dataWindow, includeSubgroups } = config
+  const useGraphql = config.dataSource === 'graphql'
+
+  const snapshotKey = getSnapshotKey(config)
+  const snapshot = forceFullSync ? null : await loadSnapshot(snapshotKey)
+  const syncStartedAt = new Date()
+
+  const isIncremental = !!snapshot &&
+    syncStartedAt - new Date(snapshot.lastFullSyncAt) < FULL_RESYNC_INTERVAL_MS
+  // Time window bounds, sent as query parameters (milestones only support updated_after)
+  const windowBounds = resolveDataWindow(dataWindow, syncStartedAt)
+  const milestoneWindowBounds = { updatedAfter: windowBounds.updatedAfter, createdBefore: null }
+  const windowOptions = { signal, ...windowBounds }
+
+  let fetchOptions = windowOptions
+  if (isIncremental) {
+    const deltaStart = new Date(snapshot.lastSyncedAt).getTime() - SYNC_OVERLAP_MS
+    const windowStart = windowBounds.updatedAfter ? new Date(windowBounds.updatedAfter).getTime() : 0
+    fetchOptions = { ...windowOptions, updatedAfter: new Date(Math.max(deltaStart, windowStart)).toISOString() }
   }
 
-  let allIssues, allMilestones, projects = []
-  const isSingleProjectMode = mode !== 'group'
+  if (isDev) {
+    console.log(isIncremental
+      ? `Incremental sync: fetching changes since ${fetchOptions.updatedAfter}`
+      : 'Full sync: no usable snapshot')
+    console.log(`Data window: ${describeDataWindow(dataWindow)}`)
+  }
 
-  // GROUP MODE: Fetch all projects from group, then fetch all issues
+  // Issue and epic fetchers for the selected data source (milestones always use REST)
+  const fetchProjectIssues = (project, options) => useGraphql
+    ? withRestFallback(
+        () => fetchIssuesGraphql(gitlabUrl, project.path_with_namespace, token, options),
+        () => fetchIssues(gitlabUrl, project.id, token, options),
+        'issues'
+      )
+    : fetchIssues(gitlabUrl, project.id, token, options)
+
+  const fetchGroupEpics = (path, options) => useGraphql
+    ? withRestFallback(
+        () => fetchEpicsGraphql(gitlabUrl, path, token, options),
+        () => fetchEpics(gitlabUrl, path, token, options),
+        'epics'
+      )
+    : fetchEpics(gitlabUrl, path, token, options)
+
+  let issues, milestones, sourceProjects
+  let projects = []
+  let sourceGroups = []
+
+  // GROUP MODE: Fetch all projects from every configured group, then fetch all issues
   if (mode === 'group') {
     if (!groupPath && (!groupPaths || groupPaths.length === 0)) {
       throw new Error('Group mode requires groupPath or groupPaths to be configured')
     }
 
-    // Use the first groupPath for fetching projects
-    const primaryGroupPath = groupPaths && groupPaths.length > 0 ? groupPaths[0] : groupPath
+    const sourceGroupPaths = groupPaths && groupPaths.length > 0 ? groupPaths : [groupPath]
 
     // Validate group access
-    await validateGroup(gitlabUrl, primaryGroupPath, token)
+    sourceGroups = await Promise.all(
+      sourceGroupPaths.map(async path => ({
+        path,
+        group: await validateGroup(gitlabUrl, path, token, { signal })
+      }))
+    )
 
-    // Fetch all projects in the group
-    projects = await fetchGroupProjects(gitlabUrl, primaryGroupPath, token)
+    // Fetch all projects in each group
+    const projectLists = await Promise.all(
+      sourceGroupPaths.map(path => fetchGroupProjects(gitlabUrl, path, token, { signal, includeSubgroups }))
+    )
+    projects = assignProjectsToSourceGroups(sourceGroups, projectLists)
+    sourceProjects = projects
 
     if (isDev) {
-      console.log(`\n📊 GROUP MODE: Fetching data from ${projects.length} projects in "${primaryGroupPath}"\n`)
+      console.log(`\n📊 GROUP MODE: Fetching data from ${projects.length} projects in ${sourceGroupPaths.map(p => `"${p}"`).join(', ')}\n`)
     }
 
     // Fetch issues and milestones from all projects
+    // GraphQL loads each group's issues in one paginated query instead of one per project
+    const fetchGroupIssues = () => fetchIssuesFromProjects(gitlabUrl, projects, token, null, fetchOptions)
+    const projectIds = new Set(projects.map(p => p.id))
+
     const [issuesResult, milestonesResult] = await Promise.all([
-      fetchIssuesFromProjects(gitlabUrl, projects, token),
-      fetchMilestonesFromProjects(gitlabUrl, projects, token)
+      useGraphql
+        ? withRestFallback(
+            async () => {
+              const groupIssues = await Promise.all(sourceGroups.map(({ group }) =>
+                fetchGroupIssuesGraphql(gitlabUrl, group.full_path, token, { ...fetchOptions, includeSubgroups })
+              ))
+              return mergeById([], groupIssues.flat())
+                .filter(issue => projectIds.has(issue.project_id))
+            },
+            fetchGroupIssues,
+            'issues'
+          )
+        : fetchGroupIssues(),
+      fetchMilestonesFromProjects(gitlabUrl, projects, token, { ...fetchOptions, createdBefore: null })
     ])
 
-    allIssues = issuesResult
-    allMilestones = milestonesResult
+    issues = issuesResult
+    milestones = milestonesResult
   }
   // PROJECT MODE: Fetch from single project (existing behavior)
   else {
@@ -771,8 +1004,9 @@ export async function fetchAllData(config) {
       })
     }
 
-    // Validate project access
-    await validateProject(gitlabUrl, projectId, token)
+    // Validate project access (also resolves a path to the numeric project ID)
+    const project = await validateProject(gitlabUrl, projectId, token, { signal })
+    sourceProjects = [project]
 
     if (isDev) {
       console.log(`\n📊 PROJECT MODE: Fetching data from single project "${projectId}"\n`)
@@ -780,52 +1014,147 @@ export async function fetchAllData(config) {
 
     // Fetch issues and milestones from single project
     const [issuesResult, milestonesResult] = await Promise.all([
-      fetchIssues(gitlabUrl, projectId, token),
-      fetchMilestones(gitlabUrl, projectId, token)
+      fetchProjectIssues(project, fetchOptions),
+      fetchMilestones(gitlabUrl, projectId, token, { ...fetchOptions, createdBefore: null })
     ])
 
-    allIssues = issuesResult
-    allMilestones = milestonesResult
+    issues = issuesResult
+    milestones = milestonesResult
   }
 
-  // Fetch epics from all configured groups
+  // Fetch epics from all configured groups (kept per group so deletions can be reconciled)
   const groupPathsToFetch = groupPaths && Array.isArray(groupPaths) && groupPaths.length > 0
     ? groupPaths
     : (groupPath ? [groupPath] : [])
 
   const epicResults = await Promise.all(
-    groupPathsToFetch.map(path => fetchEpics(gitlabUrl, path, token))
+    groupPathsToFetch.map(path => fetchGroupEpics(path, fetchOptions))
   )
 
-  // Merge epics from all groups and remove duplicates
-  const allEpics = epicResults.flat()
-  const uniqueEpics = Array.from(
+  const epicsByGroup = {}
+  groupPathsToFetch.forEach((path, index) => {
+    epicsByGroup[path] = epicResults[index]
+  })
+
+  const changedIssues = issues.length
+
+  if (isIncremental) {
+    // Items from projects that left the group, or that aged out of a rolling window, are dropped along the way
+    const projectIds = new Set(sourceProjects.map(p => p.id))
+    const milestoneWindowOptions = { signal, ...milestoneWindowBounds }
+
+    issues = filterByDataWindow(mergeById(snapshot.issues, issues), windowBounds)
+      .filter(issue => projectIds.has(issue.project_id))
+    milestones = filterByDataWindow(mergeById(snapshot.milestones, milestones), milestoneWindowBounds)
+      .filter(milestone => projectIds.has(milestone.project_id))
+
+    issues = await reconcileProjectItems(
+      issues,
+      sourceProjects,
+      project => fetchIssueCount(gitlabUrl, project.id, token, windowOptions),
+      project => fetchProjectIssues(project, windowOptions)
+    )
+    milestones = await reconcileProjectItems(
+      milestones,
+      sourceProjects,
+      project => fetchMilestoneCount(gitlabUrl, project.id, token, milestoneWindowOptions),
+      project => fetchMilestones(gitlabUrl, project.id, token, milestoneWindowOptions)
+    )
+
+    for (const path of groupPathsToFetch) {
+      const merged = filterByDataWindow(mergeById(snapshot.epicsByGroup?.[path] || [], epicsByGroup[path]), windowBounds)
+      try {
+        const serverCount = await fetchEpicCount(gitlabUrl, path, token, windowOptions)
+        epicsByGroup[path] = serverCount !== null && serverCount !== merged.length
+          ? await fetchGroupEpics(path, windowOptions)
+          : merged
+      } catch (error) {
+        if (isAbortError(error)) throw error
+        // Epics unavailable (CE) or count failed - keep merged cache
+        epicsByGroup[path] = merged
+      }
+    }
+  }
+
+  const lastSyncedAt = syncStartedAt.toISOString()
+
+  await saveSnapshot(snapshotKey, {
+    lastSyncedAt,
+    lastFullSyncAt: isIncremental ? snapshot.lastFullSyncAt : lastSyncedAt,
+    issues,
+    milestones,
+    epicsByGroup,
+    projects
+  })
+
+  // Merge epics from all groups and remove duplicates (an epic listed under several groups keeps the last one)
+  const allEpics = Object.entries(epicsByGroup)
+    .flatMap(([path, groupEpics]) => groupEpics.map(epic => ({ ...epic, _sourceGroup: path })))
+  const epics = Array.from(
     new Map(allEpics.map(epic => [epic.id, epic])).values()
   )
 
-  // Apply 2025 filter if enabled (default: true for backwards compatibility)
-  const shouldFilter = filter2025 !== false
+  if (isDev) {
+    console.log(`✓ ${isIncremental ? 'Incremental' : 'Full'} sync complete: ${changedIssues} changed issues, ${issues.length} issues total`)
+  }
 
-  // Filter issues: show if created_at, updated_at, or due_date >= 2025
-  const issues = shouldFilter
-    ? filterByYear2025(allIssues, ['created_at', 'updated_at', 'due_date'])
-    : allIssues
+  return {
+    issues: tagWithSourceGroup(removeMovedIssues(issues), projects),
+    milestones: tagWithSourceGroup(milestones, projects),
+    epics,
+    projects,
+    sourceGroups: sourceGroups.map(({ path, group }) => ({
+      path,
+      name: group.name,
+      fullPath: group.full_path,
+      projectCount: projects.filter(p => p._sourceGroup === path).length
+    })),
+    syncInfo: {
+      lastSyncedAt,
+      syncMode: isIncremental ? 'incremental' : 'full',
+      changedIssues
+    }
+  }
+}
+
+/**
+ * Fetch all data needed for the dashboard
+ * config.dataWindow limits issues, milestones and epics to a time window (see dataWindowUtils)
+ * Pass config.forceFullSync to ignore the stored snapshot and re-download everything,
+ * and config.signal (AbortSignal) to cancel an in-flight fetch
+ */
+export async function fetchAllData(config) {
+  const { projectId, dataWindow, mode } = config
 
-  // Filter milestones: show if start_date, due_date, or created_at >= 2025
-  const milestones = shouldFilter
-    ? filterByYear2025(allMilestones, ['start_date', 'due_date', 'created_at'])
-    : allMilestones
+  if (isDev) {
+    console.log('=== Starting GitLab Data Fetch ===')
+    console.log('Full config object:', config)
+    console.log('Mode:', mode || 'project (default)')
+  }
+
+  const isSingleProjectMode = mode !== 'group'
 
-  // Filter epics: show if start_date, end_date, or created_at >= 2025
-  const epics = shouldFilter
-    ? filterByYear2025(uniqueEpics, ['start_date', 'end_date', 'created_at'])
-    : uniqueEpics
+  const {
+    issues: allIssues,
+    milestones: allMilestones,
+    epics: uniqueEpics,
+    projects,
+    sourceGroups,
+    syncInfo
+  } = await syncRawData(config)
+
+  // The window is applied server-side; filtering again covers the milestone
+  // created_before bound the API lacks and rolling windows moving past cached items
+  const windowBounds = resolveDataWindow(dataWindow)
+  const issues = filterByDataWindow(allIssues, windowBounds)
+  const milestones = filterByDataWindow(allMilestones, windowBounds)
+  const epics = filterByDataWindow(uniqueEpics, windowBounds)
 
   if (isDev) {
-    console.log(`Filtered data: ${allIssues.length} → ${issues.length} issues, ${allMilestones.length} → ${milestones.length} milestones, ${uniqueEpics.length} → ${epics.length} epics ${shouldFilter ? '(>= 2025)' : '(no filter)'}`)
+    console.log(`Filtered data: ${allIssues.length} → ${issues.length} issues, ${allMilestones.length} → ${milestones.length} milestones, ${uniqueEpics.length} → ${epics.length} epics (${describeDataWindow(dataWindow)})`)
 
     if (mode === 'group') {
-      console.log(`  Aggregated from ${projects.length} projects in group`)
+      console.log(`  Aggregated from ${projects.length} projects in ${sourceGroups.length} group(s)`)
     }
   }
 
@@ -879,6 +1208,8 @@ export async function fetchAllData(config) {
     milestones,
     epics: epicsWithIssues,
     projects, // Include projects list for group mode
+    sourceGroups, // Configured groups with project counts (group mode)
+    syncInfo,
     crossProjectData: {
       ...linkingData,
       epicHierarchy: { rootEpics, epicMap },
@@ -0,0 +1,359 @@
+/**
+ * GitLab GraphQL API Service
+ * Optional data source that loads issues and epics through /api/graphql in a few
+ * paginated queries, and normalizes them to the REST shape every other service expects
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { gitlabRequest, gitlabGraphqlRequest } from './gitlabHttpClient.js'
+
+// Kept below 100 so nested connections stay within GitLab's query complexity limit
+const PAGE_SIZE = 50
+
+// REST reports iteration state as a number
+const ITERATION_STATES = { upcoming: 1, started: 2, current: 2, opened: 2, closed: 3 }
+
+const USER_FIELDS = 'id username name avatarUrl webUrl'
+
+const ISSUE_FIELDS = `
+  id iid projectId title description state webUrl type
+  createdAt updatedAt closedAt dueDate
+  confidential weight healthStatus userNotesCount
+  timeEstimate totalTimeSpent humanTimeEstimate humanTotalTimeSpent
+  reference(full: true)
+  blocked blockedByCount
+  blockedByIssues(first: 20) { nodes { id iid webUrl } }
+  linkedWorkItems(first: 50) { nodes { linkType workItemState workItem { id iid webUrl } } }
+  movedTo { id }
+  author { ${USER_FIELDS} }
+  assignees(first: 20) { nodes { ${USER_FIELDS} } }
+  labels(first: 50) { nodes { title } }
+  milestone { id iid title state startDate dueDate }
+  iteration { id iid title state startDate dueDate webUrl iterationCadence { id title } }
+  epic { id iid title webUrl group { id fullPath } parent { id iid title } }
+`
+
+const PROJECT_ISSUES_QUERY = `
+  query ProjectIssues($fullPath: ID!, $after: String, $updatedAfter: Time, $createdBefore: Time) {
+    project(fullPath: $fullPath) {
+      issues(first: ${PAGE_SIZE}, after: $after, updatedAfter: $updatedAfter, createdBefore: $createdBefore, sort: CREATED_ASC) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${ISSUE_FIELDS} }
+      }
+    }
+  }
+`
+
+const GROUP_ISSUES_QUERY = `
+  query GroupIssues($fullPath: ID!, $after: String, $updatedAfter: Time, $createdBefore: Time, $includeSubgroups: Boolean) {
+    group(fullPath: $fullPath) {
+      issues(first: ${PAGE_SIZE}, after: $after, updatedAfter: $updatedAfter, createdBefore: $createdBefore, includeSubgroups: $includeSubgroups, sort: CREATED_ASC) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${ISSUE_FIELDS} }
+      }
+    }
+  }
+`
+
+const GROUP_EPICS_QUERY = `
+  query GroupEpics($fullPath: ID!, $after: String, $updatedAfter: Time, $createdBefore: Time) {
+    group(fullPath: $fullPath) {
+      epics(first: ${PAGE_SIZE}, after: $after, updatedAfter: $updatedAfter, createdBefore: $createdBefore, includeDescendantGroups: true) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          id iid title description state webUrl confidential
+          createdAt updatedAt closedAt startDate dueDate
+          author { ${USER_FIELDS} }
+          labels(first: 50) { nodes { title } }
+          group { id fullPath }
+          parent { id iid }
+        }
+      }
+    }
+  }
+`
+
+/**
+ * Extract the numeric ID from a global ID ("gid://gitlab/Issue/123" -> 123)
+ */
+function parseGlobalId(globalId) {
+  if (!globalId) return null
+  const id = Number(String(globalId).split('/').pop())
+  return Number.isNaN(id) ? globalId : id
+}
+
+/**
+ * Convert GraphQL camelCase enum values to REST snake_case ("needsAttention" -> "needs_attention")
+ */
+function toSnakeCase(value) {
+  return value ? value.replace(/([A-Z])/g, '_$1').toLowerCase() : null
+}
+
+function normalizeUser(user) {
+  if (!user) return null
+  return {
+    id: parseGlobalId(user.id),
+    username: user.username,
+    name: user.name,
+    avatar_url: user.avatarUrl,
+    web_url: user.webUrl
+  }
+}
+
+/**
+ * Normalize a GraphQL issue node to the REST /issues shape
+ * Extra GraphQL-only details (iteration cadence, epic parent, blocking and linked issues) are kept
+ * as additional snake_case fields; linked_issues has the shape of REST issue links (link_type)
+ */
+function normalizeIssue(node) {
+  const assignees = (node.assignees?.nodes || []).map(normalizeUser)
+
+  return {
+    id: parseGlobalId(node.id),
+    iid: Number(node.iid),
+    project_id: node.projectId,
+    title: node.title,
+    description: node.description,
+    state: node.state,
+    web_url: node.webUrl,
+    issue_type: node.type ? node.type.toLowerCase() : 'issue',
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    due_date: node.dueDate,
+    confidential: node.confidential,
+    weight: node.weight ?? null,
+    health_status: toSnakeCase(node.healthStatus),
+    user_notes_count: node.userNotesCount,
+    references: { full: node.reference },
+    moved_to_id: parseGlobalId(node.movedTo?.id),
+    author: normalizeUser(node.author),
+    assignees,
+    assignee: assignees[0] || null,
+    labels: (node.labels?.nodes || []).map(label => label.title),
+    milestone: node.milestone ? {
+      id: parseGlobalId(node.milestone.id),
+      iid: Number(node.milestone.iid),
+      title: node.milestone.title,
+      state: node.milestone.state,
+      start_date: node.milestone.startDate,
+      due_date: node.milestone.dueDate
+    } : null,
+    iteration: node.iteration ? {
+      id: parseGlobalId(node.iteration.id),
+      iid: Number(node.iteration.iid),
+      title: node.iteration.title,
+      state: ITERATION_STATES[node.iteration.state] ?? node.iteration.state,
+      start_date: node.iteration.startDate,
+      due_date: node.iteration.dueDate,
+      web_url: node.iteration.webUrl,
+      iteration_cadence: node.iteration.iterationCadence ? {
+        id: parseGlobalId(node.iteration.iterationCadence.id),
+        title: node.iteration.iterationCadence.title
+      } : null
+    } : null,
+    epic: node.epic ? {
+      id: parseGlobalId(node.epic.id),
+      iid: Number(node.epic.iid),
+      title: node.epic.title,
+      url: node.epic.webUrl,
+      group_id: parseGlobalId(node.epic.group?.id),
+      parent: node.epic.parent ? {
+        id: parseGlobalId(node.epic.parent.id),
+        iid: Number(node.epic.parent.iid),
+        title: node.epic.parent.title
+      } : null
+    } : null,
+    time_stats: {
+      time_estimate: node.timeEstimate || 0,
+      total_time_spent: node.totalTimeSpent || 0,
+      human_time_estimate: node.humanTimeEstimate,
+      human_total_time_spent: node.humanTotalTimeSpent
+    },
+    blocked: node.blocked,
+    blocked_by_count: node.blockedByCount || 0,
+    blocked_by_issues: (node.blockedByIssues?.nodes || []).map(blocker => ({
+      id: parseGlobalId(blocker.id),
+      iid: Number(blocker.iid),
+      web_url: blocker.webUrl
+    })),
+    linked_issues: (node.linkedWorkItems?.nodes || []).filter(link => link.workItem).map(link => ({
+      id: parseGlobalId(link.workItem.id),
+      iid: Number(link.workItem.iid),
+      web_url: link.workItem.webUrl,
+      state: link.workItemState ? link.workItemState.toLowerCase() : null,
+      link_type: link.linkType
+    }))
+  }
+}
+
+/**
+ * Normalize a GraphQL epic node to the REST /groups/:id/epics shape
+ */
+function normalizeEpic(node) {
+  return {
+    id: parseGlobalId(node.id),
+    iid: Number(node.iid),
+    group_id: parseGlobalId(node.group?.id),
+    parent_id: parseGlobalId(node.parent?.id),
+    parent_iid: node.parent ? Number(node.parent.iid) : null,
+    title: node.title,
+    description: node.description,
+    state: node.state,
+    web_url: node.webUrl,
+    confidential: node.confidential,
+    author: normalizeUser(node.author),
+    labels: (node.labels?.nodes || []).map(label => label.title),
+    start_date: node.startDate,
+    end_date: node.dueDate,
+    due_date: node.dueDate,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt
+  }
+}
+
+/**
+ * Page through a connection until hasNextPage is false
+ */
+async function fetchAllNodes(gitlabUrl, token, query, variables, getConnection, signal) {
+  let allNodes = []
+  let after = null
+
+  do {
+    const data = await gitlabGraphqlRequest(gitlabUrl, token, query, { ...variables, after }, { signal })
+    const connection = getConnection(data)
+
+    if (!connection) {
+      const error = new Error(`GraphQL API Error: ${variables.fullPath} not found or not accessible`)
+      error.status = 404
+      throw error
+    }
+
+    allNodes = allNodes.concat(connection.nodes)
+    after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null
+  } while (after)
+
+  return allNodes
+}
+
+/**
+ * GraphQL looks groups up by full path only; resolve numeric group IDs through REST
+ */
+async function resolveGroupFullPath(gitlabUrl, groupPath, token, signal) {
+  if (!/^\d+$/.test(String(groupPath))) {
+    return groupPath
+  }
+
+  const response = await gitlabRequest(`${gitlabUrl}/api/v4/groups/${groupPath}?with_projects=false`, token, { signal })
+  if (!response.ok) {
+    const error = new Error(`Group lookup failed: ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+  const group = await response.json()
+  return group.full_path
+}
+
+/**
+ * Fetch all issues of a project via GraphQL
+ * @param {string} projectPath - Full project path (namespace/project)
+ * @param {Object} options - { updatedAfter, createdBefore, signal }
+ */
+export async function fetchIssuesGraphql(gitlabUrl, projectPath, token, options = {}) {
+  const nodes = await fetchAllNodes(
+    gitlabUrl,
+    token,
+    PROJECT_ISSUES_QUERY,
+    { fullPath: projectPath, updatedAfter: options.updatedAfter || null, createdBefore: options.createdBefore || null },
+    data => data.project?.issues,
+    options.signal
+  )
+
+  if (isDev) {
+    console.log(`✓ GraphQL: loaded ${nodes.length} issues from project "${projectPath}"`)
+  }
+  return nodes.map(normalizeIssue)
+}
+
+/**
+ * Fetch all issues of a group and (unless includeSubgroups is false) its subgroups via GraphQL
+ * @param {string} groupPath - Full group path or numeric group ID
+ * @param {Object} options - { updatedAfter, createdBefore, includeSubgroups, signal }
+ */
+export async function fetchGroupIssuesGraphql(gitlabUrl, groupPath, token, options = {}) {
+  const fullPath = await resolveGroupFullPath(gitlabUrl, groupPath, token, options.signal)
+  const nodes = await fetchAllNodes(
+    gitlabUrl,
+    token,
+    GROUP_ISSUES_QUERY,
+    { fullPath, updatedAfter: options.updatedAfter || null, createdBefore: options.createdBefore || null, includeSubgroups: options.includeSubgroups !== false },
+    data => data.group?.issues,
+    options.signal
+  )
+
+  if (isDev) {
+    console.log(`✓ GraphQL: loaded ${nodes.length} issues from group "${fullPath}"`)
+  }
+  return nodes.map(normalizeIssue)
+}
+
+/**
+ * Fetch all epics of a group (and descendant groups) via GraphQL
+ * @param {string} groupPath - Full group path or numeric group ID
+ * @param {Object} options - { updatedAfter, createdBefore, signal }
+ */
+export async function fetchEpicsGraphql(gitlabUrl, groupPath, token, options = {}) {
+  if (!groupPath) {
+    return []
+  }
+
+  const fullPath = await resolveGroupFullPath(gitlabUrl, groupPath, token, options.signal)
+  const nodes = await fetchAllNodes(
+    gitlabUrl,
+    token,
+    GROUP_EPICS_QUERY,
+    { fullPath, updatedAfter: options.updatedAfter || null, createdBefore: options.createdBefore || null },
+    data => data.group?.epics,
+    options.signal
+  )
+
+  if (isDev) {
+    console.log(`✓ GraphQL: loaded ${nodes.length} epics from group "${fullPath}"`)
+  }
+  return nodes.map(normalizeEpic)
+}
+
+const SET_ISSUE_ITERATION_MUTATION = `
+  mutation SetIssueIteration($projectPath: ID!, $iid: String!, $iterationId: IterationID) {
+    issueSetIteration(input: { projectPath: $projectPath, iid: $iid, iterationId: $iterationId }) {
+      issue { iteration { id iid title state startDate dueDate webUrl } }
+      errors
+    }
+  }
+`
+
+/**
+ * Assign an issue to an iteration (REST has no iteration attribute on issue edit)
+ * @param {string} projectPath - Full project path (namespace/project)
+ * @param {number|null} iterationId - Numeric iteration ID, null removes the iteration
+ * @param {Object} options - { signal }
+ */
+export async function setIssueIterationGraphql(gitlabUrl, projectPath, issueIid, iterationId, token, options = {}) {
+  const data = await gitlabGraphqlRequest(gitlabUrl, token, SET_ISSUE_ITERATION_MUTATION, {
+    projectPath,
+    iid: String(issueIid),
+    iterationId: iterationId ? `gid://gitlab/Iteration/${iterationId}` : null
+  }, { signal: options.signal })
+
+  const result = data.issueSetIteration
+  if (result.errors && result.errors.length > 0) {
+    throw new Error(`Failed to update iteration: ${result.errors.join('; ')}`)
+  }
+
+  if (isDev) {
+    console.log(`✓ GraphQL: set iteration of issue #${issueIid} in "${projectPath}"`)
+  }
+  return result.issue
+}
@@ -0,0 +1,356 @@
+/**
+ * GitLab HTTP Client
+ * Shared request layer for all GitLab REST and GraphQL calls
+ * Handles bounded concurrency, retries with exponential backoff,
+ * Retry-After / RateLimit-* headers, cancellation and Link-header pagination
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+const MAX_CONCURRENT_REQUESTS = 6
+const MAX_RETRIES = 4
+const BASE_BACKOFF_MS = 500
+const MAX_BACKOFF_MS = 30000
+const RATE_LIMIT_LOW_WATERMARK = 5 // Pause all requests when fewer remain in the current window
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504])
+
+// Concurrency limiter state (shared by every caller in the tab)
+let activeRequests = 0
+const waitQueue = []
+
+// Timestamp (ms) before which no new request is started
+let rateLimitResumeAt = 0
+
+function createAbortError() {
+  return new DOMException('GitLab request aborted', 'AbortError')
+}
+
+/**
+ * Check whether an error was caused by cancelling a request
+ * Callers that swallow fetch errors should re-throw these
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+/**
+ * Check whether an error means GitLab could not be reached (network failure, timeout
+ * or server error), as opposed to a rejected request (401/403/404) or a configuration problem
+ */
+export function isConnectivityError(error) {
+  if (error?.status) {
+    return error.status >= 500 || error.status === 408
+  }
+  // fetch() rejects with a TypeError when the network request itself fails
+  return error instanceof TypeError || error?.name === 'TimeoutError'
+}
+
+/**
+ * Wait for a duration, rejecting early if the signal is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createAbortError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Wait for a free request slot
+ */
+function acquireSlot(signal) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError())
+  }
+
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests++
+    return Promise.resolve()
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve }
+    waitQueue.push(waiter)
+
+    signal?.addEventListener('abort', () => {
+      const index = waitQueue.indexOf(waiter)
+      if (index >= 0) {
+        waitQueue.splice(index, 1)
+        reject(createAbortError())
+      }
+    }, { once: true })
+  })
+}
+
+/**
+ * Release a request slot, handing it directly to the next waiter if any
+ */
+function releaseSlot() {
+  const next = waitQueue.shift()
+  if (next) {
+    next.resolve()
+  } else {
+    activeRequests--
+  }
+}
+
+/**
+ * Record RateLimit-* headers so that all requests pause before the limit is hit
+ * (GitLab only sends these when the instance has rate limiting enabled)
+ */
+function trackRateLimit(response) {
+  const remaining = response.headers.get('RateLimit-Remaining')
+  const reset = response.headers.get('RateLimit-Reset')
+
+  if (remaining !== null && reset !== null && Number(remaining) <= RATE_LIMIT_LOW_WATERMARK) {
+    rateLimitResumeAt = Math.max(rateLimitResumeAt, Number(reset) * 1000)
+  }
+}
+
+/**
+ * Determine how long to wait before retrying
+ * Honours Retry-After (seconds or HTTP date) and RateLimit-Reset, otherwise
+ * uses exponential backoff with jitter
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers.get('Retry-After')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000
+    }
+    const retryDate = Date.parse(retryAfter)
+    if (!Number.isNaN(retryDate)) {
+      return Math.max(0, retryDate - Date.now())
+    }
+  }
+
+  const reset = response?.headers.get('RateLimit-Reset')
+  if (response?.status === 429 && reset) {
+    return Math.max(0, Number(reset) * 1000 - Date.now())
+  }
+
+  const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt)
+  return backoff / 2 + Math.random() * (backoff / 2)
+}
+
+/**
+ * Whether a failed attempt may be retried
+ * Non-idempotent requests (POST by default) are only retried on 429,
+ * where the request was rejected before processing
+ */
+function isRetryable(idempotent, response) {
+  if (!response) {
+    return idempotent
+  }
+  if (!idempotent) {
+    return response.status === 429
+  }
+  return RETRYABLE_STATUSES.has(response.status)
+}
+
+/**
+ * Send a request to the GitLab API
+ * Retries transient failures and returns the final Response; callers still
+ * check response.ok and build their own error messages
+ *
+ * @param {string} url - Full API URL
+ * @param {string} token - GitLab API token
+ * @param {Object} options - { method, body, signal, retries, idempotent }
+ * @returns {Promise<Response>}
+ */
+export async function gitlabRequest(url, token, options = {}) {
+  const { method = 'GET', body, signal, retries = MAX_RETRIES } = options
+  const idempotent = options.idempotent ?? method !== 'POST'
+
+  const headers = { 'PRIVATE-TOKEN': token }
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json'
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const pauseMs = rateLimitResumeAt - Date.now()
+    if (pauseMs > 0) {
+      await sleep(pauseMs, signal)
+    }
+
+    await acquireSlot(signal)
+
+    let response = null
+    let networkError = null
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal
+      })
+    } catch (error) {
+      networkError = error
+    } finally {
+      releaseSlot()
+    }
+
+    if (networkError && isAbortError(networkError)) {
+      throw networkError
+    }
+
+    if (response) {
+      trackRateLimit(response)
+    }
+
+    const canRetry = attempt < retries && (networkError || !response.ok) && isRetryable(idempotent, response)
+    if (!canRetry) {
+      if (networkError) {
+        throw networkError
+      }
+      return response
+    }
+
+    const delay = getRetryDelay(response, attempt)
+
+    // A 429 means the whole client is over the limit, not just this request
+    if (response?.status === 429) {
+      rateLimitResumeAt = Math.max(rateLimitResumeAt, Date.now() + delay)
+    }
+
+    if (isDev) {
+      const reason = response ? `HTTP ${response.status}` : networkError.message
+      console.warn(`GitLab request retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms (${reason}): ${url}`)
+    }
+
+    await sleep(delay, signal)
+  }
+}
+
+/**
+ * Build an Error for a failed response, carrying the HTTP status
+ */
+export async function createResponseError(response, label, url) {
+  const errorText = await response.text()
+  const error = new Error(`${label} Error: ${response.status} - ${response.statusText}\nURL: ${url}\nResponse: ${errorText}`)
+  error.status = response.status
+  return error
+}
+
+/**
+ * Parse an RFC 5988 Link header into a { rel: url } map
+ */
+function parseLinkHeader(header) {
+  const links = {}
+  if (!header) return links
+
+  header.split(',').forEach(part => {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/)
+    if (match) {
+      links[match[2]] = match[1]
+    }
+  })
+  return links
+}
+
+/**
+ * Determine the URL of the next page
+ * Prefers the Link header (works for offset and keyset pagination), then
+ * X-Next-Page, then falls back to "full page means there may be more"
+ */
+function getNextPageUrl(response, currentUrl, itemCount) {
+  const links = parseLinkHeader(response.headers.get('Link'))
+  if (links.next) {
+    return links.next
+  }
+
+  const url = new URL(currentUrl)
+
+  if (response.headers.has('X-Page')) {
+    const nextPage = response.headers.get('X-Next-Page')
+    if (!nextPage) return null
+    url.searchParams.set('page', nextPage)
+    return url.toString()
+  }
+
+  // Pagination headers not exposed (e.g. by a proxy) - fall back to page counting
+  const perPage = Number(url.searchParams.get('per_page') || 20)
+  if (itemCount < perPage || url.searchParams.get('pagination') === 'keyset') {
+    return null
+  }
+  url.searchParams.set('page', Number(url.searchParams.get('page') || 1) + 1)
+  return url.toString()
+}
+
+/**
+ * Fetch every page of a list endpoint
+ * Pass pagination=keyset (plus order_by/sort) in the URL for endpoints that support it
+ *
+ * @param {string} url - URL of the first page (including per_page)
+ * @param {string} token - GitLab API token
+ * @param {Object} options - { signal, label, onPage(pageItems, allItems) }
+ * @returns {Promise<Array>} All items across pages
+ */
+export async function fetchAllPages(url, token, options = {}) {
+  const { signal, label = 'GitLab API', onPage = null } = options
+  let allItems = []
+  let nextUrl = url
+
+  while (nextUrl) {
+    const response = await gitlabRequest(nextUrl, token, { signal })
+
+    if (!response.ok) {
+      throw await createResponseError(response, label, nextUrl)
+    }
+
+    const pageItems = await response.json()
+    allItems = allItems.concat(pageItems)
+
+    if (onPage) {
+      onPage(pageItems, allItems)
+    }
+
+    nextUrl = pageItems.length > 0 ? getNextPageUrl(response, nextUrl, pageItems.length) : null
+  }
+
+  return allItems
+}
+
+/**
+ * Run a GraphQL query against /api/graphql
+ * Queries are read-only, so they are retried like GET requests
+ * Throws when the response carries GraphQL errors (kept on error.graphqlErrors)
+ *
+ * @returns {Promise<Object>} The response's data object
+ */
+export async function gitlabGraphqlRequest(gitlabUrl, token, query, variables = {}, options = {}) {
+  const url = `${gitlabUrl}/api/graphql`
+  const response = await gitlabRequest(url, token, {
+    method: 'POST',
+    body: { query, variables },
+    signal: options.signal,
+    idempotent: true
+  })
+
+  if (!response.ok) {
+    throw await createResponseError(response, 'GraphQL API', url)
+  }
+
+  const result = await response.json()
+  if (result.errors && result.errors.length > 0) {
+    const error = new Error(`GraphQL API Error: ${result.errors.map(e => e.message).join('; ')}`)
+    error.graphqlErrors = result.errors
+    throw error
+  }
+
+  return result.data
+}
@@ -0,0 +1,254 @@
+/**
+ * Holiday Calendar Service
+ * Regional public holiday calendars (imported from iCalendar .ics files) and per-member
+ * work weeks, used to count real working days in capacity calculations
+ *
+ * Team members reference a calendar through `region` (calendar id) and may set
+ * `workDays` (days of the week as Date#getDay() numbers, e.g. [1, 2, 3, 4] for Mon-Thu).
+ * Calendars are shared across all projects and pods.
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { persistentStore } from './persistentStore'
+import { parseICalEvents, expandICalEvent } from '../utils/icalUtils'
+
+const STORAGE_KEY = 'gitlab-pm-holiday-calendars'
+const RECURRENCE_YEARS = 10 // Occurrences generated for open-ended recurring holidays
+const MAX_EVENT_DAYS = 31 // Guard against malformed multi-day events
+
+export const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5]
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Local calendar date key (YYYY-MM-DD)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Load all holiday calendars
+ * @returns {Array} [{ id, name, holidays: [{ date, name }], importedAt }]
+ */
+export function loadHolidayCalendars() {
+  try {
+    const stored = persistentStore.getItem(STORAGE_KEY)
+    if (stored) {
+      return JSON.parse(stored).calendars || []
+    }
+  } catch (error) {
+    console.error('Error loading holiday calendars:', error)
+  }
+  return []
+}
+
+/**
+ * Save all holiday calendars
+ * @param {Array} calendars
+ */
+export function saveHolidayCalendars(calendars) {
+  try {
+    persistentStore.setItem(STORAGE_KEY, JSON.stringify({
+      calendars,
+      lastModified: new Date().toISOString()
+    }))
+    return true
+  } catch (error) {
+    console.error('Error saving holiday calendars:', error)
+    return false
+  }
+}
+
+/**
+ * Get a calendar by id
+ * @param {string} calendarId
+ * @returns {Object|null}
+ */
+export function getHolidayCalendar(calendarId) {
+  if (!calendarId) return null
+  return loadHolidayCalendars().find(c => c.id === calendarId) || null
+}
+
+/**
+ * Parse an iCalendar (.ics) file into holidays
+ * Supports all-day and timed VEVENTs, multi-day events and recurrence rules
+ * @param {string} text - .ics file content
+ * @returns {Object} { name (X-WR-CALNAME or null), holidays: [{ date, name }] } sorted by date
+ */
+export function parseICalendar(text) {
+  const { name, events } = parseICalEvents(text)
+  const holidays = new Map()
+
+  events
+    .filter(event => event.status !== 'CANCELLED')
+    .forEach(event => {
+      const limit = new Date(event.start.getFullYear() + RECURRENCE_YEARS, event.start.getMonth(), event.start.getDate())
+      expandICalEvent(event, limit).forEach(({ start, end }) => {
+        const days = Math.min(Math.round((end - start) / 86400000) + 1, MAX_EVENT_DAYS)
+        for (let i = 0; i < days; i++) {
+          const date = toDateKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i))
+          if (!holidays.has(date)) holidays.set(date, { date, name: event.summary || 'Holiday' })
+        }
+      })
+    })
+
+  if (holidays.size === 0) {
+    throw new Error('No events found in the iCalendar file')
+  }
+
+  return {
+    name,
+    holidays: Array.from(holidays.values()).sort((a, b) => a.date.localeCompare(b.date))
+  }
+}
+
+/**
+ * Import an .ics file as a new calendar, or merge it into an existing one
+ * Merging keeps existing dates and adds new ones (e.g. importing next year's holidays)
+ * @param {string} text - .ics file content
+ * @param {Object} options - { name, calendarId }
+ * @returns {Object} { calendar, added }
+ */
+export function importHolidayCalendar(text, { name = '', calendarId = null } = {}) {
+  const parsed = parseICalendar(text)
+  const calendars = loadHolidayCalendars()
+  const existing = calendarId ? calendars.find(c => c.id === calendarId) : null
+
+  let calendar
+  let added
+  if (existing) {
+    const known = new Set(existing.holidays.map(h => h.date))
+    const newHolidays = parsed.holidays.filter(h => !known.has(h.date))
+    added = newHolidays.length
+    calendar = {
+      ...existing,
+      holidays: [...existing.holidays, ...newHolidays].sort((a, b) => a.date.localeCompare(b.date)),
+      importedAt: new Date().toISOString()
+    }
+  } else {
+    const calendarName = name.trim() || parsed.name || 'Holidays'
+    added = parsed.holidays.length
+    calendar = {
+      id: `holidays-${Date.now()}`,
+      name: calendarName,
+      holidays: parsed.holidays,
+      importedAt: new Date().toISOString()
+    }
+  }
+
+  saveHolidayCalendars(existing
+    ? calendars.map(c => c.id === calendar.id ? calendar : c)
+    : [...calendars, calendar])
+
+  if (isDev) {
+    console.log(`Holiday calendar "${calendar.name}": ${added} holiday(s) imported`)
+  }
+
+  return { calendar, added }
+}
+
+/**
+ * Delete a calendar
+ * Members still referencing it simply fall back to no holidays
+ */
+export function removeHolidayCalendar(calendarId) {
+  saveHolidayCalendars(loadHolidayCalendars().filter(c => c.id !== calendarId))
+}
+
+/**
+ * Get a member's work week
+ * @param {Object} member - Team member ({ workDays })
+ * @returns {Array} Day numbers (0 = Sunday)
+ */
+export function getWorkWeek(member) {
+  const workDays = member?.workDays
+  return Array.isArray(workDays) && workDays.length > 0 ? [...workDays].sort((a, b) => a - b) : DEFAULT_WORK_DAYS
+}
+
+/**
+ * Short label for a work week, e.g. "Mon-Fri", "Mon-Thu" or "Mon, Wed, Fri"
+ * @param {Array} workDays
+ * @returns {string}
+ */
+export function formatWorkWeek(workDays) {
+  // Order Monday first
+  const days = [...new Set(workDays)].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+  if (days.length === 0) return 'No working days'
+
+  const consecutive = days.every((day, i) => i === 0 || day === (days[i - 1] + 1) % 7)
+  if (consecutive && days.length > 2) {
+    return `${WEEKDAY_LABELS[days[0]]}-${WEEKDAY_LABELS[days[days.length - 1]]}`
+  }
+  return days.map(day => WEEKDAY_LABELS[day]).join(', ')
+}
+
+/**
+ * Working-day rules for a team member: their work week and their region's holidays
+ * Members without region/workDays get Monday-Friday without holidays
+ * @param {Object} member - Team member ({ region, workDays })
+ * @param {Array} calendars - Optional preloaded calendars
+ * @returns {Object} { workDays: Set, holidays: Map of date key → holiday name, regionName }
+ */
+export function getWorkingDayRules(member, calendars = null) {
+  const calendar = member?.region
+    ? (calendars || loadHolidayCalendars()).find(c => c.id === member.region)
+    : null
+
+  return {
+    workDays: new Set(getWorkWeek(member)),
+    holidays: new Map((calendar?.holidays || []).map(h => [h.date, h.name])),
+    regionName: calendar?.name || null
+  }
+}
+
+/**
+ * Check whether a date is a working day under the given rules
+ */
+export function isWorkingDay(date, rules) {
+  return rules.workDays.has(date.getDay()) && !rules.holidays.has(toDateKey(date))
+}
+
+/**
+ * Count working days between two dates (inclusive) under the given rules
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {Object} rules - From getWorkingDayRules()
+ * @returns {number}
+ */
+export function countWorkingDays(startDate, endDate, rules) {
+  let count = 0
+  const current = new Date(startDate)
+
+  while (current <= endDate) {
+    if (isWorkingDay(current, rules)) {
+      count++
+    }
+    current.setDate(current.getDate() + 1)
+  }
+
+  return count
+}
+
+/**
+ * Holidays that fall on a member's working days within a range
+ * @returns {Array} [{ date, name }]
+ */
+export function getHolidaysInRange(startDate, endDate, rules) {
+  const start = toDateKey(startDate)
+  const end = toDateKey(endDate)
+  const holidays = []
+
+  rules.holidays.forEach((name, date) => {
+    if (date < start || date > end) return
+    const [year, month, day] = date.split('-').map(Number)
+    if (rules.workDays.has(new Date(year, month - 1, day).getDay())) {
+      holidays.push({ date, name })
+    }
+  })
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date))
+}
@@ -0,0 +1,166 @@
+/**
+ * Live Update Service
+ * Connects to the optional webhook relay (server/webhookRelay.js) and patches the
+ * loaded issues, epics and milestones with the deltas it pushes, without a full reload
+ * Derived data (cross-project links, epic hierarchy) catches up on the next sync
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+const COLLECTIONS = {
+  issue: 'issues',
+  epic: 'epics',
+  milestone: 'milestones'
+}
+
+// Dashboard-side tags copied from sibling items onto newly created ones
+const TAG_FIELDS = ['_projectId', '_projectName', '_sourceGroup', '_sourceGroupName']
+
+/**
+ * Subscribe to deltas from the relay's SSE endpoint
+ * EventSource reconnects on its own and the relay replays missed deltas on reconnect
+ * @param {string} relayUrl - e.g. http://localhost:8787/events
+ * @param {Object} handlers - { onDelta(delta), onStatusChange(status) }
+ *   status: 'connecting' | 'connected' | 'disconnected' | 'unsupported'
+ * @returns {function} Unsubscribe
+ */
+export function connectLiveUpdates(relayUrl, { onDelta, onStatusChange = () => {} }) {
+  if (typeof EventSource === 'undefined') {
+    onStatusChange('unsupported')
+    return () => {}
+  }
+
+  const source = new EventSource(relayUrl)
+  onStatusChange('connecting')
+
+  source.onopen = () => {
+    if (isDev) {
+      console.log(`Live updates connected: ${relayUrl}`)
+    }
+    onStatusChange('connected')
+  }
+  source.onerror = () => {
+    onStatusChange(source.readyState === EventSource.CLOSED ? 'disconnected' : 'connecting')
+  }
+  source.addEventListener('delta', event => {
+    try {
+      onDelta(JSON.parse(event.data))
+    } catch (e) {
+      console.error('Error applying live update:', e)
+    }
+  })
+
+  return () => source.close()
+}
+
+/**
+ * Dashboard-side tags of an item or project
+ */
+function pickTags(source) {
+  const tags = {}
+  TAG_FIELDS.forEach(field => {
+    if (source[field] !== undefined) tags[field] = source[field]
+  })
+  return tags
+}
+
+/**
+ * Whether a new item belongs to the loaded dataset (same project or group as something already loaded)
+ */
+function findSibling(data, delta) {
+  const { kind, item } = delta
+  const candidates = [...(data.issues || []), ...(data.milestones || []), ...(data.epics || [])]
+  if (kind === 'epic') {
+    return (data.epics || []).find(epic => epic.group_id === item.group_id) || null
+  }
+  return candidates.find(other =>
+    (item.project_id && other.project_id === item.project_id) ||
+    (item.group_id && other.group_id === item.group_id)
+  ) || null
+}
+
+/**
+ * Tags for a new item of a loaded project without any loaded items yet (e.g. its first issue)
+ * Looked up in the project list of group mode, then in the configured projects of the view,
+ * which may be referenced by numeric id or by path with namespace
+ * @returns {Object|null} Tags, or null when the item's project is not part of the view
+ */
+function findProjectTags(data, delta, projects) {
+  const id = delta.project?.id || delta.item.project_id
+  const path = delta.project?.path?.toLowerCase()
+  if (!id) return null
+
+  const loaded = (data.projects || []).find(project => project.id === id)
+  if (loaded) return pickTags(loaded)
+
+  const configured = projects.find(project =>
+    String(project.ref) === String(id) || (path && String(project.ref).toLowerCase() === path)
+  )
+  return configured ? configured.tags : null
+}
+
+/**
+ * Resolve the milestone_id / iteration_id sent by issue webhooks into the nested objects the views use
+ */
+function resolveIssueReferences(merged, item, existing, data) {
+  if ('milestone_id' in item) {
+    merged.milestone = !item.milestone_id
+      ? null
+      : (data.milestones || []).find(m => m.id === item.milestone_id) ||
+        (existing?.milestone?.id === item.milestone_id ? existing.milestone : null)
+    delete merged.milestone_id
+  }
+
+  if ('iteration_id' in item) {
+    merged.iteration = !item.iteration_id
+      ? null
+      : (existing?.iteration?.id === item.iteration_id
+          ? existing.iteration
+          : (data.issues || []).find(issue => issue.iteration?.id === item.iteration_id)?.iteration || null)
+    delete merged.iteration_id
+  }
+
+  return merged
+}
+
+/**
+ * Apply a relay delta to the dataset
+ * Existing items are patched in place of the old object, new items are added when they
+ * belong to a loaded project or group, deleted items are removed
+ * @param {Object} data - Dataset
+ * @param {Object} delta - Delta from the relay
+ * @param {Object} options - { projects: configured projects of the view as [{ ref, tags }],
+ *   used for new items no loaded item shares a project with }
+ * @returns {Object} New dataset object, or the same object when the delta does not apply
+ */
+export function applyDelta(data, delta, { projects = [] } = {}) {
+  const collection = COLLECTIONS[delta.kind]
+  if (!collection || !delta.item) return data
+
+  const items = data[collection] || []
+  const index = items.findIndex(existing => existing.id === delta.item.id)
+
+  if (delta.action === 'delete' || delta.action === 'destroy') {
+    if (index === -1) return data
+    return { ...data, [collection]: items.filter((_, i) => i !== index) }
+  }
+
+  let next
+  if (index >= 0) {
+    const existing = items[index]
+    const merged = resolveIssueReferences({ ...existing, ...delta.item }, delta.item, existing, data)
+    next = [...items]
+    next[index] = merged
+  } else {
+    const sibling = findSibling(data, delta)
+    const tags = sibling ? pickTags(sibling) : (delta.kind !== 'epic' && findProjectTags(data, delta, projects))
+    if (!tags) return data
+
+    next = [...items, resolveIssueReferences({ ...delta.item, ...tags }, delta.item, null, data)]
+  }
+
+  if (isDev) {
+    console.log(`Live update: ${delta.kind} ${delta.action} #${delta.item.iid ?? delta.item.id}`)
+  }
+  return { ...data, [collection]: next }
+}
@@ -0,0 +1,221 @@
+/**
+ * Metric Snapshot Service
+ * Compact daily metrics record per project or pod, stored whenever data is loaded,
+ * so trends can be charted instead of being reconstructed from closed issues
+ *
+ * Snapshot: { id: 'YYYY-MM-DD', date, recordedAt, metrics: { [metricKey]: number },
+ *             epicStatus: { [epicId]: 'red'|'amber'|'green' } }
+ * One snapshot per day; a later refresh on the same day replaces it.
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { getActiveProjectId, getActiveGroupId } from './storageService'
+import { persistentStore } from './persistentStore'
+import { calculateStats, calculateHealthScore, isBlocker } from './metricsService'
+import { getComplianceStats } from './complianceService'
+import { calculateEpicRAG, getHistoricalData } from './ragAnalysisService'
+import { detectIssuePhase } from './cycleTimeService'
+import { toDateKey } from './holidayCalendarService'
+
+const STORAGE_KEY = 'gitlab-pm-metric-snapshots'
+const RETENTION_DAYS = 400
+const DAY_MS = 1000 * 60 * 60 * 24
+const WIP_PHASES = ['inProgress', 'review', 'testing', 'awaitingTesting']
+
+export const TREND_RANGES = [30, 90, 365]
+
+/**
+ * Metrics kept in every snapshot
+ * higherIsBetter: colours week-over-week deltas (null = neutral)
+ */
+export const SNAPSHOT_METRICS = {
+  healthScore: { label: 'Health Score', unit: '', higherIsBetter: true, color: '#2563EB' },
+  completionRate: { label: 'Completion Rate', unit: '%', higherIsBetter: true, color: '#10B981' },
+  openIssues: { label: 'Open Issues', unit: '', higherIsBetter: null, color: '#6B7280' },
+  wip: { label: 'Work in Progress', unit: '', higherIsBetter: null, color: '#F59E0B' },
+  blockers: { label: 'Open Blockers', unit: '', higherIsBetter: false, color: '#DC2626' },
+  overdue: { label: 'Overdue Issues', unit: '', higherIsBetter: false, color: '#B91C1C' },
+  complianceRate: { label: 'Compliance Rate', unit: '%', higherIsBetter: true, color: '#7C3AED' },
+  nonCompliant: { label: 'Non-Compliant Issues', unit: '', higherIsBetter: false, color: '#DB2777' },
+  staleIssues: { label: 'Stale Issues', unit: '', higherIsBetter: false, color: '#92400E' },
+  epicsRed: { label: 'Red Epics', unit: '', higherIsBetter: false, color: '#DC2626' },
+  epicsAmber: { label: 'Amber Epics', unit: '', higherIsBetter: false, color: '#F59E0B' },
+  epicsGreen: { label: 'Green Epics', unit: '', higherIsBetter: true, color: '#10B981' }
+}
+
+/**
+ * Get context-specific key for storage
+ * Priority: Pod-level > Project-level > Global
+ */
+function getProjectKey(baseKey) {
+  const groupId = getActiveGroupId()
+  if (groupId) {
+    return `${baseKey}_pod_${groupId}`
+  }
+
+  const projectId = getActiveProjectId()
+  if (!projectId || projectId === 'cross-project') {
+    return baseKey
+  }
+  return `${baseKey}_${projectId}`
+}
+
+/**
+ * Load snapshots of the active project/pod, oldest first
+ * @returns {Array}
+ */
+export function loadMetricSnapshots() {
+  try {
+    const stored = persistentStore.getItem(getProjectKey(STORAGE_KEY))
+    if (stored) {
+      return JSON.parse(stored).snapshots || []
+    }
+  } catch (error) {
+    console.error('Error loading metric snapshots:', error)
+  }
+  return []
+}
+
+/**
+ * Save snapshots of the active project/pod and notify open trend charts
+ */
+function saveMetricSnapshots(snapshots) {
+  try {
+    persistentStore.setItem(getProjectKey(STORAGE_KEY), JSON.stringify({
+      snapshots,
+      lastModified: new Date().toISOString()
+    }))
+    window.dispatchEvent(new Event('metricSnapshotsChanged'))
+    return true
+  } catch (error) {
+    console.error('Error saving metric snapshots:', error)
+    return false
+  }
+}
+
+/**
+ * Calculate the metrics of a dataset
+ * @param {Object} dataset - { issues, epics, healthScore } (healthScore as shown on the dashboard, optional)
+ * @returns {Object} { metrics, epicStatus }
+ */
+export function calculateSnapshotMetrics({ issues = [], epics = [], healthScore = null }) {
+  const openIssues = issues.filter(i => i.state === 'opened')
+  const stats = calculateStats(issues)
+  const compliance = getComplianceStats(openIssues)
+
+  const historicalData = getHistoricalData(issues.filter(i => i.state === 'closed'))
+  const epicStatus = {}
+  epics
+    .filter(epic => epic.state === 'opened')
+    .forEach(epic => {
+      const epicIssues = issues.filter(i => i.epic?.id === epic.id)
+      if (epicIssues.length > 0) {
+        epicStatus[epic.id] = calculateEpicRAG(epic, epicIssues, historicalData).status
+      }
+    })
+  const ragCounts = Object.values(epicStatus)
+
+  return {
+    metrics: {
+      healthScore: (healthScore || calculateHealthScore(stats)).score,
+      completionRate: stats.completionRate,
+      openIssues: stats.open,
+      wip: openIssues.filter(i => WIP_PHASES.includes(detectIssuePhase(i))).length,
+      blockers: openIssues.filter(i => isBlocker(i.labels || [])).length,
+      overdue: stats.overdue,
+      complianceRate: compliance.complianceRate,
+      nonCompliant: compliance.nonCompliant,
+      staleIssues: compliance.staleIssues.total,
+      epicsRed: ragCounts.filter(s => s === 'red').length,
+      epicsAmber: ragCounts.filter(s => s === 'amber').length,
+      epicsGreen: ragCounts.filter(s => s === 'green').length
+    },
+    epicStatus
+  }
+}
+
+/**
+ * Record today's snapshot of a freshly loaded dataset
+ * @param {Object} dataset - { issues, epics, healthScore }
+ * @param {Date} now
+ * @returns {Object|null} The snapshot, or null without issues
+ */
+export function recordMetricSnapshot(dataset, now = new Date()) {
+  if (!dataset.issues || dataset.issues.length === 0) return null
+
+  const { metrics, epicStatus } = calculateSnapshotMetrics(dataset)
+  const day = toDateKey(now)
+  const retentionCutoff = toDateKey(now.getTime() - RETENTION_DAYS * DAY_MS)
+
+  const snapshot = {
+    id: day,
+    date: day,
+    recordedAt: now.toISOString(),
+    metrics,
+    epicStatus
+  }
+
+  const snapshots = loadMetricSnapshots()
+    .filter(s => s.date !== day && s.date >= retentionCutoff)
+  snapshots.push(snapshot)
+  snapshots.sort((a, b) => a.date.localeCompare(b.date))
+  saveMetricSnapshots(snapshots)
+
+  if (isDev) {
+    console.log(`Metric snapshot recorded for ${day} (${snapshots.length} days of history)`)
+  }
+
+  return snapshot
+}
+
+/**
+ * Snapshots of the last N days, oldest first
+ */
+export function getSnapshotsInRange(snapshots, days, now = new Date()) {
+  const from = toDateKey(now.getTime() - (days - 1) * DAY_MS)
+  return snapshots.filter(s => s.date >= from)
+}
+
+/**
+ * Daily values of one metric
+ * @returns {Array} [{ date, value }]
+ */
+export function getMetricSeries(snapshots, metricKey) {
+  return snapshots
+    .filter(s => typeof s.metrics?.[metricKey] === 'number')
+    .map(s => ({ date: s.date, value: s.metrics[metricKey] }))
+}
+
+/**
+ * Week-over-week change of a metric: latest value vs. the last value at least 7 days older
+ * @returns {Object|null} { current, previous, previousDate, delta, deltaPercent } or null without a week of history
+ */
+export function getWeekOverWeekDelta(snapshots, metricKey) {
+  const series = getMetricSeries(snapshots, metricKey)
+  if (series.length === 0) return null
+
+  const latest = series[series.length - 1]
+  const weekBefore = toDateKey(new Date(`${latest.date}T00:00:00`).getTime() - 7 * DAY_MS)
+  const previous = [...series].reverse().find(point => point.date <= weekBefore)
+  if (!previous) return null
+
+  const delta = Math.round((latest.value - previous.value) * 10) / 10
+  return {
+    current: latest.value,
+    previous: previous.value,
+    previousDate: previous.date,
+    delta,
+    deltaPercent: previous.value !== 0 ? Math.round((delta / previous.value) * 100) : null
+  }
+}
+
+/**
+ * Daily RAG status of one epic
+ * @returns {Array} [{ date, status }]
+ */
+export function getEpicStatusHistory(snapshots, epicId) {
+  return snapshots
+    .filter(s => s.epicStatus?.[epicId])
+    .map(s => ({ date: s.date, status: s.epicStatus[epicId] }))
+}
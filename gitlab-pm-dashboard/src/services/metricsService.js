@@ -8,6 +8,7 @@ import {
   HEALTH_SCORE_AMPLIFIERS,
   HEALTH_THRESHOLDS
 } from '../constants/config.js'
+import { persistentStore } from './persistentStore.js'
 
 /**
  * Get progress percentage for an issue based on labels and state
@@ -79,10 +80,10 @@ export function calculateStats(issues) {
 }
 
 /**
- * Load health score configuration from localStorage or use defaults
+ * Load health score configuration from storage or use defaults
  */
 function getHealthScoreConfig() {
-  const saved = localStorage.getItem('healthScoreConfig')
+  const saved = persistentStore.getItem('healthScoreConfig')
   if (saved) {
     try {
       return JSON.parse(saved)
@@ -101,7 +102,7 @@ function getHealthScoreConfig() {
 
 /**
  * Calculate health score based on multiple dimensions
- * Now uses configurable weights and amplifiers from localStorage or defaults
+ * Now uses configurable weights and amplifiers from storage or defaults
  */
 export function calculateHealthScore(stats) {
   const config = getHealthScoreConfig()
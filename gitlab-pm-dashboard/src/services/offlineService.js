@@ -0,0 +1,47 @@
+/**
+ * Offline Service
+ * Tracks whether the dashboard is currently serving the cached dataset
+ * so secondary fetches (e.g. label events) can skip the network as well
+ */
+
+let offlineSince = null
+
+/**
+ * Mark the dashboard as offline (serving cached data) or back online
+ */
+export function setOfflineMode(active) {
+  if (active) {
+    offlineSince = offlineSince || new Date().toISOString()
+  } else {
+    offlineSince = null
+  }
+}
+
+/**
+ * Whether the browser reports no network connection
+ */
+export function isBrowserOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false
+}
+
+/**
+ * Whether data should come from the offline cache instead of GitLab
+ */
+export function isOfflineMode() {
+  return offlineSince !== null || isBrowserOffline()
+}
+
+/**
+ * Key for the persisted label events of a GitLab project
+ * (events are keyed by issue ID; the former IID-keyed 'label-events' datasets are not read)
+ */
+export function getLabelEventsDatasetKey(config) {
+  return `label-events-by-id|${config.gitlabUrl}|${config.projectId || ''}`
+}
+
+/**
+ * Key for the persisted issue links of a GitLab project
+ */
+export function getIssueLinksDatasetKey(config) {
+  return `issue-links|${config.gitlabUrl}|${config.projectId || ''}`
+}
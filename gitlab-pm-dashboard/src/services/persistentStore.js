@@ -0,0 +1,392 @@
+/**
+ * Persistent Store
+ * Versioned IndexedDB storage for all dashboard data (configuration, team settings,
+ * stakeholder hub, decisions, absences, ...), replacing direct localStorage access
+ *
+ * Services keep their synchronous, localStorage-style API: all entries are loaded into
+ * memory once at startup (initPersistentStore) and every write goes to memory first and
+ * is then written through to IndexedDB in batches. Values are the same strings services
+ * previously wrote to localStorage, so key schemes and parsing stay unchanged.
+ *
+ * Falls back to localStorage when IndexedDB is unavailable (e.g. some private browsing modes)
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+const DB_NAME = 'githarmony-store'
+const DB_VERSION = 1
+const DATA_STORE = 'entries' // { key, value }
+const META_STORE = 'meta' // { key: 'schemaVersion', value }
+const CHANNEL_NAME = 'githarmony-store'
+
+/**
+ * Forward data migrations, applied in order on startup
+ * Append a migration when the shape of stored data changes (SCHEMA_VERSION follows the last one).
+ * migrate(entries) receives the key → value Map and may return a cleanup function that
+ * runs once the migrated data has been committed to IndexedDB.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Import existing localStorage data',
+    migrate(entries) {
+      if (typeof localStorage === 'undefined') return null
+
+      const imported = []
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i)
+        if (key === null) continue
+        if (!entries.has(key)) {
+          entries.set(key, localStorage.getItem(key))
+        }
+        imported.push(key)
+      }
+
+      if (isDev) {
+        console.log(`Persistent store: imported ${imported.length} localStorage entries`)
+      }
+      // Free the localStorage quota only after the data is safely in IndexedDB
+      return () => imported.forEach(key => localStorage.removeItem(key))
+    }
+  }
+]
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+let db = null
+let cache = null // Map of key → string, null until initPersistentStore() has finished
+let backend = 'localStorage'
+let schemaVersion = 0
+let initPromise = null
+let channel = null
+const pendingWrites = new Map() // key → string, or null for removals
+let flushPromise = null
+const changeListeners = new Set()
+
+function openDatabase() {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null)
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const database = request.result
+      if (!database.objectStoreNames.contains(DATA_STORE)) {
+        database.createObjectStore(DATA_STORE, { keyPath: 'key' })
+      }
+      if (!database.objectStoreNames.contains(META_STORE)) {
+        database.createObjectStore(META_STORE, { keyPath: 'key' })
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.warn('Persistent store unavailable, falling back to localStorage:', request.error)
+      resolve(null)
+    }
+  })
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+  })
+}
+
+/**
+ * Apply pending migrations to the loaded entries and commit them together with the new schema version
+ */
+async function runMigrations(entries, fromVersion) {
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion)
+  if (pending.length === 0) return fromVersion
+
+  const before = new Map(entries)
+  const cleanups = []
+  pending.forEach(migration => {
+    if (isDev) {
+      console.log(`Persistent store: migrating to schema v${migration.version} (${migration.description})`)
+    }
+    const cleanup = migration.migrate(entries)
+    if (typeof cleanup === 'function') cleanups.push(cleanup)
+  })
+
+  const tx = db.transaction([DATA_STORE, META_STORE], 'readwrite')
+  const dataStore = tx.objectStore(DATA_STORE)
+  entries.forEach((value, key) => {
+    if (before.get(key) !== value) dataStore.put({ key, value })
+  })
+  before.forEach((_, key) => {
+    if (!entries.has(key)) dataStore.delete(key)
+  })
+  const version = pending[pending.length - 1].version
+  tx.objectStore(META_STORE).put({ key: 'schemaVersion', value: version })
+  await transactionDone(tx)
+
+  cleanups.forEach(cleanup => {
+    try {
+      cleanup()
+    } catch (e) {
+      console.error('Error cleaning up after storage migration:', e)
+    }
+  })
+  return version
+}
+
+/**
+ * Keep other open tabs in sync and let them react like they did to localStorage 'storage' events
+ */
+function connectChannel() {
+  if (typeof BroadcastChannel === 'undefined') return
+
+  channel = new BroadcastChannel(CHANNEL_NAME)
+  channel.onmessage = (event) => {
+    const { key, value } = event.data || {}
+    if (!cache) return
+    if (key === null) {
+      cache.clear()
+    } else if (value === null) {
+      cache.delete(key)
+    } else {
+      cache.set(key, value)
+    }
+    window.dispatchEvent(new StorageEvent('storage', { key, newValue: value }))
+  }
+}
+
+/**
+ * Open the store, run migrations and load all entries into memory
+ * Must finish before the app renders; safe to call more than once
+ * @returns {Promise<Object>} { backend: 'indexedDB' | 'localStorage', schemaVersion }
+ */
+export function initPersistentStore() {
+  if (initPromise) return initPromise
+
+  initPromise = (async () => {
+    try {
+      db = await openDatabase()
+      if (!db) {
+        return { backend, schemaVersion }
+      }
+
+      const tx = db.transaction([DATA_STORE, META_STORE], 'readonly')
+      const [records, meta] = await Promise.all([
+        requestToPromise(tx.objectStore(DATA_STORE).getAll()),
+        requestToPromise(tx.objectStore(META_STORE).get('schemaVersion'))
+      ])
+
+      const entries = new Map(records.map(record => [record.key, record.value]))
+      schemaVersion = await runMigrations(entries, meta?.value || 0)
+
+      cache = entries
+      backend = 'indexedDB'
+      connectChannel()
+
+      if (isDev) {
+        console.log(`Persistent store ready: ${cache.size} entries, schema v${schemaVersion}`)
+      }
+    } catch (e) {
+      console.error('Error initializing persistent store, using localStorage:', e)
+      db = null
+      cache = null
+      backend = 'localStorage'
+    }
+    return { backend, schemaVersion }
+  })()
+
+  return initPromise
+}
+
+/**
+ * Write queued changes to IndexedDB in one transaction
+ */
+function scheduleFlush() {
+  if (flushPromise) return
+
+  flushPromise = Promise.resolve().then(async () => {
+    const writes = new Map(pendingWrites)
+    pendingWrites.clear()
+    try {
+      const tx = db.transaction(DATA_STORE, 'readwrite')
+      const store = tx.objectStore(DATA_STORE)
+      writes.forEach((value, key) => {
+        if (value === null) {
+          store.delete(key)
+        } else {
+          store.put({ key, value })
+        }
+      })
+      await transactionDone(tx)
+    } catch (e) {
+      console.error('Error saving to persistent store:', e)
+    } finally {
+      flushPromise = null
+      if (pendingWrites.size > 0) scheduleFlush()
+    }
+  })
+}
+
+/**
+ * Subscribe to writes made in this tab (setItem/removeItem/clear)
+ * @param {function} listener - Called with the changed key (null for clear)
+ * @returns {function} Unsubscribe
+ */
+export function onStoreChange(listener) {
+  changeListeners.add(listener)
+  return () => changeListeners.delete(listener)
+}
+
+function notifyChange(key) {
+  changeListeners.forEach(listener => {
+    try {
+      listener(key)
+    } catch (e) {
+      console.error('Error in storage change listener:', e)
+    }
+  })
+}
+
+function queueWrite(key, value) {
+  pendingWrites.set(key, value)
+  channel?.postMessage({ key, value })
+  scheduleFlush()
+}
+
+/**
+ * Wait until all queued writes have reached IndexedDB
+ */
+export async function flushPersistentStore() {
+  while (flushPromise) {
+    await flushPromise
+  }
+}
+
+/**
+ * localStorage-compatible store used by all services
+ * Reads and writes are synchronous; before initPersistentStore() finishes (or without
+ * IndexedDB) calls go straight to localStorage
+ */
+export const persistentStore = {
+  getItem(key) {
+    if (!cache) return localStorage.getItem(key)
+    return cache.has(key) ? cache.get(key) : null
+  },
+
+  setItem(key, value) {
+    if (!cache) {
+      localStorage.setItem(key, value)
+    } else {
+      const stringValue = String(value)
+      cache.set(key, stringValue)
+      queueWrite(key, stringValue)
+    }
+    notifyChange(key)
+  },
+
+  removeItem(key) {
+    if (!cache) {
+      localStorage.removeItem(key)
+    } else {
+      if (!cache.has(key)) return
+      cache.delete(key)
+      queueWrite(key, null)
+    }
+    notifyChange(key)
+  },
+
+  key(index) {
+    if (!cache) return localStorage.key(index)
+    return Array.from(cache.keys())[index] ?? null
+  },
+
+  get length() {
+    return cache ? cache.size : localStorage.length
+  },
+
+  /**
+   * All stored keys
+   */
+  keys() {
+    if (!cache) return Object.keys(localStorage)
+    return Array.from(cache.keys())
+  },
+
+  clear() {
+    if (!cache) {
+      localStorage.clear()
+    } else {
+      cache.clear()
+      pendingWrites.clear()
+      channel?.postMessage({ key: null, value: null })
+      db.transaction(DATA_STORE, 'readwrite').objectStore(DATA_STORE).clear()
+    }
+    notifyChange(null)
+  }
+}
+
+/**
+ * Report storage usage and quota
+ * @returns {Promise<Object>} {
+ *   backend, schemaVersion, keyCount, totalSize (bytes of stored strings),
+ *   usage, quota (origin-wide, from navigator.storage when available), persisted,
+ *   largestKeys: [{ key, size }]
+ * }
+ */
+export async function getStorageUsage() {
+  const sizes = persistentStore.keys().map(key => ({
+    key,
+    size: (key.length + (persistentStore.getItem(key) || '').length) * 2 // UTF-16
+  }))
+
+  const result = {
+    backend,
+    schemaVersion,
+    keyCount: sizes.length,
+    totalSize: sizes.reduce((sum, entry) => sum + entry.size, 0),
+    usage: null,
+    quota: null,
+    persisted: false,
+    largestKeys: sizes.sort((a, b) => b.size - a.size).slice(0, 10)
+  }
+
+  try {
+    if (navigator.storage?.estimate) {
+      const estimate = await navigator.storage.estimate()
+      result.usage = estimate.usage ?? null
+      result.quota = estimate.quota ?? null
+    }
+    if (navigator.storage?.persisted) {
+      result.persisted = await navigator.storage.persisted()
+    }
+  } catch (e) {
+    console.error('Error loading storage estimate:', e)
+  }
+
+  return result
+}
+
+/**
+ * Ask the browser not to evict the store under storage pressure
+ * @returns {Promise<boolean>} True if storage is persistent
+ */
+export async function requestPersistentStorage() {
+  try {
+    if (navigator.storage?.persist) {
+      return await navigator.storage.persist()
+    }
+  } catch (e) {
+    console.error('Error requesting persistent storage:', e)
+  }
+  return false
+}
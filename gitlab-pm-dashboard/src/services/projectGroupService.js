@@ -3,6 +3,8 @@
  * Manages custom groupings of projects for flexible portfolio views
  */
 
+import { persistentStore } from './persistentStore.js'
+
 const STORAGE_KEY = 'gitlab-pm-project-groups'
 
 /**
@@ -21,7 +23,7 @@ const STORAGE_KEY = 'gitlab-pm-project-groups'
  */
 export function loadProjectGroups() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY)
+    const stored = persistentStore.getItem(STORAGE_KEY)
     if (stored) {
       return JSON.parse(stored)
     }
@@ -36,7 +38,7 @@ export function loadProjectGroups() {
  */
 export function saveProjectGroups(groups) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(groups))
+    persistentStore.setItem(STORAGE_KEY, JSON.stringify(groups))
     return true
   } catch (error) {
     console.error('Error saving project groups:', error)
@@ -98,4 +100,20 @@ export function getProjectsForGroup(groupId, allProjects) {
   if (!group) return []
 
   return allProjects.filter(p => group.projectIds.includes(p.id))
-}
\ No newline at end of file
+}
+
+/**
+ * Slice fetched data to a single source group
+ */
+export function filterDataBySourceGroup(data, groupPath) {
+  if (!groupPath) return data
+
+  const inGroup = item => item._sourceGroup === groupPath
+  return {
+    ...data,
+    issues: data.issues.filter(inGroup),
+    milestones: data.milestones.filter(inGroup),
+    epics: data.epics.filter(inGroup),
+    projects: (data.projects || []).filter(inGroup)
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Release Service
+ * Shared access to planned releases (managed in Release Planning)
+ */
+
+import { persistentStore } from './persistentStore'
+
+const STORAGE_KEY = 'gitlab-pm-releases'
+
+/**
+ * Load planned releases
+ * @returns {Array} [{ id, version, name, startDate, targetDate, milestone, includedIssues, status, ... }]
+ */
+export function loadReleases() {
+  try {
+    const stored = persistentStore.getItem(STORAGE_KEY)
+    if (stored) {
+      return JSON.parse(stored).releases || []
+    }
+  } catch (error) {
+    console.error('Error loading releases:', error)
+  }
+  return []
+}
+
+/**
+ * Issues that belong to a release
+ * Matches the release::<version> label, the release milestone, manually included issues
+ * and issues due within the release window
+ * @param {Object} release
+ * @param {Array} issues
+ * @returns {Array}
+ */
+export function getReleaseIssues(release, issues) {
+  return issues.filter(issue => {
+    // Check if issue is tagged for this release
+    if (issue.labels?.includes(`release::${release.version}`)) return true
+
+    // Check if issue's milestone matches release milestone
+    if (release.milestone && issue.milestone?.title === release.milestone) return true
+
+    // Check if issue is manually included
+    if (release.includedIssues?.includes(issue.iid)) return true
+
+    // Check if issue is within release date range
+    if (issue.due_date) {
+      const dueDate = new Date(issue.due_date)
+      const releaseDate = new Date(release.targetDate)
+      const startDate = new Date(release.startDate)
+      return dueDate >= startDate && dueDate <= releaseDate
+    }
+
+    return false
+  })
+}
@@ -3,14 +3,16 @@
  * Manages continuous improvement actions from sprint retrospectives
  */
 
+import { persistentStore } from './persistentStore.js'
+
 const STORAGE_KEY = 'retroActions'
 
 /**
- * Get all retro actions from localStorage
+ * Get all retro actions from storage
  */
 export function getAllRetroActions() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY)
+    const stored = persistentStore.getItem(STORAGE_KEY)
     return stored ? JSON.parse(stored) : []
   } catch (error) {
     console.error('Error loading retro actions:', error)
@@ -77,7 +79,7 @@ export function saveRetroAction(action) {
     actions.push(newAction)
   }
 
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(actions))
+  persistentStore.setItem(STORAGE_KEY, JSON.stringify(actions))
   return actions
 }
 
@@ -87,7 +89,7 @@ export function saveRetroAction(action) {
 export function deleteRetroAction(actionId) {
   const actions = getAllRetroActions()
   const filtered = actions.filter(a => a.id !== actionId)
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered))
+  persistentStore.setItem(STORAGE_KEY, JSON.stringify(filtered))
   return filtered
 }
 
@@ -102,7 +104,7 @@ export function completeAction(actionId) {
     action.status = 'done'
     action.completedAt = new Date().toISOString()
     action.updatedAt = new Date().toISOString()
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(actions))
+    persistentStore.setItem(STORAGE_KEY, JSON.stringify(actions))
   }
 
   return actions
@@ -132,7 +134,7 @@ export function carryOverActions(fromSprintId, toSprintId, toSprintName) {
     actions.push(carriedAction)
   })
 
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(actions))
+  persistentStore.setItem(STORAGE_KEY, JSON.stringify(actions))
   return openActions.length
 }
 
@@ -0,0 +1,311 @@
+/**
+ * Skills Service
+ * Member skills with proficiency levels, issue skill requirements inferred from labels,
+ * and ranking of assignment candidates by skill fit, remaining capacity and upcoming absences
+ *
+ * Team members carry `skills: [{ name, level }]` (level 1-3, see SKILL_LEVELS).
+ * An issue requires a skill when it has a `skill::<name>` label, a label mapped to the skill
+ * in the label mapping, or a label (or scoped label value) equal to a known skill name.
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { persistentStore } from './persistentStore'
+import { calculateMemberWorkload, getEstimatedHours, loadCapacitySettings, areRolesCompatible } from './teamConfigService'
+import { calculateSprintCapacityWithAbsences, getUserAbsences } from './absenceService'
+import { getWorkingDayRules, countWorkingDays } from './holidayCalendarService'
+
+const LABEL_MAPPING_KEY = 'gitlab-pm-skill-label-mapping'
+const SKILL_LABEL_PREFIX = 'skill::'
+const UPCOMING_DAYS = 14 // Look-ahead window for absences when ranking candidates
+
+// Ranking weights (sum to 1)
+const SKILL_WEIGHT = 0.5
+const CAPACITY_WEIGHT = 0.3
+const PRESENCE_WEIGHT = 0.2
+
+export const SKILL_LEVELS = [
+  { value: 1, label: 'Basic' },
+  { value: 2, label: 'Proficient' },
+  { value: 3, label: 'Expert' }
+]
+
+export const MAX_SKILL_LEVEL = SKILL_LEVELS.length
+
+const normalize = name => String(name || '').trim().toLowerCase()
+
+/**
+ * Get a member's skills
+ * @param {Object} member - Team member
+ * @returns {Array} [{ name, level }] sorted by level (highest first), then name
+ */
+export function getMemberSkills(member) {
+  return (member?.skills || [])
+    .filter(skill => skill?.name && skill.level > 0)
+    .sort((a, b) => b.level - a.level || a.name.localeCompare(b.name))
+}
+
+/**
+ * Get a member's level for a skill (0 when they don't have it)
+ */
+export function getSkillLevel(member, skillName) {
+  const key = normalize(skillName)
+  return member?.skills?.find(skill => normalize(skill.name) === key)?.level || 0
+}
+
+/**
+ * Set a member's level for a skill
+ * @param {Object} member - Team member
+ * @param {string} skillName
+ * @param {number} level - 1-3, or 0 to remove the skill
+ * @returns {Object} Updated member (skills omitted when empty)
+ */
+export function setMemberSkillLevel(member, skillName, level) {
+  const key = normalize(skillName)
+  const others = (member.skills || []).filter(skill => normalize(skill.name) !== key)
+  const skills = level > 0 ? [...others, { name: skillName.trim(), level }] : others
+
+  const updated = { ...member, skills }
+  if (skills.length === 0) delete updated.skills
+  return updated
+}
+
+/**
+ * All skill names known in a team (first spelling wins), sorted alphabetically
+ * @param {Array} teamMembers
+ * @returns {string[]}
+ */
+export function getTeamSkills(teamMembers) {
+  const skills = new Map()
+  ;(teamMembers || []).forEach(member => {
+    getMemberSkills(member).forEach(skill => {
+      if (!skills.has(normalize(skill.name))) skills.set(normalize(skill.name), skill.name)
+    })
+  })
+  return Array.from(skills.values()).sort((a, b) => a.localeCompare(b))
+}
+
+/**
+ * Load the label → skill mapping
+ * @returns {Array} [{ label, skill }]
+ */
+export function loadSkillLabelMapping() {
+  try {
+    const stored = persistentStore.getItem(LABEL_MAPPING_KEY)
+    if (stored) {
+      return JSON.parse(stored).mapping || []
+    }
+  } catch (error) {
+    console.error('Error loading skill label mapping:', error)
+  }
+  return []
+}
+
+/**
+ * Save the label → skill mapping
+ * @param {Array} mapping - [{ label, skill }]
+ */
+export function saveSkillLabelMapping(mapping) {
+  try {
+    persistentStore.setItem(LABEL_MAPPING_KEY, JSON.stringify({
+      mapping,
+      lastModified: new Date().toISOString()
+    }))
+    return true
+  } catch (error) {
+    console.error('Error saving skill label mapping:', error)
+    return false
+  }
+}
+
+/**
+ * Infer the skills an issue requires from its labels
+ * @param {Object} issue - GitLab issue
+ * @param {string[]} knownSkills - Skill names in the team (from getTeamSkills)
+ * @param {Array} mapping - Label → skill mapping (defaults to the stored one)
+ * @returns {string[]} Required skill names
+ */
+export function getIssueSkillRequirements(issue, knownSkills = [], mapping = loadSkillLabelMapping()) {
+  const known = new Map(knownSkills.map(skill => [normalize(skill), skill]))
+  const mapped = new Map(mapping.map(entry => [normalize(entry.label), entry.skill]))
+  const required = new Map()
+
+  const add = skill => {
+    const key = normalize(skill)
+    if (key && !required.has(key)) required.set(key, known.get(key) || skill.trim())
+  }
+
+  ;(issue?.labels || []).forEach(label => {
+    const name = typeof label === 'string' ? label : label?.name
+    if (!name) return
+
+    if (normalize(name).startsWith(SKILL_LABEL_PREFIX)) {
+      add(name.slice(SKILL_LABEL_PREFIX.length))
+    } else if (mapped.has(normalize(name))) {
+      add(mapped.get(normalize(name)))
+    } else {
+      // Plain label or the value of a scoped label (e.g. "tech::Python")
+      const value = name.split('::').pop()
+      if (known.has(normalize(name))) add(name)
+      else if (known.has(normalize(value))) add(value)
+    }
+  })
+
+  return Array.from(required.values())
+}
+
+/**
+ * How well a member's skills cover a set of required skills
+ * @param {Object} member - Team member
+ * @param {string[]} requiredSkills
+ * @returns {Object} { score (0-1, null without requirements), matched: [{ name, level }], missing: [] }
+ */
+export function calculateSkillFit(member, requiredSkills) {
+  if (!requiredSkills || requiredSkills.length === 0) {
+    return { score: null, matched: [], missing: [] }
+  }
+
+  const matched = []
+  const missing = []
+  let total = 0
+
+  requiredSkills.forEach(skill => {
+    const level = getSkillLevel(member, skill)
+    if (level > 0) {
+      matched.push({ name: skill, level })
+      total += Math.min(level, MAX_SKILL_LEVEL) / MAX_SKILL_LEVEL
+    } else {
+      missing.push(skill)
+    }
+  })
+
+  return {
+    score: Math.round((total / requiredSkills.length) * 100) / 100,
+    matched,
+    missing
+  }
+}
+
+/**
+ * A member's capacity situation for a sprint
+ * Available hours account for work week, holidays and absences; allocated hours come from
+ * calculateMemberWorkload (open issues assigned in the sprint)
+ * @param {Object} member - Team member
+ * @param {Object} sprint - { id, startDate, dueDate } (optional)
+ * @param {Array} issues - All issues
+ * @param {Object} capacitySettings
+ * @returns {Object} { availableHours, allocatedHours, remainingHours, upcomingAbsenceDays, upcomingWorkingDays, upcomingAbsences }
+ */
+export function getMemberAvailability(member, sprint, issues, capacitySettings) {
+  const weeklyCapacity = member.defaultCapacity ?? 40
+
+  const availableHours = sprint?.startDate && sprint?.dueDate
+    ? calculateSprintCapacityWithAbsences(member.username, sprint, weeklyCapacity, member).adjustedCapacity
+    : weeklyCapacity
+
+  // Without a sprint id the workload would pick up every issue without an iteration
+  const allocatedHours = sprint?.id
+    ? calculateMemberWorkload(member.username, sprint.id, issues, capacitySettings).totalEstimatedHours
+    : 0
+
+  // Absences in the next two weeks, or until the end of the sprint if that is later
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  let windowEnd = new Date(today.getFullYear(), today.getMonth(), today.getDate() + UPCOMING_DAYS - 1)
+  if (sprint?.dueDate && new Date(sprint.dueDate) > windowEnd) windowEnd = new Date(sprint.dueDate)
+
+  const rules = getWorkingDayRules(member)
+  const upcomingAbsences = getUserAbsences(member.username, today, windowEnd)
+  const upcomingWorkingDays = countWorkingDays(today, windowEnd, rules)
+  const upcomingAbsenceDays = upcomingAbsences.reduce((sum, absence) => {
+    const start = absence.startDate > today ? absence.startDate : today
+    const end = absence.endDate < windowEnd ? absence.endDate : windowEnd
+    return sum + countWorkingDays(start, end, rules)
+  }, 0)
+
+  return {
+    availableHours: Math.round(availableHours * 10) / 10,
+    allocatedHours,
+    remainingHours: Math.round((availableHours - allocatedHours) * 10) / 10,
+    upcomingAbsenceDays: Math.min(upcomingAbsenceDays, upcomingWorkingDays),
+    upcomingWorkingDays,
+    upcomingAbsences
+  }
+}
+
+/**
+ * Availability of every team member, keyed by username
+ * Compute once and pass to rankAssignmentCandidates() when ranking many issues
+ * @returns {Map}
+ */
+export function getTeamAvailability(teamMembers, { sprint = null, issues = [], capacitySettings = loadCapacitySettings() } = {}) {
+  const availability = new Map(teamMembers.map(member => [
+    member.username,
+    getMemberAvailability(member, sprint, issues, capacitySettings)
+  ]))
+
+  if (isDev) {
+    console.log(`Team availability for ${sprint?.name || 'current period'}:`, Object.fromEntries(availability))
+  }
+
+  return availability
+}
+
+/**
+ * Rank team members as assignees for one or more issues
+ * Score = 50% skill fit + 30% remaining capacity (relative to the work's estimate)
+ *       + 20% presence (working days not lost to upcoming absences)
+ * Without skill requirements the skill part is neutral (0.5) and role compatibility with
+ * the current assignee (options.role) decides whether a candidate qualifies.
+ * @param {Object|Array} targetIssues - Issue or issues to place
+ * @param {Array} teamMembers - Candidates
+ * @param {Object} options - { sprint, issues, capacitySettings, availability, excludeUsername, role, knownSkills, mapping }
+ * @returns {Array} [{ member, score, qualified, skillFit, requiredSkills, workHours, ...availability }] best first
+ */
+export function rankAssignmentCandidates(targetIssues, teamMembers, options = {}) {
+  const {
+    sprint = null,
+    issues = [],
+    capacitySettings = loadCapacitySettings(),
+    excludeUsername = null,
+    role = null,
+    knownSkills = getTeamSkills(teamMembers),
+    mapping = loadSkillLabelMapping()
+  } = options
+  const availability = options.availability || getTeamAvailability(teamMembers, { sprint, issues, capacitySettings })
+
+  const targets = Array.isArray(targetIssues) ? targetIssues : [targetIssues]
+  const requiredSkills = Array.from(new Set(
+    targets.flatMap(issue => getIssueSkillRequirements(issue, knownSkills, mapping))
+  ))
+  const workHours = targets.reduce((sum, issue) => sum + getEstimatedHours(issue, capacitySettings), 0)
+
+  return teamMembers
+    .filter(member => member.username !== excludeUsername)
+    .map(member => {
+      const memberAvailability = availability.get(member.username) ||
+        getMemberAvailability(member, sprint, issues, capacitySettings)
+      const skillFit = calculateSkillFit(member, requiredSkills)
+
+      const skillScore = skillFit.score ?? 0.5
+      const capacityScore = Math.max(0, Math.min(1, memberAvailability.remainingHours / Math.max(workHours, 1)))
+      const presenceScore = memberAvailability.upcomingWorkingDays > 0
+        ? 1 - memberAvailability.upcomingAbsenceDays / memberAvailability.upcomingWorkingDays
+        : 0
+
+      const qualified = skillFit.score !== null
+        ? skillFit.score > 0
+        : !role || areRolesCompatible(role, member.role)
+
+      return {
+        member,
+        score: Math.round((SKILL_WEIGHT * skillScore + CAPACITY_WEIGHT * capacityScore + PRESENCE_WEIGHT * presenceScore) * 100),
+        qualified,
+        skillFit,
+        requiredSkills,
+        workHours: Math.round(workHours * 10) / 10,
+        ...memberAvailability
+      }
+    })
+    .sort((a, b) => (b.qualified - a.qualified) || (b.score - a.score))
+}
@@ -3,14 +3,16 @@
  * Manages sprint goals and tracks achievement history
  */
 
+import { persistentStore } from './persistentStore.js'
+
 const STORAGE_KEY = 'sprintGoals'
 
 /**
- * Get all sprint goals from localStorage
+ * Get all sprint goals from storage
  */
 export function getAllSprintGoals() {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY)
+    const stored = persistentStore.getItem(STORAGE_KEY)
     return stored ? JSON.parse(stored) : []
   } catch (error) {
     console.error('Error loading sprint goals:', error)
@@ -52,7 +54,7 @@ export function saveSprintGoal(sprintGoal) {
     })
   }
 
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(goals))
+  persistentStore.setItem(STORAGE_KEY, JSON.stringify(goals))
   return goals
 }
 
@@ -62,7 +64,7 @@ export function saveSprintGoal(sprintGoal) {
 export function deleteSprintGoal(sprintId) {
   const goals = getAllSprintGoals()
   const filtered = goals.filter(g => g.sprintId !== sprintId)
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered))
+  persistentStore.setItem(STORAGE_KEY, JSON.stringify(filtered))
   return filtered
 }
 
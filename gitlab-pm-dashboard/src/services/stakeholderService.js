@@ -4,6 +4,7 @@
  */
 
 import { getActiveProjectId } from './storageService'
+import { persistentStore } from './persistentStore'
 
 const STORAGE_KEYS = {
   STAKEHOLDERS: 'stakeholders',
@@ -17,7 +18,7 @@ const STORAGE_KEYS = {
  * Get all stakeholders
  */
 export function getStakeholders() {
-  const stored = localStorage.getItem(STORAGE_KEYS.STAKEHOLDERS)
+  const stored = persistentStore.getItem(STORAGE_KEYS.STAKEHOLDERS)
   return stored ? JSON.parse(stored) : []
 }
 
@@ -42,7 +43,7 @@ export function saveStakeholder(stakeholder) {
     })
   }
 
-  localStorage.setItem(STORAGE_KEYS.STAKEHOLDERS, JSON.stringify(stakeholders))
+  persistentStore.setItem(STORAGE_KEYS.STAKEHOLDERS, JSON.stringify(stakeholders))
   return stakeholders
 }
 
@@ -52,7 +53,7 @@ export function saveStakeholder(stakeholder) {
 export function removeStakeholder(id) {
   const stakeholders = getStakeholders()
   const filtered = stakeholders.filter(s => s.id !== id)
-  localStorage.setItem(STORAGE_KEYS.STAKEHOLDERS, JSON.stringify(filtered))
+  persistentStore.setItem(STORAGE_KEYS.STAKEHOLDERS, JSON.stringify(filtered))
   return filtered
 }
 
@@ -60,7 +61,7 @@ export function removeStakeholder(id) {
  * Get communication history (all projects)
  */
 export function getCommunicationHistory() {
-  const stored = localStorage.getItem(STORAGE_KEYS.COMMUNICATION_HISTORY)
+  const stored = persistentStore.getItem(STORAGE_KEYS.COMMUNICATION_HISTORY)
   return stored ? JSON.parse(stored) : []
 }
 
@@ -135,7 +136,7 @@ export function logCommunication(communication) {
 
   // Keep only last 200 communications (increased from 100)
   const trimmed = history.slice(0, 200)
-  localStorage.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(trimmed))
+  persistentStore.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(trimmed))
   return trimmed
 }
 
@@ -145,7 +146,7 @@ export function logCommunication(communication) {
 export function deleteCommunication(id) {
   const history = getCommunicationHistory()
   const filtered = history.filter(c => c.id !== id)
-  localStorage.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(filtered))
+  persistentStore.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(filtered))
   return filtered
 }
 
@@ -165,7 +166,7 @@ export function updateCommunication(id, updates) {
       projectId: history[index].projectId, // Keep original projectId
       createdAt: history[index].createdAt || history[index].sentAt // Preserve creation date
     }
-    localStorage.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(history))
+    persistentStore.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(history))
   }
 
   return history
@@ -189,7 +190,7 @@ export function addCommentToCommunication(commId, commentText) {
       createdAt: new Date().toISOString()
     })
 
-    localStorage.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(history))
+    persistentStore.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(history))
   }
 
   return history
@@ -214,7 +215,7 @@ export function addTagsToCommunication(commId, tags) {
       }
     })
 
-    localStorage.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(history))
+    persistentStore.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(history))
   }
 
   return history
@@ -229,7 +230,7 @@ export function removeTagFromCommunication(commId, tag) {
 
   if (comm && comm.tags) {
     comm.tags = comm.tags.filter(t => t !== tag)
-    localStorage.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(history))
+    persistentStore.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(history))
   }
 
   return history
@@ -239,7 +240,7 @@ export function removeTagFromCommunication(commId, tag) {
  * Get default communication templates
  */
 export function getTemplates() {
-  const stored = localStorage.getItem(STORAGE_KEYS.TEMPLATES)
+  const stored = persistentStore.getItem(STORAGE_KEYS.TEMPLATES)
   if (stored) return JSON.parse(stored)
 
   // Default templates
@@ -344,7 +345,7 @@ export function saveTemplate(template) {
     })
   }
 
-  localStorage.setItem(STORAGE_KEYS.TEMPLATES, JSON.stringify(templates))
+  persistentStore.setItem(STORAGE_KEYS.TEMPLATES, JSON.stringify(templates))
   return templates
 }
 
@@ -396,7 +397,7 @@ export function fillTemplate(template, data) {
  * Get all decisions
  */
 export function getDecisions() {
-  const stored = localStorage.getItem(STORAGE_KEYS.DECISIONS)
+  const stored = persistentStore.getItem(STORAGE_KEYS.DECISIONS)
   return stored ? JSON.parse(stored) : []
 }
 
@@ -436,7 +437,7 @@ export function saveDecision(decision) {
     decisions.unshift(newDecision)
   }
 
-  localStorage.setItem(STORAGE_KEYS.DECISIONS, JSON.stringify(decisions))
+  persistentStore.setItem(STORAGE_KEYS.DECISIONS, JSON.stringify(decisions))
   return decisions
 }
 
@@ -446,7 +447,7 @@ export function saveDecision(decision) {
 export function deleteDecision(id) {
   const decisions = getDecisions()
   const filtered = decisions.filter(d => d.id !== id)
-  localStorage.setItem(STORAGE_KEYS.DECISIONS, JSON.stringify(filtered))
+  persistentStore.setItem(STORAGE_KEYS.DECISIONS, JSON.stringify(filtered))
   return filtered
 }
 
@@ -463,7 +464,7 @@ export function reverseDecision(id, reason, newDecisionId = null) {
     decision.reversedReason = reason
     decision.reversedBy = newDecisionId
 
-    localStorage.setItem(STORAGE_KEYS.DECISIONS, JSON.stringify(decisions))
+    persistentStore.setItem(STORAGE_KEYS.DECISIONS, JSON.stringify(decisions))
   }
 
   return decisions
@@ -477,7 +478,7 @@ export function reverseDecision(id, reason, newDecisionId = null) {
  * Get all documents
  */
 export function getDocuments() {
-  const stored = localStorage.getItem(STORAGE_KEYS.DOCUMENTS)
+  const stored = persistentStore.getItem(STORAGE_KEYS.DOCUMENTS)
   return stored ? JSON.parse(stored) : []
 }
 
@@ -517,7 +518,7 @@ export function saveDocument(document) {
     documents.unshift(newDocument)
   }
 
-  localStorage.setItem(STORAGE_KEYS.DOCUMENTS, JSON.stringify(documents))
+  persistentStore.setItem(STORAGE_KEYS.DOCUMENTS, JSON.stringify(documents))
   return documents
 }
 
@@ -527,7 +528,7 @@ export function saveDocument(document) {
 export function deleteDocument(id) {
   const documents = getDocuments()
   const filtered = documents.filter(d => d.id !== id)
-  localStorage.setItem(STORAGE_KEYS.DOCUMENTS, JSON.stringify(filtered))
+  persistentStore.setItem(STORAGE_KEYS.DOCUMENTS, JSON.stringify(filtered))
   return filtered
 }
 
@@ -541,7 +542,7 @@ export function supersedeDocument(oldId, newDocumentId) {
   if (oldDoc) {
     oldDoc.status = 'superseded'
     oldDoc.supersededBy = newDocumentId
-    localStorage.setItem(STORAGE_KEYS.DOCUMENTS, JSON.stringify(documents))
+    persistentStore.setItem(STORAGE_KEYS.DOCUMENTS, JSON.stringify(documents))
   }
 
   return documents
@@ -589,7 +590,7 @@ export function importEmail(emailData, stakeholders) {
   const history = getCommunicationHistory()
   history.unshift(communication)
   const trimmed = history.slice(0, 100)
-  localStorage.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(trimmed))
+  persistentStore.setItem(STORAGE_KEYS.COMMUNICATION_HISTORY, JSON.stringify(trimmed))
 
   // Also save email as a document for easy reference
   const emailDocument = {
@@ -3,13 +3,23 @@
  * Handles all browser storage operations
  */
 
+import { normalizeDataWindow, dataWindowFromLegacyFilter } from '../utils/dataWindowUtils.js'
+import { persistentStore } from './persistentStore.js'
+
 const KEYS = {
   GITLAB_URL: 'gitlab_url',
   GITLAB_TOKEN: 'gitlab_token',
   PROJECT_ID: 'gitlab_project',
   GROUP_PATH: 'gitlab_group_path',
-  FILTER_2025: 'gitlab_filter_2025',
+  GROUP_PATHS: 'gitlab_group_paths', // JSON array, GROUP_PATH holds the first entry
+  INCLUDE_SUBGROUPS: 'gitlab_include_subgroups',
+  ACTIVE_SOURCE_GROUP: 'active_source_group', // Group path slice in multi-group mode
+  FILTER_2025: 'gitlab_filter_2025', // Legacy boolean, migrated to DATA_WINDOW on load
+  DATA_WINDOW: 'gitlab_data_window',
   MODE: 'gitlab_mode', // 'project' or 'group'
+  DATA_SOURCE: 'gitlab_data_source', // 'rest' or 'graphql'
+  LIVE_UPDATES_URL: 'gitlab_live_updates_url', // Optional webhook relay SSE endpoint
+  LIVE_UPDATES_TOKEN: 'gitlab_live_updates_token', // Relay secret, for publishing calendar feeds
   RISKS: 'project_risks',
   PROJECTS: 'portfolio_projects', // Multi-project configuration
   ACTIVE_PROJECT: 'active_project_id', // Currently active project
@@ -21,34 +31,82 @@ const KEYS = {
  * Save GitLab configuration
  */
 export function saveConfig(config) {
-  localStorage.setItem(KEYS.GITLAB_URL, config.gitlabUrl || '')
-  localStorage.setItem(KEYS.GITLAB_TOKEN, config.token || '')
-  localStorage.setItem(KEYS.PROJECT_ID, config.projectId || '')
-  localStorage.setItem(KEYS.GROUP_PATH, config.groupPath || '')
-  localStorage.setItem(KEYS.MODE, config.mode || 'project')
-  // Save filter2025 setting (store as string to handle boolean properly)
-  if (config.filter2025 !== undefined) {
-    localStorage.setItem(KEYS.FILTER_2025, config.filter2025.toString())
+  persistentStore.setItem(KEYS.GITLAB_URL, config.gitlabUrl || '')
+  persistentStore.setItem(KEYS.GITLAB_TOKEN, config.token || '')
+  persistentStore.setItem(KEYS.PROJECT_ID, config.projectId || '')
+  persistentStore.setItem(KEYS.GROUP_PATH, config.groupPath || '')
+  persistentStore.setItem(KEYS.GROUP_PATHS, JSON.stringify(config.groupPaths || (config.groupPath ? [config.groupPath] : [])))
+  persistentStore.setItem(KEYS.MODE, config.mode || 'project')
+  if (config.dataSource !== undefined) {
+    persistentStore.setItem(KEYS.DATA_SOURCE, config.dataSource)
+  }
+  if (config.includeSubgroups !== undefined) {
+    persistentStore.setItem(KEYS.INCLUDE_SUBGROUPS, config.includeSubgroups.toString())
+  }
+  if (config.dataWindow !== undefined) {
+    persistentStore.setItem(KEYS.DATA_WINDOW, JSON.stringify(normalizeDataWindow(config.dataWindow)))
+    persistentStore.removeItem(KEYS.FILTER_2025)
+  }
+  if (config.liveUpdatesUrl !== undefined) {
+    persistentStore.setItem(KEYS.LIVE_UPDATES_URL, config.liveUpdatesUrl)
+  }
+  if (config.liveUpdatesToken !== undefined) {
+    persistentStore.setItem(KEYS.LIVE_UPDATES_TOKEN, config.liveUpdatesToken)
+  }
+}
+
+/**
+ * Load the data time window, migrating the legacy filter2025 flag
+ */
+function loadDataWindow() {
+  const stored = persistentStore.getItem(KEYS.DATA_WINDOW)
+  if (stored) {
+    try {
+      return normalizeDataWindow(JSON.parse(stored))
+    } catch (e) {
+      console.error('Error loading data window:', e)
+    }
+  }
+  return dataWindowFromLegacyFilter(persistentStore.getItem(KEYS.FILTER_2025))
+}
+
+/**
+ * Load configured group paths, falling back to the single legacy group path
+ */
+function loadGroupPaths(groupPath) {
+  try {
+    const stored = JSON.parse(persistentStore.getItem(KEYS.GROUP_PATHS))
+    if (Array.isArray(stored) && stored.length > 0) {
+      return stored
+    }
+  } catch (e) {
+    console.error('Error loading group paths:', e)
   }
+  return groupPath ? [groupPath] : []
 }
 
 /**
  * Load GitLab configuration
  */
 export function loadConfig() {
-  // Load filter2025 setting from localStorage (default to false if not set)
-  const filter2025Stored = localStorage.getItem(KEYS.FILTER_2025)
-  const filter2025 = filter2025Stored !== null ? filter2025Stored === 'true' : false
-
-  const mode = localStorage.getItem(KEYS.MODE) || 'project'
+  const mode = persistentStore.getItem(KEYS.MODE) || 'project'
+  const dataSource = persistentStore.getItem(KEYS.DATA_SOURCE) || 'rest'
+  const groupPath = persistentStore.getItem(KEYS.GROUP_PATH) || ''
+  // Subgroups are included unless explicitly turned off
+  const includeSubgroups = persistentStore.getItem(KEYS.INCLUDE_SUBGROUPS) !== 'false'
 
   return {
-    gitlabUrl: localStorage.getItem(KEYS.GITLAB_URL) || 'https://gitlab.com',
-    token: localStorage.getItem(KEYS.GITLAB_TOKEN) || '',
-    projectId: localStorage.getItem(KEYS.PROJECT_ID) || '',
-    groupPath: localStorage.getItem(KEYS.GROUP_PATH) || '',
+    gitlabUrl: persistentStore.getItem(KEYS.GITLAB_URL) || 'https://gitlab.com',
+    token: persistentStore.getItem(KEYS.GITLAB_TOKEN) || '',
+    projectId: persistentStore.getItem(KEYS.PROJECT_ID) || '',
+    groupPath,
+    groupPaths: loadGroupPaths(groupPath),
+    includeSubgroups,
     mode,
-    filter2025
+    dataSource,
+    dataWindow: loadDataWindow(),
+    liveUpdatesUrl: persistentStore.getItem(KEYS.LIVE_UPDATES_URL) || '',
+    liveUpdatesToken: persistentStore.getItem(KEYS.LIVE_UPDATES_TOKEN) || ''
   }
 }
 
@@ -71,19 +129,26 @@ export function isConfigured() {
  * Clear all stored configuration
  */
 export function clearConfig() {
-  localStorage.removeItem(KEYS.GITLAB_URL)
-  localStorage.removeItem(KEYS.GITLAB_TOKEN)
-  localStorage.removeItem(KEYS.PROJECT_ID)
-  localStorage.removeItem(KEYS.GROUP_PATH)
-  localStorage.removeItem(KEYS.MODE)
-  localStorage.removeItem(KEYS.FILTER_2025)
+  persistentStore.removeItem(KEYS.GITLAB_URL)
+  persistentStore.removeItem(KEYS.GITLAB_TOKEN)
+  persistentStore.removeItem(KEYS.PROJECT_ID)
+  persistentStore.removeItem(KEYS.GROUP_PATH)
+  persistentStore.removeItem(KEYS.GROUP_PATHS)
+  persistentStore.removeItem(KEYS.INCLUDE_SUBGROUPS)
+  persistentStore.removeItem(KEYS.ACTIVE_SOURCE_GROUP)
+  persistentStore.removeItem(KEYS.MODE)
+  persistentStore.removeItem(KEYS.DATA_SOURCE)
+  persistentStore.removeItem(KEYS.FILTER_2025)
+  persistentStore.removeItem(KEYS.DATA_WINDOW)
+  persistentStore.removeItem(KEYS.LIVE_UPDATES_URL)
+  persistentStore.removeItem(KEYS.LIVE_UPDATES_TOKEN)
 }
 
 /**
  * Load risks from storage
  */
 export function loadRisks() {
-  const stored = localStorage.getItem(KEYS.RISKS)
+  const stored = persistentStore.getItem(KEYS.RISKS)
   return stored ? JSON.parse(stored) : []
 }
 
@@ -91,14 +156,14 @@ export function loadRisks() {
  * Save risks to storage
  */
 export function saveRisks(risks) {
-  localStorage.setItem(KEYS.RISKS, JSON.stringify(risks))
+  persistentStore.setItem(KEYS.RISKS, JSON.stringify(risks))
 }
 
 /**
  * Clear all data (config + risks)
  */
 export function clearAll() {
-  localStorage.clear()
+  persistentStore.clear()
 }
 
 /**
@@ -109,7 +174,7 @@ export function clearAll() {
  * Get all configured projects
  */
 export function getAllProjects() {
-  const stored = localStorage.getItem(KEYS.PROJECTS)
+  const stored = persistentStore.getItem(KEYS.PROJECTS)
   return stored ? JSON.parse(stored) : []
 }
 
@@ -135,7 +200,7 @@ export function saveProject(project) {
     })
   }
 
-  localStorage.setItem(KEYS.PROJECTS, JSON.stringify(projects))
+  persistentStore.setItem(KEYS.PROJECTS, JSON.stringify(projects))
   return projects
 }
 
@@ -145,7 +210,7 @@ export function saveProject(project) {
 export function removeProject(projectId) {
   const projects = getAllProjects()
   const filtered = projects.filter(p => p.id !== projectId)
-  localStorage.setItem(KEYS.PROJECTS, JSON.stringify(filtered))
+  persistentStore.setItem(KEYS.PROJECTS, JSON.stringify(filtered))
   return filtered
 }
 
@@ -153,14 +218,14 @@ export function removeProject(projectId) {
  * Get active project ID
  */
 export function getActiveProjectId() {
-  return localStorage.getItem(KEYS.ACTIVE_PROJECT)
+  return persistentStore.getItem(KEYS.ACTIVE_PROJECT)
 }
 
 /**
  * Set active project
  */
 export function setActiveProject(projectId) {
-  localStorage.setItem(KEYS.ACTIVE_PROJECT, projectId)
+  persistentStore.setItem(KEYS.ACTIVE_PROJECT, projectId)
 
   // Also update the current config for backwards compatibility
   const projects = getAllProjects()
@@ -195,7 +260,7 @@ export function getActiveProject() {
  * Get all configured groups
  */
 export function getAllGroups() {
-  const stored = localStorage.getItem(KEYS.GROUPS)
+  const stored = persistentStore.getItem(KEYS.GROUPS)
   return stored ? JSON.parse(stored) : []
 }
 
@@ -220,7 +285,7 @@ export function saveGroup(group) {
     })
   }
 
-  localStorage.setItem(KEYS.GROUPS, JSON.stringify(groups))
+  persistentStore.setItem(KEYS.GROUPS, JSON.stringify(groups))
   return groups
 }
 
@@ -230,7 +295,7 @@ export function saveGroup(group) {
 export function removeGroup(groupId) {
   const groups = getAllGroups()
   const filtered = groups.filter(g => g.id !== groupId)
-  localStorage.setItem(KEYS.GROUPS, JSON.stringify(filtered))
+  persistentStore.setItem(KEYS.GROUPS, JSON.stringify(filtered))
   return filtered
 }
 
@@ -238,14 +303,14 @@ export function removeGroup(groupId) {
  * Get active group ID
  */
 export function getActiveGroupId() {
-  return localStorage.getItem(KEYS.ACTIVE_GROUP)
+  return persistentStore.getItem(KEYS.ACTIVE_GROUP)
 }
 
 /**
  * Set active group
  */
 export function setActiveGroup(groupId) {
-  localStorage.setItem(KEYS.ACTIVE_GROUP, groupId)
+  persistentStore.setItem(KEYS.ACTIVE_GROUP, groupId)
 
   // Also update the current config for backwards compatibility
   const groups = getAllGroups()
@@ -271,3 +336,22 @@ export function getActiveGroup() {
   const groups = getAllGroups()
   return groups.find(g => g.id === activeId) || null
 }
+
+/**
+ * Get the active source group slice (group mode with several group paths)
+ * Returns null when all groups are shown
+ */
+export function getActiveSourceGroup() {
+  return persistentStore.getItem(KEYS.ACTIVE_SOURCE_GROUP)
+}
+
+/**
+ * Set the active source group slice (null shows all groups)
+ */
+export function setActiveSourceGroup(groupPath) {
+  if (groupPath) {
+    persistentStore.setItem(KEYS.ACTIVE_SOURCE_GROUP, groupPath)
+  } else {
+    persistentStore.removeItem(KEYS.ACTIVE_SOURCE_GROUP)
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Sync Snapshot Service
+ * Persists the last fetched GitLab dataset in IndexedDB so that refreshes
+ * only need to request items changed since the previous successful sync
+ * Also keeps the last good processed dataset per view for offline use
+ */
+
+const isDev = import.meta.env.MODE === 'development'
+
+import { getDataWindowKey } from '../utils/dataWindowUtils.js'
+
+const DB_NAME = 'githarmony-sync'
+const DB_VERSION = 2
+const STORE_NAME = 'snapshots'
+const DATASET_STORE = 'datasets' // Processed view data and label events served when offline
+
+// Bump when the stored snapshot shape changes; older snapshots are ignored
+export const SNAPSHOT_VERSION = 1
+
+let dbPromise = null
+
+/**
+ * Open (and lazily create) the snapshot database
+ * Resolves to null when IndexedDB is unavailable (e.g. private browsing)
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null)
+      return
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'key' })
+      }
+      if (!db.objectStoreNames.contains(DATASET_STORE)) {
+        db.createObjectStore(DATASET_STORE, { keyPath: 'key' })
+      }
+    }
+
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.warn('Sync snapshot store unavailable:', request.error)
+      resolve(null)
+    }
+  })
+
+  return dbPromise
+}
+
+/**
+ * Run a single request against an object store (snapshots by default)
+ */
+async function runRequest(mode, operation, storeName = STORE_NAME) {
+  const db = await openDatabase()
+  if (!db) return null
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = operation(tx.objectStore(storeName))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Build the snapshot key for a fetch configuration
+ * Each distinct data source (URL + mode + project/groups + REST/GraphQL + time window) gets its own snapshot
+ */
+export function getSnapshotKey(config) {
+  const { gitlabUrl, projectId, groupPath, groupPaths, mode, dataSource, dataWindow } = config
+  const groups = groupPaths && groupPaths.length > 0 ? groupPaths : (groupPath ? [groupPath] : [])
+  const source = mode === 'group' ? '' : projectId
+  return [gitlabUrl, mode || 'project', source, [...groups].sort().join(','), dataSource || 'rest', getDataWindowKey(dataWindow)].join('|')
+}
+
+/**
+ * Load the stored snapshot for a key
+ * @returns {Promise<Object|null>} Snapshot or null if missing/outdated/unavailable
+ */
+export async function loadSnapshot(key) {
+  try {
+    const snapshot = await runRequest('readonly', store => store.get(key))
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      return null
+    }
+    return snapshot
+  } catch (error) {
+    console.warn('Failed to load sync snapshot:', error)
+    return null
+  }
+}
+
+/**
+ * Save a snapshot for a key
+ * @param {string} key - Snapshot key from getSnapshotKey()
+ * @param {Object} snapshot - { lastSyncedAt, lastFullSyncAt, issues, milestones, epicsByGroup, projects }
+ * @returns {Promise<boolean>} True if persisted
+ */
+export async function saveSnapshot(key, snapshot) {
+  try {
+    const result = await runRequest('readwrite', store =>
+      store.put({ ...snapshot, key, version: SNAPSHOT_VERSION })
+    )
+    if (isDev && result !== null) {
+      console.log(`Sync snapshot saved: ${snapshot.issues.length} issues, ${snapshot.milestones.length} milestones`)
+    }
+    return result !== null
+  } catch (error) {
+    console.warn('Failed to save sync snapshot:', error)
+    return false
+  }
+}
+
+/**
+ * Delete the snapshot for a key (forces a full sync next time)
+ */
+export async function deleteSnapshot(key) {
+  try {
+    await runRequest('readwrite', store => store.delete(key))
+    return true
+  } catch (error) {
+    console.warn('Failed to delete sync snapshot:', error)
+    return false
+  }
+}
+
+/**
+ * Delete all stored snapshots and offline datasets
+ */
+export async function clearAllSnapshots() {
+  try {
+    await runRequest('readwrite', store => store.clear())
+    await runRequest('readwrite', store => store.clear(), DATASET_STORE)
+    return true
+  } catch (error) {
+    console.warn('Failed to clear sync snapshots:', error)
+    return false
+  }
+}
+
+/**
+ * Load the last good dataset stored for offline use
+ * @param {string} key - View key (e.g. project, pod, project group or cross-project view)
+ * @returns {Promise<Object|null>} { data, lastSyncedAt, savedAt, ... } or null
+ */
+export async function loadOfflineDataset(key) {
+  try {
+    return await runRequest('readonly', store => store.get(key), DATASET_STORE) || null
+  } catch (error) {
+    console.warn('Failed to load offline dataset:', error)
+    return null
+  }
+}
+
+/**
+ * Store a dataset for offline use, replacing the previous one for the key
+ * @returns {Promise<boolean>} True if persisted
+ */
+export async function saveOfflineDataset(key, dataset) {
+  try {
+    const result = await runRequest('readwrite', store =>
+      store.put({ ...dataset, key, savedAt: new Date().toISOString() }), DATASET_STORE
+    )
+    return result !== null
+  } catch (error) {
+    console.warn('Failed to save offline dataset:', error)
+    return false
+  }
+}
@@ -2,17 +2,31 @@
  * Team Attribution Service
  *
  * Analyzes team assignments across initiatives using multiple data sources:
- * 1. Labels (team::name, squad::name)
- * 2. Assignees
- * 3. Issue/Epic metadata
+ * 1. Named teams with dated membership (assignee's teams when the work was done)
+ * 2. Labels (team::name, squad::name) when no named teams are configured or the assignee has none
+ * 3. Assignees
+ * 4. Issue/Epic metadata
  *
  * Provides insights for:
  * - Resource allocation across initiatives
  * - Team workload and capacity
  * - Cross-team dependencies
  * - Resource contention detection
+ *
+ * Team-level counts are weighted by membership allocation (e.g. an issue closed by someone
+ * on two teams at 50% counts half for each), so they can be fractional.
  */
 
+import {
+  loadTeams,
+  getIssueTeamShares,
+  getMemberAllocationsAt,
+  getTeamRosterAt,
+  getIssueAttributionDate
+} from './teamMembershipService'
+
+const round1 = value => Math.round(value * 10) / 10
+
 /**
  * Extract team name from labels
  * Supports patterns: team::name, squad::name, group::name
@@ -36,62 +50,98 @@ export function extractTeamFromLabels(labels) {
   return null
 }
 
+/**
+ * Teams an issue counts towards
+ * Uses named team membership at the time of the work, falling back to the team label
+ * @param {Object} issue
+ * @param {Array} namedTeams - From teamMembershipService.loadTeams()
+ * @returns {Array} [{ name, share (0-1), namedTeam }]
+ */
+export function getIssueTeams(issue, namedTeams = []) {
+  const shares = getIssueTeamShares(issue, namedTeams)
+  if (shares.length > 0) {
+    return shares.map(({ team, share }) => ({ name: team.name, share, namedTeam: team }))
+  }
+
+  const teamName = extractTeamFromLabels(issue.labels)
+  return teamName ? [{ name: teamName, share: 1, namedTeam: null }] : []
+}
+
 /**
  * Get all teams from issues
+ * Named teams are always listed; their members and FTE are today's roster
  */
-export function extractAllTeams(issues) {
+export function extractAllTeams(issues, namedTeams = loadTeams()) {
   const teamMap = new Map()
 
+  const getTeam = (name, namedTeam) => {
+    if (!teamMap.has(name)) {
+      teamMap.set(name, {
+        name,
+        issueCount: 0,
+        openIssueCount: 0,
+        closedIssueCount: 0,
+        members: new Set(),
+        issues: [],
+        namedTeam
+      })
+    }
+    return teamMap.get(name)
+  }
+
+  namedTeams.forEach(namedTeam => getTeam(namedTeam.name, namedTeam))
+
   issues.forEach(issue => {
-    const teamName = extractTeamFromLabels(issue.labels)
-
-    if (teamName) {
-      if (!teamMap.has(teamName)) {
-        teamMap.set(teamName, {
-          name: teamName,
-          issueCount: 0,
-          openIssueCount: 0,
-          closedIssueCount: 0,
-          members: new Set(),
-          issues: []
+    getIssueTeams(issue, namedTeams).forEach(({ name, share, namedTeam }) => {
+      const team = getTeam(name, namedTeam)
+      team.issueCount += share
+      if (issue.state === 'opened') team.openIssueCount += share
+      if (issue.state === 'closed') team.closedIssueCount += share
+      team.issues.push(issue)
+
+      // Track team members from assignees (label-based teams only)
+      if (!namedTeam) {
+        issue.assignees?.forEach(assignee => {
+          team.members.add(assignee.username)
         })
       }
+    })
+  })
 
-      const team = teamMap.get(teamName)
-      team.issueCount++
-      if (issue.state === 'opened') team.openIssueCount++
-      if (issue.state === 'closed') team.closedIssueCount++
-      team.issues.push(issue)
+  // Convert Sets to Arrays
+  return Array.from(teamMap.values()).map(({ namedTeam, ...team }) => {
+    const roster = namedTeam ? getTeamRosterAt(namedTeams, namedTeam.id) : null
+    const members = roster ? roster.map(m => m.username) : Array.from(team.members)
 
-      // Track team members from assignees
-      issue.assignees?.forEach(assignee => {
-        team.members.add(assignee.username)
-      })
+    return {
+      ...team,
+      id: namedTeam?.id || null,
+      issueCount: round1(team.issueCount),
+      openIssueCount: round1(team.openIssueCount),
+      closedIssueCount: round1(team.closedIssueCount),
+      members,
+      memberCount: members.length,
+      fte: roster ? round1(roster.reduce((sum, m) => sum + m.allocation, 0)) : members.length
     }
   })
-
-  // Convert Sets to Arrays
-  return Array.from(teamMap.values()).map(team => ({
-    ...team,
-    members: Array.from(team.members),
-    memberCount: team.members.size
-  }))
 }
 
 /**
  * Attribute initiatives to teams based on epic and issue assignments
  */
-export function attributeInitiativesToTeams(initiatives) {
+export function attributeInitiativesToTeams(initiatives, namedTeams = loadTeams()) {
   const attributions = []
 
   initiatives.forEach(initiative => {
     const teamMap = new Map()
+    let unassignedIssues = 0
 
     // Analyze all issues in this initiative
     initiative.issues.forEach(issue => {
-      const teamName = extractTeamFromLabels(issue.labels)
+      const issueTeams = getIssueTeams(issue, namedTeams)
+      if (issueTeams.length === 0) unassignedIssues++
 
-      if (teamName) {
+      issueTeams.forEach(({ name: teamName, share }) => {
         if (!teamMap.has(teamName)) {
           teamMap.set(teamName, {
             team: teamName,
@@ -105,29 +155,33 @@ export function attributeInitiativesToTeams(initiatives) {
         }
 
         const teamData = teamMap.get(teamName)
-        teamData.issueCount++
+        teamData.issueCount += share
         teamData.issues.push(issue)
 
-        if (issue.state === 'opened') teamData.openIssues++
-        if (issue.state === 'closed') teamData.closedIssues++
+        if (issue.state === 'opened') teamData.openIssues += share
+        if (issue.state === 'closed') teamData.closedIssues += share
 
         // Extract story points if available (from labels like "sp::5")
         const spLabel = issue.labels?.find(l => l.toLowerCase().startsWith('sp::'))
         if (spLabel) {
           const sp = parseInt(spLabel.split('::')[1], 10)
-          if (!isNaN(sp)) teamData.storyPoints += sp
+          if (!isNaN(sp)) teamData.storyPoints += sp * share
         }
 
         // Track team members
         issue.assignees?.forEach(assignee => {
           teamData.members.add(assignee.username)
         })
-      }
+      })
     })
 
     // Convert to array and calculate percentages
     const teams = Array.from(teamMap.values()).map(team => ({
       ...team,
+      issueCount: round1(team.issueCount),
+      openIssues: round1(team.openIssues),
+      closedIssues: round1(team.closedIssues),
+      storyPoints: round1(team.storyPoints),
       members: Array.from(team.members),
       memberCount: team.members.size,
       percentage: Math.round((team.issueCount / initiative.issues.length) * 100),
@@ -146,7 +200,7 @@ export function attributeInitiativesToTeams(initiatives) {
       primaryTeam: teams[0]?.team || 'Unassigned',
       isMultiTeam: teams.length > 1,
       teamCount: teams.length,
-      unassignedIssues: initiative.issues.filter(i => !extractTeamFromLabels(i.labels)).length
+      unassignedIssues
     })
   })
 
@@ -155,8 +209,9 @@ export function attributeInitiativesToTeams(initiatives) {
 
 /**
  * Detect resource contention - same people assigned to multiple high-priority initiatives
+ * Teams are the person's current named teams (with allocation), or the team labels of their issues
  */
-export function detectResourceContention(initiatives) {
+export function detectResourceContention(initiatives, namedTeams = loadTeams()) {
   const assigneeMap = new Map()
 
   initiatives.forEach(initiative => {
@@ -181,7 +236,9 @@ export function detectResourceContention(initiatives) {
             highPriorityInitiatives: new Set(),
             totalIssues: 0,
             highPriorityIssues: 0,
-            teams: new Set()
+            teams: new Set(),
+            allocations: getMemberAllocationsAt(namedTeams, assignee.username, getIssueAttributionDate(issue))
+              .map(a => ({ team: a.team.name, allocationPercent: a.allocationPercent }))
           })
         }
 
@@ -195,8 +252,12 @@ export function detectResourceContention(initiatives) {
         }
 
         // Track teams this person works with
-        const teamName = extractTeamFromLabels(issue.labels)
-        if (teamName) assigneeData.teams.add(teamName)
+        if (assigneeData.allocations.length > 0) {
+          assigneeData.allocations.forEach(a => assigneeData.teams.add(a.team))
+        } else {
+          const teamName = extractTeamFromLabels(issue.labels)
+          if (teamName) assigneeData.teams.add(teamName)
+        }
       })
     })
   })
@@ -214,7 +275,8 @@ export function detectResourceContention(initiatives) {
       contentionLevel: calculateContentionLevel(
         assignee.initiatives.size,
         assignee.highPriorityInitiatives.size,
-        assignee.totalIssues
+        assignee.totalIssues,
+        assignee.allocations.length
       )
     }))
     .filter(a => a.isContended)
@@ -226,7 +288,7 @@ export function detectResourceContention(initiatives) {
 /**
  * Calculate contention level (0-100 score)
  */
-function calculateContentionLevel(initiativeCount, highPriorityCount, totalIssues) {
+function calculateContentionLevel(initiativeCount, highPriorityCount, totalIssues, teamCount = 0) {
   // Base score from initiative count (3+ initiatives = contention)
   let score = Math.min((initiativeCount - 2) * 20, 50)
 
@@ -237,18 +299,22 @@ function calculateContentionLevel(initiativeCount, highPriorityCount, totalIssue
   if (totalIssues >= 10) score += 20
   else if (totalIssues >= 5) score += 10
 
+  // Split across several named teams
+  if (teamCount >= 2) score += (teamCount - 1) * 10
+
   return Math.min(score, 100)
 }
 
 /**
  * Get team capacity overview
+ * Load is scaled by FTE (sum of current allocations) for named teams
  */
-export function getTeamCapacityOverview(teams, initiatives) {
+export function getTeamCapacityOverview(teams, initiatives, namedTeams = loadTeams()) {
   return teams.map(team => {
     // Find all initiatives this team is involved in
     const teamInitiatives = initiatives.filter(initiative =>
       initiative.issues.some(issue =>
-        extractTeamFromLabels(issue.labels) === team.name
+        getIssueTeams(issue, namedTeams).some(t => t.name === team.name)
       )
     )
 
@@ -256,7 +322,7 @@ export function getTeamCapacityOverview(teams, initiatives) {
     const activeInitiatives = teamInitiatives.filter(i => i.progress < 100)
 
     // Calculate workload metrics
-    const openIssues = team.issues.filter(i => i.state === 'opened').length
+    const openIssues = team.openIssueCount
     const completionRate = team.issueCount > 0
       ? Math.round((team.closedIssueCount / team.issueCount) * 100)
       : 0
@@ -269,16 +335,19 @@ export function getTeamCapacityOverview(teams, initiatives) {
       capacityStatus = 'at-capacity'
     }
 
+    const fte = team.fte ?? (team.members.length || team.memberCount)
+
     return {
       teamName: team.name,
       memberCount: team.members.length || team.memberCount,
+      fte,
       initiativeCount: teamInitiatives.length,
       activeInitiativeCount: activeInitiatives.length,
       openIssueCount: openIssues,
       totalIssueCount: team.issueCount,
       completionRate,
       capacityStatus,
-      capacityScore: calculateCapacityScore(activeInitiatives.length, openIssues, team.members.length || team.memberCount),
+      capacityScore: calculateCapacityScore(activeInitiatives.length, openIssues, fte),
       initiatives: teamInitiatives.map(i => ({
         id: i.id,
         name: i.name,
@@ -457,6 +526,7 @@ export function exportTeamCapacityCSV(capacityOverview) {
   const headers = [
     'Team',
     'Member Count',
+    'FTE',
     'Total Initiatives',
     'Active Initiatives',
     'Open Issues',
@@ -470,6 +540,7 @@ export function exportTeamCapacityCSV(capacityOverview) {
   const rows = capacityOverview.map(team => [
     team.teamName,
     team.memberCount,
+    team.fte,
     team.initiativeCount,
     team.activeInitiativeCount,
     team.openIssueCount,
@@ -8,13 +8,16 @@
 const isDev = import.meta.env.MODE === 'development'
 
 import { getActiveProjectId, getActiveGroupId } from './storageService'
+import { persistentStore } from './persistentStore'
+import { loadHolidayCalendars, getWorkingDayRules, countWorkingDays, getHolidaysInRange } from './holidayCalendarService'
+import { getIssueTimeStats, getOverEstimateIssues } from './timeTrackingService'
 
 const TEAM_CONFIG_KEY = 'gitlab_team_config'
 const SPRINT_CAPACITY_KEY = 'gitlab_sprint_capacity'
 const CAPACITY_SETTINGS_KEY = 'gitlab_capacity_settings'
 
 /**
- * Get context-specific key for localStorage
+ * Get context-specific key for storage
  * Priority: Pod-level > Project-level > Global
  * @param {string} baseKey - Base key name
  * @returns {string} Context-specific key
@@ -171,6 +174,7 @@ export function calculateHistoricalVelocity(issues) {
 
 /**
  * Get estimated hours for an issue
+ * With capacitySettings.useTimeTracking, the GitLab time estimate is used when set
  */
 export function getEstimatedHours(issue, capacitySettings, manualEstimates = {}) {
   // 1. Check for manual estimate first
@@ -178,22 +182,39 @@ export function getEstimatedHours(issue, capacitySettings, manualEstimates = {})
     return manualEstimates[issue.id]
   }
 
-  // 2. Calculate from story points/weight
+  // 2. GitLab time estimate (time tracking)
+  if (capacitySettings.useTimeTracking) {
+    const { estimateHours } = getIssueTimeStats(issue)
+    if (estimateHours > 0) return estimateHours
+  }
+
+  // 3. Calculate from story points/weight
   if (issue.weight && issue.weight > 0) {
     return issue.weight * capacitySettings.hoursPerStoryPoint
   }
 
-  // 3. Use default hours per issue
+  // 4. Use default hours per issue
   return capacitySettings.defaultHoursPerIssue || 4
 }
 
+/**
+ * Get the hours of work left on an issue
+ * With capacitySettings.useTimeTracking, logged time is subtracted from the estimate
+ */
+export function getRemainingHours(issue, capacitySettings, manualEstimates = {}) {
+  const estimatedHours = getEstimatedHours(issue, capacitySettings, manualEstimates)
+  if (!capacitySettings.useTimeTracking) return estimatedHours
+
+  return Math.max(0, estimatedHours - getIssueTimeStats(issue).spentHours)
+}
+
 /**
  * Load team configuration (project-specific)
  */
 export function loadTeamConfig() {
   try {
     const key = getProjectKey(TEAM_CONFIG_KEY)
-    const saved = localStorage.getItem(key)
+    const saved = persistentStore.getItem(key)
     if (saved) {
       const config = JSON.parse(saved)
       if (isDev) {
@@ -229,7 +250,7 @@ export function saveTeamConfig(config) {
       ...config,
       lastUpdated: new Date().toISOString()
     }
-    localStorage.setItem(key, JSON.stringify(configToSave))
+    persistentStore.setItem(key, JSON.stringify(configToSave))
     return true
   } catch (error) {
     console.error('Error saving team config:', error)
@@ -281,7 +302,7 @@ export function removeTeamMember(username) {
 export function loadSprintCapacity() {
   try {
     const key = getProjectKey(SPRINT_CAPACITY_KEY)
-    const saved = localStorage.getItem(key)
+    const saved = persistentStore.getItem(key)
     if (saved) {
       return JSON.parse(saved)
     }
@@ -300,7 +321,7 @@ export function loadSprintCapacity() {
 export function saveSprintCapacity(capacity) {
   try {
     const key = getProjectKey(SPRINT_CAPACITY_KEY)
-    localStorage.setItem(key, JSON.stringify(capacity))
+    persistentStore.setItem(key, JSON.stringify(capacity))
     return true
   } catch (error) {
     console.error('Error saving sprint capacity:', error)
@@ -391,7 +412,7 @@ export function getSprintMemberCapacity(sprintId, username, defaultCapacity = 40
 export function loadCapacitySettings() {
   try {
     const key = getProjectKey(CAPACITY_SETTINGS_KEY)
-    const saved = localStorage.getItem(key)
+    const saved = persistentStore.getItem(key)
     if (saved) {
       return JSON.parse(saved)
     }
@@ -404,6 +425,7 @@ export function loadCapacitySettings() {
     hoursPerStoryPoint: 8,
     defaultHoursPerIssue: 4,
     defaultWeeklyCapacity: 40,
+    useTimeTracking: false, // Use GitLab time estimates and logged time for workload
     lastCalculated: null,
     historicalData: null
   }
@@ -415,7 +437,7 @@ export function loadCapacitySettings() {
 export function saveCapacitySettings(settings) {
   try {
     const key = getProjectKey(CAPACITY_SETTINGS_KEY)
-    localStorage.setItem(key, JSON.stringify(settings))
+    persistentStore.setItem(key, JSON.stringify(settings))
     return true
   } catch (error) {
     console.error('Error saving capacity settings:', error)
@@ -441,17 +463,39 @@ export function updateCapacitySettingsFromHistory(issues) {
 
 /**
  * Calculate total capacity for a sprint
+ * With sprint dates, default capacity follows each member's work week and regional
+ * holidays; manual per-sprint overrides always win
+ * @param {string} sprintId
+ * @param {string} sprintName
+ * @param {Array} teamMembers
+ * @param {Object} sprint - Optional { startDate, dueDate }
  */
-export function calculateSprintCapacity(sprintId, sprintName, teamMembers) {
+export function calculateSprintCapacity(sprintId, sprintName, teamMembers, sprint = null) {
   const capacity = loadSprintCapacity()
-  const sprint = capacity.sprints.find(s => s.sprintId === sprintId)
+  const sprintConfig = capacity.sprints.find(s => s.sprintId === sprintId)
+  const hasDates = Boolean(sprint?.startDate && sprint?.dueDate)
+  const calendars = hasDates ? loadHolidayCalendars() : []
 
   let totalCapacity = 0
   const memberDetails = []
 
   teamMembers.forEach(member => {
-    const memberCap = sprint?.memberCapacity.find(m => m.username === member.username)
-    const hours = memberCap ? memberCap.availableHours : member.defaultCapacity
+    const memberCap = sprintConfig?.memberCapacity.find(m => m.username === member.username)
+    let hours = member.defaultCapacity
+    let workingDays = null
+    let holidays = []
+
+    if (hasDates) {
+      const start = new Date(sprint.startDate)
+      const end = new Date(sprint.dueDate)
+      const rules = getWorkingDayRules(member, calendars)
+      workingDays = countWorkingDays(start, end, rules)
+      holidays = getHolidaysInRange(start, end, rules)
+      hours = Math.round(workingDays * (member.defaultCapacity / rules.workDays.size) * 10) / 10
+    }
+    if (memberCap) {
+      hours = memberCap.availableHours
+    }
 
     totalCapacity += hours
     memberDetails.push({
@@ -459,6 +503,8 @@ export function calculateSprintCapacity(sprintId, sprintName, teamMembers) {
       name: member.name,
       role: member.role,
       availableHours: hours,
+      workingDays,
+      holidays,
       reason: memberCap?.reason || ''
     })
   })
@@ -506,6 +552,7 @@ export function getMemberIssues(username, issues, capacitySettings, manualEstima
 
 /**
  * Calculate member workload for a sprint
+ * With capacitySettings.useTimeTracking, hours are the remaining estimate (estimate minus logged time)
  */
 export function calculateMemberWorkload(username, sprintId, issues, capacitySettings, manualEstimates = {}) {
   // Filter issues for this sprint
@@ -516,7 +563,12 @@ export function calculateMemberWorkload(username, sprintId, issues, capacitySett
   )
 
   const totalEstimatedHours = sprintIssues.reduce((sum, issue) =>
-    sum + getEstimatedHours(issue, capacitySettings, manualEstimates),
+    sum + getRemainingHours(issue, capacitySettings, manualEstimates),
+    0
+  )
+
+  const totalSpentHours = sprintIssues.reduce((sum, issue) =>
+    sum + getIssueTimeStats(issue).spentHours,
     0
   )
 
@@ -528,7 +580,9 @@ export function calculateMemberWorkload(username, sprintId, issues, capacitySett
   return {
     issueCount: sprintIssues.length,
     totalEstimatedHours: Math.round(totalEstimatedHours * 10) / 10,
+    totalSpentHours: Math.round(totalSpentHours * 10) / 10,
     totalWeight,
+    overEstimateIssues: capacitySettings.useTimeTracking ? getOverEstimateIssues(sprintIssues) : [],
     issues: sprintIssues
   }
 }
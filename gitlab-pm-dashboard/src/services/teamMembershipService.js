@@ -0,0 +1,200 @@
+/**
+ * Team Membership Service
+ * Named teams with dated membership intervals and allocation percentages
+ *
+ * Teams are stored in the team configuration (pod/project level, see teamConfigService):
+ *   teams: [{ id, name, memberships: [{ id, username, startDate, endDate, allocation }] }]
+ * startDate/endDate are 'YYYY-MM-DD' (inclusive; null = open-ended), allocation is 1-100 (%).
+ * Work is attributed to the teams its assignees belonged to when it was done
+ * (closed_at for closed issues, today for open ones).
+ */
+
+import { loadTeamConfig, saveTeamConfig } from './teamConfigService'
+import { toDateKey } from './holidayCalendarService'
+
+/**
+ * Load named teams for the active project/pod
+ * @returns {Array}
+ */
+export function loadTeams() {
+  return loadTeamConfig().teams || []
+}
+
+/**
+ * Save named teams for the active project/pod
+ * @param {Array} teams
+ */
+export function saveTeams(teams) {
+  const config = loadTeamConfig()
+  config.teams = teams
+  return saveTeamConfig(config)
+}
+
+/**
+ * Create an empty named team
+ */
+export function createTeam(name) {
+  const trimmed = String(name || '').trim()
+  if (!trimmed) {
+    throw new Error('Team name is required')
+  }
+
+  return {
+    id: `team-${Date.now()}`,
+    name: trimmed,
+    memberships: []
+  }
+}
+
+/**
+ * Add a membership interval to a team
+ * @param {Object} team
+ * @param {Object} membership - { username, startDate, endDate, allocation }
+ * @returns {Object} Updated team
+ */
+export function addTeamMembership(team, { username, startDate = null, endDate = null, allocation = 100 }) {
+  if (!username) {
+    throw new Error('Member is required')
+  }
+  if (startDate && endDate && endDate < startDate) {
+    throw new Error('End date must be on or after the start date')
+  }
+
+  const percent = Number(allocation)
+  if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+    throw new Error('Allocation must be between 1 and 100%')
+  }
+
+  return {
+    ...team,
+    memberships: [
+      ...team.memberships,
+      {
+        id: `membership-${Date.now()}-${team.memberships.length}`,
+        username,
+        startDate: startDate || null,
+        endDate: endDate || null,
+        allocation: percent
+      }
+    ]
+  }
+}
+
+/**
+ * Whether a membership covers a date
+ */
+export function isMembershipActive(membership, date) {
+  const day = toDateKey(date)
+  return (!membership.startDate || membership.startDate <= day) &&
+    (!membership.endDate || membership.endDate >= day)
+}
+
+/**
+ * A person's team allocations on a date
+ * When the allocations add up to more than 100% they are scaled down to 100%
+ * @param {Array} teams
+ * @param {string} username
+ * @param {Date} date
+ * @returns {Array} [{ team, allocation (0-1), allocationPercent }]
+ */
+export function getMemberAllocationsAt(teams, username, date) {
+  const allocations = []
+
+  teams.forEach(team => {
+    const percent = team.memberships
+      .filter(m => m.username === username && isMembershipActive(m, date))
+      .reduce((sum, m) => sum + m.allocation, 0)
+    if (percent > 0) allocations.push({ team, allocationPercent: percent })
+  })
+
+  const total = allocations.reduce((sum, a) => sum + a.allocationPercent, 0)
+  const scale = total > 100 ? 100 / total : 1
+
+  return allocations.map(a => ({ ...a, allocation: (a.allocationPercent / 100) * scale }))
+}
+
+/**
+ * Share (0-1) of a person's time that belonged to a team on a date
+ */
+export function getTeamAllocation(teams, teamId, username, date) {
+  return getMemberAllocationsAt(teams, username, date).find(a => a.team.id === teamId)?.allocation || 0
+}
+
+/**
+ * Members of a team on a date
+ * @returns {Array} [{ username, allocation (0-1) }]
+ */
+export function getTeamRosterAt(teams, teamId, date = new Date()) {
+  const team = teams.find(t => t.id === teamId)
+  if (!team) return []
+
+  return [...new Set(team.memberships.map(m => m.username))]
+    .map(username => ({ username, allocation: getTeamAllocation(teams, teamId, username, date) }))
+    .filter(member => member.allocation > 0)
+}
+
+/**
+ * Everyone who was ever a member of a team
+ */
+export function getTeamUsernames(team) {
+  return [...new Set((team?.memberships || []).map(m => m.username))]
+}
+
+/**
+ * People whose allocations add up to more than 100% on a date
+ * @returns {Array} [{ username, allocationPercent }]
+ */
+export function getOverallocatedMembers(teams, date = new Date()) {
+  const usernames = new Set(teams.flatMap(team => team.memberships.map(m => m.username)))
+
+  return Array.from(usernames)
+    .map(username => ({
+      username,
+      allocationPercent: getMemberAllocationsAt(teams, username, date)
+        .reduce((sum, a) => sum + a.allocationPercent, 0)
+    }))
+    .filter(member => member.allocationPercent > 100)
+}
+
+/**
+ * The date an issue's work is attributed to: when it was closed, or today while it is open
+ */
+export function getIssueAttributionDate(issue) {
+  return issue.state === 'closed' && issue.closed_at ? new Date(issue.closed_at) : new Date()
+}
+
+function getIssueAssignees(issue) {
+  if (issue.assignees?.length) return issue.assignees
+  return issue.assignee ? [issue.assignee] : []
+}
+
+/**
+ * Teams an issue counts towards, weighted by its assignees' allocations at the time
+ * Each assignee carries an equal part of the issue; time not allocated to any team is not attributed.
+ * @param {Object} issue
+ * @param {Array} teams
+ * @param {Date} date - Defaults to getIssueAttributionDate(issue)
+ * @returns {Array} [{ team, share (0-1) }]
+ */
+export function getIssueTeamShares(issue, teams, date = getIssueAttributionDate(issue)) {
+  const assignees = getIssueAssignees(issue)
+  if (teams.length === 0 || assignees.length === 0) return []
+
+  const shares = new Map()
+  assignees.forEach(assignee => {
+    getMemberAllocationsAt(teams, assignee.username, date).forEach(({ team, allocation }) => {
+      const current = shares.get(team.id) || { team, share: 0 }
+      current.share += allocation / assignees.length
+      shares.set(team.id, current)
+    })
+  })
+
+  return Array.from(shares.values())
+}
+
+/**
+ * Share (0-1) of an issue that counts towards one team
+ */
+export function getIssueTeamShare(issue, teams, teamId) {
+  return getIssueTeamShares(issue, teams).find(s => s.team.id === teamId)?.share || 0
+}
@@ -0,0 +1,115 @@
+/**
+ * Time Tracking Service
+ * GitLab time tracking (`time_stats.time_estimate` / `total_time_spent`, in seconds):
+ * remaining work from estimates and logged time, estimate-vs-actual accuracy per member
+ * and issue type, and issues that are over their estimate
+ */
+
+import { getCategoryFromLabels } from '../utils/labelUtils'
+
+const SECONDS_PER_HOUR = 3600
+
+const round1 = value => Math.round(value * 10) / 10
+
+/**
+ * Estimate and logged time of an issue in hours
+ * @param {Object} issue - GitLab issue
+ * @returns {Object} { estimateHours, spentHours, remainingHours (null without estimate), overEstimateHours }
+ */
+export function getIssueTimeStats(issue) {
+  const estimateHours = (issue?.time_stats?.time_estimate || 0) / SECONDS_PER_HOUR
+  const spentHours = (issue?.time_stats?.total_time_spent || 0) / SECONDS_PER_HOUR
+
+  return {
+    estimateHours,
+    spentHours,
+    remainingHours: estimateHours > 0 ? Math.max(0, estimateHours - spentHours) : null,
+    overEstimateHours: estimateHours > 0 ? Math.max(0, spentHours - estimateHours) : 0
+  }
+}
+
+/**
+ * Whether an issue has a GitLab time estimate
+ */
+export function hasTimeEstimate(issue) {
+  return (issue?.time_stats?.time_estimate || 0) > 0
+}
+
+/**
+ * Issues whose logged time exceeds their estimate
+ * @param {Array} issues
+ * @returns {Array} [{ issue, estimateHours, spentHours, overHours, overPercent }] largest overrun first
+ */
+export function getOverEstimateIssues(issues) {
+  return issues
+    .map(issue => ({ issue, ...getIssueTimeStats(issue) }))
+    .filter(entry => entry.overEstimateHours > 0)
+    .map(({ issue, estimateHours, spentHours, overEstimateHours }) => ({
+      issue,
+      estimateHours: round1(estimateHours),
+      spentHours: round1(spentHours),
+      overHours: round1(overEstimateHours),
+      overPercent: Math.round((overEstimateHours / estimateHours) * 100)
+    }))
+    .sort((a, b) => b.overHours - a.overHours)
+}
+
+/**
+ * Estimate-vs-actual accuracy of closed issues with both an estimate and logged time
+ * accuracy: 100% minus the average relative estimation error (floored at 0)
+ * ratio: total logged / total estimated (above 1 = underestimated)
+ * @param {Array} issues
+ * @param {Function} getGroups - issue → group key(s)
+ * @returns {Array} [{ key, issueCount, estimateHours, spentHours, ratio, accuracy }] most issues first
+ */
+export function calculateEstimateAccuracy(issues, getGroups) {
+  const groups = new Map()
+
+  issues
+    .filter(issue => issue.state === 'closed' && hasTimeEstimate(issue) && issue.time_stats.total_time_spent > 0)
+    .forEach(issue => {
+      const { estimateHours, spentHours } = getIssueTimeStats(issue)
+      const error = Math.abs(spentHours - estimateHours) / estimateHours
+
+      ;[].concat(getGroups(issue)).filter(Boolean).forEach(key => {
+        if (!groups.has(key)) {
+          groups.set(key, { key, issueCount: 0, estimateHours: 0, spentHours: 0, totalError: 0 })
+        }
+        const group = groups.get(key)
+        group.issueCount++
+        group.estimateHours += estimateHours
+        group.spentHours += spentHours
+        group.totalError += error
+      })
+    })
+
+  return Array.from(groups.values())
+    .map(({ totalError, ...group }) => ({
+      ...group,
+      estimateHours: round1(group.estimateHours),
+      spentHours: round1(group.spentHours),
+      ratio: Math.round((group.spentHours / group.estimateHours) * 100) / 100,
+      accuracy: Math.max(0, Math.round(100 - (totalError / group.issueCount) * 100))
+    }))
+    .sort((a, b) => b.issueCount - a.issueCount)
+}
+
+/**
+ * Estimate accuracy per assignee, keyed by username
+ * @returns {Map}
+ */
+export function getEstimateAccuracyByMember(issues) {
+  const accuracy = calculateEstimateAccuracy(issues, issue => {
+    if (issue.assignees?.length) return issue.assignees.map(a => a.username)
+    return issue.assignee?.username
+  })
+  return new Map(accuracy.map(entry => [entry.key, entry]))
+}
+
+/**
+ * Estimate accuracy per issue type (Type:: label, or Bug/Feature/Enhancement/Task)
+ * @returns {Array}
+ */
+export function getEstimateAccuracyByIssueType(issues) {
+  return calculateEstimateAccuracy(issues, issue => getCategoryFromLabels(issue.labels))
+}
@@ -8,6 +8,7 @@
  * - Unified calculation engine for consistency
  * - Supports separate lookback periods for Analytics vs Team Management
  * - Flexible aggregation (by sprint, by member, by team)
+ * - Named teams: work and capacity count towards the teams people belonged to at the time
  * - Configurable metric type (story points vs issue count)
  * - Built-in caching for performance
  * - Backward compatible with existing services
@@ -16,6 +17,7 @@
 import { getSprintFromLabels } from '../utils/labelUtils'
 import { calculateAbsenceImpact } from './absenceService'
 import { loadVelocityConfig } from './velocityConfigService'
+import { getIssueTeamShare, getTeamAllocation, getTeamUsernames } from './teamMembershipService'
 
 // Cache for velocity calculations to improve performance
 const velocityCache = new Map()
@@ -47,6 +49,8 @@ function getCacheKey(type, params) {
  * @param {number} options.memberCapacity - Member's weekly capacity in hours
  * @param {Array} options.teamMembers - Team members for team calculations
  * @param {boolean} options.includeAbsences - Whether to factor in absences
+ * @param {Array} options.teams - Named teams (teamMembershipService), required with teamId
+ * @param {string} options.teamId - Restrict to a named team's share of the work and capacity
  * @returns {Object} Velocity calculation results
  */
 export function calculateUnifiedVelocity(options) {
@@ -58,8 +62,11 @@ export function calculateUnifiedVelocity(options) {
     username = null,
     memberCapacity = 40,
     teamMembers = [],
-    includeAbsences = true
+    includeAbsences = true,
+    teams = [],
+    teamId = null
   } = options
+  const team = teamId ? { teams, teamId } : null
 
   // Check cache
   const cacheKey = getCacheKey(aggregationType, options)
@@ -72,7 +79,7 @@ export function calculateUnifiedVelocity(options) {
 
   switch (aggregationType) {
     case 'sprint':
-      result = calculateSprintVelocity(issues, metricType, lookbackIterations)
+      result = calculateSprintVelocity(issues, metricType, lookbackIterations, team)
       break
     case 'member':
       result = calculateMemberVelocityCore(
@@ -81,7 +88,8 @@ export function calculateUnifiedVelocity(options) {
         memberCapacity,
         metricType,
         lookbackIterations,
-        includeAbsences
+        includeAbsences,
+        team
       )
       break
     case 'team':
@@ -90,7 +98,8 @@ export function calculateUnifiedVelocity(options) {
         teamMembers,
         metricType,
         lookbackIterations,
-        includeAbsences
+        includeAbsences,
+        team
       )
       break
     default:
@@ -108,8 +117,9 @@ export function calculateUnifiedVelocity(options) {
 
 /**
  * Calculate sprint-level velocity (for Analytics view)
+ * With a named team, each issue counts with the team's share of its assignees' time
  */
-function calculateSprintVelocity(issues, metricType, lookbackIterations) {
+function calculateSprintVelocity(issues, metricType, lookbackIterations, team = null) {
   if (!issues || issues.length === 0) {
     return {
       velocityData: [],
@@ -125,6 +135,9 @@ function calculateSprintVelocity(issues, metricType, lookbackIterations) {
     const sprint = getSprintFromLabels(issue.labels, issue.iteration)
     if (!sprint) return
 
+    const share = team ? getIssueTeamShare(issue, team.teams, team.teamId) : 1
+    if (share === 0) return
+
     if (!sprintMap.has(sprint)) {
       sprintMap.set(sprint, {
         sprint,
@@ -157,18 +170,27 @@ function calculateSprintVelocity(issues, metricType, lookbackIterations) {
       storyPoints = parseInt(issue.weight) || 0
     }
 
-    sprintData.totalIssues++
-    sprintData.totalPoints += storyPoints
+    sprintData.totalIssues += share
+    sprintData.totalPoints += storyPoints * share
 
     if (issue.state === 'closed') {
-      sprintData.completedIssues++
-      sprintData.completedPoints += storyPoints
+      sprintData.completedIssues += share
+      sprintData.completedPoints += storyPoints * share
     } else {
-      sprintData.openIssues++
-      sprintData.openPoints += storyPoints
+      sprintData.openIssues += share
+      sprintData.openPoints += storyPoints * share
     }
   })
 
+  // Team shares make counts fractional
+  if (team) {
+    sprintMap.forEach(sprintData => {
+      ['totalIssues', 'completedIssues', 'openIssues', 'totalPoints', 'completedPoints', 'openPoints'].forEach(field => {
+        sprintData[field] = Math.round(sprintData[field] * 10) / 10
+      })
+    })
+  }
+
   // Sort sprints chronologically (oldest to newest) for chart display
   const velocityData = Array.from(sprintMap.values())
     .sort((a, b) => {
@@ -229,8 +251,9 @@ function calculateSprintVelocity(issues, metricType, lookbackIterations) {
 
 /**
  * Calculate member-level velocity (for Team Management)
+ * With a named team, only work and capacity allocated to that team at the time are counted
  */
-function calculateMemberVelocityCore(issues, username, memberCapacity, metricType, lookbackIterations, includeAbsences) {
+function calculateMemberVelocityCore(issues, username, memberCapacity, metricType, lookbackIterations, includeAbsences, team = null) {
   if (!username || !issues || issues.length === 0) {
     return {
       hoursPerStoryPoint: null,
@@ -249,7 +272,8 @@ function calculateMemberVelocityCore(issues, username, memberCapacity, metricTyp
     return isAssigned &&
       issue.state === 'closed' &&
       issue.iteration?.start_date &&
-      issue.iteration?.due_date
+      issue.iteration?.due_date &&
+      (!team || getIssueTeamShare(issue, team.teams, team.teamId) > 0)
   })
 
   if (memberIssues.length === 0) {
@@ -287,6 +311,11 @@ function calculateMemberVelocityCore(issues, username, memberCapacity, metricTyp
     const shouldInclude = metricType === 'issues' || storyPoints > 0
     if (!shouldInclude) return
 
+    // Part of the issue done for the team (the member's allocation when it was closed)
+    const share = team
+      ? getTeamAllocation(team.teams, team.teamId, username, new Date(issue.closed_at || issue.iteration.due_date))
+      : 1
+
     if (!iterationMap.has(iterationName)) {
       iterationMap.set(iterationName, {
         name: iterationName,
@@ -298,8 +327,8 @@ function calculateMemberVelocityCore(issues, username, memberCapacity, metricTyp
     }
 
     const iteration = iterationMap.get(iterationName)
-    iteration.storyPoints += storyPoints
-    iteration.issueCount++
+    iteration.storyPoints += storyPoints * share
+    iteration.issueCount += share
   })
 
   // Sort by date and take recent iterations
@@ -321,8 +350,9 @@ function calculateMemberVelocityCore(issues, username, memberCapacity, metricTyp
   let totalHoursAvailable = 0
 
   iterations.forEach(iteration => {
-    // Calculate working days
+    // Calculate working days (weighted by team allocation on each day)
     let workDays = 0
+    let allocatedDays = 0
     const current = new Date(iteration.startDate)
     const end = new Date(iteration.endDate)
 
@@ -330,12 +360,14 @@ function calculateMemberVelocityCore(issues, username, memberCapacity, metricTyp
       const dayOfWeek = current.getDay()
       if (dayOfWeek !== 0 && dayOfWeek !== 6) {
         workDays++
+        allocatedDays += team ? getTeamAllocation(team.teams, team.teamId, username, current) : 1
       }
       current.setDate(current.getDate() + 1)
     }
 
     const dailyHours = memberCapacity / 5
-    let iterationCapacity = workDays * dailyHours
+    const averageAllocation = workDays > 0 ? allocatedDays / workDays : 0
+    let iterationCapacity = allocatedDays * dailyHours
 
     // Factor in absences if enabled
     if (includeAbsences) {
@@ -345,7 +377,7 @@ function calculateMemberVelocityCore(issues, username, memberCapacity, metricTyp
         iteration.endDate,
         memberCapacity
       )
-      iterationCapacity = Math.max(0, iterationCapacity - absenceHours)
+      iterationCapacity = Math.max(0, iterationCapacity - absenceHours * averageAllocation)
     }
 
     totalMetricValue += metricType === 'issues' ? iteration.issueCount : iteration.storyPoints
@@ -376,8 +408,15 @@ function calculateMemberVelocityCore(issues, username, memberCapacity, metricTyp
 
 /**
  * Calculate team-level velocity
+ * With a named team, its past and present members are analyzed (capacities from teamMembers)
  */
-function calculateTeamVelocity(issues, teamMembers, metricType, lookbackIterations, includeAbsences) {
+function calculateTeamVelocity(issues, configuredMembers, metricType, lookbackIterations, includeAbsences, team = null) {
+  const teamMembers = team
+    ? getTeamUsernames(team.teams.find(t => t.id === team.teamId)).map(username =>
+      (configuredMembers || []).find(m => m.username === username) || { username }
+    )
+    : configuredMembers
+
   if (!teamMembers || teamMembers.length === 0) {
     return {
       hoursPerStoryPoint: null,
@@ -395,7 +434,8 @@ function calculateTeamVelocity(issues, teamMembers, metricType, lookbackIteratio
         member.defaultCapacity || 40,
         metricType,
         lookbackIterations,
-        includeAbsences
+        includeAbsences,
+        team
       )
 
       const hoursPerMetric = metricType === 'issues'
@@ -467,6 +507,50 @@ export function getTeamManagementVelocity(issues, username, memberCapacity = 40,
   })
 }
 
+/**
+ * Sprint velocity and hours per metric of a named team
+ * Work and capacity count towards the team only while people belonged to it, by allocation
+ * @param {Array} issues
+ * @param {Array} teams - Named teams (teamMembershipService.loadTeams())
+ * @param {string} teamId
+ * @param {Array} teamMembers - Team configuration members (for weekly capacities)
+ */
+export function getNamedTeamVelocity(issues, teams, teamId, teamMembers = []) {
+  const config = loadVelocityConfig()
+  const metricType = config.metricType || 'points'
+
+  const sprint = calculateUnifiedVelocity({
+    issues,
+    aggregationType: 'sprint',
+    metricType,
+    lookbackIterations: config.analyticsLookbackIterations || config.velocityLookbackIterations || 3,
+    teams,
+    teamId
+  })
+
+  const hours = calculateUnifiedVelocity({
+    issues,
+    aggregationType: 'team',
+    metricType,
+    lookbackIterations: config.velocityLookbackIterations || 3,
+    teamMembers,
+    includeAbsences: true,
+    teams,
+    teamId
+  })
+
+  return {
+    velocityData: sprint.velocityData,
+    avgVelocity: sprint.avgVelocity,
+    sprintsAnalyzed: sprint.sprintsAnalyzed,
+    dataQuality: sprint.dataQuality,
+    hoursPerStoryPoint: hours.hoursPerStoryPoint,
+    hoursPerIssue: hours.hoursPerIssue,
+    membersAnalyzed: hours.membersAnalyzed,
+    metricType
+  }
+}
+
 /**
  * Get velocity with fallback hierarchy (individual -> team -> static)
  * Used for capacity planning in Team Management
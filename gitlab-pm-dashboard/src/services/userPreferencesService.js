@@ -3,6 +3,8 @@
  * Manages user role, view preferences, and settings
  */
 
+import { persistentStore } from './persistentStore.js'
+
 const STORAGE_KEYS = {
   USER_ROLE: 'githarmony_user_role',
   VIEW_PREFERENCE: 'githarmony_view_preference',
@@ -14,7 +16,7 @@ const STORAGE_KEYS = {
  * @returns {string} - 'executive', 'manager', or 'team'
  */
 export function getUserRole() {
-  const stored = localStorage.getItem(STORAGE_KEYS.USER_ROLE)
+  const stored = persistentStore.getItem(STORAGE_KEYS.USER_ROLE)
   return stored || 'manager' // Default to manager role
 }
 
@@ -23,7 +25,7 @@ export function getUserRole() {
  * @param {string} role - 'executive', 'manager', or 'team'
  */
 export function setUserRole(role) {
-  localStorage.setItem(STORAGE_KEYS.USER_ROLE, role)
+  persistentStore.setItem(STORAGE_KEYS.USER_ROLE, role)
 }
 
 /**
@@ -31,7 +33,7 @@ export function setUserRole(role) {
  * @returns {string} - 'grouped' or 'flat'
  */
 export function getViewPreference() {
-  const stored = localStorage.getItem(STORAGE_KEYS.VIEW_PREFERENCE)
+  const stored = persistentStore.getItem(STORAGE_KEYS.VIEW_PREFERENCE)
   return stored || 'grouped' // Default to grouped navigation
 }
 
@@ -40,7 +42,7 @@ export function getViewPreference() {
  * @param {string} preference - 'grouped' or 'flat'
  */
 export function setViewPreference(preference) {
-  localStorage.setItem(STORAGE_KEYS.VIEW_PREFERENCE, preference)
+  persistentStore.setItem(STORAGE_KEYS.VIEW_PREFERENCE, preference)
 }
 
 /**
@@ -48,7 +50,7 @@ export function setViewPreference(preference) {
  * @returns {Array<string>} - Array of view IDs
  */
 export function getFavoriteViews() {
-  const stored = localStorage.getItem(STORAGE_KEYS.FAVORITE_VIEWS)
+  const stored = persistentStore.getItem(STORAGE_KEYS.FAVORITE_VIEWS)
   return stored ? JSON.parse(stored) : []
 }
 
@@ -67,7 +69,7 @@ export function toggleFavoriteView(viewId) {
     favorites.push(viewId) // Add
   }
 
-  localStorage.setItem(STORAGE_KEYS.FAVORITE_VIEWS, JSON.stringify(favorites))
+  persistentStore.setItem(STORAGE_KEYS.FAVORITE_VIEWS, JSON.stringify(favorites))
   return favorites
 }
 
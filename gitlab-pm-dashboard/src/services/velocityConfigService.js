@@ -1,20 +1,21 @@
 /**
  * Velocity Configuration Service
- * Manages velocity calculation settings in localStorage
+ * Manages velocity calculation settings in storage
  */
 
 import { VELOCITY_CONFIG } from '../constants/config'
+import { persistentStore } from './persistentStore'
 
 const VELOCITY_CONFIG_KEY = 'velocityConfig'
 
 /**
- * Load velocity configuration from localStorage
+ * Load velocity configuration from storage
  * Falls back to default config if not found
  * Handles migration for backward compatibility
  */
 export function loadVelocityConfig() {
   try {
-    const stored = localStorage.getItem(VELOCITY_CONFIG_KEY)
+    const stored = persistentStore.getItem(VELOCITY_CONFIG_KEY)
     if (stored) {
       const parsed = JSON.parse(stored)
 
@@ -37,11 +38,11 @@ export function loadVelocityConfig() {
 }
 
 /**
- * Save velocity configuration to localStorage
+ * Save velocity configuration to storage
  */
 export function saveVelocityConfig(config) {
   try {
-    localStorage.setItem(VELOCITY_CONFIG_KEY, JSON.stringify(config))
+    persistentStore.setItem(VELOCITY_CONFIG_KEY, JSON.stringify(config))
 
     // Dispatch custom event to notify components in the same tab
     window.dispatchEvent(new Event('velocityConfigChanged'))
@@ -58,7 +59,7 @@ export function saveVelocityConfig(config) {
  */
 export function resetVelocityConfig() {
   try {
-    localStorage.removeItem(VELOCITY_CONFIG_KEY)
+    persistentStore.removeItem(VELOCITY_CONFIG_KEY)
 
     // Dispatch custom event to notify components in the same tab
     window.dispatchEvent(new Event('velocityConfigChanged'))
@@ -0,0 +1,271 @@
+/**
+ * Workflow Configuration Service
+ * Per-project (or pod) workflow definition: ordered states, the labels that put an issue
+ * into each state and whether a state counts as active work or waiting
+ *
+ * Workflow: { states: [{ id, name, phase, active, labels: [labelName] }], lastModified }
+ * - phase: the cycleTimeService phase a state reports as (colours, board columns, flow charts)
+ * - labels: matched exactly (case-insensitive), plain or scoped (`workflow::in review`).
+ *   Other labels of a scope the workflow uses (e.g. an unknown `workflow::qa`) are flagged
+ *   by the compliance check.
+ * Without a saved workflow, phases are detected by label patterns (DEFAULT_PHASE_PATTERNS).
+ */
+
+import { getActiveProjectId, getActiveGroupId } from './storageService'
+import { persistentStore } from './persistentStore'
+
+const STORAGE_KEY = 'gitlab-pm-workflow'
+
+export const WORKFLOW_PHASES = ['backlog', 'analysis', 'inProgress', 'review', 'awaitingTesting', 'testing', 'awaitingRelease', 'released', 'done', 'cancelled', 'blocked']
+
+// When an issue carries labels of several states, the first phase in this list wins
+// (same precedence as pattern detection); within a phase, the later state
+const PHASE_PRIORITY = ['cancelled', 'released', 'blocked', 'awaitingRelease', 'awaitingTesting', 'testing', 'review', 'inProgress', 'analysis', 'done', 'backlog']
+
+// Phases counted as active work when a state is created; the rest is waiting
+const DEFAULT_ACTIVE_PHASES = ['analysis', 'inProgress', 'review', 'testing']
+
+let cache = { key: null, raw: null, workflow: null }
+
+/**
+ * Get context-specific key for storage
+ * Priority: Pod-level > Project-level > Global
+ */
+function getProjectKey(baseKey) {
+  const groupId = getActiveGroupId()
+  if (groupId) {
+    return `${baseKey}_pod_${groupId}`
+  }
+
+  const projectId = getActiveProjectId()
+  if (!projectId || projectId === 'cross-project') {
+    return baseKey
+  }
+  return `${baseKey}_${projectId}`
+}
+
+/**
+ * Normalize a label for matching: lower case, no whitespace around the scope separator
+ * Labels can be strings OR objects with a 'name' property
+ */
+export function normalizeLabel(label) {
+  const name = typeof label === 'string' ? label : (label?.name || label?.title || '')
+  return name.toLowerCase().split('::').map(part => part.trim()).join('::')
+}
+
+/**
+ * Scope of a scoped label ('workflow' for `workflow::in review`), or null
+ */
+function getLabelScope(normalizedLabel) {
+  const index = normalizedLabel.lastIndexOf('::')
+  return index > 0 ? normalizedLabel.slice(0, index) : null
+}
+
+/**
+ * Label text without its scope ('In Review' for `workflow::In Review`)
+ */
+function unscope(label) {
+  const index = label.lastIndexOf('::')
+  return index >= 0 ? label.slice(index + 2).trim() : label.trim()
+}
+
+/**
+ * Load the workflow of the active project/pod
+ * Parsed once per stored value, since phase detection calls this for every issue
+ * @returns {Object|null} Workflow, or null when none is configured
+ */
+export function loadWorkflow() {
+  try {
+    const key = getProjectKey(STORAGE_KEY)
+    const raw = persistentStore.getItem(key)
+    if (cache.key === key && cache.raw === raw) {
+      return cache.workflow
+    }
+
+    const workflow = raw ? JSON.parse(raw) : null
+    cache = {
+      key,
+      raw,
+      workflow: workflow?.states?.length > 0 ? workflow : null
+    }
+    return cache.workflow
+  } catch (error) {
+    console.error('Error loading workflow:', error)
+    return null
+  }
+}
+
+/**
+ * Save the workflow of the active project/pod and notify open views
+ * @throws {Error} If the workflow is invalid
+ */
+export function saveWorkflow(workflow) {
+  validateWorkflow(workflow)
+
+  persistentStore.setItem(getProjectKey(STORAGE_KEY), JSON.stringify({
+    states: workflow.states.map(state => ({
+      ...state,
+      name: state.name.trim(),
+      labels: state.labels.map(label => label.trim()).filter(Boolean)
+    })),
+    lastModified: new Date().toISOString()
+  }))
+  window.dispatchEvent(new Event('workflowConfigChanged'))
+}
+
+/**
+ * Remove the workflow of the active project/pod (back to label pattern detection)
+ */
+export function resetWorkflow() {
+  try {
+    persistentStore.removeItem(getProjectKey(STORAGE_KEY))
+    window.dispatchEvent(new Event('workflowConfigChanged'))
+    return true
+  } catch (error) {
+    console.error('Error resetting workflow:', error)
+    return false
+  }
+}
+
+/**
+ * Create a workflow state
+ * @param {Object} state - { name, phase, active (defaults by phase), labels }
+ */
+export function createWorkflowState({ name = '', phase = 'inProgress', active, labels = [] } = {}) {
+  return {
+    id: `state-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    phase,
+    active: active ?? DEFAULT_ACTIVE_PHASES.includes(phase),
+    labels
+  }
+}
+
+/**
+ * Check a workflow before saving
+ * @throws {Error} On unnamed states, unknown phases, or a label mapped to two states
+ */
+export function validateWorkflow(workflow) {
+  if (!workflow?.states?.length) {
+    throw new Error('A workflow needs at least one state')
+  }
+
+  const owners = new Map()
+  workflow.states.forEach((state, index) => {
+    if (!state.name?.trim()) {
+      throw new Error(`State ${index + 1} has no name`)
+    }
+    if (!WORKFLOW_PHASES.includes(state.phase)) {
+      throw new Error(`State "${state.name}" has an unknown phase: ${state.phase}`)
+    }
+    state.labels.map(normalizeLabel).filter(Boolean).forEach(label => {
+      if (owners.has(label) && owners.get(label) !== state.name) {
+        throw new Error(`Label "${label}" is mapped to both "${owners.get(label)}" and "${state.name}"`)
+      }
+      owners.set(label, state.name)
+    })
+  })
+}
+
+/**
+ * States whose labels an issue carries, in workflow order
+ */
+function getMatchedStates(issue, workflow) {
+  const labels = new Set((issue.labels || []).map(normalizeLabel))
+  return workflow.states.filter(state => state.labels.some(label => labels.has(normalizeLabel(label))))
+}
+
+/**
+ * Workflow state of an issue
+ * @param {Object} issue
+ * @param {Object} workflow - Defaults to the active project's workflow
+ * @param {Object} options - { includeBlocked: let blocked states win (default true) }
+ * @returns {Object|null} State, or null when no state label is present
+ */
+export function getWorkflowState(issue, workflow = loadWorkflow(), { includeBlocked = true } = {}) {
+  if (!workflow) return null
+
+  const matched = getMatchedStates(issue, workflow)
+    .filter(state => includeBlocked || state.phase !== 'blocked')
+  if (matched.length === 0) return null
+
+  return matched.reduce((best, state) =>
+    PHASE_PRIORITY.indexOf(state.phase) <= PHASE_PRIORITY.indexOf(best.phase) ? state : best
+  )
+}
+
+/**
+ * Whether a label belongs to the workflow: mapped to a state, or of a scope the workflow's
+ * positions use (scopes only used by blocked states, e.g. `priority::blocked`, don't count)
+ */
+export function isWorkflowStateLabel(label, workflow = loadWorkflow()) {
+  if (!workflow) return false
+
+  const normalized = normalizeLabel(label)
+  const scope = getLabelScope(normalized)
+  return workflow.states.some(state => state.labels.some(stateLabel => {
+    const normalizedStateLabel = normalizeLabel(stateLabel)
+    return normalizedStateLabel === normalized ||
+      (scope && state.phase !== 'blocked' && getLabelScope(normalizedStateLabel) === scope)
+  }))
+}
+
+/**
+ * Why an open issue's workflow labels are inconsistent
+ * Blocked states are a flag on top of the position and may be combined with another state
+ * @returns {string|null} Problem description, or null when consistent (or no workflow)
+ */
+export function getWorkflowViolation(issue, workflow = loadWorkflow()) {
+  if (!workflow || issue.state === 'closed') return null
+
+  const positions = getMatchedStates(issue, workflow).filter(state => state.phase !== 'blocked')
+  if (positions.length > 1) {
+    return `In several states: ${positions.map(state => state.name).join(', ')}`
+  }
+
+  const mapped = new Set(workflow.states.flatMap(state => state.labels.map(normalizeLabel)))
+  const unknown = (issue.labels || []).filter(label =>
+    !mapped.has(normalizeLabel(label)) && getLabelScope(normalizeLabel(label)) && isWorkflowStateLabel(label, workflow)
+  )
+  if (unknown.length > 0) {
+    return `Label not in the workflow: ${unknown.map(label => typeof label === 'string' ? label : label.name).join(', ')}`
+  }
+
+  return null
+}
+
+/**
+ * Draft a workflow from the labels in use
+ * A label is suggested when its whole name (without scope) is one of the phase patterns,
+ * so partial matches like "test-automation" are left out
+ * @param {Array} issues
+ * @param {Object} phasePatterns - Phase → pattern list (cycleTimeService DEFAULT_PHASE_PATTERNS)
+ * @returns {Object} Workflow with one state per phase found, in workflow order
+ */
+export function suggestWorkflow(issues, phasePatterns) {
+  const labelsByPhase = new Map()
+
+  issues.forEach(issue => {
+    (issue.labels || []).forEach(label => {
+      const name = typeof label === 'string' ? label : label.name
+      const phase = WORKFLOW_PHASES.find(p => phasePatterns[p]?.includes(unscope(normalizeLabel(name))))
+      if (!phase) return
+
+      if (!labelsByPhase.has(phase)) labelsByPhase.set(phase, new Map())
+      const counts = labelsByPhase.get(phase)
+      counts.set(name, (counts.get(name) || 0) + 1)
+    })
+  })
+
+  return {
+    states: WORKFLOW_PHASES
+      .filter(phase => labelsByPhase.has(phase))
+      .map(phase => {
+        // Most used label first: the board applies a state's first label
+        const labels = Array.from(labelsByPhase.get(phase).entries())
+          .sort((a, b) => b[1] - a[1])
+          .map(([name]) => name)
+        return createWorkflowState({ name: unscope(labels[0]), phase, labels })
+      })
+  }
+}
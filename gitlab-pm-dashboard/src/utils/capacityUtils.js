@@ -3,27 +3,17 @@
  * Calculate team member workload, identify overallocation, suggest load balancing
  */
 
+import { getWorkingDayRules, countWorkingDays } from '../services/holidayCalendarService'
+
 /**
  * Calculate working days in an iteration
- * Excludes weekends, assumes 5-day work week
+ * Uses the member's work week and regional holidays when a team member is given,
+ * otherwise a Monday-Friday week
  */
-export function calculateWorkingDays(startDate, endDate) {
+export function calculateWorkingDays(startDate, endDate, member = null) {
   if (!startDate || !endDate) return 10 // Default 2-week sprint
 
-  const start = new Date(startDate)
-  const end = new Date(endDate)
-  let workingDays = 0
-
-  const current = new Date(start)
-  while (current <= end) {
-    const dayOfWeek = current.getDay()
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) { // Not Sunday (0) or Saturday (6)
-      workingDays++
-    }
-    current.setDate(current.getDate() + 1)
-  }
-
-  return workingDays
+  return countWorkingDays(new Date(startDate), new Date(endDate), getWorkingDayRules(member))
 }
 
 /**
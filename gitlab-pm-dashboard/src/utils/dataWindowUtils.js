@@ -0,0 +1,121 @@
+/**
+ * Data time window utilities
+ * Resolve the configured window (rolling months, absolute range, or all time)
+ * into API query bounds and filter cached data against it
+ *
+ * Window shapes:
+ *   { type: 'all' }
+ *   { type: 'rolling', months: 12 }
+ *   { type: 'range', from: '2025-01-01', to: '2025-12-31' } (either end may be empty)
+ */
+
+export const DEFAULT_DATA_WINDOW = { type: 'all' }
+
+export const DEFAULT_ROLLING_MONTHS = 12
+
+/**
+ * Convert the legacy filter2025 flag to a window
+ */
+export function dataWindowFromLegacyFilter(filter2025) {
+  return filter2025 === true || filter2025 === 'true'
+    ? { type: 'range', from: '2025-01-01', to: '' }
+    : { ...DEFAULT_DATA_WINDOW }
+}
+
+/**
+ * Sanitize a window, falling back to all time for anything unrecognized
+ */
+export function normalizeDataWindow(window) {
+  if (!window || typeof window !== 'object') {
+    return { ...DEFAULT_DATA_WINDOW }
+  }
+
+  if (window.type === 'rolling') {
+    const months = Math.round(Number(window.months))
+    return { type: 'rolling', months: months > 0 ? months : DEFAULT_ROLLING_MONTHS }
+  }
+
+  if (window.type === 'range') {
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    const from = isDate(window.from) ? window.from : ''
+    const to = isDate(window.to) ? window.to : ''
+    if (from || to) {
+      return { type: 'range', from, to }
+    }
+  }
+
+  return { ...DEFAULT_DATA_WINDOW }
+}
+
+/**
+ * Resolve a window into ISO timestamps
+ * updatedAfter: items must have been updated at or after this time
+ * createdBefore: items must have been created at or before this time
+ * Either bound is null when open-ended
+ */
+export function resolveDataWindow(window, now = new Date()) {
+  const normalized = normalizeDataWindow(window)
+
+  if (normalized.type === 'rolling') {
+    const start = new Date(now)
+    start.setMonth(start.getMonth() - normalized.months)
+    return { updatedAfter: start.toISOString(), createdBefore: null }
+  }
+
+  if (normalized.type === 'range') {
+    return {
+      updatedAfter: normalized.from ? new Date(`${normalized.from}T00:00:00.000Z`).toISOString() : null,
+      createdBefore: normalized.to ? new Date(`${normalized.to}T23:59:59.999Z`).toISOString() : null
+    }
+  }
+
+  return { updatedAfter: null, createdBefore: null }
+}
+
+/**
+ * Keep only items that were active within the resolved window
+ * (created before its end and updated after its start), mirroring the server-side query
+ */
+export function filterByDataWindow(items, bounds) {
+  const { updatedAfter, createdBefore } = bounds
+  if (!updatedAfter && !createdBefore) return items
+
+  const start = updatedAfter ? new Date(updatedAfter).getTime() : null
+  const end = createdBefore ? new Date(createdBefore).getTime() : null
+
+  return items.filter(item => {
+    if (start !== null && (!item.updated_at || new Date(item.updated_at).getTime() < start)) {
+      return false
+    }
+    if (end !== null && item.created_at && new Date(item.created_at).getTime() > end) {
+      return false
+    }
+    return true
+  })
+}
+
+/**
+ * Stable identifier for a window (rolling windows keep the same key as time moves on)
+ */
+export function getDataWindowKey(window) {
+  const normalized = normalizeDataWindow(window)
+  if (normalized.type === 'rolling') return `rolling:${normalized.months}`
+  if (normalized.type === 'range') return `range:${normalized.from}..${normalized.to}`
+  return 'all'
+}
+
+/**
+ * Human-readable window label (e.g., "Last 12 months", "Since 2025-01-01")
+ */
+export function describeDataWindow(window) {
+  const normalized = normalizeDataWindow(window)
+
+  if (normalized.type === 'rolling') {
+    return normalized.months === 1 ? 'Last month' : `Last ${normalized.months} months`
+  }
+  if (normalized.type === 'range') {
+    if (normalized.from && normalized.to) return `${normalized.from} – ${normalized.to}`
+    return normalized.from ? `Since ${normalized.from}` : `Until ${normalized.to}`
+  }
+  return 'All time'
+}
@@ -86,3 +86,18 @@ export function calculateDateProgress(startDate, dueDate) {
 
   return Math.round((elapsed / total) * 100)
 }
+
+/**
+ * Format elapsed time since a timestamp (e.g., "just now", "5 min ago", "3 h ago", "2 days ago")
+ */
+export function formatTimeAgo(date) {
+  if (!date) return ''
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / (1000 * 60))
+
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes} min ago`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours} h ago`
+  const days = Math.floor(hours / 24)
+  return days === 1 ? '1 day ago' : `${days} days ago`
+}
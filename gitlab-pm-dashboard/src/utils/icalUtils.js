@@ -0,0 +1,355 @@
+/**
+ * iCalendar (RFC 5545) Utilities
+ * Parse VEVENTs (all-day, timed, multi-day, RRULE/EXDATE recurrences) and build .ics files
+ * Dates are handled as local calendar days - times are only used to decide which days an event covers
+ * (UTC and TZID times are converted to the browser's time zone first)
+ */
+
+const DAY_MS = 86400000
+const MAX_OCCURRENCES = 500
+const BYDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)])
+  )
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp
+}
+
+/**
+ * Instant of a wall-clock time in a time zone (checked twice to land right around DST changes)
+ * @returns {Date|null} null when the time zone is unknown (e.g. a Windows zone name)
+ */
+function zonedTimeToDate(wallClockUtc, timeZone) {
+  try {
+    const offset = getTimeZoneOffset(wallClockUtc, timeZone)
+    const correctedOffset = getTimeZoneOffset(wallClockUtc - offset, timeZone)
+    return new Date(wallClockUtc - correctedOffset)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value into a local date
+ * UTC (Z suffix) and TZID times are converted to local time before taking the day;
+ * floating times and times in an unknown TZID are read as local time
+ * @param {string} value - e.g. 20250801, 20250801T090000 or 20250801T090000Z
+ * @param {string} tzid - TZID parameter of the property, if any
+ * @returns {Object|null} { date, hasTime, midnight }
+ */
+export function parseICalDate(value, tzid = null) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/.exec(value || '')
+  if (!match) return null
+  const [, year, month, day, hours, minutes, seconds, utc] = match
+  if (hours === undefined) {
+    return { date: new Date(Number(year), Number(month) - 1, Number(day)), hasTime: false, midnight: true }
+  }
+
+  const wallClockUtc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds))
+  const local = (utc && new Date(wallClockUtc)) ||
+    (tzid && zonedTimeToDate(wallClockUtc, tzid)) ||
+    new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds))
+
+  return {
+    date: new Date(local.getFullYear(), local.getMonth(), local.getDate()),
+    hasTime: true,
+    midnight: local.getHours() + local.getMinutes() + local.getSeconds() === 0
+  }
+}
+
+/**
+ * Format a date as an iCalendar DATE value (YYYYMMDD)
+ */
+export function formatICalDate(date) {
+  const d = new Date(date)
+  return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Format a date as a UTC iCalendar DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ */
+export function formatICalDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+export function unescapeICalText(value) {
+  return String(value || '')
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim()
+}
+
+export function escapeICalText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * e.g. ATTENDEE;CN="Doe, Jane":mailto:jane@example.com
+ */
+function parseContentLine(line) {
+  let inQuotes = false
+  let separator = -1
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes
+    if (line[i] === ':' && !inQuotes) {
+      separator = i
+      break
+    }
+  }
+  if (separator === -1) return null
+
+  const [name, ...paramParts] = line.slice(0, separator).split(';')
+  const params = {}
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=')
+    if (key) params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '')
+  })
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1).trim() }
+}
+
+function parsePerson({ params, value }) {
+  const email = value.replace(/^mailto:/i, '').trim().toLowerCase()
+  return {
+    email: email.includes('@') ? email : '',
+    name: params.CN ? unescapeICalText(params.CN) : ''
+  }
+}
+
+function parseRule(value) {
+  return Object.fromEntries(
+    value.split(';')
+      .map(part => part.split('='))
+      .filter(([key, val]) => key && val)
+      .map(([key, val]) => [key.toUpperCase(), val])
+  )
+}
+
+/**
+ * Parse all VEVENTs of an iCalendar file
+ * @param {string} text - .ics file content
+ * @returns {Object} {
+ *   name (X-WR-CALNAME or null),
+ *   events: [{ uid, summary, description, categories, status, organizer, attendees: [{ email, name }],
+ *              start, end (inclusive last day), rrule, exdates: Set of YYYYMMDD }]
+ * }
+ */
+export function parseICalEvents(text) {
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)')
+  }
+
+  let calendarName = null
+  let current = null
+  let nesting = 0 // Skip nested components such as VALARM
+  const events = []
+
+  lines.forEach(line => {
+    const property = parseContentLine(line)
+    if (!property) return
+    const { name, value } = property
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = { attendees: [], exdates: [] }
+      nesting = 0
+    } else if (current && name === 'BEGIN') {
+      nesting++
+    } else if (current && name === 'END' && value.toUpperCase() !== 'VEVENT') {
+      nesting--
+    } else if (current && name === 'END') {
+      events.push(current)
+      current = null
+    } else if (current && nesting === 0) {
+      if (name === 'ATTENDEE') {
+        current.attendees.push(parsePerson(property))
+      } else if (name === 'ORGANIZER') {
+        current.organizer = parsePerson(property)
+      } else if (name === 'EXDATE') {
+        current.exdates.push(...value.split(',').map(date => ({ value: date, tzid: property.params.TZID })))
+      } else if (name === 'DTSTART' || name === 'DTEND') {
+        current[name] = { value, tzid: property.params.TZID }
+      } else {
+        current[name] = value
+      }
+    } else if (!current && name === 'X-WR-CALNAME') {
+      calendarName = unescapeICalText(value)
+    }
+  })
+
+  const parsed = events.map(event => {
+    const start = parseICalDate(event.DTSTART?.value, event.DTSTART?.tzid)
+    if (!start) return null
+
+    // DTEND is exclusive for all-day events; a DATE-TIME end counts its day unless it is midnight
+    let end = start.date
+    const dtEnd = parseICalDate(event.DTEND?.value, event.DTEND?.tzid)
+    if (dtEnd) {
+      const lastDay = dtEnd.hasTime && !dtEnd.midnight
+        ? dtEnd.date
+        : new Date(dtEnd.date.getFullYear(), dtEnd.date.getMonth(), dtEnd.date.getDate() - 1)
+      end = lastDay < start.date ? start.date : lastDay
+    }
+
+    return {
+      uid: event.UID || null,
+      summary: unescapeICalText(event.SUMMARY),
+      description: unescapeICalText(event.DESCRIPTION),
+      categories: event.CATEGORIES ? unescapeICalText(event.CATEGORIES) : '',
+      status: (event.STATUS || '').toUpperCase(),
+      organizer: event.organizer || null,
+      attendees: event.attendees,
+      start: start.date,
+      end,
+      rrule: event.RRULE ? parseRule(event.RRULE) : null,
+      exdates: new Set(event.exdates
+        .map(({ value, tzid }) => parseICalDate(value, tzid))
+        .filter(Boolean)
+        .map(exdate => formatICalDate(exdate.date)))
+    }
+  }).filter(Boolean)
+
+  return { name: calendarName, events: parsed }
+}
+
+/**
+ * Date a number of periods after another
+ * @returns {Date|null} null when the month has no such day (e.g. the 31st, or Feb 29 in
+ *   a common year): RFC 5545 skips those occurrences instead of rolling over
+ */
+function addInterval(date, freq, amount) {
+  const year = date.getFullYear()
+  const month = date.getMonth()
+  const day = date.getDate()
+  if (freq === 'DAILY') return new Date(year, month, day + amount)
+  if (freq === 'WEEKLY') return new Date(year, month, day + amount * 7)
+
+  const next = freq === 'MONTHLY' ? new Date(year, month + amount, day) : new Date(year + amount, month, day)
+  return next.getDate() === day ? next : null
+}
+
+/**
+ * Expand an event's recurrence rule into occurrences
+ * Supports FREQ=DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL, BYDAY (weekly) and EXDATE
+ * @param {Object} event - From parseICalEvents()
+ * @param {Date} limitDate - Last day to generate for open-ended rules
+ * @returns {Array} [{ start, end }] with inclusive end dates
+ */
+export function expandICalEvent(event, limitDate) {
+  const duration = Math.round((event.end - event.start) / DAY_MS)
+  const occurrence = start => ({
+    start,
+    end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + duration)
+  })
+
+  const rule = event.rrule
+  if (!rule || !['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) {
+    return [occurrence(event.start)]
+  }
+
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1)
+  const count = rule.COUNT ? Number(rule.COUNT) : null
+  const until = rule.UNTIL ? parseICalDate(rule.UNTIL)?.date : null
+  const last = until && (!limitDate || until < limitDate) ? until : limitDate
+  const byDay = rule.FREQ === 'WEEKLY' && rule.BYDAY
+    ? rule.BYDAY.split(',').map(code => BYDAY_CODES.indexOf(code.slice(-2).toUpperCase())).filter(day => day >= 0)
+    : null
+
+  const starts = []
+  let generated = 0
+
+  for (let index = 0; generated < MAX_OCCURRENCES && (!count || generated < count); index++) {
+    const period = addInterval(event.start, rule.FREQ, interval * index)
+    if (!period) continue
+    let candidates = [period]
+    if (byDay) {
+      // All listed weekdays of this week (weeks start on Monday, the RFC default WKST)
+      const monday = new Date(period.getFullYear(), period.getMonth(), period.getDate() - ((period.getDay() + 6) % 7))
+      if (last && monday > last) break
+      candidates = byDay
+        .map(day => new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + ((day + 6) % 7)))
+        .sort((a, b) => a - b)
+        .filter(date => date >= event.start)
+    } else if (last && period > last) {
+      break
+    }
+
+    for (const date of candidates) {
+      if ((count && generated >= count) || (last && date > last)) break
+      generated++
+      if (!event.exdates.has(formatICalDate(date))) starts.push(date)
+    }
+  }
+
+  return starts.map(occurrence)
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 3.1)
+ */
+function foldLine(line) {
+  const parts = []
+  let rest = line
+  while (rest.length > 74) {
+    parts.push(rest.slice(0, 74))
+    rest = rest.slice(74)
+  }
+  parts.push(rest)
+  return parts.join('\r\n ')
+}
+
+/**
+ * Build an iCalendar file from all-day events
+ * @param {Object} calendar - { name, events: [{ uid, start, end (inclusive), summary, description, categories }],
+ *   refreshInterval (ISO 8601 duration, only for feeds that are served for subscription) }
+ * @returns {string} .ics content
+ */
+export function buildICalendar({ name, events, refreshInterval = null }) {
+  const stamp = formatICalDateTime(new Date())
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//GitHarmony//GitLab PM Dashboard//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`,
+    // How often subscribed calendars should check the feed for updates
+    ...(refreshInterval ? [`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`, `X-PUBLISHED-TTL:${refreshInterval}`] : [])
+  ]
+
+  events.forEach(event => {
+    const endExclusive = new Date(event.end.getFullYear(), event.end.getMonth(), event.end.getDate() + 1)
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatICalDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatICalDate(endExclusive)}`,
+      `SUMMARY:${escapeICalText(event.summary)}`
+    )
+    if (event.description) lines.push(`DESCRIPTION:${escapeICalText(event.description)}`)
+    if (event.categories) lines.push(`CATEGORIES:${escapeICalText(event.categories)}`)
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT')
+  })
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}